@@ -0,0 +1,42 @@
+const { verifyToken } = require('../utils/auth');
+
+/**
+ * Create middleware that rejects requests without a valid session token.
+ * On success `req.user` holds the caller and `req.sessionId` their session.
+ *
+ * @param {Object} store - Storage driver
+ * @returns {Function} Express middleware
+ */
+const requireAuth = (store) => async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    const sessionId = scheme === 'Bearer' ? verifyToken(token) : null;
+
+    const session = sessionId ? await store.get('sessions', sessionId) : null;
+
+    if (!session || new Date(session.expiresAt) < new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    const user = await store.get('users', session.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    req.user = { id: user.id, email: user.email, name: user.name };
+    req.sessionId = session.id;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = { requireAuth };
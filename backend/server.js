@@ -1,66 +1,3345 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
 const { v4: uuidv4 } = require('uuid');
+const { createStore, createFileStore } = require('./storage');
+const { requireAuth } = require('./middleware/auth');
+const {
+  SESSION_TTL_DAYS,
+  hashPassword,
+  verifyPassword,
+  signToken,
+} = require('./utils/auth');
+const {
+  BASE_CURRENCY,
+  isValidCurrency,
+  buildRateTable,
+  convertAmount,
+  parseRatesFile,
+} = require('./utils/currency');
+const { evaluateBudget } = require('./utils/budgets');
+const { dueOccurrences, MAX_BACKFILL_DAYS } = require('./utils/recurrence');
+const { isDateString, today, addDays } = require('./utils/dates');
+const { parseCsv, toCsvRow } = require('./utils/csv');
+const {
+  parseExpenseQuery,
+  filterExpenses,
+  sortExpenses,
+  paginate,
+} = require('./utils/query');
+const {
+  DATE_FORMATS,
+  validateMapping,
+  buildImportPreview,
+} = require('./utils/importer');
+const {
+  QIF_DATE_ORDERS,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  buildStatementPreview,
+} = require('./utils/statements');
+const {
+  TRANSACTION_TYPES,
+  pickColor,
+  findCategory,
+  categoryType,
+  typeMismatch,
+  childrenOf,
+  categoryFamily,
+  topLevelName,
+} = require('./utils/categories');
+const {
+  GROUP_BY_UNITS,
+  MAX_BUCKETS,
+  buildTimeSeries,
+} = require('./utils/timeseries');
+const { createEventHub } = require('./utils/events');
+const {
+  isMonthString,
+  shiftMonth,
+  buildMonthlyReport,
+} = require('./utils/reports');
+const { writeMonthlyReportPdf } = require('./utils/reportPdf');
+const { parseTags, summarizeTags } = require('./utils/tags');
+const {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MAX_BYTES,
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  detectFileType,
+  createThumbnail,
+} = require('./utils/attachments');
+const {
+  normalizeSplit,
+  computeBalances,
+  simplifyDebts,
+} = require('./utils/splits');
+const { diffExpense } = require('./utils/audit');
+const { validateBody, sendValidationError } = require('./utils/validation');
+const {
+  LOGIN_SCHEMA,
+  REGISTER_SCHEMA,
+  EXPENSE_SCHEMA,
+  QUICK_ADD_SCHEMA,
+  CATEGORY_SCHEMA,
+  MERGE_SCHEMA,
+  ACCOUNT_SCHEMA,
+  TRANSFER_SCHEMA,
+  RULE_SCHEMA,
+  RECURRING_SCHEMA,
+  BUDGET_SCHEMA,
+  RATE_SCHEMA,
+  RATE_IMPORT_SCHEMA,
+  SETTLEMENT_SCHEMA,
+} = require('./utils/schemas');
+const {
+  DEFAULT_ACCOUNT,
+  findAccountByName,
+  defaultAccount,
+  buildLedger,
+} = require('./utils/accounts');
+const {
+  validateRule,
+  findMatchingRule,
+  mergeTags,
+  planRuleRun,
+  suggestCategory,
+} = require('./utils/rules');
+const { parseQuickAdd } = require('./utils/quickAdd');
+const {
+  MAX_BULK_ITEMS,
+  parseBulkAction,
+  applyBulkAction,
+} = require('./utils/bulk');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// How often the scheduler checks recurring rules for due occurrences
+const RECURRING_INTERVAL_MS = 60 * 60 * 1000;
+
+// Days a deleted expense stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+// How often the trash is checked for expenses past their retention
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Largest statement file accepted by the import endpoint
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+// Receipts that can be sent in one upload request
+const ATTACHMENT_FILES_PER_REQUEST = 5;
+
 /* =========================
    Middleware
 ========================= */
 
-// Enable CORS (safe for frontend hosting)
-app.use(
-  cors({
-    origin: '*', // You can restrict this later to your Vercel URL
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  })
-);
+// Enable CORS (safe for frontend hosting)
+app.use(
+  cors({
+    origin: '*', // You can restrict this later to your Vercel URL
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID'],
+    exposedHeaders: ['Content-Disposition'],
+  })
+);
+
+// Body parsing
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Statement uploads are small enough to keep in memory while parsing
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES },
+});
+
+/**
+ * Accept a single uploaded file in the `file` field, turning upload errors
+ * into the usual 400 response
+ */
+const receiveImportFile = (req, res, next) =>
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error:
+          error.code === 'LIMIT_FILE_SIZE'
+            ? `File is too large (max ${IMPORT_MAX_BYTES / 1024 / 1024} MB)`
+            : error.message,
+      });
+    }
+    next();
+  });
+
+// Receipts are checked and thumbnailed in memory before being written
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: ATTACHMENT_FILES_PER_REQUEST,
+  },
+});
+
+/**
+ * Accept up to ATTACHMENT_FILES_PER_REQUEST files in the `files` field,
+ * turning upload errors into the usual 400 response
+ */
+const receiveAttachments = (req, res, next) =>
+  attachmentUpload.array('files', ATTACHMENT_FILES_PER_REQUEST)(
+    req,
+    res,
+    (error) => {
+      if (error) {
+        const messages = {
+          LIMIT_FILE_SIZE: `File is too large (max ${
+            ATTACHMENT_MAX_BYTES / 1024 / 1024
+          } MB)`,
+          LIMIT_FILE_COUNT: `Upload at most ${ATTACHMENT_FILES_PER_REQUEST} files at a time`,
+          LIMIT_UNEXPECTED_FILE: `Upload at most ${ATTACHMENT_FILES_PER_REQUEST} files at a time, in the "files" field`,
+        };
+        return res.status(400).json({
+          success: false,
+          error: messages[error.code] || error.message,
+        });
+      }
+      next();
+    }
+  );
+
+/* =========================
+   Data Store
+========================= */
+
+// Driver is picked by STORAGE_DRIVER (json | memory), see storage/index.js
+const store = createStore();
+
+// Receipt files, see ATTACHMENTS_DIR in storage/index.js
+const files = createFileStore();
+
+// Open event streams, told about every expense and category change
+const events = createEventHub();
+
+/**
+ * List the records in a collection that belong to a user
+ * @param {string} collection - Collection name
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Array>} The user's records
+ */
+const listForUser = async (collection, userId) =>
+  (await store.list(collection)).filter((r) => r.userId === userId);
+
+/**
+ * List a user's expenses, leaving out the ones in the trash
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Array>} Active expenses
+ */
+const listExpensesForUser = async (userId) =>
+  (await listForUser('expenses', userId)).filter((e) => !e.deletedAt);
+
+// Event each audited action is published as (see utils/events.js); a
+// restored expense reappears, so clients treat it as new
+const EXPENSE_EVENTS = {
+  create: 'expense.create',
+  restore: 'expense.create',
+  update: 'expense.update',
+  delete: 'expense.delete',
+  purge: 'expense.delete',
+};
+
+/**
+ * Add entries to the expense audit log and tell the owner's open event
+ * streams about them
+ * @param {Array} entries - [{ action, before, after }]; `before` is null for
+ *   a create and `after` is null for a purge
+ * @param {string} source - What made the change: manual, import, recurring,
+ *   category, account, rule, retention or bulk
+ */
+const recordChanges = async (entries, source = 'manual') => {
+  const at = new Date().toISOString();
+  const records = entries
+    .map(({ action, before, after }) => ({
+      id: uuidv4(),
+      userId: (after || before).userId,
+      expenseId: (after || before).id,
+      action,
+      source,
+      changes: diffExpense(before, after),
+      at,
+    }))
+    // An update that changed nothing isn't worth an entry
+    .filter((r) => r.action !== 'update' || Object.keys(r.changes).length > 0);
+  if (records.length > 0) {
+    await store.insertMany('auditLog', records);
+  }
+  // Even a change the log leaves out bumps the version clients must send.
+  // Clients don't show the trash, so edits made to it (e.g. when its
+  // category is renamed) aren't sent.
+  entries
+    .filter(({ action, after }) => !(action === 'update' && after.deletedAt))
+    .forEach(({ action, before, after }) => {
+      const expense = after || before;
+      events.publish(expense.userId, EXPENSE_EVENTS[action], expense);
+    });
+};
+
+/**
+ * Tell the owner's open event streams about a category change
+ * @param {string} action - create, update or delete
+ * @param {Object} category - The category as stored (before, for a delete)
+ */
+const publishCategoryChange = (action, category) =>
+  events.publish(category.userId, `category.${action}`, category);
+
+/**
+ * Add one entry to the expense audit log
+ * @param {string} action - create, update, delete, restore or purge
+ * @param {Object|null} before - The expense before the change
+ * @param {Object|null} after - The expense after the change
+ * @param {string} source - What made the change
+ */
+const recordChange = (action, before, after, source = 'manual') =>
+  recordChanges([{ action, before, after }], source);
+
+/**
+ * List a user's categories. Shared records (no userId) are only templates
+ * copied to each new account.
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Array>} Category records
+ */
+const listCategoriesForUser = async (userId) =>
+  listForUser('categories', userId);
+
+/**
+ * Fill in the category of a new expense from the user's rules when the
+ * request leaves it out. The first matching rule also adds its tags.
+ * @param {string} userId - Owner ID
+ * @param {Object} body - Request body
+ * @param {Array} categories - The user's categories
+ * @returns {Promise<Object>} The body, with the rule's category and tags
+ */
+const categorizeByRules = async (userId, body, categories) => {
+  if (body.category) {
+    return body;
+  }
+  const rule = findMatchingRule(
+    await listForUser('categoryRules', userId),
+    {
+      description: typeof body.description === 'string' ? body.description : '',
+      amount: Number(body.amount),
+      type: TRANSACTION_TYPES.includes(body.type) ? body.type : null,
+    },
+    categories
+  );
+  if (!rule) {
+    return body;
+  }
+  const { tags } = parseTags(body.tags);
+  return {
+    ...body,
+    category: rule.category,
+    tags: tags ? mergeTags(tags, rule.tags) : body.tags,
+  };
+};
+
+/**
+ * List a user's accounts (wallets, cards, ...)
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Array>} Account records
+ */
+const listAccountsForUser = async (userId) => listForUser('accounts', userId);
+
+/**
+ * Give a new user the account their entries go to until they add more
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object>} The account
+ */
+const seedAccount = async (userId) =>
+  store.insert('accounts', {
+    ...DEFAULT_ACCOUNT,
+    id: uuidv4(),
+    userId,
+    currency: BASE_CURRENCY,
+    createdAt: new Date().toISOString(),
+  });
+
+/**
+ * Give a new account its own copy of the built-in categories
+ * @param {string} userId - Owner ID
+ */
+const seedCategories = async (userId) => {
+  const templates = (await store.list('categories')).filter(
+    (c) => !c.userId
+  );
+  await store.insertMany(
+    'categories',
+    templates.map((t) => ({ ...t, id: uuidv4(), userId }))
+  );
+};
+
+/**
+ * Widen a category filter to include the category's subcategories
+ * @param {string} userId - Owner ID
+ * @param {Object} filters - Filters from parseExpenseQuery
+ * @returns {Promise<Object>} Filters with `category` as a list of names
+ */
+const withSubcategories = async (userId, filters) => {
+  if (!filters.category || filters.category === 'All') {
+    return filters;
+  }
+  const categories = await listCategoriesForUser(userId);
+  return { ...filters, category: categoryFamily(categories, filters.category) };
+};
+
+/**
+ * Load a user's exchange rates as a lookup table
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object>} Map of currency code to rate against the base
+ */
+const loadRateTable = async (userId) =>
+  buildRateTable(await listForUser('rates', userId));
+
+/**
+ * Open a new session for a user and build the auth response payload
+ * @param {Object} user - The stored user record
+ * @returns {Promise<Object>} Token and public user fields
+ */
+const startSession = async (user) => {
+  const session = {
+    id: uuidv4(),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(
+      Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString(),
+  };
+
+  await store.insert('sessions', session);
+
+  return {
+    token: signToken(session.id),
+    user: { id: user.id, email: user.email, name: user.name },
+  };
+};
+
+/* =========================
+   Auth Routes
+========================= */
+
+/**
+ * POST /api/auth/register
+ */
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { values, errors } = validateBody(REGISTER_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    const { password } = req.body;
+
+    if (!values.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters',
+      });
+    }
+
+    const normalizedEmail = values.email.toLowerCase();
+    const users = await store.list('users');
+
+    if (users.some((u) => u.email === normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        error: 'An account with this email already exists',
+      });
+    }
+
+    const newUser = {
+      id: uuidv4(),
+      email: normalizedEmail,
+      name: values.name || '',
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+
+    await store.insert('users', newUser);
+    await seedCategories(newUser.id);
+    const wallet = await seedAccount(newUser.id);
+
+    // The first account adopts expenses recorded before accounts existed
+    if (users.length === 0) {
+      const unowned = (await store.list('expenses')).filter((e) => !e.userId);
+      for (const expense of unowned) {
+        await store.update('expenses', expense.id, {
+          userId: newUser.id,
+          accountId: wallet.id,
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await startSession(newUser),
+      message: 'Account created successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { values, errors } = validateBody(LOGIN_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    const { password } = req.body;
+
+    const users = await store.list('users');
+    const user = users.find((u) => u.email === values.email.toLowerCase());
+
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await startSession(user),
+      message: 'Logged in successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ */
+app.post('/api/auth/logout', requireAuth(store), async (req, res) => {
+  try {
+    await store.remove('sessions', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ */
+app.get('/api/auth/me', requireAuth(store), (req, res) => {
+  res.json({
+    success: true,
+    data: req.user,
+  });
+});
+
+/* =========================
+   Routes
+========================= */
+
+// Everything below requires a signed-in user
+app.use('/api/expenses', requireAuth(store));
+app.use('/api/categories', requireAuth(store));
+app.use('/api/tags', requireAuth(store));
+app.use('/api/balances', requireAuth(store));
+app.use('/api/accounts', requireAuth(store));
+app.use('/api/rates', requireAuth(store));
+app.use('/api/budgets', requireAuth(store));
+app.use('/api/recurring', requireAuth(store));
+app.use('/api/rules', requireAuth(store));
+app.use('/api/events', requireAuth(store));
+app.use('/api/reports', requireAuth(store));
+
+/**
+ * GET /api/expenses
+ * Optional query (see utils/query.js):
+ * - filters: ?category=&from=&to=&minAmount=&maxAmount=&q=&type=
+ *   (a category also matches its subcategories; type is expense or income)
+ * - sorting: ?sort=date|amount|category|description&order=asc|desc
+ * - paging:  ?page=&limit= (20 per page by default)
+ */
+app.get('/api/expenses', async (req, res) => {
+  try {
+    const query = parseExpenseQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ success: false, error: query.error });
+    }
+
+    const expenses = await listExpensesForUser(req.user.id);
+    const rateTable = await loadRateTable(req.user.id);
+    const attachmentCounts = countBy(
+      await listForUser('attachments', req.user.id),
+      'expenseId'
+    );
+
+    const { items, pagination } = paginate(
+      sortExpenses(
+        filterExpenses(
+          expenses,
+          await withSubcategories(req.user.id, query.filters)
+        ),
+        query.sort,
+        query.order
+      ),
+      query.page,
+      query.limit
+    );
+
+    const withConversions = items.map((expense) => {
+      const amount = convertAmount(
+        expense.amount,
+        expense.currency,
+        BASE_CURRENCY,
+        rateTable
+      );
+      return {
+        ...expense,
+        converted: amount === null ? null : { amount, currency: BASE_CURRENCY },
+        attachmentCount: attachmentCounts[expense.id] || 0,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: withConversions,
+      count: withConversions.length,
+      ...pagination,
+      baseCurrency: BASE_CURRENCY,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Columns written by every export format, in order
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'type', header: 'Type', width: 10 },
+  { key: 'category', header: 'Category', width: 18 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'tags', header: 'Tags', width: 24 },
+];
+
+/**
+ * GET /api/expenses/export
+ * Query: ?format=csv|json|xlsx plus the same filters and sorting as
+ * GET /api/expenses. Every matching expense is exported, not just one page.
+ */
+app.get('/api/expenses/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: csv, json, xlsx',
+      });
+    }
+
+    const query = parseExpenseQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ success: false, error: query.error });
+    }
+
+    const expenses = sortExpenses(
+      filterExpenses(
+        await listExpensesForUser(req.user.id),
+        await withSubcategories(req.user.id, query.filters)
+      ),
+      query.sort,
+      query.order
+    );
+    const rows = expenses.map((expense) =>
+      EXPORT_COLUMNS.reduce(
+        (row, { key }) => ({
+          ...row,
+          [key]: key === 'tags' ? (expense.tags || []).join(', ') : expense[key],
+        }),
+        {}
+      )
+    );
+
+    const filename = `expenses-${today()}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      return res.send(JSON.stringify(rows, null, 2));
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.write(toCsvRow(EXPORT_COLUMNS.map((c) => c.header)));
+      rows.forEach((row) => {
+        res.write(toCsvRow(EXPORT_COLUMNS.map((c) => row[c.key])));
+      });
+      return res.end();
+    }
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet('Expenses');
+    sheet.columns = EXPORT_COLUMNS;
+    rows.forEach((row) => sheet.addRow(row).commit());
+    sheet.commit();
+    await workbook.commit();
+  } catch (error) {
+    if (res.headersSent) {
+      // Part of the file is already on its way; all we can do is cut it off
+      console.error('Export failed mid-stream:', error);
+      return res.end();
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/expenses/summary
+ * Optional query: ?base= (defaults to BASE_CURRENCY), ?from=, ?to=,
+ * ?groupBy=day|week|month|year, ?expand=, ?tags=a,b (expenses with all of them)
+ * All amounts are converted to the base currency. Expenses in a currency
+ * with no stored rate are left out and listed in `missingRates`.
+ * Subcategory totals roll up into their top-level category; ?expand=<parent>
+ * instead breaks that one parent down into its subcategories.
+ * With groupBy, `series` holds one bucket per period with per-category totals.
+ * Category totals and grandTotal count spending only; `cashFlow` (and each
+ * series bucket) also gives income, expense and net (income - expense).
+ */
+app.get('/api/expenses/summary', async (req, res) => {
+  try {
+    const base = String(req.query.base || BASE_CURRENCY).toUpperCase();
+    const { groupBy, from, to, expand } = req.query;
+
+    if (!isValidCurrency(base)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Base currency must be a 3-letter currency code',
+      });
+    }
+    if (groupBy && !GROUP_BY_UNITS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${GROUP_BY_UNITS.join(', ')}`,
+      });
+    }
+    if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format',
+      });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must not be after to',
+      });
+    }
+
+    const { tags, error: tagsError } = parseTags(req.query.tags);
+    if (tagsError) {
+      return res.status(400).json({ success: false, error: tagsError });
+    }
+
+    const categories = await listCategoriesForUser(req.user.id);
+    const parent = expand && findCategory(categories, expand);
+
+    if (expand && (!parent || parent.parentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expand must be an existing top-level category',
+      });
+    }
+
+    const expenses = filterExpenses(
+      await listExpensesForUser(req.user.id),
+      {
+        from,
+        to,
+        tags,
+        category: parent && categoryFamily(categories, parent.name),
+      }
+    );
+    const rateTable = await loadRateTable(req.user.id);
+    const missingRates = new Set();
+
+    const converted = expenses
+      .map((expense) => {
+        const amount = convertAmount(
+          expense.amount,
+          expense.currency,
+          base,
+          rateTable
+        );
+        if (amount === null) {
+          missingRates.add(expense.currency);
+        }
+        const category = parent
+          ? expense.category
+          : topLevelName(categories, expense.category);
+        return { ...expense, amount, category };
+      })
+      .filter((expense) => expense.amount !== null);
+
+    const spending = converted.filter((e) => e.type !== 'income');
+    const income = converted
+      .filter((e) => e.type === 'income')
+      .reduce((sum, e) => sum + e.amount, 0);
+
+    const summary = spending.reduce((acc, expense) => {
+      acc[expense.category] =
+        (acc[expense.category] || 0) + expense.amount;
+      return acc;
+    }, {});
+
+    const summaryArray = Object.entries(summary).map(
+      ([category, total]) => {
+        const record = findCategory(categories, category);
+        return {
+          category,
+          total,
+          hasChildren:
+            !parent && !!record && childrenOf(categories, record).length > 0,
+        };
+      }
+    );
+
+    const grandTotal = spending.reduce(
+      (sum, expense) => sum + expense.amount,
+      0
+    );
+
+    let series;
+    if (groupBy) {
+      series = buildTimeSeries(converted, groupBy, { from, to });
+      if (!series) {
+        return res.status(400).json({
+          success: false,
+          error: `Range is too long for groupBy=${groupBy} (max ${MAX_BUCKETS} periods)`,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: summaryArray,
+      grandTotal,
+      cashFlow: { income, expense: grandTotal, net: income - grandTotal },
+      baseCurrency: base,
+      missingRates: [...missingRates],
+      expanded: parent ? parent.name : null,
+      ...(groupBy && { groupBy, series }),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/reports/monthly
+ * Query: ?month=YYYY-MM (defaults to this month), ?base= (defaults to
+ * BASE_CURRENCY), ?format=json|pdf
+ * A month-end report (see utils/reports.js): spending by category against
+ * the previous month and the same month last year, the largest expenses and
+ * daily averages. Expenses in a currency with no stored rate are left out
+ * and listed in `missingRates`. format=pdf downloads the same report as a
+ * PDF made on the server.
+ */
+app.get('/api/reports/monthly', async (req, res) => {
+  try {
+    const month = req.query.month || today().slice(0, 7);
+    const base = String(req.query.base || BASE_CURRENCY).toUpperCase();
+    const format = req.query.format || 'json';
+
+    if (!isMonthString(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month must be in YYYY-MM format',
+      });
+    }
+    if (!isValidCurrency(base)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Base currency must be a 3-letter currency code',
+      });
+    }
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be one of: json, pdf',
+      });
+    }
+
+    // Only the months compared are needed
+    const months = [month, shiftMonth(month, -1), shiftMonth(month, -12)];
+    const rateTable = await loadRateTable(req.user.id);
+    const missingRates = new Set();
+    const converted = (await listExpensesForUser(req.user.id))
+      .filter((e) => months.includes(e.date.slice(0, 7)))
+      .map((expense) => {
+        const amount = convertAmount(expense.amount, expense.currency, base, rateTable);
+        if (amount === null) {
+          missingRates.add(expense.currency);
+        }
+        return {
+          ...expense,
+          amount,
+          originalAmount: expense.amount,
+          originalCurrency: expense.currency,
+        };
+      })
+      .filter((expense) => expense.amount !== null);
+
+    const report = buildMonthlyReport(converted, month, {
+      categories: await listCategoriesForUser(req.user.id),
+      today: today(),
+    });
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="report-${month}.pdf"`
+      );
+      return writeMonthlyReportPdf(report, res, {
+        currency: base,
+        userName: req.user.name || req.user.email,
+        missingRates: [...missingRates],
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      baseCurrency: base,
+      missingRates: [...missingRates],
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Report failed mid-stream:', error);
+      return res.end();
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Find budgets that a newly added expense has just pushed over their limit
+ * @param {string} userId - Owner ID
+ * @param {Object} expense - The expense that was just stored
+ * @returns {Promise<Array>} Evaluated budgets that crossed their limit
+ */
+const findBudgetsCrossed = async (userId, expense) => {
+  const categories = await listCategoriesForUser(userId);
+  // A budget on the parent category also covers its subcategories
+  const affected = [
+    expense.category,
+    topLevelName(categories, expense.category),
+  ].map((name) => name.toLowerCase());
+  const budgets = (await listForUser('budgets', userId)).filter((b) =>
+    affected.includes(b.category.toLowerCase())
+  );
+
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const expenses = await listExpensesForUser(userId);
+  const rateTable = await loadRateTable(userId);
+  const added =
+    convertAmount(expense.amount, expense.currency, BASE_CURRENCY, rateTable) || 0;
+
+  return budgets
+    .map((budget) =>
+      evaluateBudget(
+        budget,
+        expenses,
+        rateTable,
+        BASE_CURRENCY,
+        expense.date,
+        categoryFamily(categories, budget.category)
+      )
+    )
+    .filter((b) => b.spent > b.limit && b.spent - added <= b.limit);
+};
+
+/**
+ * POST /api/expenses
+ * The body is checked against EXPENSE_SCHEMA (utils/schemas.js); bad fields
+ * get a 422 with a message per field. The transaction's `type` (expense or
+ * income) comes from its category; a `type` that doesn't match it is
+ * refused. `accountId` defaults to the user's first account. An optional
+ * `clientId` makes retries safe: a second create with the same clientId
+ * returns the expense made by the first.
+ */
+app.post('/api/expenses', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+    const accounts = await listAccountsForUser(req.user.id);
+    const body = await categorizeByRules(req.user.id, req.body, categories);
+    const { values, errors } = validateBody(EXPENSE_SCHEMA, body, {
+      context: { categories, accounts },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const category = findCategory(categories, values.category);
+    const typeError = values.type && typeMismatch(category, values.type);
+    if (typeError) {
+      return sendValidationError(res, { category: typeError });
+    }
+    if (values.split && category.type === 'income') {
+      return sendValidationError(res, { split: 'Only expenses can be split' });
+    }
+
+    const { split, error: splitError } = values.split
+      ? normalizeSplit(values.split, values.amount)
+      : { split: null };
+    if (splitError) {
+      return sendValidationError(res, { split: splitError });
+    }
+
+    const clientId = values.clientId || null;
+
+    // A client retrying a create it already made gets the original back
+    if (clientId) {
+      const existing = (await listForUser('expenses', req.user.id)).find(
+        (e) => e.clientId === clientId
+      );
+      if (existing) {
+        return res.json({
+          success: true,
+          data: existing,
+          budgetAlerts: [],
+          message: 'Expense already added',
+        });
+      }
+    }
+
+    const newExpense = {
+      id: uuidv4(),
+      userId: req.user.id,
+      type: category.type,
+      amount: values.amount,
+      currency: values.currency || BASE_CURRENCY,
+      category: category.name,
+      date: values.date,
+      description: values.description || '',
+      tags: values.tags || [],
+      split,
+      accountId: values.accountId || defaultAccount(accounts).id,
+      source: 'manual',
+      sourceId: null,
+      deletedAt: null,
+      version: 1,
+      clientId,
+    };
+
+    await store.insert('expenses', newExpense);
+    await recordChange('create', null, newExpense);
+
+    const budgetAlerts = await findBudgetsCrossed(req.user.id, newExpense);
+
+    res.status(201).json({
+      success: true,
+      data: newExpense,
+      budgetAlerts,
+      message:
+        category.type === 'income'
+          ? 'Income added successfully'
+          : 'Expense added successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/expenses/parse
+ * Body: { text, today? }
+ * Reads a quick-add line ("250 lunch yesterday #food") into expense fields
+ * without saving anything (see utils/quickAdd.js). `today` is the client's
+ * date, so "yesterday" follows the user's calendar rather than the
+ * server's.
+ */
+app.post('/api/expenses/parse', async (req, res) => {
+  try {
+    const { values, errors } = validateBody(QUICK_ADD_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    res.json({
+      success: true,
+      data: parseQuickAdd(values.text, {
+        categories: await listCategoriesForUser(req.user.id),
+        today: values.today || today(),
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/expenses/import
+ * Multipart form fields:
+ * - file:       the CSV statement
+ * - mapping:    JSON column mapping (see utils/importer.js); omit it to get
+ *               the file's columns and a few sample rows back
+ * - dryRun:     'false' to commit; anything else returns a preview
+ * - acceptRows: JSON array of row numbers to commit (defaults to every
+ *               valid, non-duplicate row); duplicates may be accepted,
+ *               invalid rows never are
+ * - accountId:  account the rows are filed under (defaults to the user's
+ *               first account)
+ */
+app.post('/api/expenses/import', receiveImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A CSV file is required',
+      });
+    }
+
+    let mapping;
+    let acceptRows;
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+      acceptRows = req.body.acceptRows ? JSON.parse(req.body.acceptRows) : null;
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'mapping and acceptRows must be valid JSON',
+      });
+    }
+
+    const rows = parseCsv(req.file.buffer.toString('utf8'), {
+      delimiter: (mapping && mapping.delimiter) || ',',
+    });
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file has no rows',
+      });
+    }
+
+    if (!mapping) {
+      return res.json({
+        success: true,
+        data: {
+          columns: rows[0],
+          sample: rows.slice(1, 6),
+          rowCount: rows.length,
+        },
+        dateFormats: DATE_FORMATS,
+      });
+    }
+
+    const columnCount = Math.max(...rows.map((r) => r.length));
+    const mappingError = validateMapping(mapping, columnCount);
+    if (mappingError) {
+      return res.status(400).json({ success: false, error: mappingError });
+    }
+
+    const accounts = await listAccountsForUser(req.user.id);
+    const account = req.body.accountId
+      ? accounts.find((a) => a.id === req.body.accountId)
+      : defaultAccount(accounts);
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        error: 'accountId must be one of your accounts',
+      });
+    }
+
+    const preview = buildImportPreview(rows, mapping, {
+      categories: await listCategoriesForUser(req.user.id),
+      existingExpenses: await listExpensesForUser(req.user.id),
+      baseCurrency: BASE_CURRENCY,
+      rules: await listForUser('categoryRules', req.user.id),
+    });
+
+    const counts = preview.reduce(
+      (acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }),
+      { total: preview.length, valid: 0, invalid: 0, duplicate: 0 }
+    );
+
+    if (req.body.dryRun !== 'false') {
+      return res.json({
+        success: true,
+        dryRun: true,
+        data: preview,
+        counts,
+      });
+    }
+
+    const accepted = preview.filter((r) =>
+      Array.isArray(acceptRows)
+        ? acceptRows.includes(r.row) && r.status !== 'invalid'
+        : r.status === 'valid'
+    );
+
+    const imported = await store.insertMany(
+      'expenses',
+      accepted.map((r) => ({
+        id: uuidv4(),
+        userId: req.user.id,
+        ...r.expense,
+        accountId: account.id,
+        source: 'csv',
+        sourceId: null,
+      }))
+    );
+    await recordChanges(
+      imported.map((expense) => ({
+        action: 'create',
+        before: null,
+        after: expense,
+      })),
+      'import'
+    );
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      data: imported,
+      counts: {
+        imported: imported.length,
+        skipped: preview.length - imported.length,
+      },
+      message: `Imported ${imported.length} expense(s)`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/expenses/import/statement
+ * Imports an OFX or QIF bank statement (see utils/statements.js). Each
+ * transaction's ID is kept as the expense's `sourceId`, and one already
+ * imported into the same account is skipped, so overlapping statements can
+ * be imported safely. Multipart form fields:
+ * - file:            the .ofx/.qfx or .qif statement
+ * - accountId:       account the statement belongs to (defaults to the
+ *                    user's first account)
+ * - defaultCategory: expense category for debits no rule matches
+ * - incomeCategory:  income category for credits no rule matches; without
+ *                    it credits are skipped
+ * - dateOrder:       MDY (default) or DMY, for QIF dates
+ * - dryRun:          'false' to commit; anything else returns a preview
+ * - acceptRows:      JSON array of row numbers to commit (defaults to every
+ *                    new transaction); skipped and invalid rows never are
+ */
+app.post('/api/expenses/import/statement', receiveImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'An OFX or QIF file is required',
+      });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const format = detectStatementFormat(text);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file is not an OFX or QIF statement',
+      });
+    }
+
+    let acceptRows;
+    try {
+      acceptRows = req.body.acceptRows ? JSON.parse(req.body.acceptRows) : null;
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'acceptRows must be valid JSON',
+      });
+    }
+
+    const dateOrder = req.body.dateOrder || 'MDY';
+    if (!QIF_DATE_ORDERS.includes(dateOrder)) {
+      return res.status(400).json({
+        success: false,
+        error: `dateOrder must be one of: ${QIF_DATE_ORDERS.join(', ')}`,
+      });
+    }
+
+    const accounts = await listAccountsForUser(req.user.id);
+    const account = req.body.accountId
+      ? accounts.find((a) => a.id === req.body.accountId)
+      : defaultAccount(accounts);
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        error: 'accountId must be one of your accounts',
+      });
+    }
+
+    const categories = await listCategoriesForUser(req.user.id);
+    const { defaultCategory, incomeCategory } = req.body;
+    const debitCategory = findCategory(categories, defaultCategory || '');
+    if (!debitCategory || debitCategory.type !== 'expense') {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose an expense category for debits no rule matches',
+      });
+    }
+    const creditCategory = incomeCategory && findCategory(categories, incomeCategory);
+    if (incomeCategory && (!creditCategory || creditCategory.type !== 'income')) {
+      return res.status(400).json({
+        success: false,
+        error: 'incomeCategory must be an income category',
+      });
+    }
+
+    const statement = format === 'ofx' ? parseOfx(text) : parseQif(text, { dateOrder });
+    if (statement.transactions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The statement has no transactions',
+      });
+    }
+
+    const preview = buildStatementPreview(statement, {
+      categories,
+      existingExpenses: await listForUser('expenses', req.user.id),
+      accountId: account.id,
+      currency: account.currency || BASE_CURRENCY,
+      rules: await listForUser('categoryRules', req.user.id),
+      defaultCategory,
+      incomeCategory: incomeCategory || null,
+    });
+
+    const counts = preview.reduce(
+      (acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }),
+      { total: preview.length, new: 0, skipped: 0, invalid: 0 }
+    );
+
+    if (req.body.dryRun !== 'false') {
+      return res.json({
+        success: true,
+        dryRun: true,
+        format,
+        data: preview,
+        counts,
+      });
+    }
+
+    const accepted = preview.filter(
+      (r) =>
+        r.status === 'new' &&
+        (!Array.isArray(acceptRows) || acceptRows.includes(r.row))
+    );
+
+    const imported = await store.insertMany(
+      'expenses',
+      accepted.map((r) => ({
+        id: uuidv4(),
+        userId: req.user.id,
+        ...r.expense,
+        accountId: account.id,
+      }))
+    );
+    await recordChanges(
+      imported.map((expense) => ({
+        action: 'create',
+        before: null,
+        after: expense,
+      })),
+      'import'
+    );
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      format,
+      data: imported,
+      counts: {
+        total: preview.length,
+        new: imported.length,
+        skipped: preview.length - counts.invalid - imported.length,
+        invalid: counts.invalid,
+      },
+      message: `Imported ${imported.length} transaction(s)`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * The version an expense gets with its next change. Every write bumps it so
+ * clients editing an old copy can be told about the conflict.
+ * @param {Object} expense - The expense as stored
+ * @returns {number} Next version
+ */
+const nextVersion = (expense) => (expense.version || 1) + 1;
+
+/**
+ * Whether a client's copy of an expense is out of date
+ * @param {Object} expense - The expense as stored
+ * @param {*} version - Version the client last saw; absent means "don't check"
+ * @returns {boolean} True when the versions differ
+ */
+const isStaleVersion = (expense, version) =>
+  version !== undefined &&
+  version !== null &&
+  version !== '' &&
+  Number(version) !== (expense.version || 1);
+
+/**
+ * Send a 409 with the current server copy of an expense
+ */
+const sendConflict = (res, expense) =>
+  res.status(409).json({
+    success: false,
+    error: 'This expense was changed since you last loaded it',
+    data: expense,
+  });
+
+/**
+ * PUT /api/expenses/:id
+ * Fields that are sent are checked like POST (422 on bad ones). Send the
+ * `version` you last saw to be told (409) if the expense changed in the
+ * meantime; the response then carries the current copy.
+ */
+app.put('/api/expenses/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await store.get('expenses', id);
+
+    if (!existing || existing.userId !== req.user.id || existing.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found',
+      });
+    }
+
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(EXPENSE_SCHEMA, req.body, {
+      partial: true,
+      context: {
+        categories,
+        accounts: await listAccountsForUser(req.user.id),
+      },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    if (isStaleVersion(existing, values.version)) {
+      return sendConflict(res, existing);
+    }
+
+    // The category decides the type; a changed type needs a category of
+    // the new type to go with it
+    const category = values.category
+      ? findCategory(categories, values.category)
+      : findCategory(categories, existing.category);
+    const type = category ? category.type : existing.type;
+    if (values.type && values.type !== type) {
+      return sendValidationError(res, {
+        category: category
+          ? typeMismatch(category, values.type)
+          : `Choose an ${values.type} category`,
+      });
+    }
+
+    const newAmount =
+      values.amount !== undefined ? values.amount : existing.amount;
+
+    // A split kept from before is re-worked for a changed amount
+    let split = existing.split || null;
+    if (
+      values.split !== undefined ||
+      (split && newAmount !== existing.amount)
+    ) {
+      const result =
+        values.split === null
+          ? { split: null }
+          : normalizeSplit(values.split || split, newAmount);
+      if (result.error) {
+        return sendValidationError(res, { split: result.error });
+      }
+      split = result.split;
+    }
+    if (split && type === 'income') {
+      return sendValidationError(res, { split: 'Only expenses can be split' });
+    }
+
+    const updated = await store.update('expenses', id, {
+      type,
+      amount: newAmount,
+      currency: values.currency || existing.currency,
+      category: values.category ? category.name : existing.category,
+      date: values.date || existing.date,
+      description:
+        values.description !== undefined
+          ? values.description
+          : existing.description,
+      tags: values.tags !== undefined ? values.tags : existing.tags || [],
+      split,
+      accountId: values.accountId || existing.accountId,
+      version: nextVersion(existing),
+    });
+    await recordChange('update', existing, updated);
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Expense updated successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * When an expense in the trash will be purged
+ * @param {string} deletedAt - When it was deleted (ISO timestamp)
+ * @returns {string} ISO timestamp
+ */
+const trashExpiresAt = (deletedAt) =>
+  new Date(
+    Date.parse(deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+/**
+ * Delete an expense for good, along with its receipts
+ * @param {Object} expense - The expense (normally one in the trash)
+ * @param {string} source - What removed it: manual or retention
+ */
+const purgeExpense = async (expense, source = 'manual') => {
+  await store.remove('expenses', expense.id);
+
+  const attachments = (await store.list('attachments')).filter(
+    (a) => a.expenseId === expense.id
+  );
+  for (const attachment of attachments) {
+    await removeAttachment(attachment);
+  }
+
+  await recordChange('purge', expense, null, source);
+};
+
+/**
+ * Purge every expense that has been in the trash longer than
+ * TRASH_RETENTION_DAYS
+ * @returns {Promise<number>} Number of expenses purged
+ */
+const purgeExpiredTrash = async () => {
+  const now = new Date().toISOString();
+  const expired = (await store.list('expenses')).filter(
+    (e) => e.deletedAt && trashExpiresAt(e.deletedAt) <= now
+  );
+  for (const expense of expired) {
+    await purgeExpense(expense, 'retention');
+  }
+  return expired.length;
+};
+
+/**
+ * Find one of the signed-in user's expenses in the trash, sending a 404
+ * when it is missing
+ * @returns {Promise<Object|null>} The expense, or null once a 404 was sent
+ */
+const findTrashedExpense = async (req, res) => {
+  const expense = await store.get('expenses', req.params.id);
+  if (!expense || expense.userId !== req.user.id || !expense.deletedAt) {
+    res.status(404).json({
+      success: false,
+      error: 'Expense not found in the trash',
+    });
+    return null;
+  }
+  return expense;
+};
+
+/**
+ * GET /api/expenses/trash
+ * Deleted expenses, most recently deleted first, with when each will be
+ * purged (`purgeAt`)
+ */
+app.get('/api/expenses/trash', async (req, res) => {
+  try {
+    const trashed = (await listForUser('expenses', req.user.id))
+      .filter((e) => e.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map((expense) => ({
+        ...expense,
+        purgeAt: trashExpiresAt(expense.deletedAt),
+      }));
+
+    res.json({
+      success: true,
+      data: trashed,
+      count: trashed.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/expenses/trash
+ * Empty the trash
+ */
+app.delete('/api/expenses/trash', async (req, res) => {
+  try {
+    const trashed = (await listForUser('expenses', req.user.id)).filter(
+      (e) => e.deletedAt
+    );
+    for (const expense of trashed) {
+      await purgeExpense(expense);
+    }
+
+    res.json({
+      success: true,
+      count: trashed.length,
+      message: `Permanently deleted ${trashed.length} expense(s)`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/expenses/trash/:id
+ * Permanently delete one expense from the trash
+ */
+app.delete('/api/expenses/trash/:id', async (req, res) => {
+  try {
+    const expense = await findTrashedExpense(req, res);
+    if (!expense) {
+      return;
+    }
+
+    await purgeExpense(expense);
+
+    res.json({
+      success: true,
+      data: expense,
+      message: 'Expense permanently deleted',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/expenses/:id/restore
+ * Move an expense back out of the trash
+ */
+app.post('/api/expenses/:id/restore', async (req, res) => {
+  try {
+    const expense = await findTrashedExpense(req, res);
+    if (!expense) {
+      return;
+    }
+
+    const restored = await store.update('expenses', expense.id, {
+      deletedAt: null,
+      version: nextVersion(expense),
+    });
+    await recordChange('restore', expense, restored);
+
+    res.json({
+      success: true,
+      data: restored,
+      message: 'Expense restored',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/expenses/:id
+ * Moves the expense to the trash; it can be restored until it is purged
+ * after TRASH_RETENTION_DAYS. ?version= works as for PUT.
+ */
+app.delete('/api/expenses/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await store.get('expenses', id);
+
+    if (!existing || existing.userId !== req.user.id || existing.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found',
+      });
+    }
+
+    if (isStaleVersion(existing, req.query.version)) {
+      return sendConflict(res, existing);
+    }
+
+    const deleted = await store.update('expenses', id, {
+      deletedAt: new Date().toISOString(),
+      version: nextVersion(existing),
+    });
+    await recordChange('delete', existing, deleted);
+
+    res.json({
+      success: true,
+      data: { ...deleted, purgeAt: trashExpiresAt(deleted.deletedAt) },
+      message: 'Expense moved to the trash',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-expense outcomes that stop a bulk request from being applied
+const BULK_FAILURES = ['not_found', 'conflict', 'invalid'];
+
+/**
+ * POST /api/expenses/bulk
+ * Body: { action, ids | filters, versions?, category?, tags?, days? }
+ * - action: delete, setCategory, addTags, removeTags or shiftDate (see
+ *   utils/bulk.js for the fields each one takes)
+ * - ids: the expenses to change, or filters: the same filters as
+ *   GET /api/expenses to change every matching expense
+ * - versions: optional { [id]: version } checked like PUT's `version`
+ * A malformed request gets a 422 with a message per field. All-or-nothing:
+ * if any expense is missing, out of date or can't take the change, nothing
+ * is written and the response (400, or 409 for version conflicts) lists the
+ * outcome for each one. Each result is
+ * { id, status: updated|unchanged|not_found|conflict|invalid, error?, data? }.
+ */
+app.post('/api/expenses/bulk', async (req, res) => {
+  try {
+    const { ids, filters } = req.body;
+    const versions =
+      req.body.versions && typeof req.body.versions === 'object'
+        ? req.body.versions
+        : {};
+
+    if (Array.isArray(ids) === Boolean(filters)) {
+      return sendValidationError(res, {
+        ids: 'Send either an ids array or filters',
+      });
+    }
+
+    const categories = await listCategoriesForUser(req.user.id);
+    const { operation, errors } = parseBulkAction(req.body, { categories });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const expenses = await listExpensesForUser(req.user.id);
+    let targets;
+    if (filters) {
+      const query = parseExpenseQuery(filters);
+      if (query.error) {
+        return sendValidationError(res, { filters: query.error });
+      }
+      targets = filterExpenses(
+        expenses,
+        await withSubcategories(req.user.id, query.filters)
+      ).map((e) => e.id);
+    } else {
+      targets = [...new Set(ids.map(String))];
+    }
+
+    if (targets.length === 0) {
+      return sendValidationError(res, { ids: 'No expenses selected' });
+    }
+    if (targets.length > MAX_BULK_ITEMS) {
+      return sendValidationError(res, {
+        ids: `At most ${MAX_BULK_ITEMS} expenses can be changed at once`,
+      });
+    }
+
+    const byId = new Map(expenses.map((e) => [e.id, e]));
+    const planned = targets.map((id) => {
+      const expense = byId.get(id);
+      if (!expense) {
+        return { id, status: 'not_found', error: 'Expense not found' };
+      }
+      if (isStaleVersion(expense, versions[id])) {
+        return {
+          id,
+          status: 'conflict',
+          error: 'This expense was changed since you last loaded it',
+          data: expense,
+        };
+      }
+      const result = applyBulkAction(expense, operation);
+      if (result.error) {
+        return { id, status: 'invalid', error: result.error };
+      }
+      return Object.keys(result.changes).length === 0
+        ? { id, status: 'unchanged', data: expense }
+        : { id, status: 'updated', changes: result.changes };
+    });
+
+    const failed = planned.filter((r) => BULK_FAILURES.includes(r.status));
+    if (failed.length > 0) {
+      return res
+        .status(failed.some((r) => r.status === 'conflict') ? 409 : 400)
+        .json({
+          success: false,
+          error: `${failed.length} of ${planned.length} expenses can't be changed, so none were`,
+          data: planned.map(({ changes, ...result }) => result),
+        });
+    }
+
+    const toWrite = planned.filter((r) => r.status === 'updated');
+    const written =
+      toWrite.length > 0
+        ? await store.updateMany(
+            'expenses',
+            toWrite.map(({ id, changes }) => ({
+              id,
+              changes: { ...changes, version: nextVersion(byId.get(id)) },
+            }))
+          )
+        : [];
+    await recordChanges(
+      written.map((after) => ({
+        action: operation.action === 'delete' ? 'delete' : 'update',
+        before: byId.get(after.id),
+        after,
+      })),
+      'bulk'
+    );
+
+    const writtenById = new Map(written.map((e) => [e.id, e]));
+    const counted = `${written.length} expense${written.length === 1 ? '' : 's'}`;
+    res.json({
+      success: true,
+      data: planned.map(({ changes, ...result }) =>
+        result.status === 'updated'
+          ? { ...result, data: writtenById.get(result.id) }
+          : result
+      ),
+      updated: written.length,
+      message:
+        operation.action === 'delete'
+          ? `${counted} moved to the trash`
+          : `${counted} updated`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/expenses/:id/history
+ * The expense's audit log, newest first: every create, update, delete,
+ * restore and purge with the fields that changed ({ before, after }).
+ * Still available after the expense is purged.
+ */
+app.get('/api/expenses/:id/history', async (req, res) => {
+  try {
+    const entries = (await listForUser('auditLog', req.user.id))
+      .filter((entry) => entry.expenseId === req.params.id)
+      .sort((a, b) => b.at.localeCompare(a.at));
+
+    if (entries.length === 0) {
+      const expense = await store.get('expenses', req.params.id);
+      if (!expense || expense.userId !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found',
+        });
+      }
+    }
+
+    res.json({ success: true, data: entries, count: entries.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Count records by the value of one field
+ * @param {Array} records - Records to count
+ * @param {string} field - Field to group by
+ * @returns {Object} Map of field value -> count
+ */
+const countBy = (records, field) =>
+  records.reduce((counts, record) => {
+    counts[record[field]] = (counts[record[field]] || 0) + 1;
+    return counts;
+  }, {});
+
+/**
+ * Find one of the signed-in user's expenses, sending a 404 when it is missing
+ * @returns {Promise<Object|null>} The expense, or null once a 404 was sent
+ */
+const findOwnExpense = async (req, res) => {
+  const expense = await store.get('expenses', req.params.id);
+  if (!expense || expense.userId !== req.user.id || expense.deletedAt) {
+    res.status(404).json({ success: false, error: 'Expense not found' });
+    return null;
+  }
+  return expense;
+};
+
+/**
+ * Delete an attachment record along with its file and thumbnail
+ * @param {Object} attachment - Attachment record
+ */
+const removeAttachment = async (attachment) => {
+  await store.remove('attachments', attachment.id);
+  await files.remove(attachment.storedName);
+  if (attachment.thumbnailName) {
+    await files.remove(attachment.thumbnailName);
+  }
+};
+
+/**
+ * GET /api/expenses/:id/attachments
+ * List the receipts attached to an expense
+ */
+app.get('/api/expenses/:id/attachments', async (req, res) => {
+  try {
+    const expense = await findOwnExpense(req, res);
+    if (!expense) {
+      return;
+    }
+
+    const attachments = (await store.list('attachments'))
+      .filter((a) => a.expenseId === expense.id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json({ success: true, data: attachments, count: attachments.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/expenses/:id/attachments
+ * Upload receipts (multipart, `files` field). JPEG, PNG, WebP and PDF are
+ * accepted, judged by the file contents; images also get a thumbnail.
+ * Nothing is stored unless every file is acceptable.
+ */
+app.post(
+  '/api/expenses/:id/attachments',
+  receiveAttachments,
+  async (req, res) => {
+    try {
+      const expense = await findOwnExpense(req, res);
+      if (!expense) {
+        return;
+      }
+
+      const uploads = req.files || [];
+      if (uploads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one file is required',
+        });
+      }
+
+      const existing = (await store.list('attachments')).filter(
+        (a) => a.expenseId === expense.id
+      );
+      if (existing.length + uploads.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+        return res.status(400).json({
+          success: false,
+          error: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments`,
+        });
+      }
+
+      const types = uploads.map((upload) => detectFileType(upload.buffer));
+      const rejected = uploads.find((upload, index) => !types[index]);
+      if (rejected) {
+        return res.status(400).json({
+          success: false,
+          error: `${rejected.originalname} is not a JPEG, PNG, WebP or PDF file`,
+        });
+      }
+
+      const created = [];
+      for (const [index, upload] of uploads.entries()) {
+        const mimeType = types[index];
+        const id = uuidv4();
+        const storedName = `${id}${ATTACHMENT_TYPES[mimeType]}`;
+        const thumbnail = mimeType.startsWith('image/')
+          ? await createThumbnail(upload.buffer)
+          : null;
+        const thumbnailName = thumbnail ? `${id}.thumb.jpg` : null;
+
+        await files.write(storedName, upload.buffer);
+        if (thumbnail) {
+          await files.write(thumbnailName, thumbnail);
+        }
+
+        created.push(
+          await store.insert('attachments', {
+            id,
+            expenseId: expense.id,
+            userId: req.user.id,
+            filename: upload.originalname,
+            mimeType,
+            size: upload.size,
+            storedName,
+            thumbnailName,
+            createdAt: new Date().toISOString(),
+          })
+        );
+      }
+
+      res.status(201).json({
+        success: true,
+        data: created,
+        message: `${created.length} attachment(s) uploaded`,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/expenses/:id/attachments/:attachmentId
+ * Download a receipt; ?thumbnail=1 returns the JPEG thumbnail instead
+ */
+app.get('/api/expenses/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const expense = await findOwnExpense(req, res);
+    if (!expense) {
+      return;
+    }
+
+    const attachment = await store.get('attachments', req.params.attachmentId);
+    if (!attachment || attachment.expenseId !== expense.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+      });
+    }
+
+    const wantsThumbnail = ['1', 'true'].includes(req.query.thumbnail);
+    if (wantsThumbnail && !attachment.thumbnailName) {
+      return res.status(404).json({
+        success: false,
+        error: 'This attachment has no thumbnail',
+      });
+    }
+
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${attachment.filename.replace(/["\\\r\n]/g, '_')}"`
+    );
+    res.type(wantsThumbnail ? 'image/jpeg' : attachment.mimeType);
+    res.sendFile(
+      files.pathFor(
+        wantsThumbnail ? attachment.thumbnailName : attachment.storedName
+      ),
+      (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({
+            success: false,
+            error: 'Attachment file is missing',
+          });
+        }
+      }
+    );
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/expenses/:id/attachments/:attachmentId
+ */
+app.delete(
+  '/api/expenses/:id/attachments/:attachmentId',
+  async (req, res) => {
+    try {
+      const expense = await findOwnExpense(req, res);
+      if (!expense) {
+        return;
+      }
+
+      const attachment = await store.get(
+        'attachments',
+        req.params.attachmentId
+      );
+      if (!attachment || attachment.expenseId !== expense.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found',
+        });
+      }
+
+      await removeAttachment(attachment);
+
+      res.json({
+        success: true,
+        data: attachment,
+        message: 'Attachment deleted successfully',
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/**
+ * Point everything filed under one category at another: expenses, budgets,
+ * recurring rules and auto-categorization rules. Expenses in the trash move
+ * too, so a restore never brings back a category that is gone. A budget
+ * that would duplicate one the target already has for the same period is
+ * removed; the target's own budget wins.
+ * @param {string} userId - Owner ID
+ * @param {string} fromName - Category being renamed or removed
+ * @param {string} toName - Category to use instead
+ * @returns {Promise<Object>} Counts: { expenses, budgets, recurringRules,
+ *   categoryRules }
+ */
+const reassignCategory = async (userId, fromName, toName) => {
+  const from = fromName.toLowerCase();
+  const matches = (record) => record.category.toLowerCase() === from;
+  const counts = {
+    expenses: 0,
+    budgets: 0,
+    recurringRules: 0,
+    categoryRules: 0,
+  };
+
+  for (const collection of ['expenses', 'recurringRules', 'categoryRules']) {
+    const records = (await listForUser(collection, userId)).filter(matches);
+    const changes = [];
+    for (const record of records) {
+      changes.push({
+        action: 'update',
+        before: record,
+        after: await store.update(collection, record.id, {
+          category: toName,
+          ...(collection === 'expenses' && { version: nextVersion(record) }),
+        }),
+      });
+    }
+    if (collection === 'expenses') {
+      await recordChanges(changes, 'category');
+    }
+    counts[collection] = records.length;
+  }
+
+  const budgets = await listForUser('budgets', userId);
+  for (const budget of budgets.filter(matches)) {
+    const duplicate = budgets.some(
+      (b) =>
+        b.period === budget.period &&
+        b.category.toLowerCase() === toName.toLowerCase()
+    );
+    if (duplicate) {
+      await store.remove('budgets', budget.id);
+    } else {
+      await store.update('budgets', budget.id, { category: toName });
+      counts.budgets += 1;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Count the records that refer to a category by name
+ * @param {string} userId - Owner ID
+ * @param {string} name - Category name
+ * @returns {Promise<number>} Expenses, budgets, recurring rules and
+ *   auto-categorization rules using it
+ */
+const countCategoryUsage = async (userId, name) => {
+  let total = 0;
+  const collections = ['expenses', 'budgets', 'recurringRules', 'categoryRules'];
+  for (const collection of collections) {
+    total += (await listForUser(collection, userId)).filter(
+      (r) => r.category.toLowerCase() === name.toLowerCase()
+    ).length;
+  }
+  return total;
+};
+
+/**
+ * Work out the parentId for a category from a parent name. The tree is two
+ * levels deep, so the parent must be top-level and the category must not
+ * have subcategories of its own.
+ * @param {Array} categories - The user's categories
+ * @param {string|null} parentName - Parent name; empty or null for top-level
+ * @param {Object} self - The category being changed, if it already exists
+ * @param {string} type - The category's type, which the parent must share
+ * @returns {Object} { parentId } or { error }
+ */
+const resolveParent = (
+  categories,
+  parentName,
+  self = null,
+  type = self ? self.type : 'expense'
+) => {
+  if (!parentName) {
+    return { parentId: null };
+  }
+
+  const parent = findCategory(categories, parentName);
+  if (!parent || (self && parent.id === self.id)) {
+    return { error: 'Parent must be another existing category' };
+  }
+  if (parent.parentId) {
+    return { error: 'Subcategories cannot have subcategories of their own' };
+  }
+  if (parent.type !== type) {
+    return { error: typeMismatch(parent, type) };
+  }
+  if (self && childrenOf(categories, self).length > 0) {
+    return { error: `${self.name} has subcategories and must stay top-level` };
+  }
+  return { parentId: parent.id };
+};
+
+/**
+ * Before removing a category, move its subcategories under the category
+ * taking over its expenses
+ * @param {Array} categories - The user's categories
+ * @param {Object} source - Category being removed
+ * @param {Object|null} target - Category taking over, if any
+ * @returns {Promise<string|null>} Error message, or null once moved
+ */
+const moveSubcategories = async (categories, source, target) => {
+  const children = childrenOf(categories, source);
+  if (children.length === 0) {
+    return null;
+  }
+  if (!target || target.parentId) {
+    return `${source.name} has subcategories; choose a top-level category to move them to`;
+  }
+  for (const child of children) {
+    publishCategoryChange(
+      'update',
+      await store.update('categories', child.id, { parentId: target.id })
+    );
+  }
+  return null;
+};
+
+/**
+ * GET /api/categories
+ * Returns the user's categories with their color, icon and parentId
+ */
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: categories,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/categories
+ * Body: { name, color?, icon?, type?, parent? }; a palette color is chosen
+ * if none is given. `parent` names a top-level category to nest this one
+ * under. `type` is expense (the default) or income; a subcategory takes its
+ * parent's.
+ */
+app.post('/api/categories', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(CATEGORY_SCHEMA, req.body, {
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    if (findCategory(categories, values.name)) {
+      return sendValidationError(res, { name: 'Category already exists' });
+    }
+
+    const type =
+      values.type ||
+      (values.parent ? categoryType(categories, values.parent) : 'expense');
+    const { parentId, error: parentError } = resolveParent(
+      categories,
+      values.parent,
+      null,
+      type
+    );
+    if (parentError) {
+      return sendValidationError(res, { parent: parentError });
+    }
+
+    const category = await store.insert('categories', {
+      id: uuidv4(),
+      name: values.name,
+      userId: req.user.id,
+      color: values.color || pickColor(categories),
+      icon: values.icon || '',
+      parentId,
+      type,
+    });
+    publishCategoryChange('create', category);
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/categories/:name
+ * Body: { name?, color?, icon?, parent? } (parent null moves it to the top level)
+ * Renaming updates every expense, budget and recurring rule in the category.
+ * The type is fixed once the category exists.
+ */
+app.put('/api/categories/:name', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+    const existing = findCategory(categories, req.params.name);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    const { values, errors } = validateBody(CATEGORY_SCHEMA, req.body, {
+      partial: true,
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    if (values.type && values.type !== existing.type) {
+      return sendValidationError(res, {
+        type: "A category's type can't be changed",
+      });
+    }
+
+    const newName = values.name === undefined ? existing.name : values.name;
+    const clash = findCategory(categories, newName);
+
+    if (clash && clash.id !== existing.id) {
+      return sendValidationError(res, {
+        name: `Category ${clash.name} already exists; merge the two instead`,
+      });
+    }
+
+    const { parentId, error: parentError } =
+      values.parent === undefined
+        ? { parentId: existing.parentId }
+        : resolveParent(categories, values.parent, existing);
+    if (parentError) {
+      return sendValidationError(res, { parent: parentError });
+    }
+
+    let reassigned = null;
+    if (newName !== existing.name) {
+      reassigned = await reassignCategory(
+        req.user.id,
+        existing.name,
+        newName
+      );
+    }
+
+    const updated = await store.update('categories', existing.id, {
+      name: newName,
+      color: values.color || existing.color,
+      icon: values.icon === undefined ? existing.icon : values.icon,
+      parentId,
+    });
+    publishCategoryChange('update', updated);
+
+    res.json({
+      success: true,
+      data: updated,
+      reassigned,
+      message: 'Category updated successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/categories/:name
+ * Query: ?reassignTo= is required while any expense, budget or recurring
+ * rule still uses the category; they are moved to that category first.
+ * Subcategories move under reassignTo, which must then be top-level.
+ * reassignTo must be of the same type (expense or income).
+ */
+app.delete('/api/categories/:name', async (req, res) => {
+  try {
+    const { reassignTo } = req.query;
+    const categories = await listCategoriesForUser(req.user.id);
+    const existing = findCategory(categories, req.params.name);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    const target = reassignTo ? findCategory(categories, reassignTo) : null;
+    if (reassignTo && (!target || target.id === existing.id)) {
+      return sendValidationError(res, {
+        reassignTo: 'reassignTo must be another existing category',
+      });
+    }
+    if (target && target.type !== existing.type) {
+      return sendValidationError(res, {
+        reassignTo: typeMismatch(target, existing.type),
+      });
+    }
+
+    const usage = target
+      ? 0
+      : await countCategoryUsage(req.user.id, existing.name);
+    if (usage > 0) {
+      return sendValidationError(res, {
+        reassignTo: `${existing.name} is used by ${usage} record(s); choose a category to move them to`,
+      });
+    }
+
+    const moveError = await moveSubcategories(categories, existing, target);
+    if (moveError) {
+      return sendValidationError(res, { reassignTo: moveError });
+    }
+
+    let reassigned = null;
+    if (target) {
+      reassigned = await reassignCategory(
+        req.user.id,
+        existing.name,
+        target.name
+      );
+    }
+
+    await store.remove('categories', existing.id);
+    publishCategoryChange('delete', existing);
+
+    res.json({
+      success: true,
+      data: existing,
+      reassigned,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/categories/:name/merge
+ * Body: { into } - the category that absorbs this one's expenses, budgets,
+ * recurring rules and subcategories. This category is then removed. Both
+ * must be of the same type.
+ */
+app.post('/api/categories/:name/merge', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+    const source = findCategory(categories, req.params.name);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    const { values, errors } = validateBody(MERGE_SCHEMA, req.body, {
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const target = findCategory(categories, values.into);
+    if (target.id === source.id) {
+      return sendValidationError(res, {
+        into: 'into must be another existing category',
+      });
+    }
+    if (target.type !== source.type) {
+      return sendValidationError(res, {
+        into: typeMismatch(target, source.type),
+      });
+    }
+
+    const moveError = await moveSubcategories(categories, source, target);
+    if (moveError) {
+      return sendValidationError(res, { into: moveError });
+    }
+
+    const reassigned = await reassignCategory(
+      req.user.id,
+      source.name,
+      target.name
+    );
+    await store.remove('categories', source.id);
+    publishCategoryChange('delete', source);
+
+    res.json({
+      success: true,
+      data: target,
+      reassigned,
+      message: `Merged ${source.name} into ${target.name}`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/tags
+ * Every tag the user has used, most used first, with how many expenses
+ * carry it and their total in the base currency (expenses without a rate
+ * count but are left out of the total)
+ */
+app.get('/api/tags', async (req, res) => {
+  try {
+    const expenses = await listExpensesForUser(req.user.id);
+    const rateTable = await loadRateTable(req.user.id);
+
+    const data = summarizeTags(
+      expenses.map((expense) => ({
+        ...expense,
+        amount: convertAmount(
+          expense.amount,
+          expense.currency,
+          BASE_CURRENCY,
+          rateTable
+        ),
+      }))
+    );
+
+    res.json({
+      success: true,
+      data,
+      baseCurrency: BASE_CURRENCY,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/balances
+ * Who owes whom across split expenses and recorded settlements, in the base
+ * currency. `balances` has each person's net position (positive means they
+ * are owed); `debts` is a short list of payments that settles it all.
+ */
+app.get('/api/balances', async (req, res) => {
+  try {
+    const expenses = await listExpensesForUser(req.user.id);
+    const settlements = await listForUser('settlements', req.user.id);
+    const rateTable = await loadRateTable(req.user.id);
+
+    const { balances, missingRates } = computeBalances(
+      expenses,
+      settlements,
+      (amount, currency) =>
+        convertAmount(amount, currency, BASE_CURRENCY, rateTable)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        balances: [...balances]
+          .map(([person, net]) => ({ person, net }))
+          .filter((b) => b.net !== 0)
+          .sort((a, b) => b.net - a.net),
+        debts: simplifyDebts(balances),
+        settlements: settlements.sort(
+          (a, b) =>
+            b.date.localeCompare(a.date) ||
+            b.createdAt.localeCompare(a.createdAt)
+        ),
+      },
+      baseCurrency: BASE_CURRENCY,
+      missingRates: [...missingRates],
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/balances/settle
+ * Record a payment between two people: { from, to, amount, currency?,
+ * date?, note? }, checked against SETTLEMENT_SCHEMA (utils/schemas.js).
+ * `from` is the person who paid back.
+ */
+app.post('/api/balances/settle', async (req, res) => {
+  try {
+    const { values, errors } = validateBody(SETTLEMENT_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const { from, to } = values;
+    if (from.toLowerCase() === to.toLowerCase()) {
+      return sendValidationError(res, {
+        to: 'from and to must be different people',
+      });
+    }
+
+    const settlement = await store.insert('settlements', {
+      id: uuidv4(),
+      userId: req.user.id,
+      from,
+      to,
+      amount: Math.round(values.amount * 100) / 100,
+      currency: values.currency || BASE_CURRENCY,
+      date: values.date || today(),
+      note: values.note || '',
+      createdAt: new Date().toISOString(),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: settlement,
+      message: `Recorded ${from} paying ${to}`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/balances/settlements/:id
+ * Undo a recorded settlement
+ */
+app.delete('/api/balances/settlements/:id', async (req, res) => {
+  try {
+    const existing = await store.get('settlements', req.params.id);
+
+    if (!existing || existing.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Settlement not found',
+      });
+    }
+
+    const deleted = await store.remove('settlements', existing.id);
+
+    res.json({
+      success: true,
+      data: deleted,
+      message: 'Settlement deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List a user's accounts with their current balances
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object>} { accounts, missingRates }
+ */
+const listAccountBalances = async (userId) => {
+  const accounts = await listAccountsForUser(userId);
+  const expenses = await listExpensesForUser(userId);
+  const transfers = await listForUser('transfers', userId);
+  const rateTable = await loadRateTable(userId);
+  const missingRates = new Set();
+
+  const withBalances = accounts.map((account) => {
+    const ledger = buildLedger(account, expenses, transfers, rateTable);
+    ledger.missingRates.forEach((currency) => missingRates.add(currency));
+    return { ...account, balance: ledger.balance };
+  });
+
+  return { accounts: withBalances, missingRates: [...missingRates] };
+};
+
+/**
+ * Find one of the signed-in user's accounts, sending a 404 when it is
+ * missing
+ * @returns {Promise<Object|null>} The account, or null once a 404 was sent
+ */
+const findUserAccount = async (req, res) => {
+  const account = await store.get('accounts', req.params.id);
+  if (!account || account.userId !== req.user.id) {
+    res.status(404).json({ success: false, error: 'Account not found' });
+    return null;
+  }
+  return account;
+};
+
+/**
+ * GET /api/accounts
+ * The user's accounts, oldest first, each with its current `balance` in
+ * its own currency. Entries in a currency with no stored rate are left out
+ * of the balances and listed in `missingRates`.
+ */
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const { accounts, missingRates } = await listAccountBalances(req.user.id);
+    accounts.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json({
+      success: true,
+      data: accounts,
+      missingRates,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Body: { name, type?, currency?, openingBalance? }; type is one of
+ * ACCOUNT_TYPES (default cash)
+ */
+app.post('/api/accounts', async (req, res) => {
+  try {
+    const accounts = await listAccountsForUser(req.user.id);
+    const { values, errors } = validateBody(ACCOUNT_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    if (findAccountByName(accounts, values.name)) {
+      return sendValidationError(res, { name: 'Account already exists' });
+    }
+
+    const account = await store.insert('accounts', {
+      id: uuidv4(),
+      userId: req.user.id,
+      name: values.name,
+      type: values.type || 'cash',
+      currency: values.currency || BASE_CURRENCY,
+      openingBalance: values.openingBalance || 0,
+      createdAt: new Date().toISOString(),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...account, balance: account.openingBalance },
+      message: 'Account created successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/accounts/transfers
+ * Every transfer between the user's accounts, newest first
+ */
+app.get('/api/accounts/transfers', async (req, res) => {
+  try {
+    const transfers = (await listForUser('transfers', req.user.id)).sort(
+      (a, b) =>
+        b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt)
+    );
+
+    res.json({
+      success: true,
+      data: transfers,
+      count: transfers.length,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/accounts/transfers
+ * Move money between two accounts: { fromAccountId, toAccountId, amount,
+ * currency?, date?, note? }. The currency defaults to the source account's.
+ * Transfers change balances but never count as spending or income.
+ */
+app.post('/api/accounts/transfers', async (req, res) => {
+  try {
+    const accounts = await listAccountsForUser(req.user.id);
+    const { values, errors } = validateBody(TRANSFER_SCHEMA, req.body, {
+      context: { accounts },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    if (values.fromAccountId === values.toAccountId) {
+      return sendValidationError(res, {
+        toAccountId: 'Choose two different accounts',
+      });
+    }
+
+    const from = accounts.find((a) => a.id === values.fromAccountId);
+    const to = accounts.find((a) => a.id === values.toAccountId);
+    const transfer = await store.insert('transfers', {
+      id: uuidv4(),
+      userId: req.user.id,
+      fromAccountId: from.id,
+      toAccountId: to.id,
+      amount: Math.round(values.amount * 100) / 100,
+      currency: values.currency || from.currency,
+      date: values.date || today(),
+      note: values.note || '',
+      createdAt: new Date().toISOString(),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: `Moved money from ${from.name} to ${to.name}`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/accounts/transfers/:id
+ * Undo a transfer
+ */
+app.delete('/api/accounts/transfers/:id', async (req, res) => {
+  try {
+    const transfer = await store.get('transfers', req.params.id);
+
+    if (!transfer || transfer.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found',
+      });
+    }
+
+    await store.remove('transfers', transfer.id);
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transfer deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/accounts/:id/history
+ * The account's expenses, income and transfers, newest first, each with the
+ * balance after it. `openingBalance` is where the running balance starts.
+ */
+app.get('/api/accounts/:id/history', async (req, res) => {
+  try {
+    const account = await findUserAccount(req, res);
+    if (!account) {
+      return;
+    }
+
+    const { entries, balance, missingRates } = buildLedger(
+      account,
+      await listExpensesForUser(req.user.id),
+      await listForUser('transfers', req.user.id),
+      await loadRateTable(req.user.id)
+    );
+
+    res.json({
+      success: true,
+      data: entries.reverse(),
+      openingBalance: account.openingBalance,
+      balance,
+      currency: account.currency,
+      missingRates,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/accounts/:id
+ * Body: { name?, type?, currency?, openingBalance? }
+ */
+app.put('/api/accounts/:id', async (req, res) => {
+  try {
+    const account = await findUserAccount(req, res);
+    if (!account) {
+      return;
+    }
+
+    const { values, errors } = validateBody(ACCOUNT_SCHEMA, req.body, {
+      partial: true,
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const clash =
+      values.name &&
+      findAccountByName(await listAccountsForUser(req.user.id), values.name);
+    if (clash && clash.id !== account.id) {
+      return sendValidationError(res, {
+        name: `Account ${clash.name} already exists`,
+      });
+    }
+
+    const updated = await store.update('accounts', account.id, {
+      name: values.name || account.name,
+      type: values.type || account.type,
+      currency: values.currency || account.currency,
+      openingBalance:
+        typeof values.openingBalance === 'number'
+          ? values.openingBalance
+          : account.openingBalance,
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Account updated successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/accounts/:id
+ * Query: ?reassignTo=<account id> is required while expenses, recurring
+ * rules or transfers still use the account; they move to that account
+ * first. A user's last account can't be deleted.
+ */
+app.delete('/api/accounts/:id', async (req, res) => {
+  try {
+    const account = await findUserAccount(req, res);
+    if (!account) {
+      return;
+    }
+
+    const accounts = await listAccountsForUser(req.user.id);
+    if (accounts.length === 1) {
+      return sendValidationError(res, {
+        id: 'You need at least one account',
+      });
+    }
+
+    const { reassignTo } = req.query;
+    const target = reassignTo && accounts.find((a) => a.id === reassignTo);
+    if (reassignTo && (!target || target.id === account.id)) {
+      return sendValidationError(res, {
+        reassignTo: 'reassignTo must be another of your accounts',
+      });
+    }
+
+    // Trashed expenses move too, so a restore never points at a lost account
+    const uses = (record) => record.accountId === account.id;
+    const expenses = (await listForUser('expenses', req.user.id)).filter(uses);
+    const rules = (await listForUser('recurringRules', req.user.id)).filter(
+      uses
+    );
+    const transfers = (await listForUser('transfers', req.user.id)).filter(
+      (t) => t.fromAccountId === account.id || t.toAccountId === account.id
+    );
+    const usage = expenses.length + rules.length + transfers.length;
+
+    if (usage > 0 && !target) {
+      return sendValidationError(res, {
+        reassignTo: `${account.name} is used by ${usage} record(s); choose an account to move them to`,
+      });
+    }
+    if (
+      target &&
+      transfers.some(
+        (t) => t.fromAccountId === target.id || t.toAccountId === target.id
+      )
+    ) {
+      return sendValidationError(res, {
+        reassignTo: `${account.name} has transfers with ${target.name}; choose another account or delete those transfers`,
+      });
+    }
+
+    if (expenses.length > 0) {
+      const updated = await store.updateMany(
+        'expenses',
+        expenses.map((expense) => ({
+          id: expense.id,
+          changes: { accountId: target.id, version: nextVersion(expense) },
+        }))
+      );
+      await recordChanges(
+        expenses.map((expense, index) => ({
+          action: 'update',
+          before: expense,
+          after: updated[index],
+        })),
+        'account'
+      );
+    }
+    for (const rule of rules) {
+      await store.update('recurringRules', rule.id, { accountId: target.id });
+    }
+    for (const transfer of transfers) {
+      await store.update('transfers', transfer.id, {
+        fromAccountId:
+          transfer.fromAccountId === account.id
+            ? target.id
+            : transfer.fromAccountId,
+        toAccountId:
+          transfer.toAccountId === account.id ? target.id : transfer.toAccountId,
+      });
+    }
+    await store.remove('accounts', account.id);
+
+    res.json({
+      success: true,
+      data: account,
+      reassigned: target
+        ? {
+            expenses: expenses.length,
+            recurringRules: rules.length,
+            transfers: transfers.length,
+          }
+        : null,
+      message: 'Account deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/rates
+ */
+app.get('/api/rates', async (req, res) => {
+  try {
+    const rates = await listForUser('rates', req.user.id);
+
+    res.json({
+      success: true,
+      data: rates.map(({ currency, rate, updatedAt }) => ({
+        currency,
+        rate,
+        updatedAt,
+      })),
+      baseCurrency: BASE_CURRENCY,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Insert or replace a user's rate for a currency
+ * @param {string} userId - Owner ID
+ * @param {string} currency - Currency code
+ * @param {number} rate - Units of BASE_CURRENCY per unit of `currency`
+ * @returns {Promise<Object>} The stored rate record
+ */
+const upsertRate = async (userId, currency, rate) => {
+  const rates = await listForUser('rates', userId);
+  const existing = rates.find((r) => r.currency === currency);
+  const updatedAt = new Date().toISOString();
+
+  if (existing) {
+    return store.update('rates', existing.id, { rate, updatedAt });
+  }
+
+  return store.insert('rates', {
+    id: uuidv4(),
+    userId,
+    currency,
+    rate,
+    updatedAt,
+  });
+};
+
+/**
+ * PUT /api/rates/:currency
+ * Body: { rate } — units of the base currency per one unit of :currency
+ */
+app.put('/api/rates/:currency', async (req, res) => {
+  try {
+    const { values, errors } = validateBody(
+      RATE_SCHEMA,
+      { currency: req.params.currency, rate: req.body.rate },
+      { context: { baseCurrency: BASE_CURRENCY } }
+    );
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    const { currency, rate } = values;
+
+    const saved = await upsertRate(req.user.id, currency, rate);
+
+    res.json({
+      success: true,
+      data: { currency, rate: saved.rate, updatedAt: saved.updatedAt },
+      message: 'Rate saved successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/rates/import
+ * Body: { format: 'json' | 'csv', content } — see parseRatesFile
+ */
+app.post('/api/rates/import', async (req, res) => {
+  try {
+    const { values, errors } = validateBody(RATE_IMPORT_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    let parsed;
+    try {
+      parsed = parseRatesFile(values.format, values.content);
+    } catch (parseError) {
+      return sendValidationError(res, { content: parseError.message });
+    }
+
+    const imported = parsed.filter((r) => r.currency !== BASE_CURRENCY);
+    for (const { currency, rate } of imported) {
+      await upsertRate(req.user.id, currency, rate);
+    }
+
+    res.json({
+      success: true,
+      data: imported,
+      count: imported.length,
+      message: 'Rates imported successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/rates/:currency
+ */
+app.delete('/api/rates/:currency', async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const rates = await listForUser('rates', req.user.id);
+    const existing = rates.find((r) => r.currency === currency);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rate not found',
+      });
+    }
+
+    await store.remove('rates', existing.id);
+
+    res.json({
+      success: true,
+      data: { currency, rate: existing.rate },
+      message: 'Rate deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Find a budget the user already has for a category and period
+ * @param {string} userId - Owner ID
+ * @param {Object} budget - { category, period }
+ * @param {string|null} exceptId - Budget being changed, which doesn't count
+ * @returns {Promise<Object|null>} The clashing budget, or null
+ */
+const findBudgetClash = async (userId, { category, period }, exceptId = null) =>
+  (await listForUser('budgets', userId)).find(
+    (b) =>
+      b.id !== exceptId &&
+      b.period === period &&
+      b.category.toLowerCase() === category.toLowerCase()
+  ) || null;
+
+/**
+ * GET /api/budgets
+ */
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const budgets = await listForUser('budgets', req.user.id);
+
+    res.json({
+      success: true,
+      data: budgets,
+      count: budgets.length,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/budgets/summary
+ * Optional query: ?date=YYYY-MM-DD (defaults to today)
+ * Spent vs. limit vs. remaining for the period containing the date.
+ * Budgets on a parent category include spending in its subcategories.
+ */
+app.get('/api/budgets/summary', async (req, res) => {
+  try {
+    const date = req.query.date || today();
+    if (!isDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be in YYYY-MM-DD format',
+      });
+    }
+
+    const budgets = await listForUser('budgets', req.user.id);
+    const expenses = await listExpensesForUser(req.user.id);
+    const rateTable = await loadRateTable(req.user.id);
+    const categories = await listCategoriesForUser(req.user.id);
 
-// Body parsing
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+    const data = budgets.map((budget) =>
+      evaluateBudget(
+        budget,
+        expenses,
+        rateTable,
+        BASE_CURRENCY,
+        date,
+        categoryFamily(categories, budget.category)
+      )
+    );
 
-/* =========================
-   In-memory Data Store
-========================= */
+    res.json({
+      success: true,
+      data,
+      baseCurrency: BASE_CURRENCY,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-let expenses = [];
+/**
+ * POST /api/budgets
+ * Body: { category, period?, limit }, checked against BUDGET_SCHEMA
+ * (utils/schemas.js). Budgets are for expense categories only, one per
+ * category and period.
+ */
+app.post('/api/budgets', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(BUDGET_SCHEMA, req.body, {
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
 
-let categories = [
-  'Food',
-  'Transport',
-  'Entertainment',
-  'Utilities',
-  'Healthcare',
-  'Shopping',
-];
+    const category = findCategory(categories, values.category).name;
+    const period = values.period || 'monthly';
+    if (await findBudgetClash(req.user.id, { category, period })) {
+      return sendValidationError(res, {
+        category: `A ${period} budget for ${category} already exists`,
+      });
+    }
 
-/* =========================
-   Routes
-========================= */
+    const newBudget = {
+      id: uuidv4(),
+      userId: req.user.id,
+      category,
+      period,
+      limit: values.limit,
+    };
+
+    await store.insert('budgets', newBudget);
+
+    res.status(201).json({
+      success: true,
+      data: newBudget,
+      message: 'Budget created successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
 /**
- * GET /api/expenses
- * Optional query: ?category=
+ * PUT /api/budgets/:id
+ * Body: any of the fields POST takes
  */
-app.get('/api/expenses', (req, res) => {
+app.put('/api/budgets/:id', async (req, res) => {
   try {
-    const { category } = req.query;
+    const { id } = req.params;
+    const existing = await store.get('budgets', id);
 
-    let filteredExpenses = expenses;
+    if (!existing || existing.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found',
+      });
+    }
 
-    if (category && category !== 'All') {
-      filteredExpenses = expenses.filter(
-        (expense) =>
-          expense.category.toLowerCase() === category.toLowerCase()
-      );
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(BUDGET_SCHEMA, req.body, {
+      partial: true,
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const changes = {
+      category: values.category
+        ? findCategory(categories, values.category).name
+        : existing.category,
+      period: values.period || existing.period,
+      limit: values.limit !== undefined ? values.limit : existing.limit,
+    };
+    if (await findBudgetClash(req.user.id, changes, id)) {
+      return sendValidationError(res, {
+        category: `A ${changes.period} budget for ${changes.category} already exists`,
+      });
     }
 
+    const updated = await store.update('budgets', id, changes);
+
     res.json({
       success: true,
-      data: filteredExpenses,
-      count: filteredExpenses.length,
+      data: updated,
+      message: 'Budget updated successfully',
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -68,32 +3347,153 @@ app.get('/api/expenses', (req, res) => {
 });
 
 /**
- * GET /api/expenses/summary
+ * DELETE /api/budgets/:id
  */
-app.get('/api/expenses/summary', (req, res) => {
+app.delete('/api/budgets/:id', async (req, res) => {
   try {
-    const summary = expenses.reduce((acc, expense) => {
-      acc[expense.category] =
-        (acc[expense.category] || 0) + expense.amount;
-      return acc;
-    }, {});
+    const { id } = req.params;
+    const existing = await store.get('budgets', id);
 
-    const summaryArray = Object.entries(summary).map(
-      ([category, total]) => ({
-        category,
-        total,
-      })
-    );
+    if (!existing || existing.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found',
+      });
+    }
 
-    const grandTotal = expenses.reduce(
-      (sum, expense) => sum + expense.amount,
-      0
+    const deleted = await store.remove('budgets', id);
+
+    res.json({
+      success: true,
+      data: deleted,
+      message: 'Budget deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Materialise due occurrences of active recurring rules into expenses.
+ *
+ * Idempotent: each generated expense records its rule and date, and a date
+ * that already has an expense for the rule is never generated again. Rules
+ * remember the last date generated, so after downtime every missed
+ * occurrence is caught up on the next run.
+ *
+ * @param {string|null} userId - Limit the run to one user's rules
+ * @returns {Promise<number>} Number of expenses created
+ */
+const runRecurringRules = async (userId = null) => {
+  const rules = (await store.list('recurringRules')).filter(
+    (r) => !r.paused && (!userId || r.userId === userId)
+  );
+  const upTo = today();
+  let created = 0;
+
+  for (const rule of rules) {
+    const dates = dueOccurrences(rule, upTo);
+    if (dates.length === 0) {
+      continue;
+    }
+
+    const alreadyGenerated = new Set(
+      (await listForUser('expenses', rule.userId))
+        .filter((e) => e.recurringRuleId === rule.id)
+        .map((e) => e.date)
     );
+    const type = categoryType(
+      await listCategoriesForUser(rule.userId),
+      rule.category
+    );
+    const accountId =
+      rule.accountId ||
+      defaultAccount(await listAccountsForUser(rule.userId)).id;
+
+    for (const date of dates) {
+      if (alreadyGenerated.has(date)) {
+        continue;
+      }
+      const expense = await store.insert('expenses', {
+        id: uuidv4(),
+        userId: rule.userId,
+        type,
+        amount: rule.amount,
+        currency: rule.currency,
+        category: rule.category,
+        date,
+        description: rule.description,
+        tags: [],
+        split: null,
+        accountId,
+        source: 'recurring',
+        sourceId: null,
+        deletedAt: null,
+        version: 1,
+        recurringRuleId: rule.id,
+      });
+      await recordChange('create', null, expense, 'recurring');
+      created += 1;
+    }
+
+    await store.update('recurringRules', rule.id, {
+      lastGeneratedDate: dates[dates.length - 1],
+    });
+  }
+
+  return created;
+};
+
+/**
+ * Check what RECURRING_SCHEMA can't on its own: that the rule's category
+ * still exists and matches a `type` sent with it, that a new or moved start
+ * date is at most MAX_BACKFILL_DAYS ago (every occurrence since then is
+ * back-filled), and that the end date isn't before the start date
+ * @param {Object} fields - The rule's fields with the changes applied
+ * @param {string|undefined} type - `type` from the request, if any
+ * @param {Array} categories - The user's categories
+ * @param {Object|null} existing - The stored rule, when updating one
+ * @returns {Object|null} Field -> message, or null if valid
+ */
+const checkRecurringRule = (
+  { category, startDate, endDate },
+  type,
+  categories,
+  existing = null
+) => {
+  const record = findCategory(categories, category);
+  if (!record) {
+    return { category: `Category "${category}" does not exist` };
+  }
+  const typeError = type && typeMismatch(record, type);
+  if (typeError) {
+    return { category: typeError };
+  }
+  if (
+    (!existing || startDate !== existing.startDate) &&
+    startDate < addDays(today(), -MAX_BACKFILL_DAYS)
+  ) {
+    return {
+      startDate: `Start date must be within the last ${MAX_BACKFILL_DAYS} days`,
+    };
+  }
+  if (endDate && endDate < startDate) {
+    return { endDate: 'End date must be on or after the start date' };
+  }
+  return null;
+};
+
+/**
+ * GET /api/recurring
+ */
+app.get('/api/recurring', async (req, res) => {
+  try {
+    const rules = await listForUser('recurringRules', req.user.id);
 
     res.json({
       success: true,
-      data: summaryArray,
-      grandTotal,
+      data: rules,
+      count: rules.length,
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -101,33 +3501,53 @@ app.get('/api/expenses/summary', (req, res) => {
 });
 
 /**
- * POST /api/expenses
+ * POST /api/recurring
+ * The body is checked against RECURRING_SCHEMA (utils/schemas.js); bad
+ * fields get a 422 with a message per field. The category must be one of
+ * the user's, and decides whether the rule makes expenses or income. Due
+ * occurrences (including past ones since startDate, which may be at most
+ * MAX_BACKFILL_DAYS ago) are generated straight away.
  */
-app.post('/api/expenses', (req, res) => {
+app.post('/api/recurring', async (req, res) => {
   try {
-    const { amount, category, date, description } = req.body;
+    const categories = await listCategoriesForUser(req.user.id);
+    const accounts = await listAccountsForUser(req.user.id);
+    const { values, errors } = validateBody(RECURRING_SCHEMA, req.body, {
+      context: { categories, accounts },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
 
-    if (!amount || !category || !date) {
-      return res.status(400).json({
-        success: false,
-        error: 'Amount, category, and date are required',
-      });
+    const ruleErrors = checkRecurringRule(values, values.type, categories);
+    if (ruleErrors) {
+      return sendValidationError(res, ruleErrors);
     }
 
-    const newExpense = {
+    const newRule = {
       id: uuidv4(),
-      amount: parseFloat(amount),
-      category,
-      date,
-      description: description || '',
+      userId: req.user.id,
+      amount: values.amount,
+      currency: values.currency || BASE_CURRENCY,
+      category: findCategory(categories, values.category).name,
+      description: values.description || '',
+      frequency: values.frequency,
+      startDate: values.startDate,
+      endDate: values.endDate || null,
+      accountId: values.accountId || defaultAccount(accounts).id,
+      paused: false,
+      lastGeneratedDate: null,
+      createdAt: new Date().toISOString(),
     };
 
-    expenses.push(newExpense);
+    await store.insert('recurringRules', newRule);
+    const generated = await runRecurringRules(req.user.id);
 
     res.status(201).json({
       success: true,
-      data: newExpense,
-      message: 'Expense added successfully',
+      data: await store.get('recurringRules', newRule.id),
+      generated,
+      message: 'Recurring rule created successfully',
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -135,40 +3555,72 @@ app.post('/api/expenses', (req, res) => {
 });
 
 /**
- * PUT /api/expenses/:id
+ * PUT /api/recurring/:id
+ * Body: any of the fields POST takes. Also used to pause and resume a rule
+ * via { paused }. Occurrences that fell while a rule was paused are
+ * skipped, not back-filled, on resume.
  */
-app.put('/api/expenses/:id', (req, res) => {
+app.put('/api/recurring/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, category, date, description } = req.body;
+    const existing = await store.get('recurringRules', id);
 
-    const index = expenses.findIndex((e) => e.id === id);
-
-    if (index === -1) {
+    if (!existing || existing.userId !== req.user.id) {
       return res.status(404).json({
         success: false,
-        error: 'Expense not found',
+        error: 'Recurring rule not found',
       });
     }
 
-    expenses[index] = {
-      ...expenses[index],
-      amount:
-        amount !== undefined
-          ? parseFloat(amount)
-          : expenses[index].amount,
-      category: category || expenses[index].category,
-      date: date || expenses[index].date,
-      description:
-        description !== undefined
-          ? description
-          : expenses[index].description,
-    };
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(RECURRING_SCHEMA, req.body, {
+      partial: true,
+      context: {
+        categories,
+        accounts: await listAccountsForUser(req.user.id),
+      },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const { type, ...changes } = values;
+    // Emptied fields keep their current value, except the end date, which
+    // is cleared
+    ['currency', 'accountId'].forEach((field) => {
+      if (changes[field] === null) {
+        delete changes[field];
+      }
+    });
+
+    const ruleErrors = checkRecurringRule(
+      { ...existing, ...changes },
+      type,
+      categories,
+      existing
+    );
+    if (ruleErrors) {
+      return sendValidationError(res, ruleErrors);
+    }
+    if (changes.category) {
+      changes.category = findCategory(categories, changes.category).name;
+    }
+
+    if (existing.paused && changes.paused === false) {
+      const yesterday = addDays(today(), -1);
+      if (!existing.lastGeneratedDate || existing.lastGeneratedDate < yesterday) {
+        changes.lastGeneratedDate = yesterday;
+      }
+    }
+
+    await store.update('recurringRules', id, changes);
+    const generated = await runRecurringRules(req.user.id);
 
     res.json({
       success: true,
-      data: expenses[index],
-      message: 'Expense updated successfully',
+      data: await store.get('recurringRules', id),
+      generated,
+      message: 'Recurring rule updated successfully',
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -176,27 +3628,27 @@ app.put('/api/expenses/:id', (req, res) => {
 });
 
 /**
- * DELETE /api/expenses/:id
+ * DELETE /api/recurring/:id
+ * Expenses already generated by the rule are kept.
  */
-app.delete('/api/expenses/:id', (req, res) => {
+app.delete('/api/recurring/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const existing = await store.get('recurringRules', id);
 
-    const index = expenses.findIndex((e) => e.id === id);
-
-    if (index === -1) {
+    if (!existing || existing.userId !== req.user.id) {
       return res.status(404).json({
         success: false,
-        error: 'Expense not found',
+        error: 'Recurring rule not found',
       });
     }
 
-    const deleted = expenses.splice(index, 1)[0];
+    const deleted = await store.remove('recurringRules', id);
 
     res.json({
       success: true,
       data: deleted,
-      message: 'Expense deleted successfully',
+      message: 'Recurring rule deleted successfully',
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -204,54 +3656,273 @@ app.delete('/api/expenses/:id', (req, res) => {
 });
 
 /**
- * GET /api/categories
+ * Find one of the user's auto-categorization rules
+ * @param {string} userId - Owner ID
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>} The rule, or null if it isn't theirs
  */
-app.get('/api/categories', (req, res) => {
-  res.json({
-    success: true,
-    data: categories,
-  });
+const findUserRule = async (userId, id) => {
+  const rule = await store.get('categoryRules', id);
+  return rule && rule.userId === userId ? rule : null;
+};
+
+/**
+ * GET /api/rules
+ * The user's rules in the order they are tried (oldest first)
+ */
+app.get('/api/rules', async (req, res) => {
+  try {
+    const rules = await listForUser('categoryRules', req.user.id);
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
- * POST /api/categories
+ * GET /api/rules/suggest
+ * Query: description, amount?, type?
+ * The category the form should pre-fill: the first matching rule, or the
+ * category used most for similar past descriptions. `data` is null when
+ * there is nothing to suggest.
  */
-app.post('/api/categories', (req, res) => {
+app.get('/api/rules/suggest', async (req, res) => {
   try {
-    const { name } = req.body;
+    const { description = '', amount, type } = req.query;
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Category name is required',
+    const suggestion = suggestCategory(
+      await listForUser('categoryRules', req.user.id),
+      await listExpensesForUser(req.user.id),
+      {
+        description: String(description),
+        amount: amount === undefined || amount === '' ? null : Number(amount),
+        type: TRANSACTION_TYPES.includes(type) ? type : null,
+      },
+      await listCategoriesForUser(req.user.id)
+    );
+
+    res.json({ success: true, data: suggestion });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/rules/apply
+ * Body: { ruleId?, expenseIds?, dryRun? }
+ * Re-runs the rules (or just `ruleId`) over the user's expenses. Unless
+ * dryRun is false, nothing is written and `data` previews each change as
+ * { id, date, description, amount, currency, ruleId, before, after } with
+ * the category and tags on either side. `expenseIds` limits a run to
+ * expenses picked from the preview.
+ */
+app.post('/api/rules/apply', async (req, res) => {
+  try {
+    const { ruleId, expenseIds } = req.body;
+
+    let rules = await listForUser('categoryRules', req.user.id);
+    if (ruleId) {
+      rules = rules.filter((r) => r.id === ruleId);
+      if (rules.length === 0) {
+        return res.status(404).json({ success: false, error: 'Rule not found' });
+      }
+    }
+    if (expenseIds !== undefined && !Array.isArray(expenseIds)) {
+      return sendValidationError(res, {
+        expenseIds: 'expenseIds must be an array',
       });
     }
 
-    const categoryName = name.trim();
+    let expenses = await listExpensesForUser(req.user.id);
+    if (expenseIds) {
+      const picked = new Set(expenseIds.map(String));
+      expenses = expenses.filter((e) => picked.has(e.id));
+    }
 
-    if (
-      categories.some(
-        (c) => c.toLowerCase() === categoryName.toLowerCase()
-      )
-    ) {
-      return res.status(400).json({
-        success: false,
-        error: 'Category already exists',
+    const plan = planRuleRun(
+      rules,
+      expenses,
+      await listCategoriesForUser(req.user.id)
+    );
+    const preview = plan.map(({ expense, rule, changes }) => ({
+      id: expense.id,
+      date: expense.date,
+      description: expense.description,
+      amount: expense.amount,
+      currency: expense.currency,
+      ruleId: rule.id,
+      before: { category: expense.category, tags: expense.tags || [] },
+      after: {
+        category: changes.category || expense.category,
+        tags: changes.tags || expense.tags || [],
+      },
+    }));
+
+    if (req.body.dryRun !== false && req.body.dryRun !== 'false') {
+      return res.json({
+        success: true,
+        dryRun: true,
+        data: preview,
+        count: preview.length,
       });
     }
 
-    categories.push(categoryName);
+    const written =
+      plan.length > 0
+        ? await store.updateMany(
+            'expenses',
+            plan.map(({ expense, changes }) => ({
+              id: expense.id,
+              changes: { ...changes, version: nextVersion(expense) },
+            }))
+          )
+        : [];
+    const before = new Map(plan.map(({ expense }) => [expense.id, expense]));
+    await recordChanges(
+      written.map((after) => ({
+        action: 'update',
+        before: before.get(after.id),
+        after,
+      })),
+      'rule'
+    );
+
+    res.json({
+      success: true,
+      dryRun: false,
+      data: preview,
+      count: written.length,
+      message: `${written.length} expense${written.length === 1 ? '' : 's'} recategorized`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/rules
+ * Body: { name?, pattern?, matchType?, minAmount?, maxAmount?, category,
+ * tags?, enabled? }
+ */
+app.post('/api/rules', async (req, res) => {
+  try {
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(RULE_SCHEMA, req.body, {
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const newRule = {
+      id: uuidv4(),
+      userId: req.user.id,
+      name: values.name || '',
+      pattern: values.pattern || '',
+      matchType: values.matchType || 'contains',
+      minAmount: values.minAmount ?? null,
+      maxAmount: values.maxAmount ?? null,
+      category: findCategory(categories, values.category).name,
+      tags: values.tags || [],
+      enabled: values.enabled ?? true,
+      createdAt: new Date().toISOString(),
+    };
+
+    const ruleErrors = validateRule(newRule);
+    if (ruleErrors) {
+      return sendValidationError(res, ruleErrors);
+    }
+
+    await store.insert('categoryRules', newRule);
 
     res.status(201).json({
       success: true,
-      data: categoryName,
-      message: 'Category created successfully',
+      data: newRule,
+      message: 'Rule added successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/rules/:id
+ * Body: any of the fields POST takes
+ */
+app.put('/api/rules/:id', async (req, res) => {
+  try {
+    const existing = await findUserRule(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    const categories = await listCategoriesForUser(req.user.id);
+    const { values, errors } = validateBody(RULE_SCHEMA, req.body, {
+      partial: true,
+      context: { categories },
+    });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    if (values.category) {
+      values.category = findCategory(categories, values.category).name;
+    }
+
+    const ruleErrors = validateRule({ ...existing, ...values });
+    if (ruleErrors) {
+      return sendValidationError(res, ruleErrors);
+    }
+
+    const updated = await store.update('categoryRules', existing.id, values);
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Rule updated successfully',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/rules/:id
+ * Expenses the rule already categorized keep their category.
+ */
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const existing = await findUserRule(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    const deleted = await store.remove('categoryRules', existing.id);
+
+    res.json({
+      success: true,
+      data: deleted,
+      message: 'Rule deleted successfully',
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/events
+ * Server-Sent Events stream of the user's expense and category changes (see
+ * utils/events.js). Reconnect with the Last-Event-ID header to be sent the
+ * changes missed in between.
+ */
+app.get('/api/events', (req, res) => {
+  events.subscribe(req.user.id, req, res, req.get('Last-Event-ID') || null);
+});
+
 /**
  * Health Check
  */
@@ -277,8 +3948,56 @@ app.use((req, res) => {
    Server Start
 ========================= */
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-});
+/**
+ * Run recurring rules now to catch up after downtime, then on an interval
+ */
+const startRecurringScheduler = () => {
+  const run = () =>
+    runRecurringRules()
+      .then((created) => {
+        if (created > 0) {
+          console.log(`🔁 Generated ${created} recurring expense(s)`);
+        }
+      })
+      .catch((error) => {
+        console.error('Recurring rule run failed:', error);
+      });
+
+  run();
+  setInterval(run, RECURRING_INTERVAL_MS);
+};
+
+/**
+ * Purge expired trash now, then on an interval
+ */
+const startTrashPurger = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((purged) => {
+        if (purged > 0) {
+          console.log(`🗑️ Purged ${purged} expense(s) from the trash`);
+        }
+      })
+      .catch((error) => {
+        console.error('Trash purge failed:', error);
+      });
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS);
+};
+
+// Migrations run inside init(), before the first request is accepted
+Promise.all([store.init(), files.init()])
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+    });
+    startRecurringScheduler();
+    startTrashPurger();
+  })
+  .catch((error) => {
+    console.error('Failed to initialise storage:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
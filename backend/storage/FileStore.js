@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FileStore
+ * Keeps uploaded files (receipts, thumbnails) as plain files in one
+ * directory. Records describing the files live in the main store; this only
+ * handles the bytes.
+ *
+ * File names are generated by the server, never taken from the upload.
+ */
+class FileStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the files
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  async init() {
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Absolute path of a stored file
+   * @param {string} name - File name inside the store
+   * @returns {string} Path
+   */
+  pathFor(name) {
+    if (path.basename(name) !== name) {
+      throw new Error(`Invalid file name: ${name}`);
+    }
+    return path.join(this.dir, name);
+  }
+
+  /**
+   * Write a file. It is written to a temp file and renamed so a crash never
+   * leaves a half-written file under the real name.
+   * @param {string} name - File name inside the store
+   * @param {Buffer} buffer - Contents
+   */
+  async write(name, buffer) {
+    const target = this.pathFor(name);
+    const tempPath = `${target}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, target);
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} name - File name inside the store
+   */
+  async remove(name) {
+    try {
+      await fs.promises.unlink(this.pathFor(name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+const { runMigrations } = require('./migrations');
+
+// Fold the journal into the snapshot once it grows past this many entries
+const COMPACT_THRESHOLD = 500;
+
+/**
+ * JsonStore
+ * File-backed driver built on a snapshot plus an append-only journal.
+ *
+ * - `snapshot.json` holds the full data set at the last compaction
+ * - `journal.log` holds one JSON line per write made since then
+ *
+ * Every write is appended to the journal synchronously before the request
+ * completes, so a crash loses nothing that was acknowledged. On boot the
+ * journal is replayed over the snapshot, migrations run, and the result is
+ * compacted back into a fresh snapshot.
+ */
+class JsonStore extends MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding the data files
+   */
+  constructor({ dataDir }) {
+    super();
+    this.dataDir = dataDir;
+    this.snapshotPath = path.join(dataDir, 'snapshot.json');
+    this.journalPath = path.join(dataDir, 'journal.log');
+    this.journalLength = 0;
+  }
+
+  async init() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    if (fs.existsSync(this.snapshotPath)) {
+      this.data = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    }
+
+    this.replayJournal();
+    runMigrations(this.data);
+    this.compact();
+  }
+
+  /**
+   * Re-apply journal entries written since the last snapshot
+   */
+  replayJournal() {
+    if (!fs.existsSync(this.journalPath)) {
+      return;
+    }
+
+    const lines = fs
+      .readFileSync(this.journalPath, 'utf8')
+      .split('\n')
+      .filter(Boolean);
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn final line means the process died mid-write; that write
+        // was never acknowledged, so it is safe to drop.
+        if (index === lines.length - 1) {
+          console.warn('⚠️  Ignoring incomplete journal entry');
+          return;
+        }
+        throw new Error(`Corrupt journal entry on line ${index + 1}`);
+      }
+      this.applyEntry(entry);
+    });
+  }
+
+  /**
+   * Apply a single journal entry to the in-memory data
+   * @param {Object} entry - Journal entry
+   */
+  applyEntry({ op, collection, record, records: batch, id }) {
+    const records = this.collection(collection);
+
+    if (op === 'insert') {
+      records.push(record);
+    } else if (op === 'insertMany') {
+      records.push(...batch);
+    } else if (op === 'update') {
+      const index = records.findIndex((r) => r.id === record.id);
+      if (index !== -1) {
+        records[index] = record;
+      }
+    } else if (op === 'updateMany') {
+      batch.forEach((updated) => {
+        const index = records.findIndex((r) => r.id === updated.id);
+        if (index !== -1) {
+          records[index] = updated;
+        }
+      });
+    } else if (op === 'remove') {
+      const index = records.findIndex((r) => r.id === id);
+      if (index !== -1) {
+        records.splice(index, 1);
+      }
+    }
+  }
+
+  persist(entry) {
+    fs.appendFileSync(this.journalPath, `${JSON.stringify(entry)}\n`);
+    this.journalLength += 1;
+
+    if (this.journalLength >= COMPACT_THRESHOLD) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Write the full data set to a new snapshot and clear the journal.
+   * The snapshot is written to a temp file and renamed so a crash never
+   * leaves a half-written snapshot behind.
+   */
+  compact() {
+    const tempPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data));
+    fs.renameSync(tempPath, this.snapshotPath);
+    fs.writeFileSync(this.journalPath, '');
+    this.journalLength = 0;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,159 @@
+const { runMigrations } = require('./migrations');
+
+/**
+ * MemoryStore
+ * Keeps every collection in process memory. Data is lost on restart, which
+ * makes it the right driver for tests and throwaway local runs.
+ *
+ * This class also defines the repository interface every storage driver
+ * implements. All methods are async so drivers backed by real I/O can be
+ * swapped in without touching the route handlers.
+ *
+ * Records are plain objects keyed by `id`. Callers always receive copies, so
+ * mutating a returned record never changes the stored one.
+ */
+class MemoryStore {
+  constructor() {
+    this.data = { schemaVersion: 0, collections: {} };
+  }
+
+  /**
+   * Prepare the store for use and run pending schema migrations
+   */
+  async init() {
+    runMigrations(this.data);
+  }
+
+  /**
+   * Get the backing array for a collection, creating it if needed
+   * @param {string} name - Collection name
+   * @returns {Array} The live array (internal use only)
+   */
+  collection(name) {
+    if (!this.data.collections[name]) {
+      this.data.collections[name] = [];
+    }
+    return this.data.collections[name];
+  }
+
+  /**
+   * List all records in a collection
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Copies of the stored records
+   */
+  async list(name) {
+    return this.collection(name).map((record) => ({ ...record }));
+  }
+
+  /**
+   * Get a single record by ID
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} The record, or null if not found
+   */
+  async get(name, id) {
+    const record = this.collection(name).find((r) => r.id === id);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Insert a new record
+   * @param {string} name - Collection name
+   * @param {Object} record - Record with an `id` field
+   * @returns {Promise<Object>} The stored record
+   */
+  async insert(name, record) {
+    this.collection(name).push({ ...record });
+    this.persist({ op: 'insert', collection: name, record });
+    return { ...record };
+  }
+
+  /**
+   * Insert several records as one write. Drivers apply the batch
+   * all-or-nothing: after a crash either every record is stored or none is.
+   * @param {string} name - Collection name
+   * @param {Array<Object>} records - Records with `id` fields
+   * @returns {Promise<Array<Object>>} The stored records
+   */
+  async insertMany(name, records) {
+    this.collection(name).push(...records.map((record) => ({ ...record })));
+    this.persist({ op: 'insertMany', collection: name, records });
+    return records.map((record) => ({ ...record }));
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} The updated record, or null if not found
+   */
+  async update(name, id, changes) {
+    const records = this.collection(name);
+    const index = records.findIndex((r) => r.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    records[index] = { ...records[index], ...changes, id };
+    this.persist({ op: 'update', collection: name, record: records[index] });
+    return { ...records[index] };
+  }
+
+  /**
+   * Merge changes into several records as one write. Like insertMany, the
+   * batch is applied all-or-nothing; if any record is missing nothing is
+   * changed.
+   * @param {string} name - Collection name
+   * @param {Array<Object>} updates - [{ id, changes }]
+   * @returns {Promise<Array<Object>|null>} The updated records, or null if
+   *   any was not found
+   */
+  async updateMany(name, updates) {
+    const records = this.collection(name);
+    const indexes = updates.map(({ id }) => records.findIndex((r) => r.id === id));
+
+    if (indexes.includes(-1)) {
+      return null;
+    }
+
+    const updated = updates.map(({ id, changes }, i) => ({
+      ...records[indexes[i]],
+      ...changes,
+      id,
+    }));
+    updated.forEach((record, i) => {
+      records[indexes[i]] = record;
+    });
+    this.persist({ op: 'updateMany', collection: name, records: updated });
+    return updated.map((record) => ({ ...record }));
+  }
+
+  /**
+   * Remove a record
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} The removed record, or null if not found
+   */
+  async remove(name, id) {
+    const records = this.collection(name);
+    const index = records.findIndex((r) => r.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    const removed = records.splice(index, 1)[0];
+    this.persist({ op: 'remove', collection: name, id });
+    return removed;
+  }
+
+  /**
+   * Hook called after every write. The in-memory driver has nothing to do.
+   * @param {Object} entry - Description of the change
+   */
+  persist(entry) {}
+}
+
+module.exports = MemoryStore;
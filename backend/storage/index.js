@@ -0,0 +1,51 @@
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+const JsonStore = require('./JsonStore');
+const FileStore = require('./FileStore');
+
+const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Create a storage driver
+ *
+ * Drivers:
+ * - `json`   (default) snapshot + journal files under DATA_DIR
+ * - `memory` nothing persisted; used for tests
+ *
+ * @param {Object} options
+ * @param {string} options.driver - Driver name (defaults to STORAGE_DRIVER)
+ * @param {string} options.dataDir - Data directory (defaults to DATA_DIR)
+ * @returns {MemoryStore} A store implementing the repository interface
+ */
+const createStore = ({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  dataDir = DEFAULT_DATA_DIR,
+} = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'json':
+      return new JsonStore({ dataDir });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+/**
+ * Create the store for uploaded files
+ * @param {Object} options
+ * @param {string} options.dir - Directory (defaults to ATTACHMENTS_DIR, or
+ *   an `attachments` folder inside DATA_DIR)
+ * @returns {FileStore} File store
+ */
+const createFileStore = ({
+  dir = process.env.ATTACHMENTS_DIR || path.join(DEFAULT_DATA_DIR, 'attachments'),
+} = {}) => new FileStore({ dir });
+
+module.exports = {
+  createStore,
+  createFileStore,
+  MemoryStore,
+  JsonStore,
+  FileStore,
+};
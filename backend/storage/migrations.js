@@ -0,0 +1,301 @@
+const { v4: uuidv4 } = require('uuid');
+const { BASE_CURRENCY } = require('../utils/currency');
+const { DEFAULT_ACCOUNT } = require('../utils/accounts');
+
+/**
+ * Schema migrations
+ *
+ * Each migration receives the raw data object ({ schemaVersion, collections })
+ * and mutates it in place. Migrations run in order on boot, and only the ones
+ * newer than the stored schemaVersion are applied, so existing data files are
+ * upgraded safely as the format evolves.
+ *
+ * Never edit a migration that has shipped — append a new one instead.
+ */
+
+const DEFAULT_CATEGORIES = [
+  'Food',
+  'Transport',
+  'Entertainment',
+  'Utilities',
+  'Healthcare',
+  'Shopping',
+];
+
+// Colors and icons given to the built-in categories by migration 6
+const BUILT_IN_STYLES = {
+  Food: { color: '#FF6B6B', icon: '🍔' },
+  Transport: { color: '#4ECDC4', icon: '🚌' },
+  Entertainment: { color: '#45B7D1', icon: '🎬' },
+  Utilities: { color: '#FFA07A', icon: '💡' },
+  Healthcare: { color: '#98D8C8', icon: '💊' },
+  Shopping: { color: '#F7DC6F', icon: '🛍️' },
+};
+
+// Income categories added for every account by migration 13
+const INCOME_CATEGORIES = [
+  { name: 'Salary', color: '#34D399', icon: '💼' },
+  { name: 'Freelance', color: '#60A5FA', icon: '🧑‍💻' },
+  { name: 'Investments', color: '#FBBF24', icon: '📈' },
+  { name: 'Gifts', color: '#F472B6', icon: '🎁' },
+];
+
+// Colors handed out in turn to custom categories that existed before migration 6
+const LEGACY_PALETTE = ['#A78BFA', '#F472B6', '#34D399', '#FBBF24', '#60A5FA', '#FB923C'];
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Create expenses and categories collections',
+    up: (data) => {
+      data.collections.expenses = data.collections.expenses || [];
+      data.collections.categories =
+        data.collections.categories ||
+        DEFAULT_CATEGORIES.map((name) => ({ id: uuidv4(), name }));
+    },
+  },
+  {
+    version: 2,
+    description: 'Add users and sessions; mark built-in categories as shared',
+    up: (data) => {
+      data.collections.users = data.collections.users || [];
+      data.collections.sessions = data.collections.sessions || [];
+      // Categories created before accounts existed stay visible to everyone
+      data.collections.categories.forEach((category) => {
+        category.userId = category.userId || null;
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Add currency to expenses and an exchange rates collection',
+    up: (data) => {
+      data.collections.rates = data.collections.rates || [];
+      // Amounts were always entered and displayed as rupees before this
+      data.collections.expenses.forEach((expense) => {
+        expense.currency = expense.currency || 'INR';
+      });
+    },
+  },
+  {
+    version: 4,
+    description: 'Add budgets collection',
+    up: (data) => {
+      data.collections.budgets = data.collections.budgets || [];
+    },
+  },
+  {
+    version: 5,
+    description: 'Add recurring expense rules collection',
+    up: (data) => {
+      data.collections.recurringRules = data.collections.recurringRules || [];
+    },
+  },
+  {
+    version: 6,
+    description:
+      'Add category colors and icons; give each user their own copy of the built-in categories',
+    up: (data) => {
+      const { categories, users } = data.collections;
+
+      categories.forEach((category, index) => {
+        const style = BUILT_IN_STYLES[category.name] || {
+          color: LEGACY_PALETTE[index % LEGACY_PALETTE.length],
+          icon: '',
+        };
+        category.color = category.color || style.color;
+        category.icon = category.icon || style.icon;
+      });
+
+      // Shared categories become templates copied to each account, so a
+      // rename or delete only ever touches one user's data
+      const templates = categories.filter((c) => !c.userId);
+      users.forEach((user) => {
+        const owned = new Set(
+          categories
+            .filter((c) => c.userId === user.id)
+            .map((c) => c.name.toLowerCase())
+        );
+        templates
+          .filter((t) => !owned.has(t.name.toLowerCase()))
+          .forEach((t) => {
+            categories.push({ ...t, id: uuidv4(), userId: user.id });
+          });
+      });
+    },
+  },
+  {
+    version: 7,
+    description: 'Add parentId to categories for subcategories',
+    up: (data) => {
+      data.collections.categories.forEach((category) => {
+        category.parentId = category.parentId || null;
+      });
+    },
+  },
+  {
+    version: 8,
+    description: 'Add tags to expenses',
+    up: (data) => {
+      data.collections.expenses.forEach((expense) => {
+        expense.tags = expense.tags || [];
+      });
+    },
+  },
+  {
+    version: 9,
+    description: 'Add attachments collection for receipts',
+    up: (data) => {
+      data.collections.attachments = data.collections.attachments || [];
+    },
+  },
+  {
+    version: 10,
+    description: 'Add expense splits and settlements collection',
+    up: (data) => {
+      (data.collections.expenses || []).forEach((expense) => {
+        expense.split = expense.split || null;
+      });
+      data.collections.settlements = data.collections.settlements || [];
+    },
+  },
+  {
+    version: 11,
+    description: 'Add soft delete for expenses and the audit log',
+    up: (data) => {
+      (data.collections.expenses || []).forEach((expense) => {
+        expense.deletedAt = expense.deletedAt || null;
+      });
+      data.collections.auditLog = data.collections.auditLog || [];
+    },
+  },
+  {
+    version: 12,
+    description: 'Add expense versions for conflict detection',
+    up: (data) => {
+      (data.collections.expenses || []).forEach((expense) => {
+        expense.version = expense.version || 1;
+      });
+    },
+  },
+  {
+    version: 13,
+    description: 'Add transaction types and the built-in income categories',
+    up: (data) => {
+      const { categories, users = [] } = data.collections;
+
+      (data.collections.expenses || []).forEach((expense) => {
+        expense.type = expense.type || 'expense';
+      });
+      categories.forEach((category) => {
+        category.type = category.type || 'expense';
+      });
+
+      // New templates for future accounts, and a copy for each existing one
+      // unless the user already has a category by that name
+      const owners = [null, ...users.map((user) => user.id)];
+      owners.forEach((userId) => {
+        const owned = new Set(
+          categories
+            .filter((c) => c.userId === userId)
+            .map((c) => c.name.toLowerCase())
+        );
+        INCOME_CATEGORIES.filter(
+          (income) => !owned.has(income.name.toLowerCase())
+        ).forEach((income) => {
+          categories.push({
+            ...income,
+            id: uuidv4(),
+            userId,
+            parentId: null,
+            type: 'income',
+          });
+        });
+      });
+    },
+  },
+  {
+    version: 14,
+    description: 'Add accounts and transfers; file existing expenses under Cash',
+    up: (data) => {
+      const { collections } = data;
+      collections.accounts = collections.accounts || [];
+      collections.transfers = collections.transfers || [];
+
+      const now = new Date().toISOString();
+      const accountIds = {};
+      (collections.users || []).forEach((user) => {
+        const account = {
+          ...DEFAULT_ACCOUNT,
+          id: uuidv4(),
+          userId: user.id,
+          currency: BASE_CURRENCY,
+          createdAt: now,
+        };
+        collections.accounts.push(account);
+        accountIds[user.id] = account.id;
+      });
+
+      (collections.expenses || []).forEach((expense) => {
+        expense.accountId = expense.accountId || accountIds[expense.userId] || null;
+      });
+      (collections.recurringRules || []).forEach((rule) => {
+        rule.accountId = rule.accountId || accountIds[rule.userId] || null;
+      });
+    },
+  },
+  {
+    version: 15,
+    description: 'Add auto-categorization rules',
+    up: (data) => {
+      data.collections.categoryRules = data.collections.categoryRules || [];
+    },
+  },
+  {
+    version: 16,
+    description: 'Record where each expense came from',
+    up: (data) => {
+      const { expenses = [], auditLog = [] } = data.collections;
+      const imported = new Set(
+        auditLog
+          .filter((entry) => entry.action === 'create' && entry.source === 'import')
+          .map((entry) => entry.expenseId)
+      );
+      expenses.forEach((expense) => {
+        if (expense.source) {
+          return;
+        }
+        if (expense.recurringRuleId) {
+          expense.source = 'recurring';
+        } else {
+          expense.source = imported.has(expense.id) ? 'csv' : 'manual';
+        }
+        expense.sourceId = null;
+      });
+    },
+  },
+];
+
+/**
+ * Apply all pending migrations to a data object
+ * @param {Object} data - Raw store data
+ * @returns {number} Number of migrations applied
+ */
+const runMigrations = (data) => {
+  data.schemaVersion = data.schemaVersion || 0;
+  data.collections = data.collections || {};
+
+  const pending = migrations.filter((m) => m.version > data.schemaVersion);
+
+  pending.forEach((migration) => {
+    migration.up(data);
+    data.schemaVersion = migration.version;
+    console.log(
+      `🗄  Applied migration ${migration.version}: ${migration.description}`
+    );
+  });
+
+  return pending.length;
+};
+
+module.exports = { migrations, runMigrations };
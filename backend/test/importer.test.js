@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDateWithFormat,
+  parseAmount,
+  validateMapping,
+  buildImportPreview,
+} = require('../utils/importer');
+const { parseQif, buildStatementPreview } = require('../utils/statements');
+
+const categories = [
+  { name: 'Food', type: 'expense' },
+  { name: 'Other', type: 'expense' },
+  { name: 'Salary', type: 'income' },
+];
+const mapping = {
+  date: 0,
+  amount: 1,
+  description: 2,
+  dateFormat: 'DD/MM/YYYY',
+  defaultCategory: 'Other',
+};
+const preview = (rows, extra = {}) =>
+  buildImportPreview([['Date', 'Amount', 'Description'], ...rows], mapping, {
+    categories,
+    existingExpenses: [],
+    baseCurrency: 'INR',
+    ...extra,
+  });
+
+describe('parseDateWithFormat', () => {
+  it('reads each layout and refuses dates that do not exist', () => {
+    assert.equal(parseDateWithFormat('03/10/2024', 'DD/MM/YYYY'), '2024-10-03');
+    assert.equal(parseDateWithFormat('10/3/24', 'MM/DD/YY'), '2024-10-03');
+    assert.equal(parseDateWithFormat('31/02/2024', 'DD/MM/YYYY'), null);
+    assert.equal(parseDateWithFormat('2024-10-03', 'DD/MM/YYYY'), null);
+  });
+});
+
+describe('parseAmount', () => {
+  it('drops symbols, separators and the sign', () => {
+    assert.equal(parseAmount('₹1,234.50'), 1234.5);
+    assert.equal(parseAmount('-1.234,5', ','), 1234.5);
+    assert.equal(parseAmount('0'), null);
+    assert.equal(parseAmount('abc'), null);
+  });
+});
+
+describe('validateMapping', () => {
+  it('needs the date and amount columns and a way to pick the category', () => {
+    assert.equal(validateMapping(mapping, 3), null);
+    assert.match(validateMapping({ ...mapping, amount: 5 }, 3), /date and amount/);
+    assert.match(validateMapping({ ...mapping, defaultCategory: '' }, 3), /category/);
+  });
+});
+
+describe('buildImportPreview', () => {
+  it('flags invalid rows and duplicates of stored expenses and earlier rows', () => {
+    const results = preview(
+      [
+        ['01/10/2024', '250', 'Lunch'],
+        ['02/10/2024', 'n/a', 'Dinner'],
+        ['01/10/2024', '250.00', 'lunch'],
+        ['03/10/2024', '80', 'Cab'],
+      ],
+      { existingExpenses: [{ id: 'e1', date: '2024-10-03', amount: 80, description: 'Cab' }] }
+    );
+    assert.deepEqual(
+      results.map((r) => r.status),
+      ['valid', 'invalid', 'duplicate', 'duplicate']
+    );
+    assert.deepEqual(results[2].duplicateOf, { row: 2 });
+    assert.deepEqual(results[3].duplicateOf, { id: 'e1' });
+    assert.equal(results[0].expense.category, 'Other');
+  });
+
+  it('holds rows to the limits on an expense entered by hand', () => {
+    const results = preview([
+      ['01/10/2024', '250', 'x'.repeat(501)],
+      ['01/10/2024', '9999999999999', 'Yacht'],
+    ]);
+    assert.deepEqual(
+      results.map((r) => r.status),
+      ['invalid', 'invalid']
+    );
+    assert.match(results[0].errors[0], /Description/);
+    assert.match(results[1].errors[0], /Amount/);
+  });
+
+  it('lets the rules choose the category of rows without one', () => {
+    const rules = [
+      { id: 'r1', pattern: 'swiggy', matchType: 'contains', minAmount: null, maxAmount: null, category: 'Food', tags: ['delivery'], enabled: true },
+    ];
+    const [result] = preview([['01/10/2024', '250', 'Swiggy order']], { rules });
+    assert.equal(result.expense.category, 'Food');
+    assert.deepEqual(result.expense.tags, ['delivery']);
+    assert.equal(result.ruleId, 'r1');
+  });
+});
+
+describe('buildStatementPreview', () => {
+  const qif = [
+    '!Type:Bank',
+    'D10/01/2024',
+    'T-250.00',
+    'PLunch',
+    'NTX1001',
+    '^',
+    'D10/02/2024',
+    'T5000.00',
+    'PSalary',
+    'NTX1002',
+    '^',
+    'D10/03/2024',
+    'T-99.00',
+    `P${'x'.repeat(501)}`,
+    'NTX1003',
+    '^',
+  ].join('\n');
+  const context = {
+    categories,
+    existingExpenses: [{ id: 'e1', accountId: 'a1', sourceId: 'TX1001' }],
+    accountId: 'a1',
+    currency: 'INR',
+    defaultCategory: 'Other',
+    incomeCategory: null,
+  };
+
+  it('skips imported transactions and credits without an income category', () => {
+    const results = buildStatementPreview(parseQif(qif), context);
+    assert.deepEqual(
+      results.map((r) => r.status),
+      ['skipped', 'skipped', 'invalid']
+    );
+    assert.equal(results[0].reason, 'Already imported');
+    assert.match(results[2].errors[0], /Description/);
+  });
+
+  it('imports credits as income when given an income category', () => {
+    const results = buildStatementPreview(parseQif(qif), {
+      ...context,
+      incomeCategory: 'Salary',
+    });
+    assert.equal(results[1].status, 'new');
+    assert.equal(results[1].expense.type, 'income');
+    assert.equal(results[1].expense.sourceId, 'TX1002');
+  });
+});
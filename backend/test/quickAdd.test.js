@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuickAdd } = require('../utils/quickAdd');
+
+// A Wednesday
+const today = '2024-10-16';
+const categories = [
+  { name: 'Food', type: 'expense' },
+  { name: 'Eating Out', type: 'expense' },
+  { name: 'Salary', type: 'income' },
+];
+const parse = (text) => parseQuickAdd(text, { categories, today });
+
+describe('parseQuickAdd', () => {
+  it('reads the amount, date, category and tags', () => {
+    assert.deepEqual(parse('250 lunch yesterday #food #work'), {
+      amount: 250,
+      currency: null,
+      date: '2024-10-15',
+      category: 'Food',
+      categorySource: 'tag',
+      type: 'expense',
+      tags: ['work'],
+      description: 'lunch',
+    });
+  });
+
+  it('reads currencies written before or after the amount', () => {
+    assert.equal(parse('$12.50 coffee').currency, 'USD');
+    assert.equal(parse('12 usd coffee').currency, 'USD');
+    assert.equal(parse('1,200rs dinner').amount, 1200);
+  });
+
+  it('takes the type from a category named in the text', () => {
+    const parsed = parse('50000 salary 1 oct');
+    assert.equal(parsed.category, 'Salary');
+    assert.equal(parsed.type, 'income');
+    assert.equal(parsed.date, '2024-10-01');
+  });
+
+  it('prefers the longest category name found', () => {
+    assert.equal(parse('400 eating out with friends').category, 'Eating Out');
+  });
+
+  it('reads weekdays and months written out or abbreviated to three letters', () => {
+    assert.equal(parse('90 cab fri').date, '2024-10-11');
+    assert.equal(parse('90 cab on friday').date, '2024-10-11');
+    assert.equal(parse('90 cab last wed').date, '2024-10-09');
+    assert.equal(parse('90 cab wed').date, today);
+    assert.equal(parse('90 cab 3 nov').date, '2023-11-03');
+    assert.equal(parse('90 cab september 3rd 2024').date, '2024-09-03');
+  });
+
+  it('leaves other words that start like a weekday or month in the description', () => {
+    for (const text of ['90 frid', '90 monument', '90 sunset', '90 marc 3', '90 3 augustine']) {
+      const parsed = parse(text);
+      assert.equal(parsed.date, today, text);
+      assert.equal(parsed.description, text.slice(3), text);
+    }
+  });
+
+  it('leaves the amount null when there is none', () => {
+    assert.equal(parse('lunch today').amount, null);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  nthOccurrence,
+  dueOccurrences,
+  MAX_OCCURRENCES_PER_RUN,
+} = require('../utils/recurrence');
+
+describe('nthOccurrence', () => {
+  it('steps daily and weekly rules by days', () => {
+    assert.equal(nthOccurrence({ frequency: 'daily', startDate: '2024-02-28' }, 2), '2024-03-01');
+    assert.equal(nthOccurrence({ frequency: 'weekly', startDate: '2024-12-25' }, 1), '2025-01-01');
+  });
+
+  it('keeps the start day, clamped to shorter months', () => {
+    const monthly = { frequency: 'monthly', startDate: '2024-01-31' };
+    assert.deepEqual(
+      [0, 1, 2, 3, 12].map((n) => nthOccurrence(monthly, n)),
+      ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2025-01-31']
+    );
+    const yearly = { frequency: 'yearly', startDate: '2024-02-29' };
+    assert.equal(nthOccurrence(yearly, 1), '2025-02-28');
+    assert.equal(nthOccurrence(yearly, 4), '2028-02-29');
+  });
+});
+
+describe('dueOccurrences', () => {
+  it('back-fills every occurrence up to the given date', () => {
+    const rule = { frequency: 'weekly', startDate: '2024-01-01', endDate: null, lastGeneratedDate: null };
+    assert.deepEqual(dueOccurrences(rule, '2024-01-20'), ['2024-01-01', '2024-01-08', '2024-01-15']);
+  });
+
+  it('skips what was already generated and stops at the end date', () => {
+    const rule = {
+      frequency: 'daily',
+      startDate: '2024-01-01',
+      endDate: '2024-01-05',
+      lastGeneratedDate: '2024-01-02',
+    };
+    assert.deepEqual(dueOccurrences(rule, '2024-02-01'), ['2024-01-03', '2024-01-04', '2024-01-05']);
+  });
+
+  it('returns nothing before the start date', () => {
+    const rule = { frequency: 'monthly', startDate: '2024-05-10', endDate: null, lastGeneratedDate: null };
+    assert.deepEqual(dueOccurrences(rule, '2024-05-09'), []);
+  });
+
+  it('generates at most MAX_OCCURRENCES_PER_RUN at once and the rest on later runs', () => {
+    const rule = { frequency: 'daily', startDate: '1900-01-01', endDate: null, lastGeneratedDate: null };
+    const first = dueOccurrences(rule, '2024-01-01');
+    assert.equal(first.length, MAX_OCCURRENCES_PER_RUN);
+    assert.equal(first[0], '1900-01-01');
+
+    const next = dueOccurrences({ ...rule, lastGeneratedDate: first[first.length - 1] }, '2024-01-01');
+    assert.equal(first[first.length - 1], '1901-01-02');
+    assert.equal(next[0], '1901-01-03');
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRule, ruleMatches, findMatchingRule } = require('../utils/rules');
+
+const regexRule = (pattern) => ({
+  pattern,
+  matchType: 'regex',
+  minAmount: null,
+  maxAmount: null,
+});
+
+describe('validateRule', () => {
+  it('refuses patterns that can backtrack for a long time', () => {
+    const slow = [
+      '[a-z]{0,100}[a-z]{0,100}[a-z]{0,100}[a-z]{0,100}x',
+      '[a-z]{0,100}[a-z]{0,100}=',
+      '.*.*=',
+      '.+\\s*=',
+      'a?a?a?a?a?a?a?a?a?a?a?a?aaaaaaaaaaaa!',
+      '(a+)+$',
+      '(a|a)*$',
+      '(\\w{2,5})+$',
+      '(a)\\1',
+    ];
+    for (const pattern of slow) {
+      const errors = validateRule(regexRule(pattern));
+      assert.match(errors && errors.pattern, /too slow/, pattern);
+    }
+  });
+
+  it('refuses every slow pattern quickly, however it is written', () => {
+    const description = 'a'.repeat(500);
+    const started = Date.now();
+    for (const pattern of ['.*.*=', '[a-z]{0,100}[a-z]{0,100}=', '.*[a-z]{0,20}=']) {
+      assert.ok(validateRule(regexRule(pattern)), pattern);
+      assert.equal(ruleMatches({ ...regexRule(pattern), category: 'Food' }, { description }), false);
+    }
+    assert.ok(Date.now() - started < 100);
+  });
+
+  it('accepts the patterns people write', () => {
+    const safe = [
+      '^swig+y',
+      'uber\\s*eats',
+      'amazon.*prime',
+      '^(zomato|swiggy)',
+      '(ola|uber) ride',
+      '\\d{4}-\\d{2}-\\d{2}',
+      'colou?r',
+      '[a-z]{0,100}x',
+    ];
+    for (const pattern of safe) {
+      assert.equal(validateRule(regexRule(pattern)), null, pattern);
+    }
+  });
+
+  it('refuses invalid patterns and empty rules', () => {
+    assert.match(validateRule(regexRule('(unclosed')).pattern, /not a valid/);
+    assert.ok(validateRule({ pattern: '', matchType: 'contains', minAmount: null, maxAmount: null }));
+    assert.deepEqual(
+      Object.keys(
+        validateRule({ pattern: '', matchType: 'contains', minAmount: 10, maxAmount: 5 })
+      ),
+      ['maxAmount']
+    );
+  });
+});
+
+describe('findMatchingRule', () => {
+  const rules = [
+    { id: 'r1', pattern: 'swiggy', matchType: 'contains', minAmount: null, maxAmount: null, category: 'Food', tags: [], enabled: true },
+    { id: 'r2', pattern: '^uber', matchType: 'regex', minAmount: null, maxAmount: 500, category: 'Transport', tags: [], enabled: true },
+  ];
+
+  it('takes the first enabled rule whose pattern and amount match', () => {
+    assert.equal(findMatchingRule(rules, { description: 'SWIGGY order', amount: 300 }).id, 'r1');
+    assert.equal(findMatchingRule(rules, { description: 'Uber to work', amount: 200 }).id, 'r2');
+    assert.equal(findMatchingRule(rules, { description: 'Uber to work', amount: 900 }), null);
+    assert.equal(findMatchingRule(rules, { description: 'Coffee', amount: 10 }), null);
+  });
+});
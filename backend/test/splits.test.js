@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSplit, computeBalances, simplifyDebts } = require('../utils/splits');
+
+const amounts = (result) => result.split.participants.map((p) => p.amount);
+const sum = (values) => Math.round(values.reduce((total, v) => total + v, 0) * 100) / 100;
+
+describe('normalizeSplit', () => {
+  it('shares an equal split to the cent, first people taking the odd cents', () => {
+    const result = normalizeSplit(
+      { paidBy: 'you', participants: [{ name: 'You' }, { name: 'Asha' }, { name: 'Ben' }] },
+      100
+    );
+    assert.deepEqual(amounts(result), [33.34, 33.33, 33.33]);
+    // The payer is matched to the participant as written there
+    assert.equal(result.split.paidBy, 'You');
+  });
+
+  it('shares by percentage and keeps the total exact', () => {
+    const result = normalizeSplit(
+      {
+        method: 'percentage',
+        participants: [
+          { name: 'You', share: 33.3 },
+          { name: 'Asha', share: 33.3 },
+          { name: 'Ben', share: 33.4 },
+        ],
+      },
+      10.01
+    );
+    assert.equal(sum(amounts(result)), 10.01);
+    assert.deepEqual(
+      result.split.participants.map((p) => p.share),
+      [33.3, 33.3, 33.4]
+    );
+  });
+
+  it('takes exact amounts that add up to the expense', () => {
+    const participants = [
+      { name: 'You', share: 12.5 },
+      { name: 'Asha', share: 7.5 },
+    ];
+    assert.deepEqual(amounts(normalizeSplit({ method: 'exact', participants }, 20)), [12.5, 7.5]);
+    assert.match(normalizeSplit({ method: 'exact', participants }, 25).error, /add up to 25/);
+  });
+
+  it('refuses splits that cannot be shared out', () => {
+    const errors = [
+      normalizeSplit(null, 10),
+      normalizeSplit({ method: 'thirds', participants: [{ name: 'A' }] }, 10),
+      normalizeSplit({ participants: [] }, 10),
+      normalizeSplit({ participants: [{ name: 'Asha' }, { name: 'asha' }] }, 10),
+      normalizeSplit({ participants: [{ name: 'You' }] }, 10),
+      normalizeSplit({ method: 'percentage', participants: [{ name: 'Asha', share: 90 }] }, 10),
+      normalizeSplit({ method: 'percentage', participants: [{ name: 'Asha', share: -5 }, { name: 'Ben', share: 105 }] }, 10),
+    ].map((result) => result.error);
+    errors.forEach((error) => assert.equal(typeof error, 'string'));
+  });
+});
+
+describe('computeBalances and simplifyDebts', () => {
+  const convert = (amount, currency) => (currency === 'USD' ? amount * 80 : currency === 'INR' ? amount : null);
+  const expenses = [
+    {
+      currency: 'INR',
+      split: {
+        paidBy: 'You',
+        participants: [
+          { name: 'You', amount: 100 },
+          { name: 'Asha', amount: 100 },
+          { name: 'Ben', amount: 100 },
+        ],
+      },
+    },
+    {
+      currency: 'USD',
+      split: { paidBy: 'asha', participants: [{ name: 'Ben', amount: 1 }, { name: 'Asha', amount: 1 }] },
+    },
+    { currency: 'EUR', split: { paidBy: 'Ben', participants: [{ name: 'You', amount: 5 }] } },
+    { currency: 'INR', split: null },
+  ];
+
+  it('nets each person across expenses and settlements', () => {
+    const settlements = [{ from: 'Ben', to: 'You', amount: 50, currency: 'INR' }];
+    const { balances, missingRates } = computeBalances(expenses, settlements, convert);
+
+    assert.deepEqual(Object.fromEntries(balances), { You: 150, Asha: -20, Ben: -130 });
+    assert.deepEqual([...missingRates], ['EUR']);
+  });
+
+  it('settles everyone in as few payments as possible', () => {
+    const { balances } = computeBalances(expenses, [], convert);
+    assert.deepEqual(simplifyDebts(balances), [
+      { from: 'Ben', to: 'You', amount: 180 },
+      { from: 'Asha', to: 'You', amount: 20 },
+    ]);
+    assert.deepEqual(simplifyDebts(new Map([['You', 0]])), []);
+  });
+});
@@ -0,0 +1,238 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, JsonStore } = require('../storage');
+const { migrations } = require('../storage/migrations');
+
+// Migrations announce themselves on every boot
+mock.method(console, 'log', () => {});
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryStore();
+    await store.init();
+  });
+
+  it('inserts, reads, updates and removes records', async () => {
+    await store.insert('things', { id: 'a', name: 'First' });
+    await store.insert('things', { id: 'b', name: 'Second' });
+
+    assert.deepEqual(await store.get('things', 'a'), { id: 'a', name: 'First' });
+    assert.equal((await store.list('things')).length, 2);
+
+    const updated = await store.update('things', 'a', { name: 'Renamed', id: 'x' });
+    assert.deepEqual(updated, { id: 'a', name: 'Renamed' });
+
+    assert.deepEqual(await store.remove('things', 'b'), { id: 'b', name: 'Second' });
+    assert.equal(await store.get('things', 'b'), null);
+    assert.equal(await store.update('things', 'b', { name: 'Gone' }), null);
+    assert.equal(await store.remove('things', 'b'), null);
+  });
+
+  it('hands out copies, so callers cannot change stored records', async () => {
+    const record = { id: 'a', name: 'First' };
+    const inserted = await store.insert('things', record);
+    record.name = 'Changed after insert';
+    inserted.name = 'Changed the result';
+    (await store.get('things', 'a')).name = 'Changed a read';
+
+    assert.equal((await store.get('things', 'a')).name, 'First');
+  });
+
+  it('applies updateMany all-or-nothing', async () => {
+    await store.insertMany('things', [
+      { id: 'a', n: 1 },
+      { id: 'b', n: 2 },
+    ]);
+
+    const missing = await store.updateMany('things', [
+      { id: 'a', changes: { n: 10 } },
+      { id: 'nope', changes: { n: 0 } },
+    ]);
+    assert.equal(missing, null);
+    assert.equal((await store.get('things', 'a')).n, 1);
+
+    const updated = await store.updateMany('things', [
+      { id: 'a', changes: { n: 10 } },
+      { id: 'b', changes: { n: 20 } },
+    ]);
+    assert.deepEqual(updated.map((r) => r.n), [10, 20]);
+  });
+
+  it('runs every migration on an empty data set', async () => {
+    assert.equal(store.data.schemaVersion, LATEST_VERSION);
+    const categories = await store.list('categories');
+    assert.ok(categories.some((c) => c.name === 'Food' && c.type === 'expense'));
+    assert.ok(categories.some((c) => c.name === 'Salary' && c.type === 'income'));
+  });
+});
+
+describe('JsonStore', () => {
+  let dataDir;
+  const open = async () => {
+    const store = new JsonStore({ dataDir });
+    await store.init();
+    return store;
+  };
+  const readJournal = () =>
+    fs.readFileSync(path.join(dataDir, 'journal.log'), 'utf8').split('\n').filter(Boolean);
+  const readSnapshot = () =>
+    JSON.parse(fs.readFileSync(path.join(dataDir, 'snapshot.json'), 'utf8'));
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expense-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('journals each write and replays the journal on the next boot', async () => {
+    const store = await open();
+    await store.insert('things', { id: 'a', n: 1 });
+    await store.insert('things', { id: 'b', n: 2 });
+    await store.update('things', 'a', { n: 3 });
+    await store.remove('things', 'b');
+    await store.insertMany('things', [{ id: 'c', n: 4 }]);
+    await store.updateMany('things', [{ id: 'c', changes: { n: 5 } }]);
+    assert.equal(readJournal().length, 6);
+
+    // The snapshot written at boot knows nothing of the writes since
+    assert.equal(readSnapshot().collections.things, undefined);
+
+    const reopened = await open();
+    assert.deepEqual(await reopened.list('things'), [
+      { id: 'a', n: 3 },
+      { id: 'c', n: 5 },
+    ]);
+  });
+
+  it('compacts the journal into the snapshot on boot', async () => {
+    const store = await open();
+    await store.insert('things', { id: 'a', n: 1 });
+
+    await open();
+    assert.deepEqual(readJournal(), []);
+    assert.deepEqual(readSnapshot().collections.things, [{ id: 'a', n: 1 }]);
+  });
+
+  it('compacts once the journal reaches its threshold', async () => {
+    const store = await open();
+    for (let i = 0; i < 500; i += 1) {
+      await store.insert('things', { id: String(i) });
+    }
+
+    assert.deepEqual(readJournal(), []);
+    assert.equal(readSnapshot().collections.things.length, 500);
+
+    await store.insert('things', { id: 'after' });
+    assert.equal(readJournal().length, 1);
+    assert.equal((await (await open()).list('things')).length, 501);
+  });
+
+  it('drops a torn final journal line but refuses a corrupt earlier one', async () => {
+    const store = await open();
+    await store.insert('things', { id: 'a' });
+    const journalPath = path.join(dataDir, 'journal.log');
+
+    fs.appendFileSync(journalPath, '{"op":"insert","collection":"thi');
+    mock.method(console, 'warn', () => {});
+    assert.deepEqual(await (await open()).list('things'), [{ id: 'a' }]);
+
+    fs.writeFileSync(journalPath, 'not json\n{"op":"remove","collection":"things","id":"a"}\n');
+    await assert.rejects(open(), /Corrupt journal entry on line 1/);
+  });
+
+  it('upgrades a snapshot written before accounts and users existed', async () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'snapshot.json'),
+      JSON.stringify({
+        schemaVersion: 1,
+        collections: {
+          expenses: [
+            { id: 'e1', amount: 250, category: 'Food', date: '2024-01-05', description: 'Lunch' },
+          ],
+          categories: [
+            { id: 'c1', name: 'Food' },
+            { id: 'c2', name: 'Pets' },
+          ],
+        },
+      })
+    );
+
+    const store = await open();
+    assert.equal(store.data.schemaVersion, LATEST_VERSION);
+
+    const [expense] = await store.list('expenses');
+    assert.deepEqual(
+      {
+        currency: expense.currency,
+        tags: expense.tags,
+        split: expense.split,
+        deletedAt: expense.deletedAt,
+        version: expense.version,
+        type: expense.type,
+        source: expense.source,
+      },
+      {
+        currency: 'INR',
+        tags: [],
+        split: null,
+        deletedAt: null,
+        version: 1,
+        type: 'expense',
+        source: 'manual',
+      }
+    );
+
+    // Old categories become shared templates with a color and a type
+    const pets = (await store.list('categories')).find((c) => c.name === 'Pets');
+    assert.equal(pets.userId, null);
+    assert.match(pets.color, /^#[0-9A-F]{6}$/i);
+    assert.equal(pets.type, 'expense');
+
+    for (const collection of ['users', 'budgets', 'accounts', 'categoryRules']) {
+      assert.deepEqual(await store.list(collection), []);
+    }
+    // The upgraded data is saved, so the migrations don't run again
+    assert.equal(readSnapshot().schemaVersion, LATEST_VERSION);
+  });
+
+  it('gives each existing user their own categories and a Cash account', async () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'snapshot.json'),
+      JSON.stringify({
+        schemaVersion: 5,
+        collections: {
+          expenses: [
+            { id: 'e1', userId: 'u1', amount: 5, currency: 'USD', category: 'Food', date: '2024-01-05' },
+          ],
+          categories: [{ id: 'c1', name: 'Food', userId: null }],
+          users: [{ id: 'u1', email: 'a@example.com' }],
+          sessions: [],
+          rates: [],
+          budgets: [],
+          recurringRules: [{ id: 'r1', userId: 'u1', category: 'Food' }],
+        },
+      })
+    );
+
+    const store = await open();
+    const categories = await store.list('categories');
+    const own = categories.filter((c) => c.userId === 'u1').map((c) => c.name).sort();
+    assert.deepEqual(own, ['Food', 'Freelance', 'Gifts', 'Investments', 'Salary']);
+
+    const [account] = await store.list('accounts');
+    assert.equal(account.userId, 'u1');
+    const [expense] = await store.list('expenses');
+    assert.equal(expense.accountId, account.id);
+    assert.equal(expense.currency, 'USD');
+    assert.equal((await store.list('recurringRules'))[0].accountId, account.id);
+  });
+});
@@ -0,0 +1,110 @@
+const { convertAmount } = require('./currency');
+
+/**
+ * Account helpers
+ *
+ * Accounts are per-user records
+ * ({ id, userId, name, type, currency, openingBalance, createdAt }) for the
+ * places money is kept: cash, bank accounts, cards and wallets. Every
+ * expense and income entry belongs to one (`accountId`). Transfers
+ * ({ fromAccountId, toAccountId, amount, currency, date, note }) move money
+ * between two accounts and count as neither spending nor income.
+ *
+ * A balance starts at the opening balance, goes down with expenses and
+ * transfers out, and up with income and transfers in. Amounts in another
+ * currency are converted into the account's; those without a stored rate
+ * are left out and reported.
+ */
+
+const ACCOUNT_TYPES = ['cash', 'bank', 'card', 'wallet'];
+
+// The account every user starts with
+const DEFAULT_ACCOUNT = { name: 'Cash', type: 'cash', openingBalance: 0 };
+
+/**
+ * Find an account by name, ignoring case
+ * @param {Array} accounts - Account records
+ * @param {string} name - Name to look up
+ * @returns {Object|undefined} The matching account
+ */
+const findAccountByName = (accounts, name) =>
+  accounts.find((a) => a.name.toLowerCase() === String(name).toLowerCase());
+
+/**
+ * The account new entries go to when none is chosen: the oldest one
+ * @param {Array} accounts - The user's accounts
+ * @returns {Object|null} Account record
+ */
+const defaultAccount = (accounts) =>
+  [...accounts].sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0] ||
+  null;
+
+/**
+ * Walk an account's history, oldest first, keeping a running balance
+ * @param {Object} account - The account
+ * @param {Array} expenses - The user's expenses and income (not trashed)
+ * @param {Array} transfers - The user's transfers
+ * @param {Object} rateTable - Rate table from buildRateTable
+ * @returns {Object} { entries, balance, missingRates } where each entry is
+ *   { id, kind: expense|income|transfer-in|transfer-out, date, description,
+ *   amount, currency, change, balance } and `change` is in the account's
+ *   currency (null when there was no rate)
+ */
+const buildLedger = (account, expenses, transfers, rateTable) => {
+  const movements = [
+    ...expenses
+      .filter((e) => e.accountId === account.id)
+      .map((e) => ({
+        id: e.id,
+        kind: e.type === 'income' ? 'income' : 'expense',
+        date: e.date,
+        description: e.description || e.category,
+        amount: e.amount,
+        currency: e.currency,
+        sign: e.type === 'income' ? 1 : -1,
+      })),
+    ...transfers
+      .filter(
+        (t) => t.fromAccountId === account.id || t.toAccountId === account.id
+      )
+      .map((t) => ({
+        id: t.id,
+        kind: t.fromAccountId === account.id ? 'transfer-out' : 'transfer-in',
+        date: t.date,
+        description: t.note,
+        amount: t.amount,
+        currency: t.currency,
+        sign: t.fromAccountId === account.id ? -1 : 1,
+        fromAccountId: t.fromAccountId,
+        toAccountId: t.toAccountId,
+      })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const missingRates = new Set();
+  let balance = account.openingBalance || 0;
+
+  const entries = movements.map(({ sign, ...movement }) => {
+    const converted = convertAmount(
+      movement.amount,
+      movement.currency,
+      account.currency,
+      rateTable
+    );
+    if (converted === null) {
+      missingRates.add(movement.currency);
+      return { ...movement, change: null, balance };
+    }
+    balance = Math.round((balance + sign * converted) * 100) / 100;
+    return { ...movement, change: sign * converted, balance };
+  });
+
+  return { entries, balance, missingRates: [...missingRates] };
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  DEFAULT_ACCOUNT,
+  findAccountByName,
+  defaultAccount,
+  buildLedger,
+};
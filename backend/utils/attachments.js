@@ -0,0 +1,72 @@
+const sharp = require('sharp');
+
+/**
+ * Receipt attachment helpers
+ *
+ * Uploads are identified by their contents rather than the name or type the
+ * browser claims, so a renamed HTML file can't be stored and later served
+ * as an "image".
+ */
+
+// Accepted file types and the extension they are stored with
+const ATTACHMENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+};
+
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+
+// Thumbnails fit inside a square of this many pixels
+const THUMBNAIL_SIZE = 200;
+
+/**
+ * Work out a file's type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} One of the ATTACHMENT_TYPES keys, or null
+ */
+const detectFileType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (
+    buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+};
+
+/**
+ * Make a small JPEG preview of an image
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Buffer|null>} Thumbnail, or null if the image can't be read
+ */
+const createThumbnail = async (buffer) => {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MAX_BYTES,
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  detectFileType,
+  createThumbnail,
+};
@@ -0,0 +1,51 @@
+/**
+ * Expense audit log helpers
+ *
+ * Every change to an expense is recorded as an entry:
+ *
+ *   { id, userId, expenseId, action, source, changes, at }
+ *
+ * `action` is create, update, delete, restore or purge. `source` says what
+ * made the change (manual, import, recurring, category, retention or bulk) and
+ * `changes` maps each field that changed to { before, after }.
+ */
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Fields worth tracking; ids and ownership never change
+const AUDITED_FIELDS = [
+  'type',
+  'amount',
+  'currency',
+  'category',
+  'date',
+  'description',
+  'tags',
+  'split',
+  'accountId',
+  'deletedAt',
+];
+
+/**
+ * List the audited fields that differ between two versions of an expense
+ * @param {Object|null} before - Previous version (null when created)
+ * @param {Object|null} after - New version (null when purged)
+ * @returns {Object} Map of field -> { before, after }
+ */
+const diffExpense = (before, after) => {
+  const changes = {};
+  AUDITED_FIELDS.forEach((field) => {
+    const was = before && before[field] !== undefined ? before[field] : null;
+    const now = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(was) !== JSON.stringify(now)) {
+      changes[field] = { before: was, after: now };
+    }
+  });
+  return changes;
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDITED_FIELDS,
+  diffExpense,
+};
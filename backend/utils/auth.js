@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+/**
+ * Auth helpers: password hashing and session token signing.
+ * Built on Node's crypto module so no native dependencies are needed.
+ */
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Sessions expire after this many days without logging in again
+const SESSION_TTL_DAYS = 7;
+
+const TOKEN_SECRET = (() => {
+  if (process.env.AUTH_SECRET) {
+    return process.env.AUTH_SECRET;
+  }
+  console.warn(
+    '⚠️  AUTH_SECRET is not set; using a random secret. Sessions will not survive a restart.'
+  );
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} Encoded hash in the form `scrypt$<salt>$<hash>`
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto
+    .scryptSync(password, salt, SCRYPT_KEY_LENGTH)
+    .toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const sign = (value) =>
+  crypto.createHmac('sha256', TOKEN_SECRET).update(value).digest('hex');
+
+/**
+ * Build a signed token for a session
+ * @param {string} sessionId - The session ID
+ * @returns {string} Token in the form `<sessionId>.<signature>`
+ */
+const signToken = (sessionId) => `${sessionId}.${sign(sessionId)}`;
+
+/**
+ * Verify a token's signature and extract its session ID
+ * @param {string} token - Token from the Authorization header
+ * @returns {string|null} The session ID, or null if the token is invalid
+ */
+const verifyToken = (token) => {
+  const [sessionId, signature] = (token || '').split('.');
+  if (!sessionId || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(sessionId), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  return sessionId;
+};
+
+module.exports = {
+  SESSION_TTL_DAYS,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+};
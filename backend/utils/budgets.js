@@ -0,0 +1,120 @@
+const { convertAmount } = require('./currency');
+const { toDateString, parseDate } = require('./dates');
+
+/**
+ * Budget helpers
+ *
+ * Budget limits are in the base currency. Periods are calendar periods
+ * (ISO weeks starting Monday, calendar months and years) and dates are
+ * handled as YYYY-MM-DD strings, so comparisons are plain string compares.
+ */
+
+const BUDGET_PERIODS = ['weekly', 'monthly', 'yearly'];
+
+// Fraction of the limit at which a budget is flagged as nearly spent
+const WARNING_THRESHOLD = 0.8;
+
+/**
+ * Get the first and last day of the period containing a date
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {string} dateString - Reference date (YYYY-MM-DD)
+ * @returns {Object} { start, end } as YYYY-MM-DD strings
+ */
+const getPeriodRange = (period, dateString) => {
+  const date = parseDate(dateString);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  if (period === 'weekly') {
+    const offset = (date.getUTCDay() + 6) % 7; // days since Monday
+    const start = new Date(Date.UTC(year, month, date.getUTCDate() - offset));
+    const end = new Date(Date.UTC(year, month, date.getUTCDate() - offset + 6));
+    return { start: toDateString(start), end: toDateString(end) };
+  }
+
+  if (period === 'yearly') {
+    return { start: `${year}-01-01`, end: `${year}-12-31` };
+  }
+
+  return {
+    start: toDateString(new Date(Date.UTC(year, month, 1))),
+    end: toDateString(new Date(Date.UTC(year, month + 1, 0))),
+  };
+};
+
+/**
+ * Total spending in a set of categories over a date range, in the base currency
+ * @param {Array} expenses - The user's expenses
+ * @param {Array<string>} categoryNames - Category names to include
+ * @param {Object} range - { start, end } from getPeriodRange
+ * @param {Object} rateTable - Rate table from buildRateTable
+ * @param {string} baseCurrency - Currency the limit is in
+ * @returns {number} Amount spent (expenses without a rate are skipped)
+ */
+const sumSpent = (expenses, categoryNames, range, rateTable, baseCurrency) => {
+  const names = new Set(categoryNames.map((name) => name.toLowerCase()));
+  return expenses
+    .filter(
+      (e) =>
+        names.has(e.category.toLowerCase()) &&
+        e.date >= range.start &&
+        e.date <= range.end
+    )
+    .reduce((sum, e) => {
+      const amount = convertAmount(e.amount, e.currency, baseCurrency, rateTable);
+      return amount === null ? sum : sum + amount;
+    }, 0);
+};
+
+/**
+ * Work out how a budget stands for the period containing a date
+ * @param {Object} budget - Stored budget record
+ * @param {Array} expenses - The user's expenses
+ * @param {Object} rateTable - Rate table from buildRateTable
+ * @param {string} baseCurrency - Currency the limit is in
+ * @param {string} dateString - Reference date (YYYY-MM-DD)
+ * @param {Array<string>} categoryNames - Categories counted against the budget;
+ *   defaults to the budget's own, pass its subcategories too to roll them up
+ * @returns {Object} Budget with spent, remaining, percentUsed and status
+ */
+const evaluateBudget = (
+  budget,
+  expenses,
+  rateTable,
+  baseCurrency,
+  dateString,
+  categoryNames = [budget.category]
+) => {
+  const range = getPeriodRange(budget.period, dateString);
+  const spent =
+    Math.round(
+      sumSpent(expenses, categoryNames, range, rateTable, baseCurrency) * 100
+    ) / 100;
+  const ratio = budget.limit > 0 ? spent / budget.limit : 0;
+
+  let status = 'ok';
+  if (spent > budget.limit) {
+    status = 'over';
+  } else if (ratio >= WARNING_THRESHOLD) {
+    status = 'warning';
+  }
+
+  return {
+    id: budget.id,
+    category: budget.category,
+    period: budget.period,
+    limit: budget.limit,
+    spent,
+    remaining: Math.round((budget.limit - spent) * 100) / 100,
+    percentUsed: Math.round(ratio * 1000) / 10,
+    status,
+    periodStart: range.start,
+    periodEnd: range.end,
+  };
+};
+
+module.exports = {
+  BUDGET_PERIODS,
+  getPeriodRange,
+  evaluateBudget,
+};
@@ -0,0 +1,113 @@
+const { MAX_TAGS } = require('./tags');
+const { addDays } = require('./dates');
+const { findCategory, typeMismatch } = require('./categories');
+const { validateBody } = require('./validation');
+const { BULK_ACTION_SCHEMAS } = require('./schemas');
+
+/**
+ * Bulk expense edit helpers
+ *
+ * A bulk request applies one action to many expenses:
+ *
+ *   delete                     move them to the trash
+ *   setCategory { category }   recategorize them (within their type)
+ *   addTags { tags }           add tags (existing tags are kept)
+ *   removeTags { tags }        remove tags
+ *   shiftDate { days }         move each date by a number of days (+/-)
+ *
+ * The route checks every expense first and only writes when all of them
+ * can be changed, so a batch is never half applied.
+ */
+
+const BULK_ACTIONS = [
+  'delete',
+  'setCategory',
+  'addTags',
+  'removeTags',
+  'shiftDate',
+];
+
+// Most expenses one request may change
+const MAX_BULK_ITEMS = 1000;
+
+/**
+ * Validate the action part of a bulk request
+ * @param {Object} body - Request body ({ action, category, tags, days })
+ * @param {Object} context - Validation context ({ categories })
+ * @returns {Object} { operation } ready for applyBulkAction, or { errors }
+ *   (field -> message)
+ */
+const parseBulkAction = (body, context) => {
+  const { action } = body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return {
+      errors: { action: `action must be one of: ${BULK_ACTIONS.join(', ')}` },
+    };
+  }
+
+  const { values, errors } = validateBody(BULK_ACTION_SCHEMAS[action], body, {
+    context,
+  });
+  if (errors) {
+    return { errors };
+  }
+
+  // Store the category name as the user spelled it when creating it, and
+  // keep the record to check each expense's type against
+  if (values.category) {
+    const category = findCategory(context.categories, values.category);
+    return { operation: { action, category: category.name, target: category } };
+  }
+  return { operation: { action, ...values } };
+};
+
+/**
+ * Work out what a bulk action changes on one expense
+ * @param {Object} expense - The expense as stored
+ * @param {Object} operation - From parseBulkAction
+ * @returns {Object} { changes } (empty when there is nothing to change) or
+ *   { error } when this expense can't take the change
+ */
+const applyBulkAction = (expense, operation) => {
+  const tags = expense.tags || [];
+
+  switch (operation.action) {
+    case 'delete':
+      return { changes: { deletedAt: new Date().toISOString() } };
+    case 'setCategory': {
+      const error = typeMismatch(operation.target, expense.type || 'expense');
+      if (error) {
+        return { error };
+      }
+      return {
+        changes:
+          expense.category === operation.category
+            ? {}
+            : { category: operation.category },
+      };
+    }
+    case 'addTags': {
+      const added = [...new Set([...tags, ...operation.tags])].sort();
+      if (added.length > MAX_TAGS) {
+        return { error: `An expense can have at most ${MAX_TAGS} tags` };
+      }
+      return { changes: added.length === tags.length ? {} : { tags: added } };
+    }
+    case 'removeTags': {
+      const kept = tags.filter((tag) => !operation.tags.includes(tag));
+      return { changes: kept.length === tags.length ? {} : { tags: kept } };
+    }
+    case 'shiftDate':
+      return { changes: { date: addDays(expense.date, operation.days) } };
+    default:
+      return { error: 'Unknown action' };
+  }
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_ITEMS,
+  parseBulkAction,
+  applyBulkAction,
+};
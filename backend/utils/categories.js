@@ -0,0 +1,132 @@
+/**
+ * Category helpers
+ *
+ * Categories are per-user records
+ * ({ id, name, userId, color, icon, parentId, type }).
+ * Expenses, budgets and recurring rules refer to a category by name, so
+ * names stay unique per user even across parents.
+ *
+ * The tree is two levels deep: a top-level category (parentId null) may
+ * have subcategories, and subcategories have none of their own.
+ *
+ * A category is either for spending or for income (`type`), and every
+ * transaction takes the type of its category. Subcategories share their
+ * parent's type.
+ */
+
+const TRANSACTION_TYPES = ['expense', 'income'];
+
+// Colors handed out to new categories that don't choose one
+const CATEGORY_PALETTE = [
+  '#A78BFA',
+  '#F472B6',
+  '#34D399',
+  '#FBBF24',
+  '#60A5FA',
+  '#FB923C',
+  '#F87171',
+  '#2DD4BF',
+];
+
+// Icons are short, usually a single emoji
+const MAX_ICON_LENGTH = 8;
+
+/**
+ * Check that a string is a #RRGGBB color
+ * @param {string} color - Color to check
+ * @returns {boolean} True if valid
+ */
+const isValidColor = (color) =>
+  typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+
+/**
+ * Pick a palette color, preferring ones the user isn't already using
+ * @param {Array} categories - The user's existing categories
+ * @returns {string} Hex color
+ */
+const pickColor = (categories) => {
+  const used = new Set(categories.map((c) => (c.color || '').toUpperCase()));
+  return (
+    CATEGORY_PALETTE.find((color) => !used.has(color)) ||
+    CATEGORY_PALETTE[categories.length % CATEGORY_PALETTE.length]
+  );
+};
+
+/**
+ * Find a category by name, ignoring case
+ * @param {Array} categories - Category records
+ * @param {string} name - Name to look up
+ * @returns {Object|undefined} The matching category
+ */
+const findCategory = (categories, name) =>
+  categories.find((c) => c.name.toLowerCase() === String(name).toLowerCase());
+
+/**
+ * Type of the transactions filed under a category
+ * @param {Array} categories - Category records
+ * @param {string} name - Category name
+ * @returns {string} 'expense' or 'income' ('expense' for an unknown name)
+ */
+const categoryType = (categories, name) => {
+  const category = findCategory(categories, name);
+  return (category && category.type) || 'expense';
+};
+
+/**
+ * Explain why a category can't hold transactions of a type
+ * @param {Object} category - Category record
+ * @param {string} type - 'expense' or 'income'
+ * @returns {string|null} Message, or null when the types match
+ */
+const typeMismatch = (category, type) =>
+  category.type === type ? null : `${category.name} is not an ${type} category`;
+
+/**
+ * List the subcategories of a category
+ * @param {Array} categories - Category records
+ * @param {Object} category - The parent
+ * @returns {Array} Child records
+ */
+const childrenOf = (categories, category) =>
+  categories.filter((c) => c.parentId === category.id);
+
+/**
+ * Names covered by a category: itself plus its subcategories
+ * @param {Array} categories - Category records
+ * @param {string} name - Category name
+ * @returns {Array<string>} Names, or just [name] for an unknown category
+ */
+const categoryFamily = (categories, name) => {
+  const category = findCategory(categories, name);
+  if (!category) {
+    return [name];
+  }
+  return [category.name, ...childrenOf(categories, category).map((c) => c.name)];
+};
+
+/**
+ * Name of the top-level category an expense category rolls up into
+ * @param {Array} categories - Category records
+ * @param {string} name - Category name
+ * @returns {string} The parent's name for a subcategory, otherwise the name itself
+ */
+const topLevelName = (categories, name) => {
+  const category = findCategory(categories, name);
+  const parent =
+    category && category.parentId && categories.find((c) => c.id === category.parentId);
+  return parent ? parent.name : category ? category.name : name;
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  CATEGORY_PALETTE,
+  MAX_ICON_LENGTH,
+  isValidColor,
+  pickColor,
+  findCategory,
+  categoryType,
+  typeMismatch,
+  childrenOf,
+  categoryFamily,
+  topLevelName,
+};
@@ -0,0 +1,85 @@
+/**
+ * CSV helpers
+ *
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+ * doubled, and quoted fields may contain delimiters and line breaks.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {Object} options
+ * @param {string} options.delimiter - Field separator (default ',')
+ * @returns {Array<Array<string>>} Rows, with blank lines dropped
+ */
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark, which spreadsheet exports often add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+};
+
+/**
+ * Format one CSV line, quoting fields where needed
+ *
+ * Text that starts with =, +, - or @ is prefixed with a quote so
+ * spreadsheet apps don't evaluate it as a formula.
+ *
+ * @param {Array} fields - Field values
+ * @returns {string} The line, terminated with CRLF
+ */
+const toCsvRow = (fields) =>
+  `${fields
+    .map((value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\r\n`;
+
+module.exports = { parseCsv, toCsvRow };
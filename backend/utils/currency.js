@@ -0,0 +1,100 @@
+/**
+ * Currency helpers
+ *
+ * Exchange rates are stored relative to the server's base currency: a rate
+ * of 83.2 for USD means 1 USD = 83.2 units of BASE_CURRENCY. Converting
+ * between any two currencies goes through the base, so a summary can be
+ * reported in any currency that has a rate.
+ */
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'INR').toUpperCase();
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Check that a value is a 3-letter ISO 4217 code
+ * @param {string} code - Currency code
+ * @returns {boolean} True if valid
+ */
+const isValidCurrency = (code) =>
+  typeof code === 'string' && CURRENCY_PATTERN.test(code);
+
+/**
+ * Build a lookup of currency → rate against the base currency
+ * @param {Array} rates - Stored rate records
+ * @returns {Object} Map of currency code to rate
+ */
+const buildRateTable = (rates) =>
+  rates.reduce(
+    (table, r) => ({ ...table, [r.currency]: r.rate }),
+    { [BASE_CURRENCY]: 1 }
+  );
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} table - Rate table from buildRateTable
+ * @returns {number|null} Converted amount, or null if a rate is missing
+ */
+const convertAmount = (amount, from, to, table) => {
+  if (from === to) {
+    return amount;
+  }
+  if (!table[from] || !table[to]) {
+    return null;
+  }
+  return Math.round(((amount * table[from]) / table[to]) * 100) / 100;
+};
+
+/**
+ * Parse an exchange rate file
+ *
+ * Accepted formats:
+ * - json: { "USD": 83.2, "EUR": 90.1 } or [{ "currency": "USD", "rate": 83.2 }]
+ * - csv:  one `currency,rate` pair per line, with an optional header row
+ *
+ * @param {string} format - 'json' or 'csv'
+ * @param {string} content - File contents
+ * @returns {Array} Parsed { currency, rate } pairs
+ * @throws {Error} If the file is malformed
+ */
+const parseRatesFile = (format, content) => {
+  let pairs;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    pairs = Array.isArray(parsed)
+      ? parsed.map((r) => [r.currency, r.rate])
+      : Object.entries(parsed);
+  } else if (format === 'csv') {
+    pairs = content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => line.split(',').map((cell) => cell.trim()))
+      .filter(([currency], index) => !(index === 0 && /currency/i.test(currency)));
+  } else {
+    throw new Error('Format must be json or csv');
+  }
+
+  return pairs.map(([currency, rate], index) => {
+    const code = String(currency || '').toUpperCase();
+    const value = parseFloat(rate);
+
+    if (!isValidCurrency(code) || isNaN(value) || value <= 0) {
+      throw new Error(`Invalid rate on entry ${index + 1}`);
+    }
+
+    return { currency: code, rate: value };
+  });
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  isValidCurrency,
+  buildRateTable,
+  convertAmount,
+  parseRatesFile,
+};
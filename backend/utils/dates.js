@@ -0,0 +1,70 @@
+/**
+ * Date helpers
+ *
+ * Expense dates are calendar dates stored as YYYY-MM-DD strings. All math
+ * here is done in UTC so a date never shifts with the server's timezone,
+ * and the strings sort and compare correctly as plain strings.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date - The date
+ * @returns {string} Date string
+ */
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC Date
+ * @param {string} dateString - Date string
+ * @returns {Date} Midnight UTC on that day
+ */
+const parseDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isDateString = (value) =>
+  typeof value === 'string' &&
+  DATE_PATTERN.test(value) &&
+  !isNaN(parseDate(value)) &&
+  toDateString(parseDate(value)) === value;
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string} Date string
+ */
+const today = () => toDateString(new Date());
+
+/**
+ * Add a number of days to a date string
+ * @param {string} dateString - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date string
+ */
+const addDays = (dateString, days) => {
+  const date = parseDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @returns {number} Day count
+ */
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+module.exports = {
+  toDateString,
+  parseDate,
+  isDateString,
+  today,
+  addDays,
+  daysInMonth,
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+/**
+ * Live change events
+ *
+ * Every expense and category change is published to the owner's open event
+ * streams (GET /api/events) as a Server-Sent Event:
+ *
+ *   id: <boot>-<seq>
+ *   event: expense.create | expense.update | expense.delete |
+ *          category.create | category.update | category.delete
+ *   data: the record as stored (`{ id }` and the last known fields for a
+ *         delete)
+ *
+ * A new stream starts with a `ready` event whose ID marks the current
+ * position. The last events of each user are kept in memory so a client
+ * that reconnects with Last-Event-ID gets what it missed. When that isn't
+ * possible — the server restarted, or more changes happened than are kept —
+ * the client is sent a `reset` event instead and should reload everything.
+ */
+
+// Events kept per user for replay
+const REPLAY_LIMIT = 200;
+
+// Comment lines sent while idle, so proxies don't close the connection
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Format one Server-Sent Event
+ * @param {Object} event - { id, type, data }
+ * @returns {string} The event's lines
+ */
+const formatEvent = ({ id, type, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Create an event hub: publishes events to open streams and remembers the
+ * recent ones for replay
+ * @param {Object} options
+ * @param {number} options.replayLimit - Events kept per user
+ * @returns {Object} { publish, subscribe }
+ */
+const createEventHub = ({ replayLimit = REPLAY_LIMIT } = {}) => {
+  // Event IDs from an earlier run of the server mean nothing to this one
+  const bootId = crypto.randomBytes(4).toString('hex');
+  let sequence = 0;
+  // userId -> { events: [...], dropped: seq of the newest event let go }
+  const history = new Map();
+  // userId -> Set of open responses
+  const streams = new Map();
+
+  const parseId = (id) => {
+    const [boot, seq] = String(id || '').split('-');
+    return boot === bootId && /^\d+$/.test(seq) ? Number(seq) : null;
+  };
+
+  /**
+   * Send an event to a user's open streams
+   * @param {string} userId - Owner of the changed record
+   * @param {string} type - Event name, e.g. expense.update
+   * @param {Object} data - The record
+   */
+  const publish = (userId, type, data) => {
+    sequence += 1;
+    const event = { id: `${bootId}-${sequence}`, seq: sequence, type, data };
+
+    const log = history.get(userId) || { events: [], dropped: 0 };
+    log.events.push(event);
+    if (log.events.length > replayLimit) {
+      log.dropped = log.events.shift().seq;
+    }
+    history.set(userId, log);
+
+    (streams.get(userId) || new Set()).forEach((res) => res.write(formatEvent(event)));
+  };
+
+  /**
+   * Turn a response into an event stream for a user, replaying the events
+   * after `lastEventId`
+   * @param {string} userId - The signed-in user
+   * @param {Object} req - Express request; the stream ends when it closes
+   * @param {Object} res - Express response
+   * @param {string|null} lastEventId - Last event the client saw, if any
+   */
+  const subscribe = (userId, req, res, lastEventId) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx-style proxies from holding events back
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    // Clients wait this long before reconnecting after a drop
+    res.write('retry: 3000\n\n');
+
+    // ready and reset carry the current position, so the next reconnect
+    // replays from there
+    const position = `${bootId}-${sequence}`;
+    const seen = lastEventId ? parseId(lastEventId) : null;
+    const log = history.get(userId) || { events: [], dropped: 0 };
+    if (!lastEventId) {
+      res.write(formatEvent({ id: position, type: 'ready', data: {} }));
+    } else if (seen === null || seen < log.dropped) {
+      res.write(formatEvent({ id: position, type: 'reset', data: {} }));
+    } else {
+      log.events
+        .filter((event) => event.seq > seen)
+        .forEach((event) => res.write(formatEvent(event)));
+    }
+
+    const open = streams.get(userId) || new Set();
+    open.add(res);
+    streams.set(userId, open);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      open.delete(res);
+      if (open.size === 0 && streams.get(userId) === open) {
+        streams.delete(userId);
+      }
+    });
+  };
+
+  return { publish, subscribe };
+};
+
+module.exports = { createEventHub };
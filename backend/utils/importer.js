@@ -0,0 +1,253 @@
+const { isDateString } = require('./dates');
+const { isValidCurrency } = require('./currency');
+const { findMatchingRule } = require('./rules');
+const { validateBody } = require('./validation');
+const { EXPENSE_SCHEMA } = require('./schemas');
+
+/**
+ * Import helpers
+ *
+ * Turns parsed statement rows into expense candidates according to a
+ * client-supplied column mapping, flagging rows that fail validation and
+ * rows that look like expenses already recorded. Rows with no category of
+ * their own are categorized by the user's rules (see utils/rules.js) before
+ * falling back to the mapping's default category. A row must also pass
+ * EXPENSE_SCHEMA, like an expense entered by hand.
+ */
+
+const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'DD/MM/YYYY',
+  'MM/DD/YYYY',
+  'DD-MM-YYYY',
+  'MM-DD-YYYY',
+  'DD.MM.YYYY',
+  'YYYY/MM/DD',
+  'DD/MM/YY',
+  'MM/DD/YY',
+];
+
+const DECIMAL_SEPARATORS = ['.', ','];
+
+/**
+ * Parse a date written in a known format
+ * @param {string} value - Raw date text
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {string|null} YYYY-MM-DD, or null if it doesn't match
+ */
+const parseDateWithFormat = (value, format) => {
+  const order = format.match(/YYYY|YY|MM|DD/g);
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace('YYYY', '(\\d{4})')
+    .replace('YY', '(\\d{2})')
+    .replace('MM', '(\\d{1,2})')
+    .replace('DD', '(\\d{1,2})');
+  const match = new RegExp(`^${pattern}$`).exec(String(value).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  order.forEach((token, index) => {
+    parts[token] = match[index + 1];
+  });
+
+  // Two-digit years are taken to be in the 2000s
+  const year = parts.YYYY || `20${parts.YY}`;
+  const date = `${year}-${parts.MM.padStart(2, '0')}-${parts.DD.padStart(2, '0')}`;
+
+  return isDateString(date) ? date : null;
+};
+
+/**
+ * Parse an amount as written in a bank statement
+ * Currency symbols, spaces and thousands separators are ignored. The sign
+ * is dropped because exports disagree on whether debits are negative.
+ *
+ * @param {string} value - Raw amount text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Positive amount, or null if unreadable
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  const cleaned = String(value)
+    .replace(/[^\d.,-]/g, '')
+    .split(thousandsSeparator)
+    .join('')
+    .replace(decimalSeparator, '.');
+
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) {
+    return null;
+  }
+
+  const amount = Math.abs(parseFloat(cleaned));
+  return amount > 0 ? Math.round(amount * 100) / 100 : null;
+};
+
+/**
+ * Validate a column mapping against the file's width
+ * @param {Object} mapping - Column indexes and parsing options
+ * @param {number} columnCount - Number of columns in the file
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateMapping = (mapping, columnCount) => {
+  const isColumn = (index) =>
+    Number.isInteger(index) && index >= 0 && index < columnCount;
+  const isOptionalColumn = (index) =>
+    index === undefined || index === null || isColumn(index);
+
+  if (!isColumn(mapping.date) || !isColumn(mapping.amount)) {
+    return 'Map the date and amount columns';
+  }
+  if (
+    !isOptionalColumn(mapping.description) ||
+    !isOptionalColumn(mapping.category) ||
+    !isOptionalColumn(mapping.currency)
+  ) {
+    return 'Mapped columns must exist in the file';
+  }
+  if (!DATE_FORMATS.includes(mapping.dateFormat)) {
+    return `Date format must be one of: ${DATE_FORMATS.join(', ')}`;
+  }
+  if (!DECIMAL_SEPARATORS.includes(mapping.decimalSeparator || '.')) {
+    return 'Decimal separator must be "." or ","';
+  }
+  if (!isColumn(mapping.category) && !mapping.defaultCategory) {
+    return 'Map a category column or choose a default category';
+  }
+  return null;
+};
+
+/**
+ * Check an imported expense against the limits on one entered by hand
+ * (description length, largest amount and so on)
+ * @param {Object} expense - The expense that would be created
+ * @param {Array} categories - The user's categories
+ * @returns {Array<string>} What is wrong; empty if nothing
+ */
+const findExpenseErrors = (expense, categories) => {
+  const { errors } = validateBody(EXPENSE_SCHEMA, expense, {
+    context: { categories },
+  });
+  return errors ? Object.values(errors) : [];
+};
+
+const duplicateKey = ({ date, amount, description }) =>
+  `${date}|${amount.toFixed(2)}|${(description || '').trim().toLowerCase()}`;
+
+/**
+ * Build a preview of every data row in a file
+ *
+ * Each result has:
+ * - `row`: line number in the file (1-based, counting the header)
+ * - `status`: 'valid', 'invalid' or 'duplicate'
+ * - `errors`: reasons an invalid row was rejected
+ * - `expense`: the expense that would be created (null when invalid)
+ * - `duplicateOf`: { id } of a matching stored expense, or { row } of an
+ *   earlier row in the same file
+ * - `ruleId`: the rule that chose the category, if one did
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @param {Object} mapping - Validated column mapping
+ * @param {Object} context
+ * @param {Array} context.categories - Category records the user can see
+ * @param {Array} context.existingExpenses - The user's stored expenses
+ * @param {string} context.baseCurrency - Currency for rows without one
+ * @param {Array} context.rules - The user's auto-categorization rules
+ * @returns {Array<Object>} One result per data row
+ */
+const buildImportPreview = (rows, mapping, context) => {
+  const { categories, existingExpenses, baseCurrency, rules = [] } = context;
+  const decimalSeparator = mapping.decimalSeparator || '.';
+  const firstDataRow = mapping.hasHeader === false ? 0 : 1;
+
+  const seen = new Map(
+    existingExpenses.map((e) => [duplicateKey(e), { id: e.id }])
+  );
+
+  return rows.slice(firstDataRow).map((cells, index) => {
+    const row = index + firstDataRow + 1;
+    const cell = (column) =>
+      Number.isInteger(column) ? (cells[column] || '').trim() : '';
+    const errors = [];
+
+    const date = parseDateWithFormat(cell(mapping.date), mapping.dateFormat);
+    if (!date) {
+      errors.push(`Date "${cell(mapping.date)}" does not match ${mapping.dateFormat}`);
+    }
+
+    const amount = parseAmount(cell(mapping.amount), decimalSeparator);
+    if (amount === null) {
+      errors.push(`Amount "${cell(mapping.amount)}" is not a valid number`);
+    }
+
+    const rule = cell(mapping.category)
+      ? null
+      : findMatchingRule(
+          rules,
+          { description: cell(mapping.description), amount },
+          categories
+        );
+    const categoryName =
+      cell(mapping.category) || (rule ? rule.category : mapping.defaultCategory);
+    const category = categories.find(
+      (c) => c.name.toLowerCase() === String(categoryName).toLowerCase()
+    );
+    if (!category) {
+      errors.push(`Category "${categoryName}" does not exist`);
+    }
+
+    const currency = (cell(mapping.currency) || baseCurrency).toUpperCase();
+    if (!isValidCurrency(currency)) {
+      errors.push(`Currency "${currency}" is not a 3-letter code`);
+    }
+
+    if (errors.length > 0) {
+      return { row, status: 'invalid', errors, expense: null };
+    }
+
+    const expense = {
+      type: category.type || 'expense',
+      amount,
+      currency,
+      category: category.name,
+      date,
+      description: cell(mapping.description),
+      tags: rule ? [...rule.tags] : [],
+      split: null,
+      deletedAt: null,
+      version: 1,
+    };
+
+    const expenseErrors = findExpenseErrors(expense, categories);
+    if (expenseErrors.length > 0) {
+      return { row, status: 'invalid', errors: expenseErrors, expense: null };
+    }
+
+    const key = duplicateKey(expense);
+    const duplicateOf = seen.get(key);
+    if (!duplicateOf) {
+      seen.set(key, { row });
+    }
+
+    return {
+      row,
+      status: duplicateOf ? 'duplicate' : 'valid',
+      errors: [],
+      expense,
+      ...(duplicateOf && { duplicateOf }),
+      ...(rule && { ruleId: rule.id }),
+    };
+  });
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseDateWithFormat,
+  parseAmount,
+  validateMapping,
+  findExpenseErrors,
+  buildImportPreview,
+};
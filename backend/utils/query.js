@@ -0,0 +1,153 @@
+const { isDateString } = require('./dates');
+const { parseTags } = require('./tags');
+const { TRANSACTION_TYPES } = require('./categories');
+
+/**
+ * Expense query helpers
+ *
+ * Shared by every endpoint that lists expenses (the list itself, exports,
+ * ...) so a given set of query parameters always selects the same rows.
+ *
+ * Amount filters and sorting use each expense's own amount, in its own
+ * currency.
+ */
+
+const SORT_FIELDS = ['date', 'amount', 'category', 'description'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 200;
+
+/**
+ * Parse and validate list query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} { filters, sort, order, page, limit } or { error }
+ */
+const parseExpenseQuery = (query) => {
+  const { category, from, to, q, type } = query;
+  const sort = query.sort || 'date';
+  const order = query.order || (sort === 'date' || sort === 'amount' ? 'desc' : 'asc');
+  const page = query.page !== undefined ? Number(query.page) : 1;
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  const minAmount = query.minAmount !== undefined ? Number(query.minAmount) : null;
+  const maxAmount = query.maxAmount !== undefined ? Number(query.maxAmount) : null;
+
+  if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if ((minAmount !== null && isNaN(minAmount)) || (maxAmount !== null && isNaN(maxAmount))) {
+    return { error: 'minAmount and maxAmount must be numbers' };
+  }
+  const { tags, error: tagsError } = parseTags(query.tags);
+  if (tagsError) {
+    return { error: tagsError };
+  }
+  if (type && !TRANSACTION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+  }
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+  }
+
+  return {
+    filters: { category, from, to, q, minAmount, maxAmount, tags, type },
+    sort,
+    order,
+    page,
+    limit,
+  };
+};
+
+/**
+ * Filter expenses by the supported query parameters
+ * @param {Array} expenses - Expenses to filter
+ * @param {Object} filters
+ * @param {string|Array<string>} filters.category - Category name, 'All', or
+ *   a list of names (a category with its subcategories)
+ * @param {string} filters.from - Earliest date (YYYY-MM-DD, inclusive)
+ * @param {string} filters.to - Latest date (YYYY-MM-DD, inclusive)
+ * @param {string} filters.q - Text to find in the description (any case)
+ * @param {number} filters.minAmount - Smallest amount (inclusive)
+ * @param {number} filters.maxAmount - Largest amount (inclusive)
+ * @param {Array<string>} filters.tags - Tags an expense must all have
+ * @param {string} filters.type - 'expense' or 'income'; both when absent
+ * @returns {Array} Matching expenses
+ */
+const filterExpenses = (
+  expenses,
+  { category, from, to, q, minAmount = null, maxAmount = null, tags = [], type } = {}
+) => {
+  const search = q ? q.trim().toLowerCase() : '';
+  const categories =
+    category && category !== 'All'
+      ? new Set([].concat(category).map((name) => name.toLowerCase()))
+      : null;
+
+  return expenses.filter(
+    (expense) =>
+      (!categories || categories.has(expense.category.toLowerCase())) &&
+      (!type || (expense.type || 'expense') === type) &&
+      (!from || expense.date >= from) &&
+      (!to || expense.date <= to) &&
+      (minAmount === null || expense.amount >= minAmount) &&
+      (maxAmount === null || expense.amount <= maxAmount) &&
+      (!search || (expense.description || '').toLowerCase().includes(search)) &&
+      tags.every((tag) => (expense.tags || []).includes(tag))
+  );
+};
+
+/**
+ * Sort expenses by a field. Ties fall back to newest date first so the
+ * order is stable across pages.
+ * @param {Array} expenses - Expenses to sort (not modified)
+ * @param {string} sort - One of SORT_FIELDS
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array} Sorted copy
+ */
+const sortExpenses = (expenses, sort = 'date', order = 'desc') => {
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) =>
+    typeof a === 'number' && typeof b === 'number'
+      ? a - b
+      : String(a || '').localeCompare(String(b || ''), undefined, { sensitivity: 'base' });
+
+  return [...expenses].sort(
+    (a, b) =>
+      direction * compare(a[sort], b[sort]) ||
+      b.date.localeCompare(a.date) ||
+      a.id.localeCompare(b.id)
+  );
+};
+
+/**
+ * Slice one page out of a list
+ * @param {Array} items - Full list
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Page size
+ * @returns {Object} { items, pagination: { page, limit, total, totalPages } }
+ */
+const paginate = (items, page, limit) => ({
+  items: items.slice((page - 1) * limit, page * limit),
+  pagination: {
+    page,
+    limit,
+    total: items.length,
+    totalPages: Math.max(1, Math.ceil(items.length / limit)),
+  },
+});
+
+module.exports = {
+  SORT_FIELDS,
+  parseExpenseQuery,
+  filterExpenses,
+  sortExpenses,
+  paginate,
+};
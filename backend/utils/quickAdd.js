@@ -0,0 +1,272 @@
+const { toDateString, parseDate, addDays } = require('./dates');
+
+/**
+ * Quick-add parser
+ *
+ * Turns a one-line entry such as "250 lunch yesterday #food" into expense
+ * fields for POST /api/expenses/parse, which the quick-add box calls for
+ * its live preview.
+ *
+ * What it picks out of the text:
+ * - amount: the first number, with an optional currency symbol or code
+ *   ("₹250", "12.50 usd", "rs 1,200")
+ * - date: "today", "yesterday", "day before yesterday", "3 days ago", a
+ *   weekday ("fri", "last Friday"), a day and month ("3 Oct", "Oct 3rd
+ *   2025") or YYYY-MM-DD; today when there is none. A weekday or a date
+ *   without a year is never in the future.
+ * - category: a #hashtag naming one of the user's categories, or else a
+ *   category name that appears in the text
+ * - tags: the other #hashtags
+ * - description: the rest of the text
+ */
+
+const CURRENCY_SYMBOLS = { '₹': 'INR', $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_WORDS = {
+  inr: 'INR',
+  rs: 'INR',
+  'rs.': 'INR',
+  usd: 'USD',
+  eur: 'EUR',
+  gbp: 'GBP',
+  aed: 'AED',
+  sgd: 'SGD',
+  jpy: 'JPY',
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+
+const AMOUNT_PATTERN = /^(rs\.?|[₹$€£¥])?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?([a-z]{2,3})?$/i;
+
+/**
+ * Build a date string, or null when the day doesn't exist in that month
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @param {number} day - Day of the month
+ * @returns {string|null} YYYY-MM-DD
+ */
+const makeDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? toDateString(date) : null;
+};
+
+/**
+ * Find the name a word spells out or abbreviates to three letters
+ * ("fri" -> friday, "october" -> october); "fr" or "frid" are just words
+ * @param {string} word - Lower-case word
+ * @param {Array<string>} names - Full names
+ * @returns {number} Index into names, or -1
+ */
+const nameIndex = (word, names) =>
+  names.findIndex((name) => word === name || word === name.slice(0, 3));
+
+const dayOfMonth = (word) => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * A day and month with an optional year; without one, the most recent
+ * such date that isn't after today
+ */
+const dayMonthDate = (day, month, yearWord, today) => {
+  if (/^\d{4}$/.test(yearWord || '')) {
+    return { date: makeDate(Number(yearWord), month, day), length: 3 };
+  }
+  const year = Number(today.slice(0, 4));
+  const date = makeDate(year, month, day);
+  return { date: date && date > today ? makeDate(year - 1, month, day) : date, length: 2 };
+};
+
+/**
+ * Try to read a date starting at one word
+ * @param {Array<string>} words - Lower-case words
+ * @param {number} i - Index to start at
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object|null} { date, length } (words used), or null
+ */
+const matchDate = (words, i, today) => {
+  const [first, second, third] = words.slice(i, i + 3);
+
+  if (first === 'today') {
+    return { date: today, length: 1 };
+  }
+  if (first === 'yesterday') {
+    return { date: addDays(today, -1), length: 1 };
+  }
+  if (first === 'tomorrow') {
+    return { date: addDays(today, 1), length: 1 };
+  }
+  if (first === 'day' && second === 'before' && third === 'yesterday') {
+    return { date: addDays(today, -2), length: 3 };
+  }
+  if (/^\d+$/.test(first || '') && third === 'ago') {
+    if (['day', 'days'].includes(second)) {
+      return { date: addDays(today, -Number(first)), length: 3 };
+    }
+    if (['week', 'weeks'].includes(second)) {
+      return { date: addDays(today, -7 * Number(first)), length: 3 };
+    }
+  }
+
+  // "fri", "on fri", "last friday": the most recent one, today included
+  // unless it says "last"
+  const qualified = ['last', 'on'].includes(first);
+  const weekday = nameIndex(qualified ? second : first, WEEKDAYS);
+  if (weekday !== -1) {
+    const todayIndex = parseDate(today).getUTCDay();
+    let back = (todayIndex - weekday + 7) % 7;
+    if (back === 0 && first === 'last') {
+      back = 7;
+    }
+    return { date: addDays(today, -back), length: qualified ? 2 : 1 };
+  }
+
+  // "3 oct", "3rd october 2025", "oct 3", "october 3rd 2025"
+  const dayFirst = dayOfMonth(first || '');
+  const monthSecond = nameIndex(second || '', MONTHS);
+  if (dayFirst && monthSecond !== -1) {
+    return dayMonthDate(dayFirst, monthSecond, third, today);
+  }
+  const monthFirst = nameIndex(first || '', MONTHS);
+  const daySecond = dayOfMonth(second || '');
+  if (monthFirst !== -1 && daySecond) {
+    return dayMonthDate(daySecond, monthFirst, third, today);
+  }
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(first || '');
+  if (iso) {
+    return { date: makeDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])), length: 1 };
+  }
+  return null;
+};
+
+// Category names and hashtags compared without case, spaces or punctuation
+const slug = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a quick-add line
+ * @param {string} text - What the user typed
+ * @param {Object} options
+ * @param {Array} options.categories - The user's categories ({ name, type })
+ * @param {string} options.today - Today's date as YYYY-MM-DD
+ * @returns {Object} { amount, currency, date, category, categorySource,
+ *   type, tags, description }; amount, currency and category are null when
+ *   not found, categorySource is 'tag', 'keyword' or null
+ */
+const parseQuickAdd = (text, { categories = [], today }) => {
+  const tokens = String(text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  // Lower-case words without trailing commas, for matching
+  const words = tokens.map((token) => token.toLowerCase().replace(/,+$/, ''));
+  const used = tokens.map(() => false);
+  const take = (start, length) => {
+    for (let k = start; k < start + length; k += 1) {
+      used[k] = true;
+    }
+  };
+
+  let date = null;
+  for (let i = 0; i < words.length && !date; i += 1) {
+    const match = matchDate(words, i, today);
+    if (match && match.date) {
+      date = match.date;
+      take(i, match.length);
+    }
+  }
+
+  let category = null;
+  let categorySource = null;
+  const tags = [];
+  words.forEach((word, i) => {
+    if (used[i] || !/^#./.test(word)) {
+      return;
+    }
+    take(i, 1);
+    const name = word.replace(/^#+/, '');
+    const match = !category && categories.find((c) => slug(c.name) === slug(name));
+    if (match) {
+      category = match;
+      categorySource = 'tag';
+    } else if (!tags.includes(name)) {
+      tags.push(name);
+    }
+  });
+
+  let amount = null;
+  let currency = null;
+  for (let i = 0; i < words.length && amount === null; i += 1) {
+    const match = used[i] ? null : AMOUNT_PATTERN.exec(words[i]);
+    if (!match) {
+      continue;
+    }
+    const [, prefix, whole, cents, suffix] = match;
+    if (suffix && !CURRENCY_WORDS[suffix]) {
+      continue;
+    }
+    const value = Number(`${whole.replace(/,/g, '')}.${cents || '0'}`);
+    if (!(value > 0)) {
+      continue;
+    }
+    amount = value;
+    currency = CURRENCY_SYMBOLS[prefix] || CURRENCY_WORDS[prefix] || CURRENCY_WORDS[suffix] || null;
+    take(i, 1);
+    // A currency code just before or after the number ("usd 12", "12 rs")
+    if (!currency) {
+      const next = i + 1 < words.length && !used[i + 1] ? CURRENCY_WORDS[words[i + 1]] : null;
+      const previous = i > 0 && !used[i - 1] ? CURRENCY_WORDS[words[i - 1]] : null;
+      if (next) {
+        currency = next;
+        take(i + 1, 1);
+      } else if (previous) {
+        currency = previous;
+        take(i - 1, 1);
+      }
+    }
+  }
+
+  const description = tokens.filter((_, i) => !used[i]).join(' ');
+
+  // No hashtag named a category: look for a category name in the text,
+  // longest names first so "Eating Out" beats "Out"
+  if (!category) {
+    const lower = description.toLowerCase();
+    category =
+      [...categories]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find((c) =>
+          new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(c.name.toLowerCase())}($|[^\\p{L}\\p{N}])`, 'u').test(lower)
+        ) || null;
+    categorySource = category ? 'keyword' : null;
+  }
+
+  return {
+    amount,
+    currency,
+    date: date || today,
+    category: category ? category.name : null,
+    categorySource,
+    type: category ? category.type || 'expense' : 'expense',
+    tags,
+    description,
+  };
+};
+
+module.exports = { parseQuickAdd };
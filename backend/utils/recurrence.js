@@ -0,0 +1,73 @@
+const { parseDate, toDateString, addDays, daysInMonth } = require('./dates');
+
+/**
+ * Recurrence helpers
+ *
+ * Occurrences are counted from the rule's start date. Monthly and yearly
+ * rules keep the start date's day, clamped to the end of shorter months, so
+ * a rule starting on Jan 31 falls on Feb 28/29, Mar 31, Apr 30 and so on.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// How far back a rule may start; everything since then is back-filled
+const MAX_BACKFILL_DAYS = 366;
+
+// Occurrences generated for one rule in one run, enough for a daily rule
+// that starts as far back as allowed. Any more wait for the next run.
+const MAX_OCCURRENCES_PER_RUN = MAX_BACKFILL_DAYS + 1;
+
+/**
+ * Get the date of the nth occurrence of a rule
+ * @param {Object} rule - { frequency, startDate }
+ * @param {number} n - Zero-based occurrence index
+ * @returns {string} Occurrence date (YYYY-MM-DD)
+ */
+const nthOccurrence = ({ frequency, startDate }, n) => {
+  if (frequency === 'daily') {
+    return addDays(startDate, n);
+  }
+  if (frequency === 'weekly') {
+    return addDays(startDate, n * 7);
+  }
+
+  const start = parseDate(startDate);
+  const months = frequency === 'yearly' ? n * 12 : n;
+  const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + months) / 12);
+  const month = (start.getUTCMonth() + months) % 12;
+  const day = Math.min(start.getUTCDate(), daysInMonth(year, month));
+
+  return toDateString(new Date(Date.UTC(year, month, day)));
+};
+
+/**
+ * List the occurrences of a rule that are due but not yet generated, at
+ * most MAX_OCCURRENCES_PER_RUN of them
+ * @param {Object} rule - Stored recurring rule
+ * @param {string} upTo - Last date to include (usually today)
+ * @returns {Array<string>} Due occurrence dates in order
+ */
+const dueOccurrences = (rule, upTo) => {
+  const last = rule.endDate && rule.endDate < upTo ? rule.endDate : upTo;
+  const dates = [];
+
+  for (let n = 0; dates.length < MAX_OCCURRENCES_PER_RUN; n += 1) {
+    const date = nthOccurrence(rule, n);
+    if (date > last) {
+      break;
+    }
+    if (!rule.lastGeneratedDate || date > rule.lastGeneratedDate) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_BACKFILL_DAYS,
+  MAX_OCCURRENCES_PER_RUN,
+  nthOccurrence,
+  dueOccurrences,
+};
@@ -0,0 +1,246 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Monthly report as a PDF
+ *
+ * Lays out a report from buildMonthlyReport (see utils/reports.js) on A4
+ * pages with pdfkit's built-in Helvetica, so nothing beyond the server is
+ * needed to produce it. The built-in fonts only cover Western European
+ * characters, so amounts are written with currency codes rather than
+ * symbols.
+ */
+
+const MARGIN = 50;
+const COLORS = { text: '#111827', muted: '#6B7280', rule: '#D1D5DB', up: '#B91C1C', down: '#15803D' };
+
+/**
+ * Write an amount with its currency code ("INR 1,234.50")
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} Display text
+ */
+const formatMoney = (amount, currency) =>
+  `${currency} ${amount.toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Describe a change in spending ("+12.5%", or "new" when there was nothing
+ * to compare against)
+ * @param {Object} change - { amount, percent }
+ * @returns {string} Display text
+ */
+const formatChange = ({ amount, percent }) => {
+  if (amount === 0) {
+    return 'no change';
+  }
+  if (percent === null) {
+    return 'new';
+  }
+  return `${amount > 0 ? '+' : '-'}${Math.abs(percent).toFixed(1)}%`;
+};
+
+const monthLabel = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleString('en-US', {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * Draw a table, starting a new page when a row doesn't fit
+ * @param {PDFDocument} doc - The document
+ * @param {Array<Object>} columns - [{ header, width, align? }]
+ * @param {Array<Array<string>>} rows - Cell text, one array per row
+ */
+const drawTable = (doc, columns, rows) => {
+  const rowHeight = 18;
+  const bottom = doc.page.height - MARGIN;
+
+  const drawRow = (cells, { bold = false, color = COLORS.text } = {}) => {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      const fill = typeof cell === 'object' ? cell.color : color;
+      doc
+        .fillColor(fill)
+        // One line per cell; longer text is cut short with an ellipsis
+        .text(typeof cell === 'object' ? cell.text : cell, x + 2, y + 5, {
+          width: width - 4,
+          height: rowHeight - 6,
+          align,
+          ellipsis: true,
+        });
+      x += width;
+    });
+    doc
+      .moveTo(MARGIN, y + rowHeight)
+      .lineTo(x, y + rowHeight)
+      .strokeColor(COLORS.rule)
+      .lineWidth(0.5)
+      .stroke();
+    doc.x = MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(
+    columns.map((c) => c.header),
+    { bold: true, color: COLORS.muted }
+  );
+  rows.forEach((cells) => drawRow(cells));
+};
+
+const heading = (doc, text) => {
+  if (doc.y + 60 > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+  doc
+    .moveDown(1.2)
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .fillColor(COLORS.text)
+    .text(text, MARGIN)
+    .moveDown(0.4);
+};
+
+/**
+ * Write a monthly report to a stream as a PDF
+ * @param {Object} report - From buildMonthlyReport
+ * @param {stream.Writable} stream - Where the PDF goes (e.g. the response)
+ * @param {Object} options
+ * @param {string} options.currency - Currency the report's amounts are in
+ * @param {string} options.userName - Who the report is for
+ * @param {Array<string>} options.missingRates - Currencies left out for
+ *   want of an exchange rate
+ */
+const writeMonthlyReportPdf = (report, stream, { currency, userName, missingRates = [] }) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `Monthly report - ${monthLabel(report.month)}` },
+  });
+  doc.pipe(stream);
+  const money = (amount) => formatMoney(amount, currency);
+  const changeCell = (c) => ({
+    text: formatChange(c),
+    color: c.amount > 0 ? COLORS.up : c.amount < 0 ? COLORS.down : COLORS.muted,
+  });
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .fillColor(COLORS.text)
+    .text(`Monthly report: ${monthLabel(report.month)}`);
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor(COLORS.muted)
+    .text(
+      [
+        userName,
+        `${report.from} to ${report.to}`,
+        `amounts in ${currency}`,
+        `generated ${new Date().toISOString().slice(0, 10)}`,
+      ]
+        .filter(Boolean)
+        .join('  |  ')
+    );
+  if (missingRates.length > 0) {
+    doc.text(`Left out for want of an exchange rate: ${missingRates.join(', ')}`);
+  }
+
+  const { totals, comparison, dailyAverage } = report;
+  heading(doc, 'Overview');
+  drawTable(
+    doc,
+    [
+      { header: '', width: 135 },
+      { header: 'Spending', width: 100, align: 'right' },
+      { header: 'Income', width: 100, align: 'right' },
+      { header: 'Net', width: 80, align: 'right' },
+      { header: 'Spending change', width: 80, align: 'right' },
+    ],
+    [
+      [monthLabel(report.month), money(totals.expense), money(totals.income), money(totals.net), ''],
+      ...[comparison.previousMonth, comparison.sameMonthLastYear].map((period) => [
+        monthLabel(period.month),
+        money(period.expense),
+        money(period.income),
+        money(period.net),
+        changeCell(period.change),
+      ]),
+    ]
+  );
+
+  doc
+    .moveDown(0.6)
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor(COLORS.text)
+    .text(
+      `Average spending: ${money(dailyAverage.perDay)} a day over ${dailyAverage.days} day(s), ` +
+        `${money(dailyAverage.perSpendingDay)} on each of the ${dailyAverage.spendingDays} day(s) with spending ` +
+        `(previous month: ${money(dailyAverage.previousMonthPerDay)} a day).`,
+      MARGIN
+    );
+
+  heading(doc, 'Spending by category');
+  if (report.categories.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No spending in these months.');
+  } else {
+    drawTable(
+      doc,
+      [
+        { header: 'Category', width: 105 },
+        { header: 'This month', width: 85, align: 'right' },
+        { header: 'Share', width: 40, align: 'right' },
+        { header: 'Previous', width: 80, align: 'right' },
+        { header: 'Change', width: 50, align: 'right' },
+        { header: 'Last year', width: 80, align: 'right' },
+        { header: 'Change', width: 55, align: 'right' },
+      ],
+      report.categories.map((row) => [
+        row.category,
+        money(row.total),
+        `${row.share.toFixed(0)}%`,
+        money(row.previous),
+        changeCell(row.vsPrevious),
+        money(row.lastYear),
+        changeCell(row.vsLastYear),
+      ])
+    );
+  }
+
+  heading(doc, 'Largest expenses');
+  if (report.largestExpenses.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No expenses this month.');
+  } else {
+    drawTable(
+      doc,
+      [
+        { header: 'Date', width: 65 },
+        { header: 'Description', width: 190 },
+        { header: 'Category', width: 95 },
+        { header: 'Amount', width: 145, align: 'right' },
+      ],
+      report.largestExpenses.map((e) => [
+        e.date,
+        e.description || '-',
+        e.category,
+        e.originalCurrency === currency
+          ? money(e.amount)
+          : `${money(e.amount)} (${formatMoney(e.originalAmount, e.originalCurrency)})`,
+      ])
+    );
+  }
+
+  doc.end();
+};
+
+module.exports = { writeMonthlyReportPdf };
@@ -0,0 +1,205 @@
+const { parseDate, daysInMonth } = require('./dates');
+const { topLevelName } = require('./categories');
+
+/**
+ * Monthly report
+ *
+ * Sums up one calendar month of a user's transactions: spending by category
+ * set against the previous month and the same month a year earlier, the
+ * largest expenses and the average spent per day. Amounts are expected in
+ * one currency already (the caller converts them), and subcategories roll up
+ * into their top-level category as they do in the summary.
+ */
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Largest expenses listed in a report
+const LARGEST_EXPENSES = 10;
+
+/**
+ * Check that a value is a month in YYYY-MM form
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isMonthString = (value) => typeof value === 'string' && MONTH_PATTERN.test(value);
+
+/**
+ * Move a month forwards or backwards
+ * @param {string} month - YYYY-MM
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} YYYY-MM
+ */
+const shiftMonth = (month, months) => {
+  const [year, index] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, index - 1 + months, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+/**
+ * First and last day of a month
+ * @param {string} month - YYYY-MM
+ * @returns {Object} { from, to, days } with dates as YYYY-MM-DD
+ */
+const monthRange = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  const days = daysInMonth(year, index - 1);
+  return { from: `${month}-01`, to: `${month}-${String(days).padStart(2, '0')}`, days };
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Change from one amount to another
+ * @param {number} current - This period's amount
+ * @param {number} previous - The amount compared against
+ * @returns {Object} { amount, percent }; percent is null when there is
+ *   nothing to compare against
+ */
+const change = (current, previous) => ({
+  amount: round(current - previous),
+  percent: previous > 0 ? round(((current - previous) / previous) * 100) : null,
+});
+
+/**
+ * Spending and income of one month
+ * @param {Array} expenses - Converted transactions
+ * @param {string} month - YYYY-MM
+ * @param {Array} categories - The user's categories
+ * @returns {Object} { month, spending, income, byCategory (Map) }
+ */
+const monthTotals = (expenses, month, categories) => {
+  const inMonth = expenses.filter((e) => e.date.startsWith(`${month}-`));
+  const spending = inMonth.filter((e) => e.type !== 'income');
+  const byCategory = new Map();
+  spending.forEach((expense) => {
+    const name = topLevelName(categories, expense.category);
+    const entry = byCategory.get(name) || { total: 0, count: 0 };
+    entry.total += expense.amount;
+    entry.count += 1;
+    byCategory.set(name, entry);
+  });
+  return {
+    month,
+    spending,
+    expense: spending.reduce((sum, e) => sum + e.amount, 0),
+    income: inMonth
+      .filter((e) => e.type === 'income')
+      .reduce((sum, e) => sum + e.amount, 0),
+    byCategory,
+  };
+};
+
+/**
+ * Build the report for a month
+ * @param {Array} expenses - The user's transactions, with `amount` already
+ *   converted to the report currency and the original kept as
+ *   `originalAmount`/`originalCurrency`
+ * @param {string} month - YYYY-MM
+ * @param {Object} options
+ * @param {Array} options.categories - The user's categories
+ * @param {string} options.today - Today's date, so a month still under way
+ *   is averaged over the days so far
+ * @returns {Object} { month, from, to, totals, comparison, categories,
+ *   largestExpenses, dailyAverage, daily }
+ */
+const buildMonthlyReport = (expenses, month, { categories, today }) => {
+  const { from, to, days } = monthRange(month);
+  const current = monthTotals(expenses, month, categories);
+  const previous = monthTotals(expenses, shiftMonth(month, -1), categories);
+  const lastYear = monthTotals(expenses, shiftMonth(month, -12), categories);
+
+  const names = new Set([
+    ...current.byCategory.keys(),
+    ...previous.byCategory.keys(),
+    ...lastYear.byCategory.keys(),
+  ]);
+  const categoryRows = [...names]
+    .map((category) => {
+      const { total = 0, count = 0 } = current.byCategory.get(category) || {};
+      const previousTotal = (previous.byCategory.get(category) || { total: 0 }).total;
+      const lastYearTotal = (lastYear.byCategory.get(category) || { total: 0 }).total;
+      return {
+        category,
+        total: round(total),
+        count,
+        share: current.expense > 0 ? round((total / current.expense) * 100) : 0,
+        previous: round(previousTotal),
+        lastYear: round(lastYearTotal),
+        vsPrevious: change(total, previousTotal),
+        vsLastYear: change(total, lastYearTotal),
+      };
+    })
+    .sort((a, b) => b.total - a.total || b.previous - a.previous);
+
+  const largestExpenses = [...current.spending]
+    .sort((a, b) => b.amount - a.amount || b.date.localeCompare(a.date))
+    .slice(0, LARGEST_EXPENSES)
+    .map((e) => ({
+      id: e.id,
+      date: e.date,
+      description: e.description,
+      category: e.category,
+      amount: round(e.amount),
+      originalAmount: e.originalAmount,
+      originalCurrency: e.originalCurrency,
+    }));
+
+  // A month still under way is averaged over the days so far
+  const daysCounted =
+    today >= to ? days : today < from ? 0 : parseDate(today).getUTCDate();
+  const daily = Array.from({ length: days }, (_, i) => {
+    const date = `${month}-${String(i + 1).padStart(2, '0')}`;
+    return {
+      date,
+      total: round(
+        current.spending
+          .filter((e) => e.date === date)
+          .reduce((sum, e) => sum + e.amount, 0)
+      ),
+    };
+  });
+  const spendingDays = daily.filter((d) => d.total > 0).length;
+  const previousDays = monthRange(previous.month).days;
+
+  const summarize = (totals) => ({
+    month: totals.month,
+    expense: round(totals.expense),
+    income: round(totals.income),
+    net: round(totals.income - totals.expense),
+  });
+
+  return {
+    month,
+    from,
+    to,
+    totals: { ...summarize(current), count: current.spending.length },
+    comparison: {
+      previousMonth: {
+        ...summarize(previous),
+        change: change(current.expense, previous.expense),
+      },
+      sameMonthLastYear: {
+        ...summarize(lastYear),
+        change: change(current.expense, lastYear.expense),
+      },
+    },
+    categories: categoryRows,
+    largestExpenses,
+    dailyAverage: {
+      days: daysCounted,
+      perDay: daysCounted > 0 ? round(current.expense / daysCounted) : 0,
+      spendingDays,
+      perSpendingDay: spendingDays > 0 ? round(current.expense / spendingDays) : 0,
+      previousMonthPerDay: round(previous.expense / previousDays),
+    },
+    daily,
+  };
+};
+
+module.exports = {
+  LARGEST_EXPENSES,
+  isMonthString,
+  shiftMonth,
+  monthRange,
+  buildMonthlyReport,
+};
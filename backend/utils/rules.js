@@ -0,0 +1,376 @@
+const { MAX_TAGS } = require('./tags');
+const { categoryType } = require('./categories');
+
+/**
+ * Auto-categorization rules
+ *
+ * A rule ({ id, userId, name, pattern, matchType, minAmount, maxAmount,
+ * category, tags, enabled, createdAt }) matches an expense when its
+ * description contains `pattern` (or matches it as a regular expression
+ * when matchType is 'regex'; both ignore case) and its amount lies within
+ * minAmount..maxAmount, compared in the expense's own currency. A rule needs
+ * a pattern, an amount bound or both.
+ *
+ * Rules are tried oldest first and the first match wins: the expense takes
+ * the rule's category and gains its tags. A rule only applies to
+ * transactions of its category's type, so an income rule never turns a
+ * purchase into income.
+ *
+ * Regular expressions run on the server for every new and imported
+ * expense, so patterns that can backtrack for a very long time (see
+ * findUnsafeRegex) are refused, and each pattern is compiled once.
+ */
+
+const RULE_MATCH_TYPES = ['contains', 'regex'];
+const MAX_PATTERN_LENGTH = 200;
+
+// Only the start of a description is matched against, so a very long one
+// can't make a pattern slow (descriptions are limited to this when saved)
+const MAX_MATCHED_LENGTH = 500;
+
+// How many ways the quantifiers in a pattern may divide up a description,
+// counted as the product of how many lengths each can take (an unbounded one
+// can take MAX_MATCHED_LENGTH). A failed match can try every one of them at
+// every position, so this allows one *, + or {n,} and little beside it.
+const MAX_QUANTIFIER_CHOICES = 4 * MAX_MATCHED_LENGTH;
+
+/**
+ * Find what makes a regular expression liable to catastrophic backtracking.
+ * Deliberately strict: a repeated group may hold neither a quantifier nor
+ * an alternation (`(a+)+`, `(a|a)*`), backreferences aren't allowed, and
+ * the quantifiers together, bounded ones included, may take at most
+ * MAX_QUANTIFIER_CHOICES combinations of lengths (`.*.*`,
+ * `[a-z]{0,100}[a-z]{0,100}` and a dozen `a?` are all too many).
+ * @param {string} pattern - A pattern that compiles
+ * @returns {string|null} What is wrong, or null if the pattern is safe
+ */
+const findUnsafeRegex = (pattern) => {
+  // One entry per open group: whether it holds a quantifier or a |
+  const groups = [{ quantified: false, alternation: false }];
+  let choices = 1;
+
+  // Read a quantifier at `index`: { length, repeats, choices }, or null,
+  // where choices is how many repeat counts it allows
+  const readQuantifier = (index) => {
+    const char = pattern[index];
+    let length = 1;
+    let min = 0;
+    let max = Infinity;
+    if (char === '*' || char === '+') {
+      min = char === '+' ? 1 : 0;
+    } else if (char === '?') {
+      max = 1;
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+      if (!match) {
+        return null;
+      }
+      length = match[0].length;
+      min = Number(match[1]);
+      if (!match[2]) {
+        max = min;
+      } else if (match[3] !== '') {
+        max = Number(match[3]);
+      }
+    } else {
+      return null;
+    }
+    // A lazy quantifier backtracks just the same
+    if (pattern[index + length] === '?') {
+      length += 1;
+    }
+    return {
+      length,
+      repeats: max > 1,
+      choices: Math.max(Math.min(max, MAX_MATCHED_LENGTH) - min, 0) + 1,
+    };
+  };
+
+  let index = 0;
+  while (index < pattern.length) {
+    const char = pattern[index];
+    const current = groups[groups.length - 1];
+    let atomEnd = index + 1;
+    let closed = null;
+
+    if (char === '\\') {
+      if (/[1-9]/.test(pattern[index + 1]) || pattern[index + 1] === 'k') {
+        return 'Backreferences are not allowed';
+      }
+      atomEnd = index + 2;
+    } else if (char === '[') {
+      // Skip the character class; ] right after [ or [^ is a literal
+      atomEnd = index + 1;
+      if (pattern[atomEnd] === '^') {
+        atomEnd += 1;
+      }
+      if (pattern[atomEnd] === ']') {
+        atomEnd += 1;
+      }
+      while (atomEnd < pattern.length && pattern[atomEnd] !== ']') {
+        atomEnd += pattern[atomEnd] === '\\' ? 2 : 1;
+      }
+      atomEnd += 1;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      index += 1;
+      continue;
+    } else if (char === ')') {
+      closed = groups.pop();
+    } else if (char === '|') {
+      current.alternation = true;
+      index += 1;
+      continue;
+    }
+
+    const quantifier = readQuantifier(atomEnd);
+    const parent = groups[groups.length - 1];
+    if (closed && closed.quantified) {
+      parent.quantified = true;
+    }
+    if (quantifier) {
+      if (closed && quantifier.repeats && (closed.quantified || closed.alternation)) {
+        return 'Repeating a group that holds a quantifier or | is not allowed';
+      }
+      choices *= quantifier.choices;
+      if (choices > MAX_QUANTIFIER_CHOICES) {
+        return 'Too many quantifiers: use at most one *, + or {n,} and keep other repeats small';
+      }
+      parent.quantified = true;
+      atomEnd += quantifier.length;
+    }
+    index = atomEnd;
+  }
+  return null;
+};
+
+// Compiled patterns by source; null for one that is unsafe or invalid
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 1000;
+
+/**
+ * Compile a rule's regular expression, or fetch it from the cache
+ * @param {string} pattern - Pattern source
+ * @returns {RegExp|null} The expression, or null if it can't be used
+ */
+const compilePattern = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+      compiledPatterns.clear();
+    }
+    let regex = null;
+    try {
+      regex = findUnsafeRegex(pattern) ? null : new RegExp(pattern, 'i');
+    } catch (error) {
+      regex = null;
+    }
+    compiledPatterns.set(pattern, regex);
+  }
+  return compiledPatterns.get(pattern);
+};
+
+/**
+ * Check the parts of a rule that depend on each other
+ * @param {Object} rule - Rule fields after defaults are applied
+ * @returns {Object|null} Field -> message, or null if valid
+ */
+const validateRule = (rule) => {
+  const hasBound = rule.minAmount !== null || rule.maxAmount !== null;
+  if (!rule.pattern && !hasBound) {
+    return { pattern: 'Give a description pattern, an amount range or both' };
+  }
+  if (rule.pattern && rule.matchType === 'regex') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return { pattern: 'Pattern is not a valid regular expression' };
+    }
+    const unsafe = findUnsafeRegex(rule.pattern);
+    if (unsafe) {
+      return { pattern: `Pattern could be too slow to run: ${unsafe}` };
+    }
+  }
+  if (
+    rule.minAmount !== null &&
+    rule.maxAmount !== null &&
+    rule.minAmount > rule.maxAmount
+  ) {
+    return { maxAmount: 'Maximum amount must not be below the minimum' };
+  }
+  return null;
+};
+
+/**
+ * Check whether a rule matches an expense
+ * @param {Object} rule - Rule record
+ * @param {Object} expense - { description, amount }; an amount that isn't a
+ *   number never falls within a range
+ * @returns {boolean} True if it matches; a regex rule saved before its
+ *   pattern was refused as unsafe never matches
+ */
+const ruleMatches = (rule, expense) => {
+  if (rule.pattern) {
+    const description = String(expense.description || '').slice(0, MAX_MATCHED_LENGTH);
+    let matched;
+    if (rule.matchType === 'regex') {
+      const regex = compilePattern(rule.pattern);
+      matched = Boolean(regex) && regex.test(description);
+    } else {
+      matched = description.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+    if (!matched) {
+      return false;
+    }
+  }
+  if (rule.minAmount !== null || rule.maxAmount !== null) {
+    const { amount } = expense;
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      return false;
+    }
+    if (rule.minAmount !== null && amount < rule.minAmount) {
+      return false;
+    }
+    if (rule.maxAmount !== null && amount > rule.maxAmount) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Find the first enabled rule that matches an expense
+ * @param {Array} rules - The user's rules, oldest first
+ * @param {Object} expense - { description, amount, type? }; without a type,
+ *   rules of either type may match
+ * @param {Array} categories - The user's categories, for rule types
+ * @returns {Object|null} The matching rule
+ */
+const findMatchingRule = (rules, expense, categories) =>
+  rules.find(
+    (rule) =>
+      rule.enabled !== false &&
+      (!expense.type ||
+        categoryType(categories, rule.category) === expense.type) &&
+      ruleMatches(rule, expense)
+  ) || null;
+
+/**
+ * Merge a rule's tags into an expense's. Tags that don't fit under the
+ * per-expense limit are left off.
+ * @param {Array<string>} tags - The expense's tags
+ * @param {Array<string>} ruleTags - The rule's tags
+ * @returns {Array<string>} Sorted, unique tags
+ */
+const mergeTags = (tags, ruleTags) => {
+  const merged = [...tags];
+  ruleTags.forEach((tag) => {
+    if (!merged.includes(tag) && merged.length < MAX_TAGS) {
+      merged.push(tag);
+    }
+  });
+  return merged.sort();
+};
+
+/**
+ * Work out what re-running rules would change on stored expenses
+ * @param {Array} rules - Rules to run, oldest first
+ * @param {Array} expenses - The expenses to check
+ * @param {Array} categories - The user's categories
+ * @returns {Array<Object>} [{ expense, rule, changes }] for each expense a
+ *   rule would change
+ */
+const planRuleRun = (rules, expenses, categories) =>
+  expenses.flatMap((expense) => {
+    const rule = findMatchingRule(
+      rules,
+      { ...expense, type: expense.type || 'expense' },
+      categories
+    );
+    if (!rule) {
+      return [];
+    }
+
+    const changes = {};
+    if (rule.category !== expense.category) {
+      changes.category = rule.category;
+    }
+    const tags = mergeTags(expense.tags || [], rule.tags || []);
+    if (tags.length !== (expense.tags || []).length) {
+      changes.tags = tags;
+    }
+    return Object.keys(changes).length > 0 ? [{ expense, rule, changes }] : [];
+  });
+
+// Words worth comparing: letters and digits, ignoring case, without bare
+// numbers (amounts, dates and order numbers vary between purchases)
+const descriptionWords = (description) =>
+  (String(description || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (word) => !/^\d+$/.test(word)
+  );
+
+/**
+ * Suggest a category for an expense being typed: the first matching rule,
+ * or else the category used most often for similar past descriptions (every
+ * word typed starts a word of the past description; ties go to the most
+ * recent)
+ * @param {Array} rules - The user's rules, oldest first
+ * @param {Array} expenses - The user's stored expenses
+ * @param {Object} expense - { description, amount?, type? }
+ * @param {Array} categories - The user's categories
+ * @returns {Object|null} { category, tags, source: 'rule', ruleId } or
+ *   { category, tags: [], source: 'history', count }, or null
+ */
+const suggestCategory = (rules, expenses, expense, categories) => {
+  const rule = findMatchingRule(rules, expense, categories);
+  if (rule) {
+    return {
+      category: rule.category,
+      tags: rule.tags || [],
+      source: 'rule',
+      ruleId: rule.id,
+    };
+  }
+
+  const typed = descriptionWords(expense.description);
+  if (typed.length === 0) {
+    return null;
+  }
+
+  const byCategory = new Map();
+  expenses.forEach((past) => {
+    if (expense.type && (past.type || 'expense') !== expense.type) {
+      return;
+    }
+    const words = descriptionWords(past.description);
+    if (!typed.every((t) => words.some((word) => word.startsWith(t)))) {
+      return;
+    }
+    const entry = byCategory.get(past.category) || {
+      category: past.category,
+      count: 0,
+      lastDate: '',
+    };
+    entry.count += 1;
+    entry.lastDate = past.date > entry.lastDate ? past.date : entry.lastDate;
+    byCategory.set(past.category, entry);
+  });
+
+  const [best] = [...byCategory.values()].sort(
+    (a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate)
+  );
+  return best
+    ? { category: best.category, tags: [], source: 'history', count: best.count }
+    : null;
+};
+
+module.exports = {
+  RULE_MATCH_TYPES,
+  MAX_PATTERN_LENGTH,
+  findUnsafeRegex,
+  validateRule,
+  ruleMatches,
+  findMatchingRule,
+  mergeTags,
+  planRuleRun,
+  suggestCategory,
+};
@@ -0,0 +1,349 @@
+const {
+  TRANSACTION_TYPES,
+  findCategory,
+  MAX_ICON_LENGTH,
+} = require('./categories');
+const { ACCOUNT_TYPES } = require('./accounts');
+const { RULE_MATCH_TYPES, MAX_PATTERN_LENGTH } = require('./rules');
+const { FREQUENCIES } = require('./recurrence');
+const { BUDGET_PERIODS } = require('./budgets');
+const { MAX_NAME_LENGTH } = require('./splits');
+
+/**
+ * Request schemas for sign-up and login, and for expense, category,
+ * account, rule, recurring rule, budget, exchange rate and settlement
+ * writes (see utils/validation.js for the rule format). Checks that need
+ * the user's data or the server's settings read them from the validation
+ * context:
+ * - categories: the user's category records
+ * - accounts: the user's account records
+ * - baseCurrency: the currency amounts are converted to
+ */
+
+const MAX_AMOUNT = 1e12;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_CATEGORY_NAME_LENGTH = 50;
+const MAX_CLIENT_ID_LENGTH = 64;
+const MAX_ACCOUNT_NAME_LENGTH = 50;
+const MAX_NOTE_LENGTH = 200;
+const MAX_RULE_NAME_LENGTH = 50;
+const MAX_QUICK_ADD_LENGTH = 500;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_USER_NAME_LENGTH = 100;
+
+// Longest bulk date shift, in days, either way
+const MAX_SHIFT_DAYS = 3660;
+
+const categoryExists = (name, { categories }) =>
+  findCategory(categories, name) ? null : `Category "${name}" does not exist`;
+
+const accountExists = (id, { accounts }) =>
+  accounts.some((a) => a.id === id) ? null : 'Account does not exist';
+
+// POST /api/auth/login. The string type trims what it returns, so the
+// routes read the password from the body as sent.
+const LOGIN_SCHEMA = {
+  email: {
+    type: 'string',
+    required: true,
+    maxLength: MAX_EMAIL_LENGTH,
+    label: 'Email',
+  },
+  password: {
+    type: 'string',
+    required: true,
+    maxLength: MAX_PASSWORD_LENGTH,
+    label: 'Password',
+  },
+};
+
+// POST /api/auth/register. The minimum password length is checked by the
+// route, on the password as sent.
+const REGISTER_SCHEMA = {
+  ...LOGIN_SCHEMA,
+  name: { type: 'string', maxLength: MAX_USER_NAME_LENGTH, label: 'Name' },
+};
+
+// POST /api/expenses, and PUT with { partial: true }. `split` is checked
+// against the amount by utils/splits.js, and `type` against the category by
+// the routes.
+const EXPENSE_SCHEMA = {
+  type: { type: 'string', oneOf: TRANSACTION_TYPES, label: 'Type' },
+  amount: { type: 'amount', required: true, max: MAX_AMOUNT, label: 'Amount' },
+  currency: { type: 'currency', label: 'Currency' },
+  category: {
+    type: 'string',
+    required: true,
+    label: 'Category',
+    check: categoryExists,
+  },
+  date: { type: 'date', required: true, label: 'Date' },
+  description: {
+    type: 'string',
+    maxLength: MAX_DESCRIPTION_LENGTH,
+    label: 'Description',
+  },
+  tags: { type: 'tags' },
+  split: { type: 'object', nullable: true, label: 'Split' },
+  accountId: { type: 'string', label: 'Account', check: accountExists },
+  clientId: {
+    type: 'string',
+    maxLength: MAX_CLIENT_ID_LENGTH,
+    label: 'clientId',
+  },
+  version: { type: 'integer', min: 1, label: 'Version' },
+};
+
+// POST /api/expenses/parse
+const QUICK_ADD_SCHEMA = {
+  text: {
+    type: 'string',
+    required: true,
+    maxLength: MAX_QUICK_ADD_LENGTH,
+    label: 'Text',
+  },
+  today: { type: 'date', label: 'today' },
+};
+
+// POST /api/categories, and PUT with { partial: true }. Whether the name is
+// free and the parent can take children depends on the category being
+// changed, so the routes check those.
+const CATEGORY_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: MAX_CATEGORY_NAME_LENGTH,
+    label: 'Category name',
+  },
+  color: { type: 'color', label: 'Color' },
+  icon: { type: 'string', maxLength: MAX_ICON_LENGTH, label: 'Icon' },
+  type: { type: 'string', oneOf: TRANSACTION_TYPES, label: 'Type' },
+  parent: {
+    type: 'string',
+    nullable: true,
+    label: 'Parent',
+    check: categoryExists,
+  },
+};
+
+// POST /api/categories/:name/merge
+const MERGE_SCHEMA = {
+  into: {
+    type: 'string',
+    required: true,
+    label: 'into',
+    check: categoryExists,
+  },
+};
+
+// POST /api/accounts, and PUT with { partial: true }. Card balances may go
+// below zero, so the opening balance can be negative.
+const ACCOUNT_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: MAX_ACCOUNT_NAME_LENGTH,
+    label: 'Account name',
+  },
+  type: { type: 'string', oneOf: ACCOUNT_TYPES, label: 'Type' },
+  currency: { type: 'currency', label: 'Currency' },
+  openingBalance: {
+    type: 'number',
+    min: -MAX_AMOUNT,
+    max: MAX_AMOUNT,
+    label: 'Opening balance',
+  },
+};
+
+// POST /api/accounts/transfers
+const TRANSFER_SCHEMA = {
+  fromAccountId: {
+    type: 'string',
+    required: true,
+    label: 'From account',
+    check: accountExists,
+  },
+  toAccountId: {
+    type: 'string',
+    required: true,
+    label: 'To account',
+    check: accountExists,
+  },
+  amount: { type: 'amount', required: true, max: MAX_AMOUNT, label: 'Amount' },
+  currency: { type: 'currency', label: 'Currency' },
+  date: { type: 'date', label: 'Date' },
+  note: { type: 'string', maxLength: MAX_NOTE_LENGTH, label: 'Note' },
+};
+
+// POST /api/recurring, and PUT with { partial: true }. As with expenses,
+// `type` comes from the category and a `type` sent only has to match it;
+// the end date is checked against the start date by the routes.
+const RECURRING_SCHEMA = {
+  type: { type: 'string', oneOf: TRANSACTION_TYPES, label: 'Type' },
+  amount: { type: 'amount', required: true, max: MAX_AMOUNT, label: 'Amount' },
+  currency: { type: 'currency', label: 'Currency' },
+  category: {
+    type: 'string',
+    required: true,
+    label: 'Category',
+    check: categoryExists,
+  },
+  description: {
+    type: 'string',
+    maxLength: MAX_DESCRIPTION_LENGTH,
+    label: 'Description',
+  },
+  frequency: {
+    type: 'string',
+    required: true,
+    oneOf: FREQUENCIES,
+    label: 'Frequency',
+  },
+  startDate: { type: 'date', required: true, label: 'Start date' },
+  endDate: { type: 'date', nullable: true, label: 'End date' },
+  accountId: { type: 'string', label: 'Account', check: accountExists },
+  paused: { type: 'boolean', label: 'paused' },
+};
+
+// POST /api/budgets, and PUT with { partial: true }. Whether the user already
+// has a budget for the category and period is checked by the routes.
+const BUDGET_SCHEMA = {
+  category: {
+    type: 'string',
+    required: true,
+    label: 'Category',
+    check: (name, context) =>
+      categoryExists(name, context) ||
+      (findCategory(context.categories, name).type === 'expense'
+        ? null
+        : 'Budgets can only be set on expense categories'),
+  },
+  period: { type: 'string', oneOf: BUDGET_PERIODS, label: 'Period' },
+  limit: { type: 'amount', required: true, max: MAX_AMOUNT, label: 'Limit' },
+};
+
+// PUT /api/rates/:currency, with the currency from the path
+const RATE_SCHEMA = {
+  currency: {
+    type: 'currency',
+    required: true,
+    label: 'Currency',
+    check: (code, { baseCurrency }) =>
+      code === baseCurrency
+        ? `Currency must be other than the base currency (${baseCurrency})`
+        : null,
+  },
+  rate: { type: 'amount', required: true, max: MAX_AMOUNT, label: 'Rate' },
+};
+
+// POST /api/rates/import. The content itself is read by parseRatesFile
+// (utils/currency.js).
+const RATE_IMPORT_SCHEMA = {
+  format: {
+    type: 'string',
+    required: true,
+    oneOf: ['json', 'csv'],
+    label: 'Format',
+  },
+  content: { type: 'string', required: true, label: 'File content' },
+};
+
+// POST /api/balances/settle. `from` is the person who paid back.
+const SETTLEMENT_SCHEMA = {
+  from: {
+    type: 'string',
+    required: true,
+    maxLength: MAX_NAME_LENGTH,
+    label: 'from',
+  },
+  to: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH, label: 'to' },
+  amount: { type: 'amount', required: true, max: MAX_AMOUNT, label: 'Amount' },
+  currency: { type: 'currency', label: 'Currency' },
+  date: { type: 'date', label: 'Date' },
+  note: { type: 'string', maxLength: MAX_NOTE_LENGTH, label: 'Note' },
+};
+
+// POST /api/rules, and PUT with { partial: true }. Whether the pattern is a
+// valid regular expression and the range is the right way round are checked
+// on the whole rule by utils/rules.js.
+const RULE_SCHEMA = {
+  name: { type: 'string', maxLength: MAX_RULE_NAME_LENGTH, label: 'Rule name' },
+  pattern: {
+    type: 'string',
+    maxLength: MAX_PATTERN_LENGTH,
+    label: 'Pattern',
+  },
+  matchType: { type: 'string', oneOf: RULE_MATCH_TYPES, label: 'Match type' },
+  minAmount: {
+    type: 'number',
+    nullable: true,
+    min: 0,
+    max: MAX_AMOUNT,
+    label: 'Minimum amount',
+  },
+  maxAmount: {
+    type: 'number',
+    nullable: true,
+    min: 0,
+    max: MAX_AMOUNT,
+    label: 'Maximum amount',
+  },
+  category: {
+    type: 'string',
+    required: true,
+    label: 'Category',
+    check: categoryExists,
+  },
+  tags: { type: 'tags' },
+  enabled: { type: 'boolean', label: 'enabled' },
+};
+
+const BULK_TAGS = {
+  type: 'tags',
+  required: true,
+  check: (tags) => (tags.length === 0 ? 'List at least one tag' : null),
+};
+
+// POST /api/expenses/bulk: the fields each action takes (see utils/bulk.js)
+const BULK_ACTION_SCHEMAS = {
+  delete: {},
+  setCategory: {
+    category: {
+      type: 'string',
+      required: true,
+      label: 'Category',
+      check: categoryExists,
+    },
+  },
+  addTags: { tags: BULK_TAGS },
+  removeTags: { tags: BULK_TAGS },
+  shiftDate: {
+    days: {
+      type: 'integer',
+      required: true,
+      min: -MAX_SHIFT_DAYS,
+      max: MAX_SHIFT_DAYS,
+      label: 'days',
+      check: (days) => (days === 0 ? 'days must not be 0' : null),
+    },
+  },
+};
+
+module.exports = {
+  LOGIN_SCHEMA,
+  REGISTER_SCHEMA,
+  EXPENSE_SCHEMA,
+  QUICK_ADD_SCHEMA,
+  CATEGORY_SCHEMA,
+  MERGE_SCHEMA,
+  ACCOUNT_SCHEMA,
+  TRANSFER_SCHEMA,
+  RULE_SCHEMA,
+  RECURRING_SCHEMA,
+  BUDGET_SCHEMA,
+  RATE_SCHEMA,
+  RATE_IMPORT_SCHEMA,
+  SETTLEMENT_SCHEMA,
+  BULK_ACTION_SCHEMAS,
+};
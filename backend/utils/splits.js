@@ -0,0 +1,247 @@
+/**
+ * Split expense helpers
+ *
+ * A split records who shared an expense and who paid for it:
+ *
+ *   { paidBy: 'You', method: 'equal' | 'percentage' | 'exact',
+ *     participants: [{ name, share, amount }] }
+ *
+ * `share` is what was entered (a percentage, an exact amount, or null for
+ * equal splits) and `amount` is each person's part of the bill in the
+ * expense's currency. People are plain names; SELF is the account holder.
+ */
+
+const SPLIT_METHODS = ['equal', 'percentage', 'exact'];
+
+const SELF = 'You';
+
+const MAX_PARTICIPANTS = 50;
+const MAX_NAME_LENGTH = 60;
+
+// Largest rounding difference tolerated when shares are added up
+const TOLERANCE = 0.01;
+
+const toCents = (value) => Math.round(value * 100);
+
+/**
+ * Find a person in a list, ignoring case
+ * @param {Array<string>} names - Names to search
+ * @param {string} name - Name to find
+ * @returns {string|undefined} The name as written in the list
+ */
+const findPerson = (names, name) =>
+  names.find((n) => n.toLowerCase() === name.toLowerCase());
+
+/**
+ * Share out a number of cents by weight, handing the cents lost to rounding
+ * to the first people so the parts always add up to the total
+ * @param {number} totalCents - Amount to share out
+ * @param {Array<number>} weights - One weight per person
+ * @returns {Array<number>} Cents per person
+ */
+const allocateCents = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const parts = weights.map((w) =>
+    weightSum === 0 ? 0 : Math.floor((totalCents * w) / weightSum)
+  );
+  let remainder = totalCents - parts.reduce((sum, p) => sum + p, 0);
+  for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i] += 1;
+      remainder -= 1;
+    }
+  }
+  return parts;
+};
+
+/**
+ * Validate a split and work out each participant's amount
+ * @param {Object} split - Split as sent by the client
+ * @param {number} amount - The expense amount
+ * @returns {Object} { split } or { error }
+ */
+const normalizeSplit = (split, amount) => {
+  if (!split || typeof split !== 'object' || Array.isArray(split)) {
+    return { error: 'split must be an object' };
+  }
+
+  const method = split.method || 'equal';
+  if (!SPLIT_METHODS.includes(method)) {
+    return { error: `split.method must be one of: ${SPLIT_METHODS.join(', ')}` };
+  }
+
+  if (!Array.isArray(split.participants) || split.participants.length === 0) {
+    return { error: 'split.participants must list at least one person' };
+  }
+  if (split.participants.length > MAX_PARTICIPANTS) {
+    return { error: `A split can have at most ${MAX_PARTICIPANTS} participants` };
+  }
+
+  const names = [];
+  for (const participant of split.participants) {
+    const name = String((participant && participant.name) || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return {
+        error: `Participant names must be 1-${MAX_NAME_LENGTH} characters`,
+      };
+    }
+    if (findPerson(names, name)) {
+      return { error: `${name} is listed more than once` };
+    }
+    names.push(name);
+  }
+
+  const paidByInput = String(split.paidBy || SELF).trim();
+  const paidBy = findPerson(names, paidByInput) || paidByInput;
+  if (!paidBy || paidBy.length > MAX_NAME_LENGTH) {
+    return { error: `paidBy must be 1-${MAX_NAME_LENGTH} characters` };
+  }
+  if (names.every((name) => name === paidBy)) {
+    return { error: 'A split needs someone other than the payer' };
+  }
+
+  const totalCents = toCents(amount);
+  let shares = names.map(() => null);
+  let cents;
+
+  if (method === 'equal') {
+    cents = allocateCents(totalCents, names.map(() => 1));
+  } else {
+    shares = split.participants.map((p) => Number(p.share));
+    if (shares.some((share) => isNaN(share) || share < 0)) {
+      return { error: 'Each participant needs a share of 0 or more' };
+    }
+    const shareSum = shares.reduce((sum, share) => sum + share, 0);
+
+    if (method === 'percentage') {
+      if (Math.abs(shareSum - 100) > TOLERANCE) {
+        return { error: `Percentages must add up to 100 (they add up to ${shareSum})` };
+      }
+      cents = allocateCents(totalCents, shares);
+    } else {
+      if (Math.abs(shareSum - amount) > TOLERANCE) {
+        return {
+          error: `Exact amounts must add up to ${amount} (they add up to ${shareSum})`,
+        };
+      }
+      cents = shares.map(toCents);
+    }
+  }
+
+  return {
+    split: {
+      paidBy,
+      method,
+      participants: names.map((name, i) => ({
+        name,
+        share: shares[i],
+        amount: cents[i] / 100,
+      })),
+    },
+  };
+};
+
+/**
+ * Work out everyone's net position from split expenses and settlements.
+ * Positive means the person is owed money, negative means they owe.
+ * @param {Array} expenses - Expenses (ones without a split are ignored)
+ * @param {Array} settlements - Recorded payments: { from, to, amount, currency }
+ * @param {Function} convert - (amount, currency) => amount in the base
+ *   currency, or null when there is no rate
+ * @returns {Object} { balances: Map of name -> net, missingRates: Set }
+ */
+const computeBalances = (expenses, settlements, convert) => {
+  const balances = new Map();
+  const missingRates = new Set();
+  // People are matched case-insensitively; the first spelling seen is kept
+  const names = new Map();
+  const adjust = (person, delta) => {
+    const key = person.toLowerCase();
+    if (!names.has(key)) {
+      names.set(key, person);
+    }
+    const name = names.get(key);
+    balances.set(name, (balances.get(name) || 0) + delta);
+  };
+
+  expenses
+    .filter((expense) => expense.split)
+    .forEach((expense) => {
+      const { paidBy, participants } = expense.split;
+      participants
+        .filter((p) => p.name.toLowerCase() !== paidBy.toLowerCase())
+        .forEach((p) => {
+          const owed = convert(p.amount, expense.currency);
+          if (owed === null) {
+            missingRates.add(expense.currency);
+            return;
+          }
+          adjust(paidBy, owed);
+          adjust(p.name, -owed);
+        });
+    });
+
+  settlements.forEach((settlement) => {
+    const paid = convert(settlement.amount, settlement.currency);
+    if (paid === null) {
+      missingRates.add(settlement.currency);
+      return;
+    }
+    adjust(settlement.from, paid);
+    adjust(settlement.to, -paid);
+  });
+
+  balances.forEach((net, name) =>
+    balances.set(name, Math.round(net * 100) / 100)
+  );
+  return { balances, missingRates };
+};
+
+/**
+ * Turn net balances into as few payments as possible: the person who owes
+ * the most pays the person owed the most until everyone is square
+ * @param {Map} balances - Name -> net (positive means owed)
+ * @returns {Array} [{ from, to, amount }]
+ */
+const simplifyDebts = (balances) => {
+  const creditors = [];
+  const debtors = [];
+  balances.forEach((net, name) => {
+    const cents = toCents(net);
+    if (cents > 0) {
+      creditors.push({ name, cents });
+    } else if (cents < 0) {
+      debtors.push({ name, cents: -cents });
+    }
+  });
+
+  const byLargest = (a, b) => b.cents - a.cents || a.name.localeCompare(b.name);
+  const debts = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byLargest);
+    debtors.sort(byLargest);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    debts.push({ from: debtor.name, to: creditor.name, amount: cents / 100 });
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) {
+      creditors.shift();
+    }
+    if (debtor.cents === 0) {
+      debtors.shift();
+    }
+  }
+  return debts;
+};
+
+module.exports = {
+  SPLIT_METHODS,
+  SELF,
+  MAX_NAME_LENGTH,
+  normalizeSplit,
+  computeBalances,
+  simplifyDebts,
+};
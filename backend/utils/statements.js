@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const { isDateString } = require('./dates');
+const { isValidCurrency } = require('./currency');
+const { findMatchingRule } = require('./rules');
+const { findExpenseErrors } = require('./importer');
+
+/**
+ * Bank statement helpers (OFX and QIF)
+ *
+ * Unlike a CSV export, these formats say which column is which, so they
+ * import without a mapping. Each transaction carries an ID that stays the
+ * same across downloads (OFX's FITID, QIF's N line), which is stored on the
+ * expense as `sourceId` so re-importing an overlapping statement skips the
+ * transactions already recorded.
+ *
+ * Debits become expenses. Credits become income only when the import names
+ * an income category for them; otherwise they are skipped.
+ */
+
+// QIF dates carry no hint of their order; Quicken's own exports are US-style
+const QIF_DATE_ORDERS = ['MDY', 'DMY'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) =>
+  text.replace(/&(amp|lt|gt|quot|apos|nbsp);/gi, (_, name) => ENTITIES[name.toLowerCase()]);
+
+/**
+ * Tell an OFX file from a QIF file by its content
+ * @param {string} text - File content
+ * @returns {string|null} 'ofx', 'qif', or null for anything else
+ */
+const detectStatementFormat = (text) => {
+  const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 1000);
+  if (/^OFXHEADER/i.test(head) || /<OFX>/i.test(head)) {
+    return 'ofx';
+  }
+  if (/^!(Type|Account|Option)/i.test(head)) {
+    return 'qif';
+  }
+  return null;
+};
+
+/**
+ * Read a signed amount ("-1,234.56")
+ * @param {string} value - Raw amount text
+ * @returns {number|null} Amount, or null if unreadable
+ */
+const parseSignedAmount = (value) => {
+  const cleaned = String(value || '').replace(/[\s,]/g, '');
+  return /^[-+]?\d+(\.\d+)?$/.test(cleaned) ? Math.round(parseFloat(cleaned) * 100) / 100 : null;
+};
+
+/**
+ * ID for a transaction the bank didn't number: a hash of what it says, and
+ * how many identical transactions came before it in the file, so the same
+ * statement downloaded twice gives the same IDs
+ */
+const derivedId = (format, transaction, occurrences) => {
+  const key = [transaction.date, transaction.amount, transaction.description].join('|');
+  const occurrence = (occurrences.get(key) || 0) + 1;
+  occurrences.set(key, occurrence);
+  const hash = crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex');
+  return `${format}-${hash.slice(0, 16)}`;
+};
+
+/**
+ * Parse an OFX statement (the SGML 1.x and XML 2.x forms, bank or card)
+ * @param {string} text - File content
+ * @returns {Object} { format: 'ofx', currency, transactions }; each
+ *   transaction is { fitId, date, amount (negative for debits), description,
+ *   currency, errors }
+ */
+const parseOfx = (text) => {
+  // Leaf elements in OFX 1.x have no closing tag, so read up to the next tag
+  const field = (block, tag) => {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? decodeEntities(match[1]).trim() : '';
+  };
+
+  const currency = field(text, 'CURDEF').toUpperCase() || null;
+  const occurrences = new Map();
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  const transactions = blocks.map((block) => {
+    const errors = [];
+
+    // YYYYMMDD, optionally followed by a time and timezone we don't need
+    const posted = field(block, 'DTPOSTED');
+    const dateMatch = /^(\d{4})(\d{2})(\d{2})/.exec(posted);
+    const date = dateMatch ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` : null;
+    if (!date || !isDateString(date)) {
+      errors.push(`Date "${posted}" is not a valid OFX date`);
+    }
+
+    const amount = parseSignedAmount(field(block, 'TRNAMT'));
+    if (amount === null) {
+      errors.push(`Amount "${field(block, 'TRNAMT')}" is not a valid number`);
+    }
+
+    const name = field(block, 'NAME') || field(block, 'PAYEEID');
+    const memo = field(block, 'MEMO');
+    const description = [name, memo && memo !== name ? memo : '']
+      .filter(Boolean)
+      .join(' - ');
+
+    const transaction = {
+      date,
+      amount,
+      description,
+      currency: field(block, 'CURSYM').toUpperCase() || currency,
+      errors,
+    };
+    return {
+      fitId: field(block, 'FITID') || derivedId('ofx', transaction, occurrences),
+      ...transaction,
+    };
+  });
+
+  return { format: 'ofx', currency, transactions };
+};
+
+/**
+ * Read a QIF date ("1/15/2024", "01/15/24", "1/15'24", "2024-01-15")
+ * @param {string} value - Raw date text
+ * @param {string} order - One of QIF_DATE_ORDERS
+ * @returns {string|null} YYYY-MM-DD, or null if unreadable
+ */
+const parseQifDate = (value, order) => {
+  const text = String(value || '').trim();
+  if (isDateString(text)) {
+    return text;
+  }
+
+  const parts = text.split(/\s*[/'.-]\s*/);
+  if (parts.length !== 3 || !parts.every((p) => /^\d+$/.test(p))) {
+    return null;
+  }
+  const [first, second, year] = parts;
+  const [month, day] = order === 'DMY' ? [second, first] : [first, second];
+  // Two-digit years are taken to be in the 2000s, as in CSV imports
+  const fullYear = year.length === 2 ? `20${year}` : year;
+  const date = `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return isDateString(date) ? date : null;
+};
+
+/**
+ * Parse a QIF statement
+ * @param {string} text - File content
+ * @param {Object} options
+ * @param {string} options.dateOrder - One of QIF_DATE_ORDERS (default MDY)
+ * @returns {Object} { format: 'qif', currency: null, transactions }; each
+ *   transaction is { fitId, date, amount (negative for debits), description,
+ *   category, currency: null, errors }
+ */
+const parseQif = (text, { dateOrder = 'MDY' } = {}) => {
+  const records = [];
+  let record = {};
+  text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n|\r/)
+    .forEach((line) => {
+      if (line.startsWith('!')) {
+        return;
+      }
+      if (line.trim() === '^') {
+        if (Object.keys(record).length > 0) {
+          records.push(record);
+        }
+        record = {};
+        return;
+      }
+      const code = line.charAt(0);
+      // The first of each code wins; split lines (S, E, $) repeat them
+      if (code && record[code] === undefined) {
+        record[code] = line.slice(1).trim();
+      }
+    });
+  if (Object.keys(record).length > 0) {
+    records.push(record);
+  }
+
+  const occurrences = new Map();
+  const transactions = records.map((r) => {
+    const errors = [];
+
+    const date = parseQifDate(r.D, dateOrder);
+    if (!date) {
+      errors.push(`Date "${r.D || ''}" is not a valid ${dateOrder} date`);
+    }
+
+    const amount = parseSignedAmount(r.T !== undefined ? r.T : r.U);
+    if (amount === null) {
+      errors.push(`Amount "${r.T || r.U || ''}" is not a valid number`);
+    }
+
+    const memo = r.M || '';
+    const description = [r.P || '', memo && memo !== r.P ? memo : '']
+      .filter(Boolean)
+      .join(' - ');
+
+    const transaction = {
+      date,
+      amount,
+      description,
+      category: r.L && !r.L.startsWith('[') ? r.L : null,
+      currency: null,
+      errors,
+    };
+    // A check number alone isn't unique enough to stand in for an ID
+    const number = r.N && !/^\d{1,6}$/.test(r.N) ? r.N : null;
+    return {
+      fitId: number || derivedId('qif', transaction, occurrences),
+      ...transaction,
+    };
+  });
+
+  return { format: 'qif', currency: null, transactions };
+};
+
+/**
+ * Build a preview of every transaction in a statement
+ *
+ * Each result has:
+ * - `row`: position of the transaction in the file (1-based)
+ * - `fitId`: the transaction's ID
+ * - `status`: 'new', 'skipped' or 'invalid'
+ * - `reason`: why a skipped transaction won't be imported
+ * - `errors`: reasons an invalid transaction was rejected
+ * - `expense`: the expense that would be created (null when invalid)
+ * - `duplicateOf`: { id } of the stored expense with the same ID, or { row }
+ *   of an earlier transaction in the same file
+ * - `ruleId`: the rule that chose the category, if one did
+ *
+ * @param {Object} statement - From parseOfx or parseQif
+ * @param {Object} context
+ * @param {Array} context.categories - The user's categories
+ * @param {Array} context.existingExpenses - The user's stored expenses,
+ *   including the trash, so a deleted transaction isn't imported again
+ * @param {string} context.accountId - Account the statement belongs to
+ * @param {string} context.currency - Currency for transactions without one
+ * @param {Array} context.rules - The user's auto-categorization rules
+ * @param {string} context.defaultCategory - Expense category for debits no
+ *   rule matches
+ * @param {string|null} context.incomeCategory - Income category for credits
+ *   no rule matches; without it credits are skipped
+ * @returns {Array<Object>} One result per transaction
+ */
+const buildStatementPreview = (statement, context) => {
+  const {
+    categories,
+    existingExpenses,
+    accountId,
+    currency: fallbackCurrency,
+    rules = [],
+    defaultCategory,
+    incomeCategory = null,
+  } = context;
+
+  const seen = new Map(
+    existingExpenses
+      .filter((e) => e.sourceId && e.accountId === accountId)
+      .map((e) => [e.sourceId, { id: e.id }])
+  );
+  const named = (name) =>
+    name
+      ? categories.find((c) => c.name.toLowerCase() === String(name).toLowerCase())
+      : null;
+
+  return statement.transactions.map((transaction, index) => {
+    const row = index + 1;
+    const { fitId } = transaction;
+    const errors = [...transaction.errors];
+
+    if (transaction.amount === 0) {
+      errors.push('Amount is zero');
+    }
+    const currency = (transaction.currency || fallbackCurrency || '').toUpperCase();
+    if (!isValidCurrency(currency)) {
+      errors.push(`Currency "${currency}" is not a 3-letter code`);
+    }
+    if (errors.length > 0) {
+      return { row, fitId, status: 'invalid', errors, expense: null };
+    }
+
+    const duplicateOf = seen.get(fitId);
+    if (duplicateOf) {
+      return {
+        row,
+        fitId,
+        status: 'skipped',
+        reason: duplicateOf.id ? 'Already imported' : 'Repeated in this file',
+        errors: [],
+        expense: null,
+        duplicateOf,
+      };
+    }
+    seen.set(fitId, { row });
+
+    const type = transaction.amount < 0 ? 'expense' : 'income';
+    if (type === 'income' && !incomeCategory) {
+      return {
+        row,
+        fitId,
+        status: 'skipped',
+        reason: 'Credit (choose an income category to import credits)',
+        errors: [],
+        expense: null,
+      };
+    }
+
+    const amount = Math.abs(transaction.amount);
+    const own = named(transaction.category);
+    const rule =
+      own && own.type === type
+        ? null
+        : findMatchingRule(
+            rules,
+            { description: transaction.description, amount, type },
+            categories
+          );
+    const category =
+      (own && own.type === type && own) ||
+      named(rule ? rule.category : null) ||
+      named(type === 'income' ? incomeCategory : defaultCategory);
+
+    const expense = {
+      type,
+      amount,
+      currency,
+      category: category.name,
+      date: transaction.date,
+      description: transaction.description,
+      tags: rule ? [...rule.tags] : [],
+      split: null,
+      source: statement.format,
+      sourceId: fitId,
+      deletedAt: null,
+      version: 1,
+    };
+    const expenseErrors = findExpenseErrors(expense, categories);
+    if (expenseErrors.length > 0) {
+      return { row, fitId, status: 'invalid', errors: expenseErrors, expense: null };
+    }
+
+    return {
+      row,
+      fitId,
+      status: 'new',
+      errors: [],
+      expense,
+      ...(rule && { ruleId: rule.id }),
+    };
+  });
+};
+
+module.exports = {
+  QIF_DATE_ORDERS,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  parseQifDate,
+  buildStatementPreview,
+};
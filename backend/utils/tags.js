@@ -0,0 +1,74 @@
+/**
+ * Tag helpers
+ *
+ * Tags are free-form labels that cut across categories ("trip-goa",
+ * "reimbursable"). They are stored on each expense as a sorted array of
+ * lowercase strings, with spaces turned into hyphens and any leading '#'
+ * dropped, so "Trip Goa" and "#trip-goa" are the same tag.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize a single tag
+ * @param {string} tag - Raw tag text
+ * @returns {string} Normalized tag ('' if nothing is left)
+ */
+const normalizeTag = (tag) =>
+  String(tag)
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+
+/**
+ * Parse a list of tags from a request body
+ * @param {Array<string>|string} value - Array of tags, or a comma-separated string
+ * @returns {Object} { tags } (normalized, unique, sorted) or { error }
+ */
+const parseTags = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { tags: [] };
+  }
+
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  if (raw.some((tag) => typeof tag !== 'string')) {
+    return { error: 'Tags must be strings' };
+  }
+
+  const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))].sort();
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `An expense can have at most ${MAX_TAGS} tags` };
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  return { tags };
+};
+
+/**
+ * Count how often each tag is used, most used first
+ * @param {Array} expenses - Expenses (amounts already in one currency if
+ *   totals are wanted; pass null amounts to leave them out of the total)
+ * @returns {Array<Object>} [{ tag, count, total }]
+ */
+const summarizeTags = (expenses) => {
+  const byTag = new Map();
+
+  expenses.forEach((expense) => {
+    (expense.tags || []).forEach((tag) => {
+      const entry = byTag.get(tag) || { tag, count: 0, total: 0 };
+      entry.count += 1;
+      entry.total += expense.amount || 0;
+      byTag.set(tag, entry);
+    });
+  });
+
+  return [...byTag.values()].sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+};
+
+module.exports = { MAX_TAGS, normalizeTag, parseTags, summarizeTags };
@@ -0,0 +1,137 @@
+const { parseDate, toDateString, addDays } = require('./dates');
+
+/**
+ * Time-series helpers for the grouped summary
+ *
+ * Buckets are calendar periods. Weeks are ISO weeks starting on Monday and
+ * are labelled by their first day.
+ */
+
+const GROUP_BY_UNITS = ['day', 'week', 'month', 'year'];
+
+// Largest number of buckets a single series may span
+const MAX_BUCKETS = 1000;
+
+/**
+ * Get the first day of the bucket containing a date
+ * @param {string} unit - One of GROUP_BY_UNITS
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {string} Bucket start (YYYY-MM-DD)
+ */
+const bucketStart = (unit, dateString) => {
+  if (unit === 'week') {
+    return addDays(dateString, -((parseDate(dateString).getUTCDay() + 6) % 7));
+  }
+  if (unit === 'month') {
+    return `${dateString.slice(0, 7)}-01`;
+  }
+  if (unit === 'year') {
+    return `${dateString.slice(0, 4)}-01-01`;
+  }
+  return dateString;
+};
+
+/**
+ * Get the start of the bucket after the given one
+ * @param {string} unit - One of GROUP_BY_UNITS
+ * @param {string} start - Bucket start (YYYY-MM-DD)
+ * @returns {string} Next bucket start
+ */
+const nextBucket = (unit, start) => {
+  if (unit === 'day') {
+    return addDays(start, 1);
+  }
+  if (unit === 'week') {
+    return addDays(start, 7);
+  }
+  const date = parseDate(start);
+  return toDateString(
+    new Date(
+      Date.UTC(
+        date.getUTCFullYear() + (unit === 'year' ? 1 : 0),
+        date.getUTCMonth() + (unit === 'month' ? 1 : 0),
+        1
+      )
+    )
+  );
+};
+
+/**
+ * Human-readable key for a bucket: 2024-03-18, 2024-03 or 2024
+ * @param {string} unit - One of GROUP_BY_UNITS
+ * @param {string} start - Bucket start
+ * @returns {string} Period label
+ */
+const bucketLabel = (unit, start) => {
+  if (unit === 'month') {
+    return start.slice(0, 7);
+  }
+  if (unit === 'year') {
+    return start.slice(0, 4);
+  }
+  return start;
+};
+
+/**
+ * Group transactions into consecutive period buckets with per-category
+ * spending and the period's cash flow. Every bucket between the first and
+ * last is included, empty ones with zero totals, so charts show gaps
+ * honestly.
+ *
+ * `total` and `categories` count spending only; `income`, `expense` and
+ * `net` (income minus expense) give the cash flow.
+ *
+ * @param {Array} expenses - Transactions with amounts already in one currency
+ * @param {string} unit - One of GROUP_BY_UNITS
+ * @param {Object} range - Optional { from, to } bounds (YYYY-MM-DD)
+ * @returns {Array<Object>|null} [{ period, start, end, total, categories: { name: total },
+ *   income, expense, net }], or null when the range would need more than
+ *   MAX_BUCKETS buckets
+ */
+const buildTimeSeries = (expenses, unit, { from, to } = {}) => {
+  if (expenses.length === 0 && (!from || !to)) {
+    return [];
+  }
+
+  const dates = expenses.map((e) => e.date).sort();
+  const first = bucketStart(unit, from || dates[0]);
+  const last = to || dates[dates.length - 1];
+
+  const buckets = new Map();
+  for (let start = first; start <= last; start = nextBucket(unit, start)) {
+    if (buckets.size === MAX_BUCKETS) {
+      return null;
+    }
+    buckets.set(start, {
+      period: bucketLabel(unit, start),
+      start,
+      end: addDays(nextBucket(unit, start), -1),
+      total: 0,
+      categories: {},
+      income: 0,
+      expense: 0,
+      net: 0,
+    });
+  }
+
+  expenses.forEach((expense) => {
+    const bucket = buckets.get(bucketStart(unit, expense.date));
+    if (!bucket) {
+      return;
+    }
+    if (expense.type === 'income') {
+      bucket.income += expense.amount;
+      bucket.net += expense.amount;
+      return;
+    }
+    bucket.expense += expense.amount;
+    bucket.net -= expense.amount;
+    bucket.total += expense.amount;
+    bucket.categories[expense.category] =
+      (bucket.categories[expense.category] || 0) + expense.amount;
+  });
+
+  return [...buckets.values()];
+};
+
+module.exports = { GROUP_BY_UNITS, MAX_BUCKETS, buildTimeSeries };
@@ -0,0 +1,202 @@
+const { isDateString } = require('./dates');
+const { isValidCurrency } = require('./currency');
+const { parseTags } = require('./tags');
+const { isValidColor } = require('./categories');
+
+/**
+ * Request body validation
+ *
+ * Write routes describe the body they accept with a schema mapping each
+ * field to its rules (see utils/schemas.js):
+ *
+ *   {
+ *     amount: { type: 'amount', required: true, label: 'Amount' },
+ *     description: { type: 'string', maxLength: 500 },
+ *   }
+ *
+ * Rules:
+ * - type: string, amount (a number above zero), number, integer, boolean,
+ *   date (YYYY-MM-DD), currency (3-letter code, upper-cased), color
+ *   (#RRGGBB), tags (see utils/tags.js) or object
+ * - required: the field must be present and not empty
+ * - nullable: null is accepted as a value of its own (e.g. to clear it)
+ * - maxLength / min / max: limits for strings and numbers
+ * - oneOf: the values a string may take
+ * - label: the field's name in messages (defaults to the key)
+ * - check(value, context): extra rule run on the converted value; returns
+ *   a message, or null when the value is fine
+ *
+ * Every bad field is reported at once, and routes answer them the same
+ * way through sendValidationError:
+ *
+ *   422 { success: false, error: 'Amount must be greater than 0',
+ *         errors: { amount: 'Amount must be greater than 0', ... } }
+ */
+
+// What an optional field left empty is stored as (null for other types)
+const EMPTY_VALUES = { string: '', tags: [] };
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === '';
+
+// Form fields may send numbers as text
+const toNumber = (value) =>
+  typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+// Each type turns a raw value into { value } or { error } (without the label)
+const TYPES = {
+  string: (value, rule) => {
+    if (typeof value !== 'string') {
+      return { error: 'must be text' };
+    }
+    const trimmed = value.trim();
+    if (rule.maxLength && trimmed.length > rule.maxLength) {
+      return { error: `must be at most ${rule.maxLength} characters` };
+    }
+    if (rule.oneOf && !rule.oneOf.includes(trimmed)) {
+      return { error: `must be one of: ${rule.oneOf.join(', ')}` };
+    }
+    return { value: trimmed };
+  },
+  amount: (value, rule) => {
+    const number = toNumber(value);
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { error: 'must be a number' };
+    }
+    if (number <= 0) {
+      return { error: 'must be greater than 0' };
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+    return { value: number };
+  },
+  number: (value, rule) => {
+    const number = toNumber(value);
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      return { error: 'must be a number' };
+    }
+    if (rule.min !== undefined && number < rule.min) {
+      return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+    return { value: number };
+  },
+  integer: (value, rule) => {
+    const number = toNumber(value);
+    if (!Number.isInteger(number)) {
+      return { error: 'must be a whole number' };
+    }
+    if (rule.min !== undefined && number < rule.min) {
+      return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+    return { value: number };
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return { value };
+    }
+    return ['true', 'false'].includes(value)
+      ? { value: value === 'true' }
+      : { error: 'must be true or false' };
+  },
+  date: (value) =>
+    isDateString(value)
+      ? { value }
+      : { error: 'must be a real date in YYYY-MM-DD format' },
+  currency: (value) => {
+    const code = String(value).toUpperCase();
+    return isValidCurrency(code)
+      ? { value: code }
+      : { error: 'must be a 3-letter currency code' };
+  },
+  color: (value) =>
+    isValidColor(value)
+      ? { value }
+      : { error: 'must be a hex color like #FF6B6B' },
+  tags: (value) => {
+    const { tags, error } = parseTags(value);
+    return error ? { error, standalone: true } : { value: tags };
+  },
+  object: (value) =>
+    typeof value === 'object' && !Array.isArray(value)
+      ? { value }
+      : { error: 'must be an object' },
+};
+
+/**
+ * Validate a request body against a schema
+ * @param {Object} schema - Field rules (see above)
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only check fields that are present, for
+ *   updates; required fields may still not be emptied
+ * @param {Object} options.context - Passed to each rule's `check`
+ * @returns {Object} { values } with the converted values of the fields
+ *   present, and `errors` (field -> message) or null
+ */
+const validateBody = (
+  schema,
+  body = {},
+  { partial = false, context = {} } = {}
+) => {
+  const values = {};
+  const errors = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = body[field];
+    const label = rule.label || field;
+
+    if (raw === undefined && (partial || !rule.required)) {
+      return;
+    }
+    if (raw === null && rule.nullable) {
+      values[field] = null;
+      return;
+    }
+    if (isMissing(raw)) {
+      if (rule.required) {
+        errors[field] = `${label} is required`;
+      } else {
+        values[field] =
+          rule.type in EMPTY_VALUES ? EMPTY_VALUES[rule.type] : null;
+      }
+      return;
+    }
+
+    const result = TYPES[rule.type](raw, rule);
+    if (result.error) {
+      errors[field] = result.standalone
+        ? result.error
+        : `${label} ${result.error}`;
+      return;
+    }
+    const checkError = rule.check && rule.check(result.value, context);
+    if (checkError) {
+      errors[field] = checkError;
+      return;
+    }
+    values[field] = result.value;
+  });
+
+  return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+/**
+ * Send a 422 listing what is wrong with each field
+ * @param {Object} res - Express response
+ * @param {Object} errors - Field -> message
+ */
+const sendValidationError = (res, errors) =>
+  res.status(422).json({
+    success: false,
+    error: Object.values(errors)[0],
+    errors,
+  });
+
+module.exports = { validateBody, sendValidationError };
@@ -1,24 +1,101 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import ExpenseForm from './components/ExpenseForm';
+import QuickAdd from './components/QuickAdd';
 import ExpenseList from './components/ExpenseList';
 import ExpenseSummary from './components/ExpenseSummary';
 import CategoryFilter from './components/CategoryFilter';
-import { fetchExpenses, createExpense, updateExpense, deleteExpense, fetchExpenseSummary } from './services/ExpenseService';
+import BudgetPanel from './components/BudgetPanel';
+import RecurringRules from './components/RecurringRules';
+import CategoryManager from './components/CategoryManager';
+import CategoryRules from './components/CategoryRules';
+import ImportWizard from './components/ImportWizard';
+import AttachmentModal from './components/AttachmentModal';
+import BalancesPanel from './components/BalancesPanel';
+import AccountsPanel from './components/AccountsPanel';
+import TrashBin from './components/TrashBin';
+import ExpenseHistory from './components/ExpenseHistory';
+import SyncStatus from './components/SyncStatus';
+import BulkActionBar, { describeBulkFailures } from './components/BulkActionBar';
+import ExportButton from './components/ExportButton';
+import ExpenseFilters, { EMPTY_FILTERS } from './components/ExpenseFilters';
+import ReportsPage from './pages/ReportsPage';
+import {
+  fetchExpenses,
+  createExpense,
+  updateExpense,
+  uploadAttachments,
+  deleteExpense,
+  restoreExpense,
+  bulkUpdateExpenses,
+  fetchExpenseSummary,
+  fetchBudgetSummary,
+  fetchCategories,
+  fetchTags,
+  fetchBalances,
+  fetchAccounts,
+  syncPendingChanges,
+  getSyncStatus,
+  subscribeToChanges
+} from './services/ExpenseService';
+import { DEFAULT_CURRENCY, SPLIT_SELF, formatCurrency } from './utils/helpers';
 import './assets/index.css';
 
+// Changes from the event stream often come in bursts (an import, a bulk
+// edit), so the totals they affect are reloaded once things settle
+const LIVE_REFRESH_DELAY_MS = 500;
+
 /**
  * Main App Component
  * Manages the state and orchestrates all expense tracking functionality
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - The signed-in user
+ * @param {Function} props.onLogout - Callback to sign out
  */
-function App() {
+function App({ user, onLogout }) {
   const [expenses, setExpenses] = useState([]);
   const [summary, setSummary] = useState([]);
+  const [series, setSeries] = useState([]);
+  const [groupBy, setGroupBy] = useState('month');
+  const [expandedCategory, setExpandedCategory] = useState(null);
   const [grandTotal, setGrandTotal] = useState(0);
+  const [cashFlow, setCashFlow] = useState({ income: 0, expense: 0, net: 0 });
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [missingRates, setMissingRates] = useState([]);
+  const [budgets, setBudgets] = useState([]);
+  const [balances, setBalances] = useState({ balances: [], debts: [], settlements: [] });
+  const [balanceMissingRates, setBalanceMissingRates] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [accountMissingRates, setAccountMissingRates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [budgetAlerts, setBudgetAlerts] = useState([]);
+  const [showImport, setShowImport] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('All');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
+  const [attachmentExpense, setAttachmentExpense] = useState(null);
+  const [historyExpense, setHistoryExpense] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+  // Last expense moved to the trash, for the undo link
+  const [deletedExpenseId, setDeletedExpenseId] = useState(null);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // Whether the list shown came from the offline cache
+  const [isCached, setIsCached] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({ pending: [], conflicts: [] });
+  const [isSyncing, setIsSyncing] = useState(false);
+  // Expenses ticked in the list (ID -> version shown), or every expense
+  // matching the filters when allMatching is set
+  const [selection, setSelection] = useState({});
+  const [allMatching, setAllMatching] = useState(false);
+  // Whether the live change stream is connected
+  const [isLive, setIsLive] = useState(false);
 
   /**
    * Load expenses from API
@@ -27,93 +104,477 @@ function App() {
     setIsLoading(true);
     setError(null);
     try {
-      const data = await fetchExpenses(selectedCategory);
-      setExpenses(data);
+      const result = await fetchExpenses({ ...filters, category: selectedCategory, page });
+      // Step back if the current page emptied, e.g. after deleting its last row
+      if (page > result.totalPages) {
+        setPage(result.totalPages);
+        return;
+      }
+      setExpenses(result.data);
+      setIsCached(Boolean(result.offline));
+      setPagination({ page: result.page, totalPages: result.totalPages, total: result.total });
     } catch (err) {
       setError('Failed to load expenses. Please try again.');
       console.error(err);
     } finally {
       setIsLoading(false);
     }
-  }, [selectedCategory]);
+  }, [selectedCategory, filters, page]);
+
+  // The summary follows the tag filter; a string key avoids reloading when
+  // other filters change
+  const tagFilter = filters.tags.join(',');
 
   /**
    * Load expense summary from API
    */
   const loadSummary = useCallback(async () => {
     try {
-      const data = await fetchExpenseSummary();
+      const data = await fetchExpenseSummary({ groupBy, expand: expandedCategory, tags: tagFilter });
       setSummary(data.data || []);
+      setSeries(data.series || []);
       setGrandTotal(data.grandTotal || 0);
+      setCashFlow(data.cashFlow || { income: 0, expense: 0, net: 0 });
+      setBaseCurrency(data.baseCurrency || DEFAULT_CURRENCY);
+      setMissingRates(data.missingRates || []);
     } catch (err) {
       console.error('Failed to load summary');
     }
+  }, [groupBy, expandedCategory, tagFilter]);
+
+  /**
+   * Load budget progress from API
+   */
+  const loadBudgets = useCallback(async () => {
+    try {
+      setBudgets(await fetchBudgetSummary());
+    } catch (err) {
+      console.error('Failed to load budgets');
+    }
+  }, []);
+
+  /**
+   * Load who owes whom from split expenses
+   */
+  const loadBalances = useCallback(async () => {
+    try {
+      const response = await fetchBalances();
+      setBalances(response.data);
+      setBalanceMissingRates(response.missingRates || []);
+    } catch (err) {
+      console.error('Failed to load balances');
+    }
+  }, []);
+
+  /**
+   * Load the user's accounts with their running balances
+   */
+  const loadAccounts = useCallback(async () => {
+    try {
+      const response = await fetchAccounts();
+      setAccounts(response.data);
+      setAccountMissingRates(response.missingRates || []);
+    } catch (err) {
+      console.error('Failed to load accounts');
+    }
   }, []);
 
-  // Load expenses and summary on mount and when category changes
+  /**
+   * Load the user's categories from API
+   * @returns {Promise<Array>} The loaded categories
+   */
+  const loadCategories = useCallback(async () => {
+    try {
+      const data = await fetchCategories();
+      setCategories(data);
+      return data;
+    } catch (err) {
+      console.error('Failed to load categories');
+      return [];
+    }
+  }, []);
+
+  /**
+   * Load the tags in use, for autocomplete
+   */
+  const loadTags = useCallback(async () => {
+    try {
+      setTags(await fetchTags());
+    } catch (err) {
+      console.error('Failed to load tags');
+    }
+  }, []);
+
+  // Load categories, tags, balances and accounts on mount
+  useEffect(() => {
+    loadCategories();
+    loadTags();
+    loadBalances();
+    loadAccounts();
+  }, [loadCategories, loadTags, loadBalances, loadAccounts]);
+
+  // Load expenses on mount and whenever the category, filters or page change
   useEffect(() => {
     loadExpenses();
+  }, [loadExpenses]);
+
+  // Load summary and budgets on mount and when the trend grouping or drill-down changes
+  useEffect(() => {
     loadSummary();
-  }, [loadExpenses, loadSummary]);
+    loadBudgets();
+  }, [loadSummary, loadBudgets]);
 
   /**
    * Handle adding or updating an expense
    * @param {Object} expenseData - The expense data
+   * @param {Array<File>} receipts - Receipt files to attach once saved
    */
-  const handleSubmit = async (expenseData) => {
+  const handleSubmit = async (expenseData, receipts = []) => {
     setIsLoading(true);
     setError(null);
+    setDeletedExpenseId(null);
     try {
+      let expenseId;
+      let queued;
       if (editingExpense) {
-        // Update existing expense
-        await updateExpense(editingExpense.id, expenseData);
+        // Update existing expense, unless it was changed elsewhere since it was loaded
+        const updated = await updateExpense(editingExpense.id, { ...expenseData, version: editingExpense.version });
+        expenseId = editingExpense.id;
+        queued = Boolean(updated.pending);
         setSuccessMessage('Expense updated successfully!');
         setEditingExpense(null);
       } else {
         // Create new expense
-        await createExpense(expenseData);
+        const result = await createExpense(expenseData);
+        expenseId = result.data.id;
+        queued = Boolean(result.queued);
         setSuccessMessage('Expense added successfully!');
+        setBudgetAlerts(result.budgetAlerts || []);
+      }
+
+      if (queued) {
+        setSuccessMessage("Saved offline — will sync when you're back online.");
+        if (receipts.length > 0) {
+          setError('Receipts can only be uploaded while online. Attach them once the expense has synced.');
+        }
+      } else if (receipts.length > 0) {
+        try {
+          await uploadAttachments(expenseId, receipts);
+        } catch (err) {
+          setError(`Expense saved, but the receipts were not uploaded: ${err.response?.data?.error || err.message}`);
+        }
       }
 
       // Reload data
       await loadExpenses();
       await loadSummary();
+      await loadBudgets();
+      await loadTags();
+      await loadBalances();
+      await loadAccounts();
+      await loadSyncStatus();
 
       // Clear success message after 3 seconds
       setTimeout(() => setSuccessMessage(''), 3000);
+      setTimeout(() => setBudgetAlerts([]), 6000);
     } catch (err) {
-      setError(editingExpense ? 'Failed to update expense' : 'Failed to add expense');
-      console.error(err);
+      if (err.response?.status === 409) {
+        // Someone else saved the expense first; show their version
+        setError('This expense was changed elsewhere since you opened it. Review the latest version and edit again.');
+        setEditingExpense(null);
+        await loadExpenses();
+        console.error(err);
+      } else {
+        // The form that sent it keeps what was typed and shows the error
+        throw err;
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
   /**
-   * Handle deleting an expense
+   * Handle deleting an expense (it goes to the trash and can be undone)
    * @param {string} id - The expense ID
+   * @param {number} version - The version shown, so changes made elsewhere aren't discarded unseen
    */
-  const handleDelete = async (id) => {
+  const handleDelete = async (id, version) => {
     setIsLoading(true);
     setError(null);
     try {
-      await deleteExpense(id);
-      setSuccessMessage('Expense deleted successfully!');
+      const result = await deleteExpense(id, version);
+      if (result.queued) {
+        setSuccessMessage("Deleted offline — will sync when you're back online.");
+      } else {
+        setSuccessMessage('Expense moved to the trash.');
+        setDeletedExpenseId(id);
+      }
 
       // Reload data
       await loadExpenses();
       await loadSummary();
+      await loadBudgets();
+      await loadTags();
+      await loadBalances();
+      await loadAccounts();
 
-      // Clear success message after 3 seconds
+      await loadSyncStatus();
+
+      // Leave the undo link up a little longer than other messages
+      setTimeout(() => {
+        setSuccessMessage('');
+        setDeletedExpenseId(null);
+      }, 6000);
+    } catch (err) {
+      if (err.response?.status === 409) {
+        setError('This expense was changed elsewhere since it was loaded. Review the latest version and try again.');
+        await loadExpenses();
+      } else {
+        setError('Failed to delete expense');
+      }
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Reload everything after expenses were added outside the form, e.g. by
+   * a recurring rule or a CSV import
+   */
+  const handleDataChanged = async () => {
+    await loadExpenses();
+    await loadSummary();
+    await loadBudgets();
+    await loadTags();
+    await loadBalances();
+    await loadAccounts();
+  };
+
+  // Pending reload after live changes: whether the list itself needs it
+  const liveRefreshRef = useRef({ timer: null, list: false });
+
+  /**
+   * Reload the totals, budgets, tags, balances and accounts after a change
+   * made elsewhere, plus the list when it couldn't be patched in place
+   * @param {boolean} list - Whether to reload the list too
+   */
+  const scheduleLiveRefresh = (list) => {
+    const pending = liveRefreshRef.current;
+    pending.list = pending.list || list;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(async () => {
+      const reloadList = pending.list;
+      pending.list = false;
+      if (reloadList) {
+        await loadExpenses();
+      }
+      await loadSummary();
+      await loadBudgets();
+      await loadTags();
+      await loadBalances();
+      await loadAccounts();
+    }, LIVE_REFRESH_DELAY_MS);
+  };
+
+  /**
+   * Apply an event from the live change stream. Changes to rows on the
+   * current page and to categories are patched in place; a new expense may
+   * belong anywhere in the filtered, sorted list, so that reloads it.
+   * Changes this tab made come back too, and patch to the same result.
+   * Events carry the stored record, without the converted amount and
+   * attachment count the list adds, so an updated row is reloaded for those.
+   * @param {string} type - Event name, e.g. expense.update
+   * @param {Object} data - The changed record
+   */
+  const handleLiveEvent = (type, data) => {
+    if (type === 'reset') {
+      // The server couldn't replay what was missed
+      loadCategories();
+      scheduleLiveRefresh(true);
+      return;
+    }
+
+    if (type.startsWith('category.')) {
+      setCategories((prev) => {
+        if (type === 'category.delete') {
+          return prev.filter((c) => c.id !== data.id);
+        }
+        return prev.some((c) => c.id === data.id)
+          ? prev.map((c) => (c.id === data.id ? data : c))
+          : [...prev, data];
+      });
+      return;
+    }
+
+    if (!type.startsWith('expense.')) {
+      return;
+    }
+    const onPage = expenses.some((e) => e.id === data.id);
+    if (type === 'expense.delete' && onPage) {
+      setExpenses((prev) => prev.filter((e) => e.id !== data.id));
+      setPagination((prev) => prev && { ...prev, total: Math.max(prev.total - 1, 0) });
+    } else if (type === 'expense.update' && onPage) {
+      setExpenses((prev) =>
+        prev.map((e) => {
+          if (e.id !== data.id) {
+            return e;
+          }
+          // An old conversion would be wrong for a new amount or currency
+          const sameAmount = e.amount === data.amount && e.currency === data.currency;
+          return { ...e, ...data, converted: sameAmount ? e.converted : undefined };
+        })
+      );
+    }
+    if (editingExpense && editingExpense.id === data.id && type === 'expense.delete') {
+      setEditingExpense(null);
+      setError('The expense you were editing was deleted elsewhere.');
+    }
+    scheduleLiveRefresh((type === 'expense.create' && !onPage) || (type === 'expense.update' && onPage));
+  };
+
+  // The stream is opened once, so it calls the latest handleLiveEvent
+  const liveEventRef = useRef(handleLiveEvent);
+  liveEventRef.current = handleLiveEvent;
+
+  // Follow changes made in other tabs and on other devices
+  useEffect(() => {
+    const liveRefresh = liveRefreshRef.current;
+    const unsubscribe = subscribeToChanges((type, data) => liveEventRef.current(type, data), setIsLive);
+    return () => {
+      unsubscribe();
+      clearTimeout(liveRefresh.timer);
+    };
+  }, []);
+
+  /**
+   * Reload the list of changes waiting to be synced
+   */
+  const loadSyncStatus = useCallback(async () => {
+    try {
+      setSyncStatus(await getSyncStatus());
+    } catch (err) {
+      console.error('Failed to load sync status');
+    }
+  }, []);
+
+  /**
+   * Send changes made offline to the server, then reload if any went through
+   */
+  const handleSync = async () => {
+    setIsSyncing(true);
+    try {
+      const result = await syncPendingChanges();
+      await loadSyncStatus();
+      if (result.synced > 0 || result.conflicts > 0) {
+        await handleDataChanged();
+      }
+    } catch (err) {
+      console.error('Failed to sync offline changes', err);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // The online listener is added once, so it calls the latest handleSync
+  const syncRef = useRef(handleSync);
+  syncRef.current = handleSync;
+
+  // Sync on mount and whenever the connection comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncRef.current();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    syncRef.current();
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  /**
+   * Clear the bulk selection
+   */
+  const clearSelection = useCallback(() => {
+    setSelection({});
+    setAllMatching(false);
+  }, []);
+
+  /**
+   * Apply a batch action to the selected expenses. Nothing is changed unless
+   * every one of them can be.
+   * @param {string} action - delete, setCategory, addTags, removeTags or shiftDate
+   * @param {Object} fields - The action's fields ({ category }, { tags } or { days })
+   */
+  const handleBulkAction = async (action, fields) => {
+    setIsLoading(true);
+    setError(null);
+    setDeletedExpenseId(null);
+    try {
+      const target = allMatching
+        ? { filters: { ...filters, category: selectedCategory } }
+        : { ids: Object.keys(selection), versions: selection };
+      const result = await bulkUpdateExpenses(action, target, fields);
+      setSuccessMessage(result.message);
+      clearSelection();
+      await handleDataChanged();
       setTimeout(() => setSuccessMessage(''), 3000);
     } catch (err) {
-      setError('Failed to delete expense');
+      const results = err.response?.data?.data;
+      if (Array.isArray(results)) {
+        setError(`Nothing was changed: ${describeBulkFailures(results)}.`);
+        // Pick up the latest versions, so the action can be retried after a review
+        const conflicts = results.filter((r) => r.status === 'conflict' && r.data);
+        if (!allMatching && conflicts.length > 0) {
+          setSelection((current) =>
+            conflicts.reduce((next, r) => ({ ...next, [r.id]: r.data.version }), current)
+          );
+        }
+        await loadExpenses();
+      } else {
+        setError(err.response?.data?.error || 'Failed to apply the change to the selected expenses');
+      }
       console.error(err);
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Handle undoing the last delete
+   */
+  const handleUndoDelete = async () => {
+    setError(null);
+    try {
+      await restoreExpense(deletedExpenseId);
+      setDeletedExpenseId(null);
+      setSuccessMessage('Expense restored.');
+      await handleDataChanged();
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      setError('Failed to restore expense');
+      console.error(err);
+    }
+  };
+
+  /**
+   * Reload after categories were renamed, recolored, deleted or merged,
+   * which can rewrite expenses, budgets and recurring rules
+   */
+  const handleCategoriesChanged = async () => {
+    const updated = await loadCategories();
+    setExpandedCategory(null);
+    if (selectedCategory !== 'All' && !updated.some((c) => c.name === selectedCategory)) {
+      handleCategoryChange('All');
+    }
+    await handleDataChanged();
+  };
+
   /**
    * Handle editing an expense
    * @param {Object} expense - The expense to edit
@@ -136,25 +597,128 @@ function App() {
    */
   const handleCategoryChange = (category) => {
     setSelectedCategory(category);
+    setPage(1);
     setEditingExpense(null);
+    clearSelection();
   };
 
+  /**
+   * Handle filter bar changes
+   * @param {Object} newFilters - The new filters
+   */
+  const handleFiltersChange = useCallback((newFilters) => {
+    setFilters(newFilters);
+    setPage(1);
+    clearSelection();
+  }, [clearSelection]);
+
+  /**
+   * Filter the list by a tag clicked in the list
+   * @param {string} tag - The tag
+   */
+  const handleTagClick = (tag) => {
+    if (!filters.tags.includes(tag)) {
+      handleFiltersChange({ ...filters, tags: [...filters.tags, tag] });
+    }
+  };
+
+  const hasFilters = selectedCategory !== 'All' || filters.tags.length > 0 ||
+    ['q', 'type', 'from', 'to', 'minAmount', 'maxAmount'].some((key) => filters[key] !== '');
+
+  // Everyone who appears in balances or settlements, for split autocomplete
+  const people = [
+    ...new Set([
+      ...balances.balances.map((b) => b.person),
+      ...balances.settlements.flatMap((s) => [s.from, s.to])
+    ])
+  ].filter((name) => name !== SPLIT_SELF);
+
   return (
-    <div className="min-h-screen bg-black">
+    <div className="min-h-screen bg-black print:bg-white">
       {/* Header */}
-      <header className="flex items-center justify-center pt-6 pb-3 bg-black">
+      <header className="relative flex items-center justify-center pt-6 pb-3 bg-black print:hidden">
         <h1 className="text-2xl font-bold text-fuchsia-pink-500">Expense Tracker</h1>
+        <div className="absolute right-4 top-6 flex items-center gap-3 text-sm">
+          <span
+            className={`hidden sm:inline ${isLive ? 'text-green-400' : 'text-gray-500'}`}
+            title={isLive ? 'Changes made on other devices show up here as they happen' : 'Reconnecting to live updates...'}
+          >
+            {isLive ? '●' : '○'} Live
+          </span>
+          <span className="text-gray-400 hidden sm:inline">{user.name || user.email}</span>
+          <button
+            onClick={() => setShowReports(true)}
+            className="px-3 py-1 bg-slate-800 hover:bg-slate-700 text-fuchsia-pink-300 rounded-lg font-semibold transition"
+            title="Monthly report"
+          >
+            📊 Reports
+          </button>
+          <button
+            onClick={() => setShowTrash(true)}
+            className="px-3 py-1 bg-slate-800 hover:bg-slate-700 text-fuchsia-pink-300 rounded-lg font-semibold transition"
+            title="Deleted expenses"
+          >
+            🗑 Trash
+          </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold transition"
+          >
+            Import
+          </button>
+          <button
+            onClick={onLogout}
+            className="px-3 py-1 bg-slate-800 hover:bg-slate-700 text-fuchsia-pink-300 rounded-lg font-semibold transition"
+          >
+            Log out
+          </button>
+        </div>
       </header>
 
-      {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 py-8 bg-black min-h-screen">
+      {showReports && (
+        <main className="max-w-7xl mx-auto px-4 py-8 bg-black min-h-screen print:bg-white print:py-0">
+          <ReportsPage onClose={() => setShowReports(false)} categories={categories} />
+        </main>
+      )}
+
+      {/* Main Content (kept mounted behind the reports so nothing reloads on the way back) */}
+      <main className={`max-w-7xl mx-auto px-4 py-8 bg-black min-h-screen ${showReports ? 'hidden' : ''}`}>
         {/* Success Message */}
         {successMessage && (
-          <div className="mb-6 p-4 bg-green-100 border-l-4 border-green-500 text-green-700 rounded-lg animate-pulse">
-            ✓ {successMessage}
+          <div className="mb-6 p-4 bg-green-100 border-l-4 border-green-500 text-green-700 rounded-lg flex justify-between items-center">
+            <span className={deletedExpenseId ? '' : 'animate-pulse'}>✓ {successMessage}</span>
+            {deletedExpenseId && (
+              <button onClick={handleUndoDelete} className="font-bold text-green-800 hover:text-green-900 underline">
+                Undo
+              </button>
+            )}
           </div>
         )}
 
+        {/* Offline and sync state */}
+        <SyncStatus
+          isOnline={isOnline}
+          isCached={isCached}
+          status={syncStatus}
+          isSyncing={isSyncing}
+          onSync={handleSync}
+          onResolved={async () => {
+            await loadSyncStatus();
+            await handleDataChanged();
+          }}
+        />
+
+        {/* Budget Alerts */}
+        {budgetAlerts.map((alert) => (
+          <div
+            key={alert.id}
+            className="mb-6 p-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 rounded-lg"
+          >
+            ⚠ This expense puts {alert.category} over its {alert.period} budget:{' '}
+            {formatCurrency(alert.spent, baseCurrency)} of {formatCurrency(alert.limit, baseCurrency)} spent
+          </div>
+        ))}
+
         {/* Error Message */}
         {error && (
           <div className="mb-6 p-4 bg-red-100 border-l-4 border-red-500 text-red-700 rounded-lg">
@@ -165,6 +729,13 @@ function App() {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 items-start lg:items-stretch min-h-96">
           {/* Left Column: Form */}
           <div className="lg:col-span-1">
+            {!editingExpense && (
+              <QuickAdd
+                onSubmit={(expenseData) => handleSubmit(expenseData)}
+                categories={categories}
+                isLoading={isLoading}
+              />
+            )}
             {editingExpense && (
               <div className="mb-4 p-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 rounded-lg flex justify-between items-center">
                 <span>Editing expense from {editingExpense.date}</span>
@@ -180,6 +751,36 @@ function App() {
               onSubmit={handleSubmit}
               initialData={editingExpense}
               isLoading={isLoading}
+              categories={categories}
+              onCategoryCreated={loadCategories}
+              tagSuggestions={tags}
+              people={people}
+              accounts={accounts}
+            />
+            <AccountsPanel
+              accounts={accounts}
+              missingRates={accountMissingRates}
+              onChange={handleDataChanged}
+            />
+            <BudgetPanel
+              budgets={budgets}
+              onChange={loadBudgets}
+              currency={baseCurrency}
+              categories={categories}
+            />
+            <RecurringRules
+              onChange={handleDataChanged}
+              currency={baseCurrency}
+              categories={categories}
+            />
+            <CategoryManager
+              categories={categories}
+              onChange={handleCategoriesChanged}
+            />
+            <CategoryRules
+              categories={categories}
+              tagSuggestions={tags}
+              onApplied={handleDataChanged}
             />
           </div>
           {/* Right Column: List and Summary */}
@@ -188,33 +789,123 @@ function App() {
             <ExpenseSummary
               summary={summary}
               grandTotal={grandTotal}
+              cashFlow={cashFlow}
               isLoading={isLoading}
               chartType="bar"
+              series={series}
+              groupBy={groupBy}
+              onGroupByChange={setGroupBy}
+              currency={baseCurrency}
+              missingRates={missingRates}
+              budgets={budgets}
+              categories={categories}
+              expandedCategory={expandedCategory}
+              onExpand={setExpandedCategory}
+            />
+
+            {/* Who owes whom */}
+            <BalancesPanel
+              balances={balances}
+              onChange={loadBalances}
+              currency={baseCurrency}
+              missingRates={balanceMissingRates}
             />
 
             {/* Category Filter */}
             <CategoryFilter
+              categories={summary.map(
+                (item) => categories.find((c) => c.name === item.category) || { name: item.category }
+              )}
               onFilterChange={handleCategoryChange}
               selectedCategory={selectedCategory}
               isLoading={isLoading}
+              actions={
+                <ExportButton
+                  filters={{ ...filters, category: selectedCategory }}
+                  isLoading={isLoading}
+                />
+              }
             />
 
+            {/* Search, Ranges and Sorting */}
+            <ExpenseFilters
+              filters={filters}
+              onChange={handleFiltersChange}
+              isLoading={isLoading}
+            />
+
+            {/* Batch actions for the selected expenses */}
+            {(allMatching || Object.keys(selection).length > 0) && (
+              <BulkActionBar
+                selectedCount={Object.keys(selection).length}
+                matchingCount={pagination ? pagination.total : 0}
+                allMatching={allMatching}
+                onSelectAllMatching={() => setAllMatching(true)}
+                onClear={clearSelection}
+                onApply={handleBulkAction}
+                categories={categories}
+                tagSuggestions={tags}
+                isLoading={isLoading}
+              />
+            )}
+
             {/* Expense List */}
             <ExpenseList
               expenses={expenses}
+              accounts={accounts}
               onEdit={handleEdit}
               onDelete={handleDelete}
               isLoading={isLoading}
               emptyMessage={
-                selectedCategory === 'All'
-                  ? 'No expenses yet. Add one to get started!'
-                  : `No expenses in ${selectedCategory} category`
+                hasFilters
+                  ? 'No expenses match these filters'
+                  : 'No expenses yet. Add one to get started!'
               }
+              pagination={pagination}
+              onPageChange={setPage}
+              categories={categories}
+              onTagClick={handleTagClick}
+              onShowAttachments={setAttachmentExpense}
+              onShowHistory={setHistoryExpense}
+              selected={selection}
+              onSelectionChange={(next) => {
+                setSelection(next);
+                setAllMatching(false);
+              }}
+              allMatching={allMatching}
             />
           </div>
         </div>
       </main>
-      
+
+      {showImport && (
+        <ImportWizard
+          onClose={() => setShowImport(false)}
+          onImported={handleDataChanged}
+          categories={categories}
+          accounts={accounts}
+        />
+      )}
+
+      {attachmentExpense && (
+        <AttachmentModal
+          expense={attachmentExpense}
+          onClose={() => setAttachmentExpense(null)}
+          onChange={loadExpenses}
+        />
+      )}
+
+      {historyExpense && (
+        <ExpenseHistory
+          expense={historyExpense}
+          onClose={() => setHistoryExpense(null)}
+          accounts={accounts}
+        />
+      )}
+
+      {showTrash && (
+        <TrashBin onClose={() => setShowTrash(false)} onRestored={handleDataChanged} />
+      )}
     </div>
   );
 }
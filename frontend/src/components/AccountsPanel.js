@@ -0,0 +1,516 @@
+import React, { useState } from 'react';
+import {
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  fetchAccountHistory,
+  createTransfer,
+  deleteTransfer
+} from '../services/ExpenseService';
+import { formatCurrency, formatDate, isValidAmount, COMMON_CURRENCIES, DEFAULT_CURRENCY } from '../utils/helpers';
+
+const ACCOUNT_TYPES = [
+  { value: 'cash', label: 'Cash', icon: '💵' },
+  { value: 'bank', label: 'Bank', icon: '🏦' },
+  { value: 'card', label: 'Card', icon: '💳' },
+  { value: 'wallet', label: 'Wallet', icon: '👛' }
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyAccount = () => ({ name: '', type: 'bank', currency: DEFAULT_CURRENCY, openingBalance: '0' });
+
+const emptyTransfer = (accounts) => ({
+  fromAccountId: accounts[0] ? accounts[0].id : '',
+  toAccountId: accounts[1] ? accounts[1].id : '',
+  amount: '',
+  date: today(),
+  note: ''
+});
+
+const typeIcon = (type) => (ACCOUNT_TYPES.find((t) => t.value === type) || ACCOUNT_TYPES[0]).icon;
+
+/**
+ * AccountsPanel Component
+ * Lists the user's accounts with their running balances. Accounts can be
+ * added, edited and deleted (moving their records to another account), money
+ * can be moved between two accounts, and each account's history shows every
+ * expense, income entry and transfer with the balance after it. Transfers
+ * change balances but never count as spending.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.accounts - The user's accounts, each with its `balance`
+ * @param {Array} props.missingRates - Currencies left out of a balance for lack of an exchange rate
+ * @param {Function} props.onChange - Called after any account or transfer change
+ */
+const AccountsPanel = ({ accounts = [], missingRates = [], onChange }) => {
+  const [formData, setFormData] = useState(emptyAccount());
+  const [showForm, setShowForm] = useState(false);
+  // Row being acted on: { id, mode: 'edit' | 'delete' | 'history' }
+  const [active, setActive] = useState(null);
+  const [target, setTarget] = useState('');
+  const [history, setHistory] = useState(null);
+  const [transfer, setTransfer] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Handle account form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const closeForms = () => {
+    setShowForm(false);
+    setActive(null);
+    setTarget('');
+    setHistory(null);
+    setTransfer(null);
+    setFormData(emptyAccount());
+    setError(null);
+  };
+
+  /**
+   * Load an account's ledger
+   * @param {string} id - The account ID
+   */
+  const loadHistory = async (id) => {
+    try {
+      setHistory(await fetchAccountHistory(id));
+    } catch (err) {
+      setError('Failed to load account history');
+    }
+  };
+
+  /**
+   * Open an action on an account row
+   * @param {Object} account - The account
+   * @param {string} mode - 'edit', 'delete' or 'history'
+   */
+  const openAction = (account, mode) => {
+    if (active && active.id === account.id && active.mode === mode) {
+      closeForms();
+      return;
+    }
+    closeForms();
+    setActive({ id: account.id, mode });
+    setFormData({
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      openingBalance: String(account.openingBalance)
+    });
+    if (mode === 'history') {
+      loadHistory(account.id);
+    }
+  };
+
+  /**
+   * Save a change and refresh accounts and expenses
+   * @param {Function} request - Performs the API call
+   * @param {boolean} keepOpen - Leave the current row open (used by the history view)
+   */
+  const applyChange = async (request, keepOpen = false) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await request();
+      if (keepOpen) {
+        await loadHistory(active.id);
+      } else {
+        closeForms();
+      }
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save account');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle the add and edit forms
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      setError('Enter an account name');
+      return;
+    }
+    if (formData.openingBalance === '' || !Number.isFinite(Number(formData.openingBalance))) {
+      setError('Enter an opening balance');
+      return;
+    }
+
+    const account = { ...formData, name: formData.name.trim(), openingBalance: parseFloat(formData.openingBalance) };
+    applyChange(() => (active ? updateAccount(active.id, account) : createAccount(account)));
+  };
+
+  /**
+   * Handle recording a transfer
+   */
+  const handleTransfer = (e) => {
+    e.preventDefault();
+
+    if (transfer.fromAccountId === transfer.toAccountId) {
+      setError('Choose two different accounts');
+      return;
+    }
+    if (!isValidAmount(transfer.amount)) {
+      setError('Enter a valid amount');
+      return;
+    }
+
+    applyChange(() => createTransfer({ ...transfer, amount: parseFloat(transfer.amount) }));
+  };
+
+  /**
+   * Handle undoing a transfer from the history view
+   * @param {string} id - The transfer ID
+   */
+  const handleDeleteTransfer = (id) => {
+    if (!window.confirm('Remove this transfer?')) {
+      return;
+    }
+    applyChange(() => deleteTransfer(id), true);
+  };
+
+  const accountName = (id) => {
+    const account = accounts.find((a) => a.id === id);
+    return account ? account.name : 'a deleted account';
+  };
+
+  /**
+   * Describe a history entry
+   * @param {Object} entry - Ledger entry from the history endpoint
+   * @returns {string} Description
+   */
+  const describeEntry = (entry) => {
+    if (entry.kind === 'transfer-in') {
+      return `Transfer from ${accountName(entry.fromAccountId)}`;
+    }
+    if (entry.kind === 'transfer-out') {
+      return `Transfer to ${accountName(entry.toAccountId)}`;
+    }
+    return entry.description || (entry.kind === 'income' ? 'Income' : 'Expense');
+  };
+
+  const inputClassName =
+    'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700 text-sm';
+
+  const accountForm = (
+    <form onSubmit={handleSubmit} className="space-y-2 my-2">
+      <input
+        type="text"
+        name="name"
+        value={formData.name}
+        onChange={handleChange}
+        placeholder="Account name"
+        aria-label="Account name"
+        maxLength={50}
+        className={inputClassName}
+        disabled={isSaving}
+      />
+      <div className="grid grid-cols-3 gap-2">
+        <select
+          name="type"
+          value={formData.type}
+          onChange={handleChange}
+          aria-label="Account type"
+          className={`min-w-0 ${inputClassName}`}
+          disabled={isSaving}
+        >
+          {ACCOUNT_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.icon} {t.label}
+            </option>
+          ))}
+        </select>
+        <select
+          name="currency"
+          value={formData.currency}
+          onChange={handleChange}
+          aria-label="Account currency"
+          className={`min-w-0 ${inputClassName}`}
+          disabled={isSaving}
+        >
+          {COMMON_CURRENCIES.map((code) => (
+            <option key={code} value={code}>
+              {code}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          name="openingBalance"
+          value={formData.openingBalance}
+          onChange={handleChange}
+          aria-label="Opening balance"
+          title="Opening balance"
+          step="0.01"
+          className={`min-w-0 ${inputClassName}`}
+          disabled={isSaving}
+        />
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+        >
+          {isSaving ? 'Saving...' : active ? 'Save' : 'Add Account'}
+        </button>
+        <button
+          type="button"
+          onClick={closeForms}
+          className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-fuchsia-pink-500">Accounts</h2>
+        <span className="flex gap-2">
+          {accounts.length > 1 && !transfer && (
+            <button
+              onClick={() => {
+                closeForms();
+                setTransfer(emptyTransfer(accounts));
+              }}
+              className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 rounded-lg font-semibold transition text-sm"
+            >
+              Transfer
+            </button>
+          )}
+          {!showForm && (
+            <button
+              onClick={() => {
+                closeForms();
+                setShowForm(true);
+              }}
+              className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold transition"
+              title="Add account"
+            >
+              +
+            </button>
+          )}
+        </span>
+      </div>
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      {showForm && accountForm}
+
+      {transfer && (
+        <form onSubmit={handleTransfer} className="grid grid-cols-2 gap-2 mb-4">
+          <select
+            value={transfer.fromAccountId}
+            onChange={(e) => setTransfer({ ...transfer, fromAccountId: e.target.value })}
+            aria-label="From account"
+            className={`min-w-0 ${inputClassName}`}
+            disabled={isSaving}
+          >
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>
+                From {a.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={transfer.toAccountId}
+            onChange={(e) => setTransfer({ ...transfer, toAccountId: e.target.value })}
+            aria-label="To account"
+            className={`min-w-0 ${inputClassName}`}
+            disabled={isSaving}
+          >
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>
+                To {a.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            value={transfer.amount}
+            onChange={(e) => setTransfer({ ...transfer, amount: e.target.value })}
+            placeholder="Amount"
+            aria-label="Amount moved"
+            step="0.01"
+            min="0"
+            className={`min-w-0 ${inputClassName}`}
+            disabled={isSaving}
+          />
+          <input
+            type="date"
+            value={transfer.date}
+            onChange={(e) => setTransfer({ ...transfer, date: e.target.value })}
+            aria-label="Transfer date"
+            className={`min-w-0 ${inputClassName}`}
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={transfer.note}
+            onChange={(e) => setTransfer({ ...transfer, note: e.target.value })}
+            placeholder="Note (optional)"
+            maxLength={200}
+            className={`col-span-2 ${inputClassName}`}
+            disabled={isSaving}
+          />
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+          >
+            {isSaving ? 'Saving...' : 'Move money'}
+          </button>
+          <button
+            type="button"
+            onClick={closeForms}
+            className="bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <ul className="divide-y divide-slate-700">
+        {accounts.map((account) => (
+          <li key={account.id} className="py-2 text-sm">
+            {active && active.id === account.id && active.mode === 'edit' ? (
+              accountForm
+            ) : (
+              <div className="flex justify-between items-center">
+                <button
+                  onClick={() => openAction(account, 'history')}
+                  className="flex items-center gap-2 text-gray-300 hover:text-white text-left"
+                  title="Show history"
+                >
+                  <span>{typeIcon(account.type)}</span>
+                  {account.name}
+                </button>
+                <span className="flex items-center gap-3 text-xs">
+                  <span
+                    className={`text-sm font-semibold ${account.balance < 0 ? 'text-red-400' : 'text-fuchsia-pink-400'}`}
+                  >
+                    {formatCurrency(account.balance, account.currency)}
+                  </span>
+                  <button
+                    onClick={() => openAction(account, 'edit')}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => openAction(account, 'delete')}
+                    className="text-red-500 hover:text-red-400 font-semibold"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </div>
+            )}
+
+            {active && active.id === account.id && active.mode === 'delete' && (
+              <div className="mt-2 space-y-2">
+                <p className="text-xs text-gray-400">
+                  Expenses, income, recurring rules and transfers in {account.name} move to the account you choose.
+                </p>
+                <select
+                  value={target}
+                  onChange={(e) => setTarget(e.target.value)}
+                  aria-label="Move records to"
+                  className={inputClassName}
+                  disabled={isSaving}
+                >
+                  <option value="">Move records to… (only if in use)</option>
+                  {accounts
+                    .filter((a) => a.id !== account.id)
+                    .map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {a.name}
+                      </option>
+                    ))}
+                </select>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => applyChange(() => deleteAccount(account.id, target))}
+                    disabled={isSaving}
+                    className="flex-1 bg-red-600 hover:bg-red-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+                  >
+                    {isSaving ? 'Saving...' : 'Delete'}
+                  </button>
+                  <button
+                    onClick={closeForms}
+                    className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {active && active.id === account.id && active.mode === 'history' && (
+              <div className="mt-2 pt-2 border-t border-slate-800">
+                {!history ? (
+                  <p className="text-xs text-gray-500">Loading…</p>
+                ) : (
+                  <ul className="divide-y divide-slate-800 max-h-64 overflow-y-auto">
+                    {history.data.map((entry) => (
+                      <li key={`${entry.kind}-${entry.id}`} className="flex justify-between items-center py-1 text-xs">
+                        <span className="text-gray-400 min-w-0 truncate">
+                          {formatDate(entry.date)} · {describeEntry(entry)}
+                          {entry.kind.startsWith('transfer') && (
+                            <button
+                              onClick={() => handleDeleteTransfer(entry.id)}
+                              className="ml-2 text-red-500 hover:text-red-400 font-semibold"
+                              disabled={isSaving}
+                            >
+                              Undo
+                            </button>
+                          )}
+                        </span>
+                        <span className="flex gap-3 shrink-0">
+                          <span className={entry.change < 0 ? 'text-red-400' : 'text-green-400'}>
+                            {entry.change < 0 ? '−' : '+'}
+                            {formatCurrency(Math.abs(entry.change), history.currency)}
+                          </span>
+                          <span className="text-gray-300 w-24 text-right">
+                            {formatCurrency(entry.balance, history.currency)}
+                          </span>
+                        </span>
+                      </li>
+                    ))}
+                    <li className="flex justify-between py-1 text-xs text-gray-500">
+                      <span>Opening balance</span>
+                      <span>{formatCurrency(history.openingBalance, history.currency)}</span>
+                    </li>
+                  </ul>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {missingRates.length > 0 && (
+        <p className="text-xs text-yellow-500 mt-3">
+          Not included (no exchange rate): {missingRates.join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AccountsPanel;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchAttachments, fetchAttachmentBlob, deleteAttachment } from '../services/ExpenseService';
+import { formatDate, formatFileSize } from '../utils/helpers';
+
+/**
+ * AttachmentModal Component
+ * Shows the receipts attached to an expense: thumbnails for images, a
+ * full-size preview of the selected file, and delete buttons
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.expense - The expense whose receipts are shown
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onChange - Called after an attachment was deleted
+ */
+const AttachmentModal = ({ expense, onClose, onChange }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  /**
+   * Load the attachment list and the thumbnails of image receipts
+   */
+  const loadAttachments = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await fetchAttachments(expense.id);
+      const urls = {};
+      await Promise.all(
+        data
+          .filter((a) => a.thumbnailName)
+          .map(async (a) => {
+            urls[a.id] = URL.createObjectURL(await fetchAttachmentBlob(expense.id, a.id, true));
+          })
+      );
+      setAttachments(data);
+      setThumbnails(urls);
+      setSelected((prev) => (prev && data.some((a) => a.id === prev.id) ? prev : data[0] || null));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load attachments');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [expense.id]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  // Thumbnails are object URLs; release them when they are replaced
+  useEffect(() => () => Object.values(thumbnails).forEach((url) => URL.revokeObjectURL(url)), [thumbnails]);
+
+  // Fetch the full file for the selected attachment
+  useEffect(() => {
+    if (!selected) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+
+    let url = null;
+    let cancelled = false;
+    fetchAttachmentBlob(expense.id, selected.id)
+      .then((blob) => {
+        url = URL.createObjectURL(blob);
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+        } else {
+          setPreviewUrl(url);
+        }
+      })
+      .catch(() => !cancelled && setError('Failed to load the file'));
+
+    return () => {
+      cancelled = true;
+      setPreviewUrl(null);
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [expense.id, selected]);
+
+  /**
+   * Handle deleting an attachment
+   * @param {Object} attachment - The attachment to delete
+   */
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) {
+      return;
+    }
+    try {
+      await deleteAttachment(expense.id, attachment.id);
+      await loadAttachments();
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete attachment');
+    }
+  };
+
+  const isImage = selected && selected.mimeType.startsWith('image/');
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4">
+      <div className="bg-slate-900 rounded-lg shadow-md w-full max-w-3xl max-h-full overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-fuchsia-pink-500">
+            Receipts · {expense.description || expense.category} ({formatDate(expense.date)})
+          </h2>
+          <button onClick={onClose} className="text-fuchsia-pink-300 hover:text-white font-bold" title="Close">
+            ✕
+          </button>
+        </div>
+
+        {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+        {isLoading && attachments.length === 0 ? (
+          <p className="text-gray-400 text-center py-8">Loading receipts...</p>
+        ) : attachments.length === 0 ? (
+          <p className="text-gray-400 text-center py-8">No receipts attached.</p>
+        ) : (
+          <>
+            {/* Preview */}
+            <div className="bg-slate-800 rounded-lg mb-4 flex items-center justify-center min-h-[16rem]">
+              {!previewUrl ? (
+                <p className="text-gray-400">Loading...</p>
+              ) : isImage ? (
+                <img src={previewUrl} alt={selected.filename} className="max-h-[60vh] max-w-full object-contain" />
+              ) : (
+                <iframe src={previewUrl} title={selected.filename} className="w-full h-[60vh] rounded-lg" />
+              )}
+            </div>
+
+            {/* Attachment list */}
+            <ul className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {attachments.map((attachment) => (
+                <li
+                  key={attachment.id}
+                  className={`bg-slate-800 rounded-lg p-2 text-xs border ${
+                    selected && selected.id === attachment.id ? 'border-fuchsia-pink-500' : 'border-slate-700'
+                  }`}
+                >
+                  <button
+                    onClick={() => setSelected(attachment)}
+                    className="w-full h-24 flex items-center justify-center bg-slate-900 rounded mb-2"
+                    title={`Preview ${attachment.filename}`}
+                  >
+                    {thumbnails[attachment.id] ? (
+                      <img src={thumbnails[attachment.id]} alt="" className="max-h-24 max-w-full object-contain" />
+                    ) : (
+                      <span className="text-3xl">📄</span>
+                    )}
+                  </button>
+                  <p className="truncate text-gray-300" title={attachment.filename}>
+                    {attachment.filename}
+                  </p>
+                  <div className="flex justify-between items-center text-gray-500">
+                    <span>{formatFileSize(attachment.size)}</span>
+                    <span className="flex gap-2">
+                      {previewUrl && selected && selected.id === attachment.id && (
+                        <a
+                          href={previewUrl}
+                          download={attachment.filename}
+                          className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                        >
+                          Save
+                        </a>
+                      )}
+                      <button
+                        onClick={() => handleDelete(attachment)}
+                        className="text-red-500 hover:text-red-400 font-semibold"
+                      >
+                        Delete
+                      </button>
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentModal;
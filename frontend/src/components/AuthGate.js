@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import LoginPage from '../pages/LoginPage';
+import { getStoredSession, logout, setUnauthorizedHandler } from '../services/ExpenseService';
+
+/**
+ * AuthGate Component
+ * Shows the login page until a user is signed in, then renders its children.
+ * Children are a render function receiving { user, onLogout }.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.children - Render function for the signed-in app
+ */
+const AuthGate = ({ children }) => {
+  const [user, setUser] = useState(() => getStoredSession()?.user || null);
+
+  // Return to the login page if the server rejects our session
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  /**
+   * Handle signing out
+   */
+  const handleLogout = async () => {
+    await logout();
+    setUser(null);
+  };
+
+  if (!user) {
+    return <LoginPage onAuthenticated={setUser} />;
+  }
+
+  return children({ user, onLogout: handleLogout });
+};
+
+export default AuthGate;
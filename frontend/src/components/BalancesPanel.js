@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { settleUp, deleteSettlement } from '../services/ExpenseService';
+import { formatCurrency, formatDate, isValidAmount, DEFAULT_CURRENCY } from '../utils/helpers';
+
+/**
+ * BalancesPanel Component
+ * Shows who owes whom from split expenses, with a settle-up action for each
+ * suggested payment and the history of recorded settlements
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.balances - { balances, debts, settlements } from the balances endpoint
+ * @param {Function} props.onChange - Called after a settlement is recorded or removed
+ * @param {string} props.currency - Currency the balances are in
+ * @param {Array} props.missingRates - Currencies left out for lack of an exchange rate
+ */
+const BalancesPanel = ({
+  balances = { balances: [], debts: [], settlements: [] },
+  onChange,
+  currency = DEFAULT_CURRENCY,
+  missingRates = []
+}) => {
+  // The debt being settled, with the amount, date and note being entered
+  const [settling, setSettling] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { debts, settlements } = balances;
+
+  /**
+   * Open the settle-up form for a suggested payment
+   * @param {Object} debt - { from, to, amount }
+   */
+  const openSettle = (debt) => {
+    setSettling({ ...debt, amount: String(debt.amount), date: new Date().toISOString().split('T')[0], note: '' });
+    setError(null);
+  };
+
+  /**
+   * Record the settlement being entered
+   */
+  const handleSettle = async (e) => {
+    e.preventDefault();
+
+    if (!isValidAmount(settling.amount)) {
+      setError('Enter a valid amount');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await settleUp({ ...settling, amount: parseFloat(settling.amount), currency });
+      setSettling(null);
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to record settlement');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle undoing a settlement
+   * @param {string} id - The settlement ID
+   */
+  const handleDelete = async (id) => {
+    if (!window.confirm('Remove this settlement?')) {
+      return;
+    }
+    try {
+      await deleteSettlement(id);
+      onChange();
+    } catch (err) {
+      setError('Failed to remove settlement');
+    }
+  };
+
+  const inputClassName =
+    'px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700 text-sm';
+
+  if (debts.length === 0 && settlements.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-fuchsia-pink-500">Balances</h2>
+        {settlements.length > 0 && (
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-sm text-fuchsia-pink-300 hover:text-fuchsia-pink-200 font-semibold"
+          >
+            {showHistory ? 'Hide settlements' : `Settlements (${settlements.length})`}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      {debts.length === 0 ? (
+        <p className="text-gray-400 text-sm">Everyone is settled up.</p>
+      ) : (
+        <ul className="divide-y divide-slate-700">
+          {debts.map((debt) => (
+            <li key={`${debt.from}-${debt.to}`} className="py-2 text-sm">
+              <div className="flex justify-between items-center">
+                <span className="text-gray-300">
+                  <span className="font-semibold">{debt.from}</span> owes{' '}
+                  <span className="font-semibold">{debt.to}</span>
+                </span>
+                <span className="flex items-center gap-3">
+                  <span className="text-fuchsia-pink-400 font-semibold">{formatCurrency(debt.amount, currency)}</span>
+                  <button
+                    onClick={() => openSettle(debt)}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  >
+                    Settle up
+                  </button>
+                </span>
+              </div>
+
+              {settling && settling.from === debt.from && settling.to === debt.to && (
+                <form onSubmit={handleSettle} className="grid grid-cols-2 gap-2 mt-2">
+                  <input
+                    type="number"
+                    value={settling.amount}
+                    onChange={(e) => setSettling({ ...settling, amount: e.target.value })}
+                    aria-label="Amount paid"
+                    step="0.01"
+                    min="0"
+                    className={`min-w-0 ${inputClassName}`}
+                    disabled={isSaving}
+                  />
+                  <input
+                    type="date"
+                    value={settling.date}
+                    onChange={(e) => setSettling({ ...settling, date: e.target.value })}
+                    aria-label="Date paid"
+                    className={`min-w-0 ${inputClassName}`}
+                    disabled={isSaving}
+                  />
+                  <input
+                    type="text"
+                    value={settling.note}
+                    onChange={(e) => setSettling({ ...settling, note: e.target.value })}
+                    placeholder="Note (optional)"
+                    className={`col-span-2 ${inputClassName}`}
+                    disabled={isSaving}
+                  />
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+                  >
+                    {isSaving ? 'Saving...' : 'Record payment'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setSettling(null)}
+                    className="bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showHistory && (
+        <ul className="mt-4 pt-2 border-t border-slate-700 divide-y divide-slate-800">
+          {settlements.map((settlement) => (
+            <li key={settlement.id} className="flex justify-between items-center py-2 text-xs text-gray-400">
+              <span>
+                {formatDate(settlement.date)} · {settlement.from} paid {settlement.to}{' '}
+                {formatCurrency(settlement.amount, settlement.currency)}
+                {settlement.note && <span className="text-gray-500"> — {settlement.note}</span>}
+              </span>
+              <button
+                onClick={() => handleDelete(settlement.id)}
+                className="text-red-500 hover:text-red-400 font-semibold"
+              >
+                Undo
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {missingRates.length > 0 && (
+        <p className="text-xs text-yellow-500 mt-3">
+          Not included (no exchange rate): {missingRates.join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BalancesPanel;
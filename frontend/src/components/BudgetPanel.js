@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { createBudget, updateBudget, deleteBudget } from '../services/ExpenseService';
+import { formatCurrency, isValidAmount, DEFAULT_CURRENCY } from '../utils/helpers';
+import CategoryOptions from './CategoryOptions';
+
+const PERIODS = ['weekly', 'monthly', 'yearly'];
+
+/**
+ * BudgetPanel Component
+ * Lets the user set, change and remove per-category budgets
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.budgets - Budgets from the budget summary
+ * @param {Function} props.onChange - Called after any budget is saved or deleted
+ * @param {string} props.currency - Currency the limits are in
+ * @param {Array} props.categories - Category records to choose from
+ */
+const BudgetPanel = ({ budgets = [], onChange, currency = DEFAULT_CURRENCY, categories = [] }) => {
+  const [formData, setFormData] = useState({ category: '', period: 'monthly', limit: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Handle form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Start editing an existing budget
+   * @param {Object} budget - The budget to edit
+   */
+  const handleEdit = (budget) => {
+    setEditingId(budget.id);
+    setFormData({ category: budget.category, period: budget.period, limit: String(budget.limit) });
+    setError(null);
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData({ category: '', period: 'monthly', limit: '' });
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.category || !isValidAmount(formData.limit)) {
+      setError('Choose a category and enter a valid limit');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const budgetData = { ...formData, limit: parseFloat(formData.limit) };
+      if (editingId) {
+        await updateBudget(editingId, budgetData);
+      } else {
+        await createBudget(budgetData);
+      }
+      resetForm();
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save budget');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle deleting a budget
+   * @param {string} id - The budget ID
+   */
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this budget?')) {
+      return;
+    }
+    try {
+      await deleteBudget(id);
+      if (editingId === id) {
+        resetForm();
+      }
+      onChange();
+    } catch (err) {
+      setError('Failed to delete budget');
+    }
+  };
+
+  const inputClassName =
+    'px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700';
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4 text-fuchsia-pink-500">Budgets</h2>
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-2">
+        <select
+          name="category"
+          value={formData.category}
+          onChange={handleChange}
+          aria-label="Budget category"
+          className={`col-span-2 ${inputClassName}`}
+          disabled={isSaving}
+        >
+          <option value="" disabled>
+            Choose category
+          </option>
+          <CategoryOptions categories={categories.filter((c) => (c.type || 'expense') === 'expense')} />
+        </select>
+        <select
+          name="period"
+          value={formData.period}
+          onChange={handleChange}
+          aria-label="Budget period"
+          className={`capitalize ${inputClassName}`}
+          disabled={isSaving}
+        >
+          {PERIODS.map((period) => (
+            <option key={period} value={period}>
+              {period}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          name="limit"
+          value={formData.limit}
+          onChange={handleChange}
+          placeholder={`Limit (${currency})`}
+          step="0.01"
+          min="0"
+          className={`min-w-0 ${inputClassName}`}
+          disabled={isSaving}
+        />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+        >
+          {isSaving ? 'Saving...' : editingId ? 'Update' : 'Add Budget'}
+        </button>
+        {editingId && (
+          <button
+            type="button"
+            onClick={resetForm}
+            className="bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+          >
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {budgets.length > 0 && (
+        <ul className="mt-4 divide-y divide-slate-700">
+          {budgets.map((budget) => (
+            <li key={budget.id} className="flex items-center justify-between py-2 text-sm">
+              <span className="text-gray-300">
+                {budget.category} <span className="text-gray-500 capitalize">({budget.period})</span>
+              </span>
+              <span className="flex items-center gap-3">
+                <span className="text-fuchsia-pink-400 font-semibold">
+                  {formatCurrency(budget.limit, currency)}
+                </span>
+                <button
+                  onClick={() => handleEdit(budget)}
+                  className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  title="Edit budget"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(budget.id)}
+                  className="text-red-500 hover:text-red-400 font-semibold"
+                  title="Delete budget"
+                >
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BudgetPanel;
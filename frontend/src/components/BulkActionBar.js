@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import CategoryOptions from './CategoryOptions';
+import { normalizeTag } from '../utils/helpers';
+
+const ACTIONS = [
+  { value: 'setCategory', label: 'Change category' },
+  { value: 'addTags', label: 'Add tag' },
+  { value: 'removeTags', label: 'Remove tag' },
+  { value: 'shiftDate', label: 'Shift date' },
+  { value: 'delete', label: 'Delete' }
+];
+
+const FAILURE_LABELS = {
+  conflict: 'changed elsewhere since they were loaded',
+  not_found: 'no longer exist',
+  invalid: "can't take the change"
+};
+
+/**
+ * Summarize why a bulk action was refused, from its per-expense results
+ * @param {Array} results - [{ id, status, error }] from the bulk endpoint
+ * @returns {string} e.g. "2 changed elsewhere since they were loaded, 1 can't take the change (An expense can have at most 20 tags)"
+ */
+export const describeBulkFailures = (results) =>
+  Object.entries(FAILURE_LABELS)
+    .map(([status, label]) => {
+      const failed = results.filter((r) => r.status === status);
+      if (failed.length === 0) {
+        return null;
+      }
+      return status === 'invalid' ? `${failed.length} ${label} (${failed[0].error})` : `${failed.length} ${label}`;
+    })
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * BulkActionBar Component
+ * Shown while expenses are selected in the list. Applies one action to the
+ * whole selection: change category, add or remove a tag, shift the date by
+ * a number of days, or delete.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of expenses selected
+ * @param {number} props.matchingCount - Number of expenses matching the current filters
+ * @param {boolean} props.allMatching - Whether every matching expense is selected, not just the ticked rows
+ * @param {Function} props.onSelectAllMatching - Called to select every matching expense
+ * @param {Function} props.onClear - Called to clear the selection
+ * @param {Function} props.onApply - Called with the action and its fields ({ category }, { tags } or { days })
+ * @param {Array} props.categories - Category records to choose from
+ * @param {Array} props.tagSuggestions - Tags in use as { tag, count }, for autocomplete
+ * @param {boolean} props.isLoading - Disables the bar while a request runs
+ */
+const BulkActionBar = ({
+  selectedCount,
+  matchingCount,
+  allMatching = false,
+  onSelectAllMatching,
+  onClear,
+  onApply,
+  categories = [],
+  tagSuggestions = [],
+  isLoading = false
+}) => {
+  const [action, setAction] = useState('setCategory');
+  const [category, setCategory] = useState('');
+  const [tag, setTag] = useState('');
+  const [days, setDays] = useState('');
+  const [error, setError] = useState(null);
+
+  const count = allMatching ? matchingCount : selectedCount;
+
+  /**
+   * Check the fields for the chosen action and hand them to onApply
+   */
+  const handleApply = (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (action === 'setCategory') {
+      if (!category) {
+        setError('Choose a category');
+        return;
+      }
+      onApply(action, { category });
+    } else if (action === 'addTags' || action === 'removeTags') {
+      if (!normalizeTag(tag)) {
+        setError('Enter a tag');
+        return;
+      }
+      onApply(action, { tags: [normalizeTag(tag)] });
+    } else if (action === 'shiftDate') {
+      const shift = Number(days);
+      if (!Number.isInteger(shift) || shift === 0) {
+        setError('Enter a whole number of days, e.g. 1 or -7');
+        return;
+      }
+      onApply(action, { days: shift });
+    } else if (window.confirm(`Move ${count} expense${count === 1 ? '' : 's'} to the trash?`)) {
+      onApply(action, {});
+    }
+  };
+
+  const inputClassName =
+    'px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700 text-sm';
+
+  return (
+    <form
+      onSubmit={handleApply}
+      className="bg-slate-900 border border-fuchsia-pink-700 rounded-lg shadow-md p-4 flex flex-wrap items-center gap-3 text-sm"
+    >
+      <span className="text-gray-200 font-semibold">
+        {allMatching ? `All ${matchingCount} matching expenses selected` : `${selectedCount} selected`}
+      </span>
+      {!allMatching && matchingCount > selectedCount && (
+        <button
+          type="button"
+          onClick={onSelectAllMatching}
+          className="text-fuchsia-pink-300 hover:text-fuchsia-pink-200 font-semibold"
+        >
+          Select all {matchingCount} matching
+        </button>
+      )}
+      <button type="button" onClick={onClear} className="text-gray-400 hover:text-gray-200">
+        Clear
+      </button>
+
+      <span className="flex flex-wrap items-center gap-2 ml-auto">
+        <select
+          value={action}
+          onChange={(e) => {
+            setAction(e.target.value);
+            setError(null);
+          }}
+          aria-label="Action"
+          className={inputClassName}
+          disabled={isLoading}
+        >
+          {ACTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {action === 'setCategory' && (
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            aria-label="New category"
+            className={inputClassName}
+            disabled={isLoading}
+          >
+            <option value="">Category...</option>
+            <CategoryOptions categories={categories} />
+          </select>
+        )}
+
+        {(action === 'addTags' || action === 'removeTags') && (
+          <>
+            <input
+              type="text"
+              value={tag}
+              onChange={(e) => setTag(e.target.value)}
+              placeholder="tag"
+              aria-label="Tag"
+              list="bulk-tags"
+              className={`w-36 ${inputClassName}`}
+              disabled={isLoading}
+            />
+            <datalist id="bulk-tags">
+              {tagSuggestions.map(({ tag: suggestion }) => (
+                <option key={suggestion} value={suggestion} />
+              ))}
+            </datalist>
+          </>
+        )}
+
+        {action === 'shiftDate' && (
+          <input
+            type="number"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            placeholder="± days"
+            aria-label="Days to shift by"
+            step="1"
+            className={`w-28 ${inputClassName}`}
+            disabled={isLoading}
+          />
+        )}
+
+        <button
+          type="submit"
+          disabled={isLoading}
+          className={`px-4 py-2 text-white rounded-lg font-semibold transition disabled:bg-gray-600 ${
+            action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700'
+          }`}
+        >
+          {action === 'delete' ? `Delete ${count}` : `Apply to ${count}`}
+        </button>
+      </span>
+
+      {error && <p className="w-full text-red-500">{error}</p>}
+    </form>
+  );
+};
+
+export default BulkActionBar;
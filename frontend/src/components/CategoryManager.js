@@ -0,0 +1,323 @@
+import React, { useState } from 'react';
+import { createCategory, updateCategory, deleteCategory, mergeCategory } from '../services/ExpenseService';
+import { groupCategories } from '../utils/helpers';
+
+const emptyCategory = () => ({ name: '', color: '#A78BFA', icon: '', parent: '', type: 'expense' });
+
+const typeOf = (category) => category.type || 'expense';
+
+/**
+ * CategoryManager Component
+ * Lets the user add, rename, recolor, nest, delete and merge categories.
+ * Renames, deletes and merges also move the expenses, budgets, recurring
+ * rules and auto-categorization rules filed under the category. A category is for expenses or
+ * for income; that is chosen when adding it, and nesting, merging and
+ * reassigning stay within the same type.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.categories - The user's category records
+ * @param {Function} props.onChange - Called after any category change
+ */
+const CategoryManager = ({ categories = [], onChange }) => {
+  const [formData, setFormData] = useState(emptyCategory());
+  const [showForm, setShowForm] = useState(false);
+  // Row being acted on: { name, mode: 'edit' | 'delete' | 'merge' }
+  const [active, setActive] = useState(null);
+  const [target, setTarget] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Handle form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const closeForms = () => {
+    setShowForm(false);
+    setActive(null);
+    setTarget('');
+    setFormData(emptyCategory());
+    setError(null);
+  };
+
+  /**
+   * Open an action on a category row
+   * @param {Object} category - The category
+   * @param {string} mode - 'edit', 'delete' or 'merge'
+   */
+  const openAction = (category, mode) => {
+    setShowForm(false);
+    setActive({ name: category.name, mode });
+    setTarget('');
+    const parent = categories.find((c) => c.id === category.parentId);
+    setFormData({
+      name: category.name,
+      color: category.color || '#95A5A6',
+      icon: category.icon || '',
+      parent: parent ? parent.name : '',
+      type: typeOf(category)
+    });
+    setError(null);
+  };
+
+  /**
+   * Save a change and refresh categories and expenses
+   * @param {Function} request - Performs the API call
+   */
+  const applyChange = async (request) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await request();
+      closeForms();
+      onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save category');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle the add and edit forms
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      setError('Enter a category name');
+      return;
+    }
+
+    const style = { color: formData.color, icon: formData.icon.trim(), parent: formData.parent || null };
+    applyChange(() =>
+      active
+        ? updateCategory(active.name, { name: formData.name.trim(), ...style })
+        : createCategory(formData.name.trim(), { ...style, type: formData.type })
+    );
+  };
+
+  /**
+   * Handle confirming a delete or merge
+   */
+  const handleConfirm = () => {
+    if (active.mode === 'merge' && !target) {
+      setError('Choose a category to merge into');
+      return;
+    }
+    applyChange(() =>
+      active.mode === 'merge' ? mergeCategory(active.name, target) : deleteCategory(active.name, target)
+    );
+  };
+
+  const tree = groupCategories(categories);
+  const editing = active && categories.find((c) => c.name === active.name);
+  // Only top-level categories of the same type can be parents, and a parent can't be nested
+  const parentChoices = tree.filter((c) => (!editing || c.id !== editing.id) && typeOf(c) === formData.type);
+  const canNest = !editing || !tree.some((c) => c.id === editing.id && c.children.length > 0);
+
+  const inputClassName =
+    'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700';
+
+  const categoryForm = (
+    <form onSubmit={handleSubmit} className="space-y-2 my-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          name="icon"
+          value={formData.icon}
+          onChange={handleChange}
+          placeholder="🙂"
+          aria-label="Icon"
+          maxLength={8}
+          className="w-14 px-2 py-2 border rounded-lg bg-slate-800 text-white border-slate-700 text-center"
+          disabled={isSaving}
+        />
+        <input
+          type="text"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="Category name"
+          aria-label="Category name"
+          className={`min-w-0 ${inputClassName}`}
+          disabled={isSaving}
+        />
+        <input
+          type="color"
+          name="color"
+          value={formData.color}
+          onChange={handleChange}
+          aria-label="Color"
+          className="w-12 h-10 bg-slate-800 border border-slate-700 rounded-lg cursor-pointer"
+          disabled={isSaving}
+        />
+      </div>
+      {!active && (
+        <select
+          name="type"
+          value={formData.type}
+          onChange={(e) => setFormData((prev) => ({ ...prev, type: e.target.value, parent: '' }))}
+          aria-label="Category type"
+          className={inputClassName}
+          disabled={isSaving}
+        >
+          <option value="expense">For expenses</option>
+          <option value="income">For income</option>
+        </select>
+      )}
+      <select
+        name="parent"
+        value={formData.parent}
+        onChange={handleChange}
+        aria-label="Parent category"
+        className={inputClassName}
+        disabled={isSaving || !canNest}
+        title={canNest ? undefined : 'Categories with subcategories stay top-level'}
+      >
+        <option value="">Top-level category</option>
+        {parentChoices.map((c) => (
+          <option key={c.id} value={c.name}>
+            Under {c.name}
+          </option>
+        ))}
+      </select>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+        >
+          {isSaving ? 'Saving...' : active ? 'Save' : 'Add Category'}
+        </button>
+        <button
+          type="button"
+          onClick={closeForms}
+          className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-fuchsia-pink-500">Categories</h2>
+        {!showForm && (
+          <button
+            onClick={() => {
+              closeForms();
+              setShowForm(true);
+            }}
+            className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold transition"
+            title="Add category"
+          >
+            +
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      {showForm && categoryForm}
+
+      <ul className="divide-y divide-slate-700">
+        {tree.flatMap((parent) => [parent, ...parent.children]).map((category) => (
+          <li key={category.id} className={`py-2 text-sm ${category.parentId ? 'pl-6' : ''}`}>
+            {active && active.name === category.name && active.mode === 'edit' ? (
+              categoryForm
+            ) : (
+              <div className="flex justify-between items-center">
+                <span className="flex items-center gap-2 text-gray-300">
+                  <span
+                    className="inline-block w-3 h-3 rounded-full"
+                    style={{ backgroundColor: category.color }}
+                  />
+                  {category.icon && <span>{category.icon}</span>}
+                  {category.name}
+                  {typeOf(category) === 'income' && !category.parentId && (
+                    <span className="text-xs text-green-400 border border-green-700 rounded-full px-2">income</span>
+                  )}
+                </span>
+                <span className="flex gap-3 text-xs">
+                  <button
+                    onClick={() => openAction(category, 'edit')}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => openAction(category, 'merge')}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  >
+                    Merge
+                  </button>
+                  <button
+                    onClick={() => openAction(category, 'delete')}
+                    className="text-red-500 hover:text-red-400 font-semibold"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </div>
+            )}
+
+            {active && active.name === category.name && active.mode !== 'edit' && (
+              <div className="mt-2 space-y-2">
+                <p className="text-xs text-gray-400">
+                  {active.mode === 'merge'
+                    ? `Move everything in ${category.name} to another category, then remove ${category.name}.`
+                    : `Expenses, budgets, recurring rules and auto-categorization rules in ${category.name} move to the category you choose.`}{' '}
+                  Only {typeOf(category)} categories are offered.
+                </p>
+                <select
+                  value={target}
+                  onChange={(e) => setTarget(e.target.value)}
+                  aria-label={active.mode === 'merge' ? 'Merge into' : 'Move expenses to'}
+                  className={inputClassName}
+                  disabled={isSaving}
+                >
+                  <option value="">
+                    {active.mode === 'merge' ? 'Merge into…' : 'Move expenses to… (only if in use)'}
+                  </option>
+                  {categories
+                    .filter((c) => c.id !== category.id && typeOf(c) === typeOf(category))
+                    .map((c) => (
+                      <option key={c.id} value={c.name}>
+                        {c.name}
+                      </option>
+                    ))}
+                </select>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleConfirm}
+                    disabled={isSaving}
+                    className="flex-1 bg-red-600 hover:bg-red-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+                  >
+                    {isSaving ? 'Saving...' : active.mode === 'merge' ? 'Merge' : 'Delete'}
+                  </button>
+                  <button
+                    onClick={closeForms}
+                    className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { groupCategories } from '../utils/helpers';
+
+/**
+ * CategoryOptions Component
+ * Renders <option>s for a category <select>, grouping subcategories under
+ * their parent. The parent itself stays selectable as the group's first entry.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.categories - Category records from the API
+ */
+const CategoryOptions = ({ categories = [] }) =>
+  groupCategories(categories).map((parent) =>
+    parent.children.length === 0 ? (
+      <option key={parent.id} value={parent.name}>
+        {parent.icon ? `${parent.icon} ${parent.name}` : parent.name}
+      </option>
+    ) : (
+      <optgroup key={parent.id} label={parent.name}>
+        <option value={parent.name}>{parent.name} (general)</option>
+        {parent.children.map((child) => (
+          <option key={child.id} value={child.name}>
+            {child.icon ? `${child.icon} ${child.name}` : child.name}
+          </option>
+        ))}
+      </optgroup>
+    )
+  );
+
+export default CategoryOptions;
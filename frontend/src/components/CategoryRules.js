@@ -0,0 +1,446 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchCategoryRules,
+  createCategoryRule,
+  updateCategoryRule,
+  deleteCategoryRule,
+  applyCategoryRules
+} from '../services/ExpenseService';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import CategoryOptions from './CategoryOptions';
+import TagInput from './TagInput';
+
+const emptyRule = () => ({
+  pattern: '',
+  matchType: 'contains',
+  minAmount: '',
+  maxAmount: '',
+  category: '',
+  tags: []
+});
+
+/**
+ * Describe when a rule applies, e.g. `"swiggy" · 100–500`
+ * @param {Object} rule - The rule
+ * @returns {string} Description
+ */
+const describeCondition = (rule) => {
+  const parts = [];
+  if (rule.pattern) {
+    parts.push(rule.matchType === 'regex' ? `/${rule.pattern}/` : `"${rule.pattern}"`);
+  }
+  if (rule.minAmount !== null && rule.maxAmount !== null) {
+    parts.push(`${rule.minAmount}–${rule.maxAmount}`);
+  } else if (rule.minAmount !== null) {
+    parts.push(`≥ ${rule.minAmount}`);
+  } else if (rule.maxAmount !== null) {
+    parts.push(`≤ ${rule.maxAmount}`);
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * CategoryRules Component
+ * Lets the user manage auto-categorization rules ("Swiggy" → Food): a
+ * description that contains a word or matches a regular expression, and an
+ * optional amount range, set the category and add tags. New expenses without
+ * a category and imported rows are categorized by the first matching rule.
+ * **Re-run** previews what the rules would change on existing expenses and
+ * applies the changes the user keeps ticked.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.categories - Category records to choose from
+ * @param {Array} props.tagSuggestions - Tags in use as { tag, count }, for autocomplete
+ * @param {Function} props.onApplied - Called after a re-run changed expenses
+ */
+const CategoryRules = ({ categories = [], tagSuggestions = [], onApplied }) => {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyRule());
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  // Changes a re-run would make, and the expense IDs still ticked
+  const [preview, setPreview] = useState(null);
+  const [picked, setPicked] = useState([]);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Load rules from API
+   */
+  const loadRules = useCallback(async () => {
+    try {
+      setRules(await fetchCategoryRules());
+    } catch (err) {
+      console.error('Failed to load rules');
+    }
+  }, []);
+
+  // Load rules on mount, and again when categories change since renaming
+  // or merging a category rewrites the rules that use it
+  useEffect(() => {
+    loadRules();
+  }, [loadRules, categories]);
+
+  /**
+   * Handle form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyRule());
+    setError(null);
+  };
+
+  /**
+   * Start editing an existing rule
+   * @param {Object} rule - The rule to edit
+   */
+  const handleEdit = (rule) => {
+    setPreview(null);
+    setEditingId(rule.id);
+    setFormData({
+      pattern: rule.pattern,
+      matchType: rule.matchType,
+      minAmount: rule.minAmount === null ? '' : String(rule.minAmount),
+      maxAmount: rule.maxAmount === null ? '' : String(rule.maxAmount),
+      category: rule.category,
+      tags: rule.tags
+    });
+    setShowForm(true);
+    setError(null);
+  };
+
+  /**
+   * Save a change and refresh the rules
+   * @param {Function} request - Performs the API call
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  const applyChange = async (request) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await request();
+      await loadRules();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save rule');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.category || (!formData.pattern.trim() && formData.minAmount === '' && formData.maxAmount === '')) {
+      setError('Enter a description pattern or an amount range, and a category');
+      return;
+    }
+
+    const ruleData = {
+      ...formData,
+      pattern: formData.pattern.trim(),
+      minAmount: formData.minAmount === '' ? null : parseFloat(formData.minAmount),
+      maxAmount: formData.maxAmount === '' ? null : parseFloat(formData.maxAmount)
+    };
+
+    const saved = await applyChange(() =>
+      editingId ? updateCategoryRule(editingId, ruleData) : createCategoryRule(ruleData)
+    );
+    if (saved) {
+      closeForm();
+    }
+  };
+
+  /**
+   * Handle deleting a rule
+   * @param {string} id - The rule ID
+   */
+  const handleDelete = (id) => {
+    if (window.confirm('Delete this rule? Expenses it already categorized keep their category.')) {
+      applyChange(() => deleteCategoryRule(id));
+    }
+  };
+
+  /**
+   * Preview what re-running the rules would change
+   */
+  const handlePreview = async () => {
+    closeForm();
+    setIsSaving(true);
+    try {
+      const result = await applyCategoryRules({ dryRun: true });
+      setPreview(result.data);
+      setPicked(result.data.map((change) => change.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to preview rules');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Apply the ticked changes from the preview
+   */
+  const handleApply = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await applyCategoryRules({ dryRun: false, expenseIds: picked });
+      setPreview(null);
+      onApplied();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to apply rules');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const togglePicked = (id) =>
+    setPicked((prev) => (prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id]));
+
+  const inputClassName =
+    'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700';
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-fuchsia-pink-500">Auto-categorize</h2>
+        <span className="flex gap-2">
+          {rules.length > 0 && !preview && (
+            <button
+              onClick={handlePreview}
+              className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 rounded-lg font-semibold transition text-sm"
+              disabled={isSaving}
+              title="Preview what the rules would change on existing expenses"
+            >
+              Re-run
+            </button>
+          )}
+          {!showForm && (
+            <button
+              onClick={() => {
+                setPreview(null);
+                setShowForm(true);
+              }}
+              className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold transition"
+              title="Add rule"
+            >
+              +
+            </button>
+          )}
+        </span>
+      </div>
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="space-y-2 mb-4">
+          <div className="flex gap-2">
+            <select
+              name="matchType"
+              value={formData.matchType}
+              onChange={handleChange}
+              aria-label="Match type"
+              className="px-3 py-2 border rounded-lg bg-slate-800 text-white border-slate-700"
+              disabled={isSaving}
+            >
+              <option value="contains">Contains</option>
+              <option value="regex">Regex</option>
+            </select>
+            <input
+              type="text"
+              name="pattern"
+              value={formData.pattern}
+              onChange={handleChange}
+              placeholder={formData.matchType === 'regex' ? '^uber\\b' : 'Description text, e.g. Swiggy'}
+              aria-label="Description pattern"
+              maxLength={200}
+              className={`min-w-0 ${inputClassName}`}
+              disabled={isSaving}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              name="minAmount"
+              value={formData.minAmount}
+              onChange={handleChange}
+              placeholder="Min amount"
+              aria-label="Minimum amount"
+              step="0.01"
+              min="0"
+              className={`min-w-0 ${inputClassName}`}
+              disabled={isSaving}
+            />
+            <input
+              type="number"
+              name="maxAmount"
+              value={formData.maxAmount}
+              onChange={handleChange}
+              placeholder="Max amount"
+              aria-label="Maximum amount"
+              step="0.01"
+              min="0"
+              className={`min-w-0 ${inputClassName}`}
+              disabled={isSaving}
+            />
+          </div>
+          <select
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            aria-label="Category"
+            className={inputClassName}
+            disabled={isSaving}
+          >
+            <option value="" disabled>
+              Set category to…
+            </option>
+            <CategoryOptions categories={categories} />
+          </select>
+          <TagInput
+            value={formData.tags}
+            onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+            suggestions={tagSuggestions}
+            disabled={isSaving}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+            >
+              {isSaving ? 'Saving...' : editingId ? 'Update Rule' : 'Add Rule'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {preview && (
+        <div className="mb-4 p-3 rounded-lg bg-slate-800">
+          {preview.length === 0 ? (
+            <p className="text-sm text-gray-400">The rules would not change any expenses.</p>
+          ) : (
+            <ul className="divide-y divide-slate-700 max-h-64 overflow-y-auto">
+              {preview.map((change) => (
+                <li key={change.id} className="py-1 text-xs">
+                  <label className="flex gap-2 items-start cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={picked.includes(change.id)}
+                      onChange={() => togglePicked(change.id)}
+                      className="mt-0.5 accent-fuchsia-pink-500"
+                      disabled={isSaving}
+                    />
+                    <span className="min-w-0">
+                      <span className="text-gray-300">
+                        {formatDate(change.date)} · {change.description || '-'} ·{' '}
+                        {formatCurrency(change.amount, change.currency)}
+                      </span>
+                      <span className="block text-gray-400">
+                        {change.before.category !== change.after.category && (
+                          <>
+                            <span className="line-through text-red-300">{change.before.category}</span> →{' '}
+                            <span className="text-green-300">{change.after.category}</span>{' '}
+                          </>
+                        )}
+                        {change.after.tags
+                          .filter((tag) => !change.before.tags.includes(tag))
+                          .map((tag) => (
+                            <span key={tag} className="text-green-300 mr-1">
+                              +#{tag}
+                            </span>
+                          ))}
+                      </span>
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex gap-2 mt-3">
+            {preview.length > 0 && (
+              <button
+                onClick={handleApply}
+                disabled={isSaving || picked.length === 0}
+                className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600 text-sm"
+              >
+                {isSaving ? 'Applying...' : `Apply ${picked.length} change${picked.length === 1 ? '' : 's'}`}
+              </button>
+            )}
+            <button
+              onClick={() => setPreview(null)}
+              className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition text-sm"
+            >
+              {preview.length > 0 ? 'Cancel' : 'Close'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-gray-400 text-sm">No rules yet</p>
+      ) : (
+        <ul className="divide-y divide-slate-700">
+          {rules.map((rule) => (
+            <li key={rule.id} className={`py-2 text-sm ${rule.enabled ? '' : 'opacity-60'}`}>
+              <div className="flex justify-between gap-2">
+                <span className="text-gray-300 min-w-0 truncate">{rule.name || describeCondition(rule)}</span>
+                <span className="text-fuchsia-pink-400 font-semibold shrink-0">→ {rule.category}</span>
+              </div>
+              <div className="flex justify-between items-center text-xs text-gray-500 mt-1">
+                <span>
+                  {rule.tags.map((tag) => `#${tag}`).join(' ')}
+                  {!rule.enabled && <span className="ml-2 text-yellow-500">Off</span>}
+                </span>
+                <span className="flex gap-3">
+                  <button
+                    onClick={() => applyChange(() => updateCategoryRule(rule.id, { enabled: !rule.enabled }))}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                    disabled={isSaving}
+                  >
+                    {rule.enabled ? 'Turn off' : 'Turn on'}
+                  </button>
+                  <button
+                    onClick={() => handleEdit(rule)}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule.id)}
+                    className="text-red-500 hover:text-red-400 font-semibold"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CategoryRules;
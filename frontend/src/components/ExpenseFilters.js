@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+
+// Delay before a search box change is applied, so each keystroke isn't a request
+const SEARCH_DEBOUNCE_MS = 300;
+
+export const EMPTY_FILTERS = {
+  q: '',
+  from: '',
+  to: '',
+  minAmount: '',
+  maxAmount: '',
+  sort: 'date',
+  order: 'desc',
+  type: '',
+  tags: []
+};
+
+const SORT_OPTIONS = [
+  { value: 'date:desc', label: 'Newest first' },
+  { value: 'date:asc', label: 'Oldest first' },
+  { value: 'amount:desc', label: 'Highest amount' },
+  { value: 'amount:asc', label: 'Lowest amount' },
+  { value: 'category:asc', label: 'Category A–Z' },
+  { value: 'description:asc', label: 'Description A–Z' }
+];
+
+/**
+ * ExpenseFilters Component
+ * Filter bar for the expense list: text search, expenses or income only,
+ * date and amount ranges, sorting, and the tags picked by clicking chips in
+ * the list
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filters (see EMPTY_FILTERS)
+ * @param {Function} props.onChange - Called with the new filters
+ * @param {boolean} props.isLoading - Loading state indicator
+ */
+const ExpenseFilters = ({ filters = EMPTY_FILTERS, onChange, isLoading = false }) => {
+  const [search, setSearch] = useState(filters.q);
+
+  // Keep the search box in sync when filters are reset from outside
+  useEffect(() => {
+    setSearch(filters.q);
+  }, [filters.q]);
+
+  // Apply the search text once typing pauses
+  useEffect(() => {
+    if (search === filters.q) {
+      return undefined;
+    }
+    const timer = setTimeout(() => onChange({ ...filters, q: search }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search, filters, onChange]);
+
+  /**
+   * Handle filter input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (name === 'sortOrder') {
+      const [sort, order] = value.split(':');
+      onChange({ ...filters, sort, order });
+    } else {
+      onChange({ ...filters, [name]: value });
+    }
+  };
+
+  const inputClassName =
+    'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700 text-sm';
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-4 mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search descriptions"
+          aria-label="Search descriptions"
+          className={inputClassName}
+        />
+        <select
+          name="type"
+          value={filters.type}
+          onChange={handleChange}
+          aria-label="Type"
+          className={inputClassName}
+          disabled={isLoading}
+        >
+          <option value="">Expenses and income</option>
+          <option value="expense">Expenses only</option>
+          <option value="income">Income only</option>
+        </select>
+        <select
+          name="sortOrder"
+          value={`${filters.sort}:${filters.order}`}
+          onChange={handleChange}
+          aria-label="Sort by"
+          className={`col-span-2 ${inputClassName}`}
+          disabled={isLoading}
+        >
+          {SORT_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <label className="text-xs text-gray-400">
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleChange} className={inputClassName} />
+        </label>
+        <label className="text-xs text-gray-400">
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleChange} className={inputClassName} />
+        </label>
+        <label className="text-xs text-gray-400">
+          Min amount
+          <input
+            type="number"
+            name="minAmount"
+            value={filters.minAmount}
+            onChange={handleChange}
+            min="0"
+            step="0.01"
+            className={inputClassName}
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Max amount
+          <input
+            type="number"
+            name="maxAmount"
+            value={filters.maxAmount}
+            onChange={handleChange}
+            min="0"
+            step="0.01"
+            className={inputClassName}
+          />
+        </label>
+      </div>
+      <div className="flex justify-between items-center mt-3">
+        <div className="flex flex-wrap gap-2">
+          {filters.tags.map((tag) => (
+            <span
+              key={tag}
+              className="inline-flex items-center bg-fuchsia-pink-900 text-fuchsia-pink-200 px-2 py-0.5 rounded-full text-xs font-semibold border border-fuchsia-pink-600"
+            >
+              #{tag}
+              <button
+                onClick={() => onChange({ ...filters, tags: filters.tags.filter((t) => t !== tag) })}
+                className="ml-1 text-fuchsia-pink-300 hover:text-white"
+                aria-label={`Stop filtering by ${tag}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+        <button
+          onClick={() => onChange(EMPTY_FILTERS)}
+          className="text-sm text-fuchsia-pink-300 hover:text-fuchsia-pink-200 font-semibold"
+        >
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExpenseFilters;
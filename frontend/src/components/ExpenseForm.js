@@ -1,51 +1,165 @@
-import React, { useState, useEffect } from 'react';
-import { fetchCategories, createCategory } from '../services/ExpenseService';
-import { isValidAmount, isValidDate } from '../utils/helpers';
+import React, { useState, useEffect, useRef } from 'react';
+import { createCategory, fetchRates, suggestCategory } from '../services/ExpenseService';
+import CategoryOptions from './CategoryOptions';
+import TagInput from './TagInput';
+import SplitEditor, { validateSplit } from './SplitEditor';
+import {
+  isValidAmount,
+  isValidDate,
+  formatFileSize,
+  DEFAULT_CURRENCY,
+  COMMON_CURRENCIES,
+  ATTACHMENT_TYPES,
+  ATTACHMENT_MAX_BYTES
+} from '../utils/helpers';
+
+// How long typing must pause before a category is suggested
+const SUGGEST_DELAY_MS = 300;
+
+// Fields with their own message slot; other server errors show above the button
+const SERVER_ERROR_FIELDS = ['amount', 'currency', 'category', 'date', 'accountId', 'description', 'tags', 'split'];
+
+const TYPES = [
+  { value: 'expense', label: '💸 Expense' },
+  { value: 'income', label: '💰 Income' }
+];
 
 /**
  * ExpenseForm Component
- * Handles adding and editing expenses
+ * Handles adding and editing expenses. Receipts dropped on the form are
+ * handed to onSubmit and uploaded once the expense is saved. A toggle picks
+ * between an expense and income, which limits the categories offered (and
+ * income can't be split). When the server
+ * rejects the expense (422), its per-field messages are shown under the
+ * matching inputs and what was typed is kept.
  * 
  * @param {Object} props - Component props
- * @param {Function} props.onSubmit - Callback when form is submitted
+ * @param {Function} props.onSubmit - Callback when form is submitted, with the expense data and the receipt files; may return a promise; a rejection with the server's 422 response shows the field errors, any other a message above the submit button
  * @param {Object} props.initialData - Initial expense data for editing (optional)
  * @param {boolean} props.isLoading - Loading state indicator
+ * @param {Array} props.categories - Category records to choose from
+ * @param {Function} props.onCategoryCreated - Called with a category added from the form
+ * @param {Array} props.tagSuggestions - Tags already in use, as { tag, count }, for autocomplete
+ * @param {Array<string>} props.people - People from earlier splits, for autocomplete
+ * @param {Array} props.accounts - Accounts to file the entry under; the first is the default
  */
-const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
+const ExpenseForm = ({
+  onSubmit,
+  initialData = null,
+  isLoading = false,
+  categories = [],
+  onCategoryCreated,
+  tagSuggestions = [],
+  people = [],
+  accounts = []
+}) => {
   const [formData, setFormData] = useState({
+    type: 'expense',
     amount: '',
+    currency: DEFAULT_CURRENCY,
     category: '',
     date: new Date().toISOString().split('T')[0],
-    description: ''
+    accountId: '',
+    description: '',
+    tags: [],
+    split: null
   });
 
-  const [categories, setCategories] = useState(['Food', 'Transport', 'Entertainment', 'Utilities', 'Healthcare', 'Shopping']);
   const [errors, setErrors] = useState({});
-  const [categoriesLoading, setCategoriesLoading] = useState(true);
   const [newCategoryInput, setNewCategoryInput] = useState('');
   const [showAddCategory, setShowAddCategory] = useState(false);
   const [addingCategory, setAddingCategory] = useState(false);
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [currencies, setCurrencies] = useState(COMMON_CURRENCIES);
+  const [receipts, setReceipts] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  // Category (and rule tags) filled in from the description, until the user picks one
+  const [suggestion, setSuggestion] = useState(null);
+  const suggestionRef = useRef(null);
+  const categoryPickedRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  // Filter out "Other" and categories of the other type
+  const pickableCategories = categories.filter(
+    (cat) => cat.name !== 'Other' && (cat.type || 'expense') === formData.type
+  );
+  const isIncome = formData.type === 'income';
 
-  // Load categories on mount
+  // Load currencies with stored rates and the server's base currency
   useEffect(() => {
-    const loadCategories = async () => {
+    const loadCurrencies = async () => {
       try {
-        const data = await fetchCategories();
-        if (data.length > 0) {
-          // Filter out "Other" to keep only relevant categories
-          const filteredCategories = data.filter(cat => cat !== 'Other');
-          setCategories(filteredCategories);
-        }
+        const { data, baseCurrency: base } = await fetchRates();
+        setBaseCurrency(base);
+        setCurrencies([...new Set([base, ...COMMON_CURRENCIES, ...data.map((r) => r.currency)])]);
+        // Switch an untouched new expense over to the base currency
+        setFormData((prev) => (prev.id || prev.amount ? prev : { ...prev, currency: base }));
       } catch (error) {
-        console.error('Failed to load categories');
-      } finally {
-        setCategoriesLoading(false);
+        console.error('Failed to load currencies');
       }
     };
 
-    loadCategories();
+    loadCurrencies();
   }, []);
 
+  // Suggest a category from the rules and past entries as the description
+  // and amount are typed, for new entries whose category isn't chosen yet
+  useEffect(() => {
+    if (formData.id || categoryPickedRef.current) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      let next = null;
+      if (formData.description.trim()) {
+        try {
+          next = await suggestCategory({
+            description: formData.description,
+            amount: formData.amount,
+            type: formData.type
+          });
+        } catch (error) {
+          return;
+        }
+      }
+      if (cancelled || categoryPickedRef.current) {
+        return;
+      }
+
+      const usable =
+        next && categories.some((cat) => cat.name === next.category && (cat.type || 'expense') === formData.type)
+          ? next
+          : null;
+      const previous = suggestionRef.current;
+      suggestionRef.current = usable;
+      setSuggestion(usable);
+      setFormData((prev) => {
+        // Swap the previous suggestion's tags for the new one's
+        const tags = previous ? prev.tags.filter((tag) => !previous.tags.includes(tag)) : prev.tags;
+        return {
+          ...prev,
+          category: usable ? usable.category : previous ? '' : prev.category,
+          tags: usable ? [...new Set([...tags, ...usable.tags])] : tags
+        };
+      });
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.id, formData.description, formData.amount, formData.type, categories]);
+
+  /**
+   * Stop suggesting once the user chooses a category themselves
+   */
+  const keepChosenCategory = () => {
+    categoryPickedRef.current = true;
+    suggestionRef.current = null;
+    setSuggestion(null);
+  };
+
   /**
    * Handle adding a new category
    */
@@ -58,11 +172,12 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
 
     setAddingCategory(true);
     try {
-      const newCategory = await createCategory(trimmedInput);
-      setCategories([...categories, newCategory]);
+      const newCategory = await createCategory(trimmedInput, { type: formData.type });
+      onCategoryCreated(newCategory);
+      keepChosenCategory();
       setFormData(prev => ({
         ...prev,
-        category: newCategory
+        category: newCategory.name
       }));
       setNewCategoryInput('');
       setShowAddCategory(false);
@@ -82,10 +197,47 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
   // Initialize form with existing data if editing
   useEffect(() => {
     if (initialData) {
-      setFormData(initialData);
+      setFormData({
+        ...initialData,
+        type: initialData.type || 'expense',
+        // Equal splits come back with null shares; the editor wants text
+        split: initialData.split
+          ? {
+              ...initialData.split,
+              participants: initialData.split.participants.map((p) => ({ name: p.name, share: p.share ?? '' }))
+            }
+          : null
+      });
     }
+    setReceipts([]);
   }, [initialData]);
 
+  /**
+   * Queue receipt files, skipping ones the server would reject
+   * @param {FileList|Array<File>} fileList - Dropped or picked files
+   */
+  const addReceipts = (fileList) => {
+    const files = Array.from(fileList);
+    const accepted = files.filter((file) => ATTACHMENT_TYPES.includes(file.type) && file.size <= ATTACHMENT_MAX_BYTES);
+    setReceipts((prev) => [...prev, ...accepted]);
+    setErrors((prev) => ({
+      ...prev,
+      receipts:
+        accepted.length < files.length
+          ? `Receipts must be JPEG, PNG, WebP or PDF files up to ${formatFileSize(ATTACHMENT_MAX_BYTES)}`
+          : ''
+    }));
+  };
+
+  /**
+   * Handle files dropped on the receipt zone
+   */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addReceipts(e.dataTransfer.files);
+  };
+
   /**
    * Validate form data
    * @returns {boolean} True if form is valid
@@ -105,15 +257,46 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
       newErrors.date = 'Please select a valid date';
     }
 
+    const splitError = formData.split && validateSplit(formData.split, formData.amount);
+    if (splitError) {
+      newErrors.split = splitError;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  /**
+   * Switch between expense and income. A category of the other type is
+   * cleared, and so is a split, which only expenses can have.
+   * @param {string} type - 'expense' or 'income'
+   */
+  const handleTypeChange = (type) => {
+    // A chosen category that gets cleared no longer blocks suggestions
+    const chosen = categories.find((cat) => cat.name === formData.category);
+    if (!chosen || (chosen.type || 'expense') !== type) {
+      categoryPickedRef.current = false;
+    }
+    setFormData((prev) => {
+      const category = categories.find((cat) => cat.name === prev.category);
+      return {
+        ...prev,
+        type,
+        category: category && (category.type || 'expense') === type ? prev.category : '',
+        split: type === 'income' ? null : prev.split
+      };
+    });
+    setErrors((prev) => ({ ...prev, category: '', split: '' }));
+  };
+
   /**
    * Handle form input changes
    */
   const handleChange = (e) => {
     const { name, value } = e.target;
+    if (name === 'category') {
+      keepChosenCategory();
+    }
     setFormData((prev) => ({
       ...prev,
       [name]: value
@@ -127,59 +310,152 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
     }
   };
 
+  /**
+   * Show the server's field messages under the matching inputs
+   * @param {Object} fieldErrors - Field -> message from a 422 response
+   */
+  const showServerErrors = (fieldErrors) => {
+    const newErrors = {};
+    const other = [];
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (SERVER_ERROR_FIELDS.includes(field)) {
+        newErrors[field] = message;
+      } else {
+        other.push(message);
+      }
+    });
+    if (other.length > 0) {
+      newErrors.form = other.join('. ');
+    }
+    setErrors(newErrors);
+  };
+
   /**
    * Handle form submission
    */
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
 
     if (!validateForm()) {
       return;
     }
 
-    onSubmit({
-      ...formData,
-      amount: parseFloat(formData.amount)
-    });
+    const { split } = formData;
+    try {
+      await onSubmit(
+        {
+          ...formData,
+          amount: parseFloat(formData.amount),
+          accountId: formData.accountId || (accounts[0] ? accounts[0].id : undefined),
+          split: split && {
+            paidBy: split.paidBy.trim(),
+            method: split.method,
+            participants: split.participants
+              .filter((p) => p.name.trim())
+              .map((p) => ({ name: p.name.trim(), share: split.method === 'equal' ? null : Number(p.share) || 0 }))
+          }
+        },
+        receipts
+      );
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        showServerErrors(error.response.data.errors);
+      } else {
+        // Keep what was typed so it can be submitted again
+        setErrors({ form: error.response?.data?.error || 'Failed to save the expense. Please try again.' });
+      }
+      return;
+    }
 
-    // Reset form
+    // Reset form, staying on the same type and account for the next entry
     setFormData({
+      type: formData.type,
       amount: '',
+      currency: baseCurrency,
       category: '',
       date: new Date().toISOString().split('T')[0],
-      description: ''
+      accountId: formData.accountId,
+      description: '',
+      tags: [],
+      split: null
     });
+    setReceipts([]);
+    categoryPickedRef.current = false;
+    suggestionRef.current = null;
+    setSuggestion(null);
   };
 
   return (
     <form onSubmit={handleSubmit} className="bg-slate-900 rounded-lg shadow-md p-6 mb-6">
       <h2 className="text-2xl font-bold mb-4 text-fuchsia-pink-500">
-        {initialData ? 'Edit Expense' : 'Add New Expense'}
+        {initialData ? `Edit ${isIncome ? 'Income' : 'Expense'}` : `Add New ${isIncome ? 'Income' : 'Expense'}`}
       </h2>
 
       <div className="space-y-4">
+        {/* Type Toggle */}
+        <div className="flex rounded-lg overflow-hidden border border-slate-700" role="group" aria-label="Type">
+          {TYPES.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => handleTypeChange(value)}
+              aria-pressed={formData.type === value}
+              disabled={isLoading}
+              className={`flex-1 px-4 py-2 font-semibold transition ${
+                formData.type === value
+                  ? value === 'income'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-fuchsia-pink-600 text-white'
+                  : 'bg-slate-800 text-gray-300 hover:bg-slate-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
         {/* Amount Input */}
         <div>
           <label htmlFor="amount" className="block text-fuchsia-pink-400 font-semibold mb-2">
-            Amount (₹)
+            Amount
           </label>
-          <input
-            type="number"
-            id="amount"
-            name="amount"
-            value={formData.amount}
-            onChange={handleChange}
-            placeholder="0.00"
-            step="0.01"
-            min="0"
-            className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white ${
-              errors.amount ? 'border-red-500' : 'border-slate-700'
-            }`}
-            disabled={isLoading}
-          />
+          <div className="flex gap-2">
+            <input
+              type="number"
+              id="amount"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              placeholder="0.00"
+              step="0.01"
+              min="0"
+              className={`flex-1 min-w-0 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white ${
+                errors.amount ? 'border-red-500' : 'border-slate-700'
+              }`}
+              disabled={isLoading}
+            />
+            <select
+              id="currency"
+              name="currency"
+              value={formData.currency || baseCurrency}
+              onChange={handleChange}
+              aria-label="Currency"
+              className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700"
+              disabled={isLoading}
+            >
+              {currencies.map((code) => (
+                <option key={code} value={code}>
+                  {code}
+                </option>
+              ))}
+            </select>
+          </div>
           {errors.amount && (
             <p className="text-red-500 text-sm mt-1">{errors.amount}</p>
           )}
+          {errors.currency && (
+            <p className="text-red-500 text-sm mt-1">{errors.currency}</p>
+          )}
         </div>
 
         {/* Category Select */}
@@ -198,16 +474,12 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
               } ${
                 errors.category ? 'border-red-500' : 'border-slate-700'
               }`}
-              disabled={isLoading || categoriesLoading}
+              disabled={isLoading}
             >
               <option value="" disabled>
                 Choose category
               </option>
-              {categories.map((cat) => (
-                <option key={cat} value={cat}>
-                  {cat}
-                </option>
-              ))}
+              <CategoryOptions categories={pickableCategories} />
             </select>
             <button
               type="button"
@@ -252,6 +524,11 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
             </div>
           )}
           
+          {suggestion && formData.category === suggestion.category && (
+            <p className="text-xs text-gray-400 mt-1">
+              {suggestion.source === 'rule' ? 'Suggested by a rule' : 'Suggested from similar past entries'}
+            </p>
+          )}
           {errors.category && (
             <p className="text-red-500 text-sm mt-1">{errors.category}</p>
           )}
@@ -278,6 +555,34 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
           )}
         </div>
 
+        {/* Account Select */}
+        {accounts.length > 0 && (
+          <div>
+            <label htmlFor="accountId" className="block text-fuchsia-pink-400 font-semibold mb-2">
+              Account
+            </label>
+            <select
+              id="accountId"
+              name="accountId"
+              value={formData.accountId || accounts[0].id}
+              onChange={handleChange}
+              className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white ${
+                errors.accountId ? 'border-red-500' : 'border-slate-700'
+              }`}
+              disabled={isLoading}
+            >
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {account.name}
+                </option>
+              ))}
+            </select>
+            {errors.accountId && (
+              <p className="text-red-500 text-sm mt-1">{errors.accountId}</p>
+            )}
+          </div>
+        )}
+
         {/* Description Input */}
         <div>
           <label htmlFor="description" className="block text-fuchsia-pink-400 font-semibold mb-2">
@@ -290,19 +595,130 @@ const ExpenseForm = ({ onSubmit, initialData = null, isLoading = false }) => {
             value={formData.description}
             onChange={handleChange}
             placeholder="Enter description (optional)"
-            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700"
+            className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white ${
+              errors.description ? 'border-red-500' : 'border-slate-700'
+            }`}
+            disabled={isLoading}
+          />
+          {errors.description && (
+            <p className="text-red-500 text-sm mt-1">{errors.description}</p>
+          )}
+        </div>
+
+        {/* Tags Input */}
+        <div>
+          <label className="block text-fuchsia-pink-400 font-semibold mb-2">
+            Tags
+          </label>
+          <TagInput
+            value={formData.tags || []}
+            onChange={(tags) => {
+              setFormData((prev) => ({ ...prev, tags }));
+              setErrors((prev) => ({ ...prev, tags: '' }));
+            }}
+            suggestions={tagSuggestions}
             disabled={isLoading}
           />
+          {errors.tags && (
+            <p className="text-red-500 text-sm mt-1">{errors.tags}</p>
+          )}
+        </div>
+
+        {/* Split (expenses only) */}
+        {!isIncome && (
+          <div>
+            <label className="block text-fuchsia-pink-400 font-semibold mb-2">
+              Split
+            </label>
+            <SplitEditor
+              value={formData.split}
+              onChange={(split) => {
+                setFormData((prev) => ({ ...prev, split }));
+                setErrors((prev) => ({ ...prev, split: '' }));
+              }}
+              amount={formData.amount}
+              currency={formData.currency || baseCurrency}
+              people={people}
+              disabled={isLoading}
+            />
+            {errors.split && (
+              <p className="text-red-500 text-sm mt-1">{errors.split}</p>
+            )}
+          </div>
+        )}
+
+        {/* Receipts */}
+        <div>
+          <label className="block text-fuchsia-pink-400 font-semibold mb-2">
+            Receipts
+          </label>
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current.click()}
+            className={`px-4 py-4 border-2 border-dashed rounded-lg text-center text-sm cursor-pointer transition ${
+              isDragging ? 'border-fuchsia-pink-500 bg-slate-800 text-fuchsia-pink-300' : 'border-slate-700 text-gray-400'
+            }`}
+          >
+            📎 Drop receipts here or click to choose
+            <p className="text-xs text-gray-500 mt-1">
+              JPEG, PNG, WebP or PDF, up to {formatFileSize(ATTACHMENT_MAX_BYTES)} each
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ATTACHMENT_TYPES.join(',')}
+              multiple
+              onChange={(e) => {
+                addReceipts(e.target.files);
+                e.target.value = '';
+              }}
+              className="hidden"
+              disabled={isLoading}
+            />
+          </div>
+          {receipts.length > 0 && (
+            <ul className="mt-2 space-y-1 text-sm">
+              {receipts.map((file, index) => (
+                <li key={`${file.name}-${index}`} className="flex justify-between items-center text-gray-300">
+                  <span className="truncate">
+                    {file.name} <span className="text-gray-500">({formatFileSize(file.size)})</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setReceipts((prev) => prev.filter((_, i) => i !== index))}
+                    className="ml-2 text-red-500 hover:text-red-400"
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {errors.receipts && (
+            <p className="text-red-500 text-sm mt-1">{errors.receipts}</p>
+          )}
         </div>
       </div>
 
+      {errors.form && (
+        <p className="text-red-500 text-sm mt-4">{errors.form}</p>
+      )}
+
       {/* Submit Button */}
       <button
         type="submit"
         disabled={isLoading}
         className="mt-6 w-full bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
       >
-        {isLoading ? 'Saving...' : initialData ? 'Update Expense' : 'Add Expense'}
+        {isLoading
+          ? 'Saving...'
+          : `${initialData ? 'Update' : 'Add'} ${isIncome ? 'Income' : 'Expense'}`}
       </button>
     </form>
   );
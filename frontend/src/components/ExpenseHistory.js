@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { fetchExpenseHistory } from '../services/ExpenseService';
+import { formatDate } from '../utils/helpers';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Moved to trash',
+  restore: 'Restored',
+  purge: 'Permanently deleted'
+};
+
+const SOURCE_LABELS = {
+  manual: '',
+  import: 'by CSV import',
+  recurring: 'by a recurring rule',
+  category: 'by a category change',
+  account: 'by an account change',
+  rule: 'by an auto-categorization rule',
+  retention: 'after the trash retention period',
+  bulk: 'by a bulk edit'
+};
+
+const FIELD_LABELS = {
+  type: 'Type',
+  amount: 'Amount',
+  currency: 'Currency',
+  category: 'Category',
+  date: 'Date',
+  description: 'Description',
+  tags: 'Tags',
+  split: 'Split',
+  accountId: 'Account',
+  deletedAt: 'Deleted'
+};
+
+/**
+ * Render a field value from the audit log as text
+ * @param {string} field - Field name
+ * @param {*} value - Value before or after the change
+ * @param {Array} accounts - The user's accounts, to name account IDs
+ * @returns {string} Display text
+ */
+const formatValue = (field, value, accounts) => {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '—';
+  }
+  switch (field) {
+    case 'tags':
+      return value.map((tag) => `#${tag}`).join(' ');
+    case 'split':
+      return `${value.paidBy} paid, ${value.method} split between ${value.participants.map((p) => p.name).join(', ')}`;
+    case 'date':
+      return formatDate(value);
+    case 'deletedAt':
+      return new Date(value).toLocaleString();
+    case 'accountId':
+      return (accounts.find((a) => a.id === value) || { name: 'Deleted account' }).name;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * ExpenseHistory Component
+ * Modal listing every change made to an expense, newest first, with the
+ * before and after value of each field
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.expense - The expense whose history is shown
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Array} props.accounts - The user's accounts, to show account changes by name
+ */
+const ExpenseHistory = ({ expense, onClose, accounts = [] }) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setEntries(await fetchExpenseHistory(expense.id));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load history');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [expense.id]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4">
+      <div className="bg-slate-900 rounded-lg shadow-md w-full max-w-2xl max-h-full overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-fuchsia-pink-500">
+            History · {expense.description || expense.category}
+          </h2>
+          <button onClick={onClose} className="text-fuchsia-pink-300 hover:text-white font-bold" title="Close">
+            ✕
+          </button>
+        </div>
+
+        {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+        {isLoading ? (
+          <p className="text-gray-400 text-center py-8">Loading history...</p>
+        ) : entries.length === 0 ? (
+          <p className="text-gray-400 text-center py-8">No changes recorded.</p>
+        ) : (
+          <ol className="space-y-4">
+            {entries.map((entry) => (
+              <li key={entry.id} className="border-l-2 border-fuchsia-pink-600 pl-4">
+                <p className="text-sm text-gray-200 font-semibold">
+                  {ACTION_LABELS[entry.action] || entry.action}{' '}
+                  <span className="font-normal text-gray-400">{SOURCE_LABELS[entry.source]}</span>
+                </p>
+                <p className="text-xs text-gray-500 mb-1">{new Date(entry.at).toLocaleString()}</p>
+                {['update', 'create'].includes(entry.action) && (
+                  <table className="text-xs w-full">
+                    <tbody>
+                      {Object.entries(entry.changes).map(([field, { before, after }]) => (
+                        <tr key={field}>
+                          <td className="pr-3 py-0.5 text-gray-400 align-top w-24">{FIELD_LABELS[field] || field}</td>
+                          {entry.action === 'update' && (
+                            <td className="pr-3 py-0.5 text-red-300 line-through align-top">
+                              {formatValue(field, before, accounts)}
+                            </td>
+                          )}
+                          <td className="py-0.5 text-green-300 align-top">{formatValue(field, after, accounts)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExpenseHistory;
@@ -1,24 +1,48 @@
-import React from 'react';
-import { formatCurrency, formatDate } from '../utils/helpers';
+import React, { useRef } from 'react';
+import { formatCurrency, formatDate, getCategoryColor, getCategoryIcon, getCategoryPath } from '../utils/helpers';
 
 /**
  * ExpenseList Component
- * Displays a list of expenses with edit and delete functionality
+ * Displays a list of expenses with edit and delete functionality. Income
+ * entries are marked in green, with a + before the amount.
  * 
  * @param {Object} props - Component props
  * @param {Array} props.expenses - Array of expense objects
  * @param {Function} props.onEdit - Callback for editing an expense
- * @param {Function} props.onDelete - Callback for deleting an expense
+ * @param {Function} props.onDelete - Callback for deleting an expense, with its ID and version
  * @param {boolean} props.isLoading - Loading state indicator
  * @param {string} props.emptyMessage - Message to show when list is empty
+ * @param {Object} props.pagination - { page, totalPages, total } from the API
+ * @param {Function} props.onPageChange - Callback with the page number to show
+ * @param {Array} props.categories - Category records, for colors and icons
+ * @param {Function} props.onTagClick - Callback with a tag to filter by
+ * @param {Function} props.onShowAttachments - Callback with an expense whose receipts to show
+ * @param {Function} props.onShowHistory - Callback with an expense whose change history to show
+ * @param {Object} props.selected - Selected expenses, as a map of ID to the version shown
+ * @param {Function} props.onSelectionChange - Called with the new selection map; omit to hide the checkboxes
+ * @param {boolean} props.allMatching - Whether every expense matching the filters is selected
+ * @param {Array} props.accounts - The user's accounts; each row names its account when there are several
  */
 const ExpenseList = ({
   expenses = [],
   onEdit,
   onDelete,
   isLoading = false,
-  emptyMessage = 'No expenses found'
+  emptyMessage = 'No expenses found',
+  pagination = null,
+  onPageChange,
+  categories = [],
+  onTagClick,
+  onShowAttachments,
+  onShowHistory,
+  selected = {},
+  onSelectionChange,
+  allMatching = false,
+  accounts = []
 }) => {
+  // Row last ticked, where a shift-click range starts
+  const lastClickedRef = useRef(null);
+
   if (isLoading) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
@@ -40,12 +64,61 @@ const ExpenseList = ({
     );
   }
 
+  // Rows with unsynced offline changes can't be changed in bulk yet
+  const selectable = expenses.filter((expense) => !expense.pending);
+  const isSelected = (expense) => allMatching || expense.id in selected;
+  const pageSelected = selectable.length > 0 && selectable.every(isSelected);
+
+  /**
+   * Select or deselect some rows, keeping the rest of the selection
+   * @param {Array} rows - Expenses to change
+   * @param {boolean} select - Select (true) or deselect (false)
+   */
+  const setRows = (rows, select) => {
+    const next = { ...selected };
+    rows
+      .filter((expense) => !expense.pending)
+      .forEach((expense) => {
+        if (select) {
+          next[expense.id] = expense.version;
+        } else {
+          delete next[expense.id];
+        }
+      });
+    onSelectionChange(next);
+  };
+
+  /**
+   * Toggle a row; with Shift held, every row from the last one clicked
+   * takes the same state
+   * @param {number} index - Row index on this page
+   * @param {boolean} shiftKey - Whether Shift was held
+   */
+  const handleRowClick = (index, shiftKey) => {
+    const start = shiftKey && lastClickedRef.current !== null ? lastClickedRef.current : index;
+    const [from, to] = start < index ? [start, index] : [index, start];
+    setRows(expenses.slice(from, to + 1), !isSelected(expenses[index]));
+    lastClickedRef.current = index;
+  };
+
   return (
     <div className="bg-slate-900 rounded-lg shadow-md overflow-hidden">
       <div className="overflow-x-auto">
         <table className="w-full">
           <thead className="bg-slate-800 border-b border-slate-700">
             <tr>
+              {onSelectionChange && (
+                <th className="pl-6 py-3 w-4">
+                  <input
+                    type="checkbox"
+                    checked={pageSelected}
+                    onChange={() => (allMatching ? onSelectionChange({}) : setRows(selectable, !pageSelected))}
+                    aria-label="Select all on this page"
+                    className="accent-fuchsia-pink-500"
+                    disabled={selectable.length === 0}
+                  />
+                </th>
+              )}
               <th className="px-6 py-3 text-left text-sm font-semibold text-fuchsia-pink-400">Date</th>
               <th className="px-6 py-3 text-left text-sm font-semibold text-fuchsia-pink-400">Category</th>
               <th className="px-6 py-3 text-left text-sm font-semibold text-fuchsia-pink-400">Description</th>
@@ -54,50 +127,179 @@ const ExpenseList = ({
             </tr>
           </thead>
           <tbody>
-            {expenses.map((expense) => (
+            {expenses.map((expense, index) => (
               <tr
                 key={expense.id}
-                className="border-b border-slate-700 hover:bg-slate-800 transition duration-200"
+                className={`border-b border-slate-700 border-l-4 hover:bg-slate-800 transition duration-200 ${
+                  expense.type === 'income' ? 'border-l-green-500' : 'border-l-transparent'
+                } ${expense.pending === 'delete' ? 'line-through opacity-50' : ''} ${
+                  isSelected(expense) ? 'bg-slate-800' : ''
+                }`}
               >
+                {onSelectionChange && (
+                  <td className="pl-6 py-4 w-4">
+                    <input
+                      type="checkbox"
+                      checked={isSelected(expense)}
+                      onClick={(e) => handleRowClick(index, e.shiftKey)}
+                      readOnly
+                      aria-label="Select expense"
+                      title="Shift-click to select a range"
+                      className="accent-fuchsia-pink-500"
+                      disabled={Boolean(expense.pending) || allMatching}
+                    />
+                  </td>
+                )}
                 <td className="px-6 py-4 text-sm text-gray-300">
                   {formatDate(expense.date)}
+                  {accounts.length > 1 && (
+                    <div className="text-xs text-gray-500">
+                      {(accounts.find((a) => a.id === expense.accountId) || {}).name}
+                    </div>
+                  )}
                 </td>
                 <td className="px-6 py-4 text-sm">
-                  <span className="inline-block bg-fuchsia-pink-900 text-fuchsia-pink-200 px-3 py-1 rounded-full text-xs font-semibold border border-fuchsia-pink-600">
-                    {expense.category}
+                  <span
+                    className="inline-block bg-slate-800 text-gray-200 px-3 py-1 rounded-full text-xs font-semibold border"
+                    style={{ borderColor: getCategoryColor(expense.category, categories) }}
+                  >
+                    {getCategoryIcon(expense.category, categories) && (
+                      <span className="mr-1">{getCategoryIcon(expense.category, categories)}</span>
+                    )}
+                    {getCategoryPath(expense.category, categories)}
                   </span>
                 </td>
                 <td className="px-6 py-4 text-sm text-gray-300">
+                  {expense.recurringRuleId && (
+                    <span className="mr-1 text-fuchsia-pink-400" title="Created by a recurring rule">
+                      ↻
+                    </span>
+                  )}
                   {expense.description || '-'}
+                  {expense.pending && (
+                    <span
+                      className="ml-2 text-xs text-yellow-500"
+                      title="Saved on this device; it will be sent to the server once you're back online"
+                    >
+                      ⏳ Pending sync
+                    </span>
+                  )}
+                  {expense.split && (
+                    <span
+                      className="ml-2 text-xs text-gray-400"
+                      title={expense.split.participants
+                        .map((p) => `${p.name}: ${formatCurrency(p.amount, expense.currency)}`)
+                        .join('\n')}
+                    >
+                      👥 {expense.split.paidBy} paid, split {expense.split.participants.length} ways
+                    </span>
+                  )}
+                  {expense.attachmentCount > 0 && (
+                    <button
+                      onClick={() => onShowAttachments(expense)}
+                      className="ml-2 text-fuchsia-pink-400 hover:text-fuchsia-pink-300 transition"
+                      title="View receipts"
+                    >
+                      📎{expense.attachmentCount > 1 && <span className="text-xs ml-0.5">{expense.attachmentCount}</span>}
+                    </button>
+                  )}
+                  {expense.tags && expense.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {expense.tags.map((tag) => (
+                        <button
+                          key={tag}
+                          onClick={() => onTagClick(tag)}
+                          className="bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-200 px-2 py-0.5 rounded-full text-xs font-semibold transition"
+                          title={`Show expenses tagged ${tag}`}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </td>
-                <td className="px-6 py-4 text-sm text-right font-semibold text-fuchsia-pink-400">
-                  {formatCurrency(expense.amount)}
+                <td
+                  className={`px-6 py-4 text-sm text-right font-semibold ${
+                    expense.type === 'income' ? 'text-green-400' : 'text-fuchsia-pink-400'
+                  }`}
+                  title={expense.type === 'income' ? 'Income' : 'Expense'}
+                >
+                  {expense.type === 'income' && '+'}
+                  {formatCurrency(expense.amount, expense.currency)}
+                  {expense.converted && expense.converted.currency !== expense.currency && (
+                    <div className="text-xs font-normal text-gray-400">
+                      ≈ {formatCurrency(expense.converted.amount, expense.converted.currency)}
+                    </div>
+                  )}
+                  {expense.converted === null && (
+                    <div className="text-xs font-normal text-yellow-500" title="Add an exchange rate to convert this amount">
+                      No rate
+                    </div>
+                  )}
                 </td>
                 <td className="px-6 py-4 text-sm text-center">
-                  <button
-                    onClick={() => onEdit(expense)}
-                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold mr-3 transition duration-200"
-                    title="Edit expense"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => {
-                      if (window.confirm('Are you sure you want to delete this expense?')) {
-                        onDelete(expense.id);
-                      }
-                    }}
-                    className="text-red-500 hover:text-red-400 font-semibold transition duration-200"
-                    title="Delete expense"
-                  >
-                    Delete
-                  </button>
+                  {expense.pending !== 'delete' && (
+                    <button
+                      onClick={() => onEdit(expense)}
+                      className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold mr-3 transition duration-200"
+                      title="Edit expense"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {expense.pending !== 'create' && (
+                    <button
+                      onClick={() => onShowHistory(expense)}
+                      className="text-gray-400 hover:text-gray-200 font-semibold mr-3 transition duration-200"
+                      title="Show change history"
+                    >
+                      History
+                    </button>
+                  )}
+                  {expense.pending !== 'delete' && (
+                    <button
+                      onClick={() => {
+                        if (window.confirm('Move this expense to the trash?')) {
+                          onDelete(expense.id, expense.version);
+                        }
+                      }}
+                      className="text-red-500 hover:text-red-400 font-semibold transition duration-200"
+                      title="Delete expense"
+                    >
+                      Delete
+                    </button>
+                  )}
                 </td>
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+
+      {/* Pagination */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between px-6 py-3 border-t border-slate-700 text-sm">
+          <span className="text-gray-400">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} expenses)
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onPageChange(pagination.page - 1)}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 bg-slate-800 hover:bg-slate-700 text-fuchsia-pink-300 rounded-lg font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => onPageChange(pagination.page + 1)}
+              disabled={pagination.page >= pagination.totalPages}
+              className="px-3 py-1 bg-slate-800 hover:bg-slate-700 text-fuchsia-pink-300 rounded-lg font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { formatCurrency, getCategoryColor } from '../utils/helpers';
+import { formatCurrency, getCategoryColor, getCategoryIcon, DEFAULT_CURRENCY } from '../utils/helpers';
 import {
   BarChart,
   Bar,
@@ -11,39 +11,113 @@ import {
   ResponsiveContainer,
   PieChart,
   Pie,
-  Cell
+  Cell,
+  LineChart,
+  Line,
+  AreaChart,
+  Area,
+  ComposedChart
 } from 'recharts';
 
+// Progress bar colors by budget status
+const BUDGET_STATUS_COLORS = {
+  ok: '#22C55E',
+  warning: '#F59E0B',
+  over: '#EF4444'
+};
+
+const CHART_VIEWS = [
+  { value: 'bar', label: 'Bar' },
+  { value: 'pie', label: 'Pie' },
+  { value: 'trend', label: 'Trend' },
+  { value: 'cashflow', label: 'Cash flow' }
+];
+
+// Cash-flow chart colors: money in, money out and what's left
+const CASH_FLOW_COLORS = {
+  income: '#22C55E',
+  expense: '#F472B6',
+  net: '#FBBF24'
+};
+
+// Views that chart the period series and need a period picker
+const SERIES_VIEWS = ['trend', 'cashflow'];
+
+const GROUP_BY_OPTIONS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+  { value: 'year', label: 'Yearly' }
+];
+
 /**
  * ExpenseSummary Component
- * Displays expense summary grouped by category with charts
+ * Displays expense summary grouped by category with charts, plus a
+ * cash-flow view of income against spending per period.
+ * Totals are in the base currency reported by the server.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.cashFlow - { income, expense, net } for everything summarized
+ * @param {string} props.chartType - Initial chart: 'bar', 'pie', 'trend' or 'cashflow'
+ * @param {Array} props.series - Period buckets from the summary endpoint, for the trend and cash-flow charts
+ * @param {string} props.groupBy - Current trend period: 'day', 'week', 'month' or 'year'
+ * @param {Function} props.onGroupByChange - Called with a new trend period
+ * @param {Array} props.categories - Category records, for colors and icons
+ * @param {string} props.expandedCategory - Parent category being drilled into, or null
+ * @param {Function} props.onExpand - Called with a parent category to drill into, or null to go back
  */
 const ExpenseSummary = ({
   summary = [],
   grandTotal = 0,
+  cashFlow = { income: 0, expense: 0, net: 0 },
   isLoading = false,
-  chartType = 'bar'
+  chartType = 'bar',
+  series = [],
+  groupBy = 'month',
+  onGroupByChange,
+  currency = DEFAULT_CURRENCY,
+  missingRates = [],
+  budgets = [],
+  categories = [],
+  expandedCategory = null,
+  onExpand
 }) => {
   const [displayData, setDisplayData] = useState([]);
   const [colors, setColors] = useState([]);
+  const [view, setView] = useState(chartType);
+  const [trendStyle, setTrendStyle] = useState('stacked');
+
+  /**
+   * Drill into a category that has subcategories
+   * @param {Object} item - A displayData entry
+   */
+  const handleDrillDown = (item) => {
+    if (item && item.hasChildren && onExpand) {
+      onExpand(item.category);
+    }
+  };
+
+  // Categories that appear anywhere in the series, one stacked area each
+  const trendCategories = [...new Set(series.flatMap((bucket) => Object.keys(bucket.categories)))];
 
   // Prepare data for charts
   useEffect(() => {
     if (summary && summary.length > 0) {
       const data = summary.map((item) => ({
         category: item.category,
-        total: parseFloat(item.total)
+        total: parseFloat(item.total),
+        hasChildren: Boolean(item.hasChildren)
       }));
 
       setDisplayData(data);
 
       // Generate deterministic colors per category
       const categoryColors = data.map((item) =>
-        getCategoryColor(item.category)
+        getCategoryColor(item.category, categories)
       );
       setColors(categoryColors);
     }
-  }, [summary]);
+  }, [summary, categories]);
 
   if (isLoading) {
     return (
@@ -60,20 +134,141 @@ const ExpenseSummary = ({
     <div className="space-y-6">
       {/* Grand Total Card */}
       <div className="bg-gradient-to-r from-fuchsia-pink-600 to-fuchsia-pink-800 rounded-lg shadow-md p-6 text-white">
-        <h2 className="text-xl font-semibold mb-2">Total Expenses</h2>
-        <p className="text-4xl font-bold">{formatCurrency(grandTotal)}</p>
+        <h2 className="text-xl font-semibold mb-2">
+          {expandedCategory ? `${expandedCategory} Expenses` : 'Total Expenses'}
+        </h2>
+        <p className="text-4xl font-bold">{formatCurrency(grandTotal, currency)}</p>
         <p className="text-fuchsia-pink-200 text-sm mt-2">
           {displayData.length} categories tracked
         </p>
+        {cashFlow.income > 0 && (
+          <p className="text-fuchsia-pink-100 text-sm mt-1">
+            Income {formatCurrency(cashFlow.income, currency)} · Net{' '}
+            <span className={cashFlow.net < 0 ? 'text-red-200 font-semibold' : 'text-green-200 font-semibold'}>
+              {formatCurrency(cashFlow.net, currency)}
+            </span>
+          </p>
+        )}
+        {missingRates.length > 0 && (
+          <p className="text-yellow-200 text-sm mt-1">
+            Excludes {missingRates.join(', ')} expenses (no exchange rate)
+          </p>
+        )}
       </div>
 
       {/* Category Breakdown Card */}
       <div className="bg-slate-900 rounded-lg shadow-md p-6">
-        <h3 className="text-xl font-bold mb-4 text-fuchsia-pink-400">
-          Expense by Category
-        </h3>
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+          <h3 className="text-xl font-bold text-fuchsia-pink-400">
+            {view === 'trend' ? 'Spending Over Time' : view === 'cashflow' ? 'Cash Flow' : 'Expense by Category'}
+            {expandedCategory && (
+              <span className="text-base font-semibold text-gray-300">
+                {' '}
+                ›{' '}
+                <button
+                  onClick={() => onExpand(null)}
+                  className="text-fuchsia-pink-300 hover:text-fuchsia-pink-200 underline"
+                  title="Back to all categories"
+                >
+                  All
+                </button>
+                {' › '}
+                {expandedCategory}
+              </span>
+            )}
+          </h3>
+          <div className="flex rounded-lg overflow-hidden border border-slate-700">
+            {CHART_VIEWS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                className={`px-3 py-1 text-sm font-semibold transition ${
+                  view === value
+                    ? 'bg-fuchsia-pink-600 text-white'
+                    : 'bg-slate-800 text-fuchsia-pink-300 hover:bg-slate-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
 
-        {displayData.length === 0 ? (
+        {SERIES_VIEWS.includes(view) && (
+          <div className="flex gap-2 mb-4">
+            <select
+              value={groupBy}
+              onChange={(e) => onGroupByChange(e.target.value)}
+              aria-label="Group by"
+              className="px-3 py-1 border rounded-lg bg-slate-800 text-white border-slate-700 text-sm"
+            >
+              {GROUP_BY_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {view === 'trend' && (
+              <select
+                value={trendStyle}
+                onChange={(e) => setTrendStyle(e.target.value)}
+                aria-label="Trend style"
+                className="px-3 py-1 border rounded-lg bg-slate-800 text-white border-slate-700 text-sm"
+              >
+                <option value="stacked">Stacked by category</option>
+                <option value="line">Total only</option>
+              </select>
+            )}
+          </div>
+        )}
+
+        {view === 'cashflow' ? (
+          series.every((bucket) => !bucket.income && !bucket.expense) ? (
+            <div className="text-center py-8">
+              <p className="text-gray-400">No income or expenses to display</p>
+            </div>
+          ) : (
+            <>
+              <div className="mb-6 h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={series}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="period" />
+                    <YAxis />
+                    <Tooltip formatter={(value) => formatCurrency(value, currency)} />
+                    <Legend />
+                    <Bar dataKey="income" name="Income" fill={CASH_FLOW_COLORS.income} radius={[4, 4, 0, 0]} />
+                    <Bar dataKey="expense" name="Spending" fill={CASH_FLOW_COLORS.expense} radius={[4, 4, 0, 0]} />
+                    <Line
+                      type="monotone"
+                      dataKey="net"
+                      name="Net"
+                      stroke={CASH_FLOW_COLORS.net}
+                      strokeWidth={2}
+                      dot={series.length <= 31}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+
+              {/* Totals for everything summarized */}
+              <div className="grid grid-cols-3 gap-4 text-center">
+                {[
+                  { key: 'income', label: 'Income' },
+                  { key: 'expense', label: 'Spending' },
+                  { key: 'net', label: 'Net' }
+                ].map(({ key, label }) => (
+                  <div key={key} className="p-4 bg-slate-800 rounded-lg">
+                    <p className="text-sm text-gray-400">{label}</p>
+                    <p className="text-lg font-bold" style={{ color: CASH_FLOW_COLORS[key] }}>
+                      {formatCurrency(cashFlow[key], currency)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </>
+          )
+        ) : displayData.length === 0 ? (
           <div className="text-center py-8">
             <p className="text-gray-400">No expense data to display</p>
           </div>
@@ -81,7 +276,46 @@ const ExpenseSummary = ({
           <>
             {/* Chart */}
             <div className="mb-6 h-80">
-              {chartType === 'pie' ? (
+              {view === 'trend' ? (
+                <ResponsiveContainer width="100%" height="100%">
+                  {trendStyle === 'line' ? (
+                    <LineChart data={series}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="period" />
+                      <YAxis />
+                      <Tooltip formatter={(value) => formatCurrency(value, currency)} />
+                      <Line
+                        type="monotone"
+                        dataKey="total"
+                        name="Total"
+                        stroke="#e084ee"
+                        strokeWidth={2}
+                        dot={series.length <= 31}
+                      />
+                    </LineChart>
+                  ) : (
+                    <AreaChart data={series}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="period" />
+                      <YAxis />
+                      <Tooltip formatter={(value) => formatCurrency(value, currency)} />
+                      <Legend />
+                      {trendCategories.map((category) => (
+                        <Area
+                          key={category}
+                          type="monotone"
+                          dataKey={(bucket) => bucket.categories[category] || 0}
+                          name={category}
+                          stackId="categories"
+                          stroke={getCategoryColor(category, categories)}
+                          fill={getCategoryColor(category, categories)}
+                          fillOpacity={0.6}
+                        />
+                      ))}
+                    </AreaChart>
+                  )}
+                </ResponsiveContainer>
+              ) : view === 'pie' ? (
                 <ResponsiveContainer width="100%" height="100%">
                   <PieChart>
                     <Pie
@@ -90,10 +324,11 @@ const ExpenseSummary = ({
                       cy="50%"
                       labelLine={false}
                       label={(entry) =>
-                        `${entry.category}: ${formatCurrency(entry.total)}`
+                        `${entry.category}: ${formatCurrency(entry.total, currency)}`
                       }
                       outerRadius={120}
                       dataKey="total"
+                      onClick={(entry) => handleDrillDown(entry.payload)}
                     >
                       {displayData.map((entry, index) => (
                         <Cell
@@ -102,7 +337,7 @@ const ExpenseSummary = ({
                         />
                       ))}
                     </Pie>
-                    <Tooltip formatter={(value) => formatCurrency(value)} />
+                    <Tooltip formatter={(value) => formatCurrency(value, currency)} />
                   </PieChart>
                 </ResponsiveContainer>
               ) : (
@@ -117,7 +352,7 @@ const ExpenseSummary = ({
                     />
                     <YAxis />
                     <Tooltip
-                      formatter={(value) => formatCurrency(value)}
+                      formatter={(value) => formatCurrency(value, currency)}
                       contentStyle={{
                         backgroundColor: '#f9fafb',
                         border: '1px solid #e5e7eb'
@@ -143,6 +378,7 @@ const ExpenseSummary = ({
                     <Bar
                       dataKey="total"
                       radius={[8, 8, 0, 0]}
+                      onClick={(entry) => handleDrillDown(entry.payload)}
                       isAnimationActive
                       animationDuration={600}
                     >
@@ -163,7 +399,11 @@ const ExpenseSummary = ({
               {displayData.map((item, index) => (
                 <div
                   key={item.category}
-                  className="flex items-center justify-between p-4 bg-gray-50 rounded-lg"
+                  onClick={() => handleDrillDown(item)}
+                  className={`flex items-center justify-between p-4 bg-gray-50 rounded-lg ${
+                    item.hasChildren ? 'cursor-pointer hover:bg-gray-100' : ''
+                  }`}
+                  title={item.hasChildren ? `Show ${item.category} subcategories` : undefined}
                 >
                   <div className="flex items-center gap-3">
                     <div
@@ -171,11 +411,12 @@ const ExpenseSummary = ({
                       style={{ backgroundColor: colors[index] }}
                     />
                     <span className="font-semibold text-gray-700">
-                      {item.category}
+                      {getCategoryIcon(item.category, categories)} {item.category}
+                      {item.hasChildren && <span className="text-gray-400"> ›</span>}
                     </span>
                   </div>
                   <span className="font-bold text-gray-800">
-                    {formatCurrency(item.total)}
+                    {formatCurrency(item.total, currency)}
                   </span>
                 </div>
               ))}
@@ -224,6 +465,50 @@ const ExpenseSummary = ({
           </>
         )}
       </div>
+
+      {/* Budget Progress Card */}
+      {budgets.length > 0 && (
+        <div className="bg-slate-900 rounded-lg shadow-md p-6">
+          <h3 className="text-xl font-bold mb-4 text-fuchsia-pink-400">
+            Budget Progress
+          </h3>
+
+          <div className="space-y-4">
+            {budgets.map((budget) => (
+              <div key={budget.id}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-fuchsia-pink-400">
+                    {budget.category}{' '}
+                    <span className="text-gray-500 capitalize">({budget.period})</span>
+                  </span>
+                  <span className="text-gray-300">
+                    {formatCurrency(budget.spent, currency)} of {formatCurrency(budget.limit, currency)}
+                  </span>
+                </div>
+
+                <div className="bg-gray-200 rounded-full h-2 overflow-hidden">
+                  <div
+                    className="h-full rounded-full transition-all duration-300"
+                    style={{
+                      width: `${Math.min(budget.percentUsed, 100)}%`,
+                      backgroundColor: BUDGET_STATUS_COLORS[budget.status]
+                    }}
+                  />
+                </div>
+
+                <p
+                  className="text-xs mt-1"
+                  style={{ color: BUDGET_STATUS_COLORS[budget.status] }}
+                >
+                  {budget.remaining >= 0
+                    ? `${formatCurrency(budget.remaining, currency)} left`
+                    : `${formatCurrency(-budget.remaining, currency)} over budget`}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
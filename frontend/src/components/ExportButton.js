@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { exportExpenses } from '../services/ExpenseService';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' },
+  { value: 'json', label: 'JSON' }
+];
+
+/**
+ * ExportButton Component
+ * Downloads the expenses matching the current filters
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Filters applied to the list on screen
+ * @param {boolean} props.isLoading - Loading state indicator
+ */
+const ExportButton = ({ filters = {}, isLoading = false }) => {
+  const [format, setFormat] = useState('csv');
+  const [isExporting, setIsExporting] = useState(false);
+
+  /**
+   * Fetch the export and hand it to the browser as a download
+   */
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const { blob, filename } = await exportExpenses(format, filters);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Failed to export expenses. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label="Export format"
+        className="px-2 py-1 border rounded-lg bg-slate-800 text-fuchsia-pink-300 border-slate-700 text-sm"
+        disabled={isExporting}
+      >
+        {FORMATS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={handleExport}
+        disabled={isExporting || isLoading}
+        className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold text-sm transition disabled:bg-gray-600"
+      >
+        {isExporting ? 'Exporting...' : 'Export'}
+      </button>
+    </div>
+  );
+};
+
+export default ExportButton;
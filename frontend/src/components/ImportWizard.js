@@ -0,0 +1,528 @@
+import React, { useState } from 'react';
+import { importExpenses, importStatement } from '../services/ExpenseService';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import CategoryOptions from './CategoryOptions';
+
+const STEPS = ['Upload', 'Map Columns', 'Preview', 'Done'];
+const STATEMENT_STEPS = ['Upload', 'Options', 'Preview', 'Done'];
+
+// OFX/QFX and QIF statements name their own fields, so they skip the mapping
+const STATEMENT_FILE = /\.(ofx|qfx|qif)$/i;
+
+const STATUS_STYLES = {
+  valid: 'bg-green-900 text-green-200',
+  new: 'bg-green-900 text-green-200',
+  duplicate: 'bg-yellow-900 text-yellow-200',
+  skipped: 'bg-slate-700 text-gray-300',
+  invalid: 'bg-red-900 text-red-200'
+};
+
+/**
+ * ImportWizard Component
+ * Walks through importing a bank statement: upload → map columns (CSV) or
+ * choose categories (OFX/QIF) → preview → confirm
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the wizard is dismissed
+ * @param {Function} props.onImported - Called after expenses were imported
+ * @param {Array} props.categories - Category records for the default category pickers
+ * @param {Array} props.accounts - Account records, for the account an OFX/QIF statement belongs to
+ */
+const ImportWizard = ({ onClose, onImported, categories = [], accounts = [] }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [statementOptions, setStatementOptions] = useState({
+    accountId: '',
+    defaultCategory: '',
+    incomeCategory: '',
+    dateOrder: 'MDY'
+  });
+  const [columns, setColumns] = useState([]);
+  const [sample, setSample] = useState([]);
+  const [dateFormats, setDateFormats] = useState([]);
+  const [mapping, setMapping] = useState({
+    date: '',
+    amount: '',
+    description: '',
+    category: '',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: '.',
+    hasHeader: true,
+    defaultCategory: ''
+  });
+  const [preview, setPreview] = useState([]);
+  const [counts, setCounts] = useState(null);
+  const [acceptedRows, setAcceptedRows] = useState(new Set());
+  const [importedCount, setImportedCount] = useState(0);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * Run an import request with shared loading and error handling
+   * @param {Function} request - Performs the API call
+   */
+  const run = async (request) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await request();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Import failed. Please try again.');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const isStatement = Boolean(file && STATEMENT_FILE.test(file.name));
+  const isQif = Boolean(file && /\.qif$/i.test(file.name));
+  const steps = isStatement ? STATEMENT_STEPS : STEPS;
+  const expenseCategories = categories.filter((cat) => (cat.type || 'expense') === 'expense');
+  const incomeCategories = categories.filter((cat) => cat.type === 'income');
+
+  /**
+   * Convert the statement options form into what the API expects
+   */
+  const buildStatementOptions = () => ({
+    accountId: statementOptions.accountId || null,
+    defaultCategory: statementOptions.defaultCategory,
+    incomeCategory: statementOptions.incomeCategory || null,
+    dateOrder: statementOptions.dateOrder
+  });
+
+  /**
+   * Convert the mapping form into what the API expects (column indexes)
+   */
+  const buildMapping = () => {
+    const column = (value) => (value === '' ? null : Number(value));
+    return {
+      ...mapping,
+      date: column(mapping.date),
+      amount: column(mapping.amount),
+      description: column(mapping.description),
+      category: column(mapping.category),
+      defaultCategory: mapping.defaultCategory || null
+    };
+  };
+
+  /**
+   * Step 1: upload the file and read its columns (statements need none)
+   */
+  const handleUpload = () =>
+    run(async () => {
+      if (isStatement) {
+        setStep(1);
+        return;
+      }
+      const result = await importExpenses(file);
+      setColumns(result.data.columns);
+      setSample(result.data.sample);
+      setDateFormats(result.dateFormats);
+      setStep(1);
+    });
+
+  /**
+   * Step 2: send the mapping for a dry-run preview
+   */
+  const handlePreview = () =>
+    run(async () => {
+      const result = isStatement
+        ? await importStatement(file, buildStatementOptions())
+        : await importExpenses(file, { mapping: buildMapping() });
+      setPreview(result.data);
+      setCounts(result.counts);
+      setAcceptedRows(
+        new Set(result.data.filter((r) => r.status === (isStatement ? 'new' : 'valid')).map((r) => r.row))
+      );
+      setStep(2);
+    });
+
+  /**
+   * Step 3: commit the accepted rows
+   */
+  const handleConfirm = () =>
+    run(async () => {
+      if (isStatement) {
+        const result = await importStatement(file, {
+          ...buildStatementOptions(),
+          dryRun: false,
+          acceptRows: [...acceptedRows]
+        });
+        setImportedCount(result.counts.new);
+        setStep(3);
+        onImported();
+        return;
+      }
+      const result = await importExpenses(file, {
+        mapping: buildMapping(),
+        dryRun: false,
+        acceptRows: [...acceptedRows]
+      });
+      setImportedCount(result.counts.imported);
+      setStep(3);
+      onImported();
+    });
+
+  /**
+   * Toggle whether a preview row will be imported
+   * @param {number} row - Row number
+   */
+  const toggleRow = (row) => {
+    setAcceptedRows((prev) => {
+      const next = new Set(prev);
+      if (next.has(row)) {
+        next.delete(row);
+      } else {
+        next.add(row);
+      }
+      return next;
+    });
+  };
+
+  const handleStatementOptionChange = (e) => {
+    const { name, value } = e.target;
+    setStatementOptions((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleMappingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setMapping((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const selectClassName =
+    'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700';
+
+  const columnSelect = (name, label, required = false) => (
+    <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+      {label}
+      <select name={name} value={mapping[name]} onChange={handleMappingChange} className={`mt-1 ${selectClassName}`}>
+        <option value="">{required ? 'Choose column' : 'Not in file'}</option>
+        {columns.map((col, index) => (
+          <option key={index} value={index}>
+            {mapping.hasHeader ? col : `Column ${index + 1} (${col})`}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4">
+      <div className="bg-slate-900 rounded-lg shadow-md w-full max-w-3xl max-h-full overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-fuchsia-pink-500">Import a statement</h2>
+          <button onClick={onClose} className="text-fuchsia-pink-300 hover:text-white font-bold" title="Close">
+            ✕
+          </button>
+        </div>
+
+        {/* Step indicator */}
+        <ol className="flex gap-2 mb-6 text-sm">
+          {steps.map((label, index) => (
+            <li
+              key={label}
+              className={`flex-1 text-center py-1 rounded ${
+                index === step ? 'bg-fuchsia-pink-600 text-white' : 'bg-slate-800 text-gray-400'
+              }`}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border-l-4 border-red-500 text-red-700 rounded-lg text-sm">
+            ✗ {error}
+          </div>
+        )}
+
+        {step === 0 && (
+          <div className="space-y-4">
+            <input
+              type="file"
+              accept=".csv,text/csv,.ofx,.qfx,.qif"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-fuchsia-pink-600 file:text-white"
+            />
+            <p className="text-xs text-gray-400">
+              CSV exports are mapped column by column. OFX/QFX and QIF statements are read as they are, and
+              transactions already imported into the account are skipped.
+            </p>
+            <button
+              onClick={handleUpload}
+              disabled={!file || isWorking}
+              className="w-full bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 rounded-lg transition disabled:bg-gray-600"
+            >
+              {isWorking ? 'Reading...' : 'Next'}
+            </button>
+          </div>
+        )}
+
+        {step === 1 && isStatement && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {accounts.length > 1 && (
+                <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                  Account
+                  <select
+                    name="accountId"
+                    value={statementOptions.accountId || accounts[0].id}
+                    onChange={handleStatementOptionChange}
+                    className={`mt-1 ${selectClassName}`}
+                  >
+                    {accounts.map((account) => (
+                      <option key={account.id} value={account.id}>
+                        {account.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                Category for debits
+                <select
+                  name="defaultCategory"
+                  value={statementOptions.defaultCategory}
+                  onChange={handleStatementOptionChange}
+                  className={`mt-1 ${selectClassName}`}
+                >
+                  <option value="">Choose category</option>
+                  <CategoryOptions categories={expenseCategories} />
+                </select>
+              </label>
+              <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                Category for credits
+                <select
+                  name="incomeCategory"
+                  value={statementOptions.incomeCategory}
+                  onChange={handleStatementOptionChange}
+                  className={`mt-1 ${selectClassName}`}
+                >
+                  <option value="">Skip credits</option>
+                  <CategoryOptions categories={incomeCategories} />
+                </select>
+              </label>
+              {isQif && (
+                <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                  Date order
+                  <select
+                    name="dateOrder"
+                    value={statementOptions.dateOrder}
+                    onChange={handleStatementOptionChange}
+                    className={`mt-1 ${selectClassName}`}
+                  >
+                    <option value="MDY">Month first (01/31/2026)</option>
+                    <option value="DMY">Day first (31/01/2026)</option>
+                  </select>
+                </label>
+              )}
+            </div>
+            <p className="text-xs text-gray-400">Auto-categorization rules are tried first; these categories catch the rest.</p>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setStep(0)}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+              >
+                Back
+              </button>
+              <button
+                onClick={handlePreview}
+                disabled={!statementOptions.defaultCategory || isWorking}
+                className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 rounded-lg transition disabled:bg-gray-600"
+              >
+                {isWorking ? 'Checking...' : 'Preview'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 1 && !isStatement && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {columnSelect('date', 'Date column', true)}
+              {columnSelect('amount', 'Amount column', true)}
+              {columnSelect('description', 'Description column')}
+              {columnSelect('category', 'Category column')}
+              <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                Date format
+                <select name="dateFormat" value={mapping.dateFormat} onChange={handleMappingChange} className={`mt-1 ${selectClassName}`}>
+                  {dateFormats.map((format) => (
+                    <option key={format} value={format}>
+                      {format}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                Decimal separator
+                <select
+                  name="decimalSeparator"
+                  value={mapping.decimalSeparator}
+                  onChange={handleMappingChange}
+                  className={`mt-1 ${selectClassName}`}
+                >
+                  <option value=".">Point (1,234.56)</option>
+                  <option value=",">Comma (1.234,56)</option>
+                </select>
+              </label>
+              <label className="block text-sm text-fuchsia-pink-400 font-semibold">
+                Default category
+                <select
+                  name="defaultCategory"
+                  value={mapping.defaultCategory}
+                  onChange={handleMappingChange}
+                  className={`mt-1 ${selectClassName}`}
+                >
+                  <option value="">None</option>
+                  <CategoryOptions categories={categories} />
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-fuchsia-pink-400 font-semibold mt-6">
+                <input type="checkbox" name="hasHeader" checked={mapping.hasHeader} onChange={handleMappingChange} />
+                First row is a header
+              </label>
+            </div>
+
+            {/* Sample rows to help pick columns */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs text-gray-300">
+                <tbody>
+                  {(mapping.hasHeader ? sample : [columns, ...sample]).map((row, rowIndex) => (
+                    <tr key={rowIndex} className="border-b border-slate-700">
+                      {row.map((cell, cellIndex) => (
+                        <td key={cellIndex} className="px-2 py-1">
+                          {cell}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setStep(0)}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+              >
+                Back
+              </button>
+              <button
+                onClick={handlePreview}
+                disabled={mapping.date === '' || mapping.amount === '' || isWorking}
+                className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 rounded-lg transition disabled:bg-gray-600"
+              >
+                {isWorking ? 'Checking...' : 'Preview'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 2 && counts && (
+          <div className="space-y-4">
+            {isStatement ? (
+              <p className="text-sm text-gray-300">
+                {counts.new} new, {counts.skipped} skipped, {counts.invalid} with errors. Transactions already
+                imported into this account are skipped.
+              </p>
+            ) : (
+              <p className="text-sm text-gray-300">
+                {counts.valid} ready, {counts.duplicate} possible duplicates, {counts.invalid} with errors.
+                Duplicates are skipped unless you tick them.
+              </p>
+            )}
+
+            <div className="overflow-x-auto max-h-96">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-800 text-fuchsia-pink-400">
+                  <tr>
+                    <th className="px-2 py-2"></th>
+                    <th className="px-2 py-2 text-left">Row</th>
+                    <th className="px-2 py-2 text-left">Date</th>
+                    <th className="px-2 py-2 text-left">Description</th>
+                    <th className="px-2 py-2 text-left">Category</th>
+                    <th className="px-2 py-2 text-right">Amount</th>
+                    <th className="px-2 py-2 text-left">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((r) => (
+                    <tr key={r.row} className="border-b border-slate-700 text-gray-300">
+                      <td className="px-2 py-2">
+                        <input
+                          type="checkbox"
+                          checked={acceptedRows.has(r.row)}
+                          disabled={r.status === 'invalid' || r.status === 'skipped'}
+                          onChange={() => toggleRow(r.row)}
+                          aria-label={`Import row ${r.row}`}
+                        />
+                      </td>
+                      <td className="px-2 py-2">{r.row}</td>
+                      {r.expense ? (
+                        <>
+                          <td className="px-2 py-2">{formatDate(r.expense.date)}</td>
+                          <td className="px-2 py-2">{r.expense.description || '-'}</td>
+                          <td className="px-2 py-2">
+                            {r.expense.category}
+                            {r.ruleId && (
+                              <span className="ml-1 text-fuchsia-pink-400" title="Chosen by an auto-categorization rule">
+                                ⚙
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-2 py-2 text-right">{formatCurrency(r.expense.amount, r.expense.currency)}</td>
+                        </>
+                      ) : (
+                        <td colSpan={4} className={`px-2 py-2 ${r.status === 'skipped' ? 'text-gray-400' : 'text-red-400'}`}>
+                          {r.status === 'skipped' ? r.reason : r.errors.join('; ')}
+                        </td>
+                      )}
+                      <td className="px-2 py-2">
+                        <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[r.status]}`}>
+                          {r.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setStep(1)}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={acceptedRows.size === 0 || isWorking}
+                className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 rounded-lg transition disabled:bg-gray-600"
+              >
+                {isWorking ? 'Importing...' : `Import ${acceptedRows.size} expense(s)`}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 3 && (
+          <div className="text-center space-y-4">
+            <p className="text-green-400 text-lg">✓ Imported {importedCount} expense(s)</p>
+            <button
+              onClick={onClose}
+              className="w-full bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 rounded-lg transition"
+            >
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
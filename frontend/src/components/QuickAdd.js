@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { parseQuickAddText } from '../services/ExpenseService';
+import { formatCurrency, formatDate, getCategoryIcon, DEFAULT_CURRENCY } from '../utils/helpers';
+
+const EXAMPLE = '250 lunch yesterday #food';
+
+// Pause in typing before the preview is fetched
+const PREVIEW_DELAY_MS = 250;
+
+/**
+ * Today as YYYY-MM-DD, in local time, so "yesterday" means the user's yesterday
+ * @returns {string} YYYY-MM-DD
+ */
+const todayString = () => {
+  const now = new Date();
+  return [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Message for a failed parse request
+ * @param {Error} err - Axios error
+ * @returns {string} What to show under the box
+ */
+const parseErrorMessage = (err) =>
+  err.response
+    ? err.response.data?.error || 'Could not read that line'
+    : 'Quick add needs a connection to the server; use the form below meanwhile';
+
+/**
+ * QuickAdd Component
+ * One-line entry box: "250 lunch yesterday #food" is read into an amount,
+ * date, category, tags and description by the server (POST
+ * /expenses/parse), previewed as it is typed, and saved with Enter. Without
+ * a category the server's auto-categorization rules get a chance to pick
+ * one.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onSubmit - Called with the parsed expense data; returns a promise that rejects if the expense isn't saved
+ * @param {Array} props.categories - Category records, for icons in the preview (a change re-reads the text)
+ * @param {boolean} props.isLoading - Loading state indicator
+ */
+const QuickAdd = ({ onSubmit, categories = [], isLoading = false }) => {
+  const [text, setText] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Fetch the preview once typing pauses; categories are passed so a
+  // newly added one is picked up
+  useEffect(() => {
+    if (!text.trim()) {
+      setParsed(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await parseQuickAddText(text, todayString());
+        if (!cancelled) {
+          setParsed(result);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setParsed(null);
+          setError(parseErrorMessage(err));
+        }
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, categories]);
+
+  /**
+   * Save the parsed expense. The text is read again so what is saved
+   * matches it even if the preview hasn't caught up.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) {
+      setError(`Start with an amount, e.g. "${EXAMPLE}"`);
+      return;
+    }
+
+    setError(null);
+    setIsSaving(true);
+    let current;
+    try {
+      current = await parseQuickAddText(text, todayString());
+    } catch (err) {
+      setError(parseErrorMessage(err));
+      setIsSaving(false);
+      return;
+    }
+    setParsed(current);
+
+    if (current.amount === null) {
+      setError(`Start with an amount, e.g. "${EXAMPLE}"`);
+      setIsSaving(false);
+      return;
+    }
+
+    try {
+      await onSubmit({
+        type: current.type,
+        amount: current.amount,
+        ...(current.currency && { currency: current.currency }),
+        ...(current.category && { category: current.category }),
+        date: current.date,
+        description: current.description,
+        tags: current.tags,
+        split: null
+      });
+      setText('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add expense');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const chipClassName = 'inline-block bg-slate-800 text-gray-200 px-2 py-0.5 rounded-full text-xs border border-slate-700';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-slate-900 rounded-lg shadow-md p-4 mb-6">
+      <label htmlFor="quick-add" className="block text-fuchsia-pink-400 font-semibold mb-2">
+        Quick add
+      </label>
+      <input
+        type="text"
+        id="quick-add"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setError(null);
+        }}
+        placeholder={EXAMPLE}
+        maxLength={500}
+        autoComplete="off"
+        className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700 placeholder-slate-500"
+        disabled={isLoading || isSaving}
+      />
+
+      {parsed && text.trim() && (
+        <div className="flex flex-wrap gap-1 mt-2" aria-live="polite">
+          <span className={`${chipClassName} ${parsed.amount === null ? 'text-yellow-500' : ''}`}>
+            {parsed.amount === null
+              ? 'No amount yet'
+              : formatCurrency(parsed.amount, parsed.currency || DEFAULT_CURRENCY)}
+          </span>
+          <span className={chipClassName}>{formatDate(parsed.date)}</span>
+          <span className={chipClassName} title={parsed.categorySource === 'keyword' ? 'Matched a word in the text' : undefined}>
+            {parsed.category
+              ? `${getCategoryIcon(parsed.category, categories) || ''} ${parsed.category}`.trim()
+              : 'Category from rules'}
+          </span>
+          {parsed.type === 'income' && <span className={`${chipClassName} text-green-400`}>income</span>}
+          {parsed.tags.map((tag) => (
+            <span key={tag} className={`${chipClassName} text-fuchsia-pink-300`}>
+              #{tag}
+            </span>
+          ))}
+          {parsed.description && <span className={`${chipClassName} text-gray-400`}>“{parsed.description}”</span>}
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+    </form>
+  );
+};
+
+export default QuickAdd;
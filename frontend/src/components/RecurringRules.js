@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchRecurringRules,
+  createRecurringRule,
+  updateRecurringRule,
+  deleteRecurringRule
+} from '../services/ExpenseService';
+import { formatCurrency, formatDate, isValidAmount, isValidDate, COMMON_CURRENCIES, DEFAULT_CURRENCY } from '../utils/helpers';
+import CategoryOptions from './CategoryOptions';
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const emptyRule = (currency) => ({
+  amount: '',
+  currency,
+  category: '',
+  description: '',
+  frequency: 'monthly',
+  startDate: new Date().toISOString().split('T')[0],
+  endDate: ''
+});
+
+/**
+ * RecurringRules Component
+ * Lists recurring expense rules (rent, subscriptions, EMIs) and lets the
+ * user add, edit, pause, resume and delete them
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onChange - Called after a change that may have generated expenses
+ * @param {string} props.currency - Default currency for new rules
+ * @param {Array} props.categories - Category records to choose from
+ */
+const RecurringRules = ({ onChange, currency = DEFAULT_CURRENCY, categories = [] }) => {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyRule(currency));
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Load rules from API
+   */
+  const loadRules = useCallback(async () => {
+    try {
+      setRules(await fetchRecurringRules());
+    } catch (err) {
+      console.error('Failed to load recurring rules');
+    }
+  }, []);
+
+  // Load rules on mount, and again when categories change since renaming
+  // or merging a category rewrites the rules that use it
+  useEffect(() => {
+    loadRules();
+  }, [loadRules, categories]);
+
+  /**
+   * Handle form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyRule(currency));
+    setError(null);
+  };
+
+  /**
+   * Start editing an existing rule
+   * @param {Object} rule - The rule to edit
+   */
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setFormData({
+      amount: String(rule.amount),
+      currency: rule.currency,
+      category: rule.category,
+      description: rule.description,
+      frequency: rule.frequency,
+      startDate: rule.startDate,
+      endDate: rule.endDate || ''
+    });
+    setShowForm(true);
+    setError(null);
+  };
+
+  /**
+   * Save a change and refresh rules and expenses
+   * @param {Function} request - Performs the API call
+   */
+  const applyChange = async (request) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await request();
+      await loadRules();
+      onChange();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save recurring rule');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isValidAmount(formData.amount) || !formData.category || !isValidDate(formData.startDate)) {
+      setError('Enter an amount, category and start date');
+      return;
+    }
+
+    const ruleData = {
+      ...formData,
+      amount: parseFloat(formData.amount),
+      endDate: formData.endDate || null
+    };
+
+    const saved = await applyChange(() =>
+      editingId ? updateRecurringRule(editingId, ruleData) : createRecurringRule(ruleData)
+    );
+    if (saved) {
+      closeForm();
+    }
+  };
+
+  /**
+   * Handle deleting a rule
+   * @param {string} id - The rule ID
+   */
+  const handleDelete = (id) => {
+    if (window.confirm('Delete this rule? Expenses it already created are kept.')) {
+      applyChange(() => deleteRecurringRule(id));
+    }
+  };
+
+  const inputClassName =
+    'w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700';
+
+  return (
+    <div className="bg-slate-900 rounded-lg shadow-md p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-fuchsia-pink-500">Recurring Expenses</h2>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold transition"
+            title="Add recurring expense"
+          >
+            +
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="space-y-2 mb-4">
+          <div className="flex gap-2">
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              placeholder="Amount"
+              step="0.01"
+              min="0"
+              className={`min-w-0 ${inputClassName}`}
+              disabled={isSaving}
+            />
+            <select
+              name="currency"
+              value={formData.currency}
+              onChange={handleChange}
+              aria-label="Currency"
+              className="px-3 py-2 border rounded-lg bg-slate-800 text-white border-slate-700"
+              disabled={isSaving}
+            >
+              {[...new Set([currency, ...COMMON_CURRENCIES])].map((code) => (
+                <option key={code} value={code}>
+                  {code}
+                </option>
+              ))}
+            </select>
+          </div>
+          <select
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            aria-label="Category"
+            className={inputClassName}
+            disabled={isSaving}
+          >
+            <option value="" disabled>
+              Choose category
+            </option>
+            <CategoryOptions categories={categories} />
+          </select>
+          <input
+            type="text"
+            name="description"
+            value={formData.description}
+            onChange={handleChange}
+            placeholder="Description (e.g. Rent)"
+            className={inputClassName}
+            disabled={isSaving}
+          />
+          <select
+            name="frequency"
+            value={formData.frequency}
+            onChange={handleChange}
+            aria-label="Frequency"
+            className={`capitalize ${inputClassName}`}
+            disabled={isSaving}
+          >
+            {FREQUENCIES.map((frequency) => (
+              <option key={frequency} value={frequency}>
+                {frequency}
+              </option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-400">
+              Starts
+              <input
+                type="date"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleChange}
+                className={inputClassName}
+                disabled={isSaving}
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              Ends (optional)
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                onChange={handleChange}
+                className={inputClassName}
+                disabled={isSaving}
+              />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-semibold py-2 rounded-lg transition disabled:bg-gray-600"
+            >
+              {isSaving ? 'Saving...' : editingId ? 'Update Rule' : 'Add Rule'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="flex-1 bg-slate-700 hover:bg-slate-600 text-fuchsia-pink-300 font-semibold py-2 rounded-lg transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-gray-400 text-sm">No recurring expenses yet</p>
+      ) : (
+        <ul className="divide-y divide-slate-700">
+          {rules.map((rule) => (
+            <li key={rule.id} className={`py-2 text-sm ${rule.paused ? 'opacity-60' : ''}`}>
+              <div className="flex justify-between">
+                <span className="text-gray-300">
+                  {rule.description || rule.category}
+                  {rule.paused && <span className="ml-2 text-yellow-500 text-xs">Paused</span>}
+                </span>
+                <span className="text-fuchsia-pink-400 font-semibold">
+                  {formatCurrency(rule.amount, rule.currency)}
+                </span>
+              </div>
+              <div className="flex justify-between items-center text-xs text-gray-500 mt-1">
+                <span className="capitalize">
+                  {rule.frequency} from {formatDate(rule.startDate)}
+                  {rule.endDate && ` to ${formatDate(rule.endDate)}`}
+                </span>
+                <span className="flex gap-3">
+                  <button
+                    onClick={() => applyChange(() => updateRecurringRule(rule.id, { paused: !rule.paused }))}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                    disabled={isSaving}
+                  >
+                    {rule.paused ? 'Resume' : 'Pause'}
+                  </button>
+                  <button
+                    onClick={() => handleEdit(rule)}
+                    className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule.id)}
+                    className="text-red-500 hover:text-red-400 font-semibold"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecurringRules;
@@ -0,0 +1,202 @@
+import React from 'react';
+import { formatCurrency, splitAmounts, SPLIT_SELF, DEFAULT_CURRENCY } from '../utils/helpers';
+
+const METHODS = [
+  { value: 'equal', label: 'Equally' },
+  { value: 'percentage', label: 'By percentage' },
+  { value: 'exact', label: 'By exact amounts' }
+];
+
+/**
+ * A new split: the user and one other person, paid by the user
+ * @returns {Object} Split in the editor's format
+ */
+export const emptySplit = () => ({
+  paidBy: SPLIT_SELF,
+  method: 'equal',
+  participants: [
+    { name: SPLIT_SELF, share: '' },
+    { name: '', share: '' }
+  ]
+});
+
+/**
+ * Check a split before it is saved
+ * @param {Object} split - Split in the editor's format
+ * @param {number} amount - The expense amount
+ * @returns {string|null} Error message, or null when the split is valid
+ */
+export const validateSplit = (split, amount) => {
+  const named = split.participants.filter((p) => p.name.trim());
+  const names = named.map((p) => p.name.trim().toLowerCase());
+  if (!split.paidBy.trim()) {
+    return 'Choose who paid';
+  }
+  if (new Set(names).size !== names.length) {
+    return 'Each person can only be listed once';
+  }
+  if (!names.some((name) => name !== split.paidBy.trim().toLowerCase())) {
+    return 'Add someone to split with';
+  }
+  if (split.method !== 'equal') {
+    const sum = named.reduce((total, p) => total + (Number(p.share) || 0), 0);
+    const target = split.method === 'percentage' ? 100 : Number(amount);
+    if (Math.abs(sum - target) > 0.01) {
+      return split.method === 'percentage'
+        ? `Percentages add up to ${sum}, not 100`
+        : `Amounts add up to ${sum}, not ${target}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * SplitEditor Component
+ * Edits who shared an expense, who paid, and how it is divided
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.value - The split ({ paidBy, method, participants: [{ name, share }] }) or null
+ * @param {Function} props.onChange - Called with the new split, or null when splitting is turned off
+ * @param {number|string} props.amount - The expense amount, for previews
+ * @param {string} props.currency - The expense currency
+ * @param {Array<string>} props.people - Names used before, for autocomplete
+ * @param {boolean} props.disabled - Disables editing
+ */
+const SplitEditor = ({ value, onChange, amount, currency = DEFAULT_CURRENCY, people = [], disabled = false }) => {
+  const inputClassName =
+    'px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700 text-sm';
+
+  if (!value) {
+    return (
+      <button
+        type="button"
+        onClick={() => onChange(emptySplit())}
+        className="text-sm text-fuchsia-pink-300 hover:text-fuchsia-pink-200 font-semibold"
+        disabled={disabled}
+      >
+        👥 Split with others
+      </button>
+    );
+  }
+
+  const amounts = splitAmounts(value, amount);
+
+  /**
+   * Change one participant
+   * @param {number} index - Row to change
+   * @param {Object} changes - Fields to update
+   */
+  const updateParticipant = (index, changes) => {
+    const previous = value.participants[index];
+    const participants = value.participants.map((p, i) => (i === index ? { ...p, ...changes } : p));
+    // Keep the payer pointing at the same person when they are renamed
+    const paidBy = changes.name !== undefined && previous.name === value.paidBy ? changes.name : value.paidBy;
+    onChange({ ...value, paidBy, participants });
+  };
+
+  const payerChoices = [
+    ...new Set([SPLIT_SELF, value.paidBy, ...value.participants.map((p) => p.name.trim())])
+  ].filter(Boolean);
+
+  return (
+    <div className="space-y-2 bg-slate-800 border border-slate-700 rounded-lg p-3">
+      <div className="flex gap-2">
+        <label className="flex-1 text-xs text-gray-400">
+          Paid by
+          <select
+            value={value.paidBy}
+            onChange={(e) => onChange({ ...value, paidBy: e.target.value })}
+            className={`w-full ${inputClassName}`}
+            disabled={disabled}
+          >
+            {payerChoices.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex-1 text-xs text-gray-400">
+          Split
+          <select
+            value={value.method}
+            onChange={(e) => onChange({ ...value, method: e.target.value })}
+            className={`w-full ${inputClassName}`}
+            disabled={disabled}
+          >
+            {METHODS.map(({ value: method, label }) => (
+              <option key={method} value={method}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <datalist id="split-people">
+        {people.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      {value.participants.map((participant, index) => (
+        <div key={index} className="flex gap-2 items-center">
+          <input
+            type="text"
+            value={participant.name}
+            onChange={(e) => updateParticipant(index, { name: e.target.value })}
+            placeholder="Name"
+            aria-label="Participant name"
+            list="split-people"
+            className={`flex-1 min-w-0 ${inputClassName}`}
+            disabled={disabled}
+          />
+          {value.method !== 'equal' && (
+            <input
+              type="number"
+              value={participant.share}
+              onChange={(e) => updateParticipant(index, { share: e.target.value })}
+              placeholder={value.method === 'percentage' ? '%' : '0.00'}
+              aria-label={value.method === 'percentage' ? 'Percentage' : 'Amount'}
+              min="0"
+              step="0.01"
+              className={`w-24 ${inputClassName}`}
+              disabled={disabled}
+            />
+          )}
+          <span className="w-24 text-right text-xs text-gray-400">{formatCurrency(amounts[index], currency)}</span>
+          <button
+            type="button"
+            onClick={() => onChange({ ...value, participants: value.participants.filter((_, i) => i !== index) })}
+            className="text-red-500 hover:text-red-400 disabled:opacity-30"
+            aria-label="Remove person"
+            disabled={disabled || value.participants.length <= 1}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <div className="flex justify-between text-sm">
+        <button
+          type="button"
+          onClick={() => onChange({ ...value, participants: [...value.participants, { name: '', share: '' }] })}
+          className="text-fuchsia-pink-300 hover:text-fuchsia-pink-200 font-semibold"
+          disabled={disabled}
+        >
+          + Add person
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="text-gray-400 hover:text-gray-200"
+          disabled={disabled}
+        >
+          Remove split
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SplitEditor;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { resolveConflict } from '../services/ExpenseService';
+import { formatCurrency, formatDate } from '../utils/helpers';
+
+const CHANGE_LABELS = {
+  create: 'Add',
+  update: 'Edit',
+  delete: 'Delete'
+};
+
+/**
+ * Describe the expense a queued change is about
+ * @param {Object} change - Queue entry or conflict
+ * @returns {string} Display text
+ */
+const describeChange = (change) => {
+  const expense = { ...change.server, ...change.data };
+  const parts = [
+    expense.date && formatDate(expense.date),
+    expense.description || expense.category,
+    expense.amount !== undefined && formatCurrency(expense.amount, expense.currency)
+  ];
+  return `${CHANGE_LABELS[change.type]}: ${parts.filter(Boolean).join(' · ') || 'expense'}`;
+};
+
+/**
+ * SyncStatus Component
+ * Banner shown while offline or while changes are waiting to be synced, and
+ * the list of queued changes the server rejected, each of which can be
+ * applied anyway or dropped in favour of the server copy
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOnline - Whether the browser has a connection
+ * @param {boolean} props.isCached - Whether the data shown came from the offline cache
+ * @param {Object} props.status - { pending, conflicts } from getSyncStatus
+ * @param {boolean} props.isSyncing - Whether a sync is running
+ * @param {Function} props.onSync - Called to sync now
+ * @param {Function} props.onResolved - Called after a conflict was resolved
+ */
+const SyncStatus = ({ isOnline, isCached, status, isSyncing, onSync, onResolved }) => {
+  const [error, setError] = useState(null);
+  const { pending, conflicts } = status;
+
+  /**
+   * Handle resolving a conflict
+   * @param {number} id - Queue entry ID of the conflict
+   * @param {boolean} keepMine - Apply the queued change instead of the server copy
+   */
+  const handleResolve = async (id, keepMine) => {
+    setError(null);
+    try {
+      await resolveConflict(id, keepMine);
+      onResolved();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to apply your change');
+    }
+  };
+
+  if (isOnline && !isCached && pending.length === 0 && conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-slate-900 border-l-4 border-yellow-500 rounded-lg text-sm">
+      <div className="flex justify-between items-center gap-3">
+        <span className="text-yellow-500">
+          {!isOnline && "⚡ You're offline — showing the last data loaded. "}
+          {isOnline && isCached && "⚡ Can't reach the server — showing the last data loaded. "}
+          {pending.length > 0 &&
+            `${pending.length} change${pending.length === 1 ? '' : 's'} waiting to sync.`}
+        </span>
+        {isOnline && pending.length > 0 && (
+          <button
+            onClick={onSync}
+            disabled={isSyncing}
+            className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold transition disabled:bg-gray-600"
+          >
+            {isSyncing ? 'Syncing...' : 'Sync now'}
+          </button>
+        )}
+      </div>
+
+      {conflicts.length > 0 && (
+        <div className="mt-3">
+          <p className="text-gray-300 font-semibold mb-1">
+            {conflicts.length === 1
+              ? "One change made offline couldn't be applied:"
+              : `${conflicts.length} changes made offline couldn't be applied:`}
+          </p>
+          {error && <p className="text-red-500 mb-1">{error}</p>}
+          <ul className="divide-y divide-slate-700">
+            {conflicts.map((conflict) => (
+              <li key={conflict.id} className="flex justify-between items-center py-2 gap-3">
+                <span className="text-gray-300">
+                  {describeChange(conflict)}
+                  <span className="block text-xs text-gray-500">{conflict.error}</span>
+                </span>
+                <span className="flex items-center gap-3 whitespace-nowrap">
+                  {conflict.server && (
+                    <button
+                      onClick={() => handleResolve(conflict.id, true)}
+                      className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                    >
+                      Use my change
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleResolve(conflict.id, false)}
+                    className="text-gray-400 hover:text-gray-200 font-semibold"
+                  >
+                    {conflict.server ? 'Keep server copy' : 'Dismiss'}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
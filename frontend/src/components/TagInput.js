@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { normalizeTag } from '../utils/helpers';
+
+// Most suggestions shown under the input at once
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * TagInput Component
+ * Chip-style tag editor. Enter or comma adds the typed tag, Backspace in an
+ * empty box removes the last one, and tags already in use are suggested as
+ * you type.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Current tags
+ * @param {Function} props.onChange - Called with the new tag list
+ * @param {Array} props.suggestions - Known tags as { tag, count } from the API
+ * @param {boolean} props.disabled - Disables editing
+ */
+const TagInput = ({ value = [], onChange, suggestions = [], disabled = false }) => {
+  const [text, setText] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  const typed = normalizeTag(text);
+  const matches = suggestions
+    .map((s) => s.tag)
+    .filter((tag) => !value.includes(tag) && (!typed || tag.includes(typed)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  /**
+   * Add a tag unless it is empty or already present
+   * @param {string} tag - Tag to add
+   */
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setText('');
+  };
+
+  /**
+   * Handle keys that add or remove tags
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 border rounded-lg bg-slate-800 border-slate-700 focus-within:ring-2 focus-within:ring-fuchsia-pink-500">
+        {value.map((tag) => (
+          <span
+            key={tag}
+            className="inline-flex items-center bg-slate-700 text-fuchsia-pink-200 px-2 py-0.5 rounded-full text-xs font-semibold"
+          >
+            #{tag}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((t) => t !== tag))}
+              className="ml-1 text-gray-400 hover:text-white"
+              aria-label={`Remove tag ${tag}`}
+              disabled={disabled}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setShowSuggestions(false)}
+          placeholder={value.length === 0 ? 'Add tags (e.g. trip-goa)' : ''}
+          aria-label="Tags"
+          className="flex-1 min-w-[6rem] bg-transparent text-white placeholder-slate-500 focus:outline-none"
+          disabled={disabled}
+        />
+      </div>
+      {showSuggestions && matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-slate-800 border border-slate-700 rounded-lg shadow-lg overflow-hidden">
+          {matches.map((tag) => (
+            <li key={tag}>
+              <button
+                type="button"
+                // Keep focus in the input so the list stays open
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag)}
+                className="w-full text-left px-3 py-1 text-sm text-fuchsia-pink-200 hover:bg-slate-700"
+              >
+                #{tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchTrash, restoreExpense, purgeExpense, emptyTrash } from '../services/ExpenseService';
+import { formatCurrency, formatDate } from '../utils/helpers';
+
+/**
+ * TrashBin Component
+ * Modal listing deleted expenses, with restore and permanent delete.
+ * Expenses left in the trash are purged automatically after the server's
+ * retention period.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onRestored - Called after an expense was restored
+ */
+const TrashBin = ({ onClose, onRestored }) => {
+  const [expenses, setExpenses] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  /**
+   * Load the trash from API
+   */
+  const loadTrash = useCallback(async () => {
+    try {
+      const response = await fetchTrash();
+      setExpenses(response.data);
+      setRetentionDays(response.retentionDays);
+    } catch (err) {
+      setError('Failed to load the trash');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  /**
+   * Run a trash action, then reload the list
+   * @param {Function} request - Performs the API call
+   * @param {string} failure - Message shown when it fails
+   */
+  const run = async (request, failure) => {
+    setError(null);
+    try {
+      await request();
+      await loadTrash();
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+    }
+  };
+
+  const handleRestore = (id) =>
+    run(async () => {
+      await restoreExpense(id);
+      onRestored();
+    }, 'Failed to restore expense');
+
+  const handlePurge = (id) => {
+    if (window.confirm('Delete this expense permanently? This cannot be undone.')) {
+      run(() => purgeExpense(id), 'Failed to delete expense');
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm(`Permanently delete all ${expenses.length} expenses in the trash? This cannot be undone.`)) {
+      run(emptyTrash, 'Failed to empty the trash');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4">
+      <div className="bg-slate-900 rounded-lg shadow-md w-full max-w-3xl max-h-full overflow-y-auto p-6">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-2xl font-bold text-fuchsia-pink-500">Trash</h2>
+          <button onClick={onClose} className="text-fuchsia-pink-300 hover:text-white font-bold" title="Close">
+            ✕
+          </button>
+        </div>
+        {retentionDays !== null && (
+          <p className="text-sm text-gray-400 mb-4">
+            Deleted expenses are kept for {retentionDays} days, then removed for good.
+          </p>
+        )}
+
+        {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+        {isLoading ? (
+          <p className="text-gray-400 text-center py-8">Loading...</p>
+        ) : expenses.length === 0 ? (
+          <p className="text-gray-400 text-center py-8">The trash is empty.</p>
+        ) : (
+          <>
+            <ul className="divide-y divide-slate-700">
+              {expenses.map((expense) => (
+                <li key={expense.id} className="flex justify-between items-center py-3 text-sm">
+                  <span className="text-gray-300">
+                    {formatDate(expense.date)} · {expense.category} · {expense.description || '-'}
+                    <span className="block text-xs text-gray-500">
+                      Deleted {new Date(expense.deletedAt).toLocaleDateString()}, removed for good on{' '}
+                      {new Date(expense.purgeAt).toLocaleDateString()}
+                    </span>
+                  </span>
+                  <span className="flex items-center gap-3">
+                    <span className="text-fuchsia-pink-400 font-semibold">
+                      {formatCurrency(expense.amount, expense.currency)}
+                    </span>
+                    <button
+                      onClick={() => handleRestore(expense.id)}
+                      className="text-fuchsia-pink-400 hover:text-fuchsia-pink-300 font-semibold"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(expense.id)}
+                      className="text-red-500 hover:text-red-400 font-semibold"
+                    >
+                      Delete forever
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={handleEmpty}
+              className="mt-4 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition"
+            >
+              Empty trash
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashBin;
@@ -1,10 +1,16 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import AuthGate from './components/AuthGate';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <AuthGate>
+      {({ user, onLogout }) => <App user={user} onLogout={onLogout} />}
+    </AuthGate>
   </React.StrictMode>
 );
+
+registerServiceWorker();
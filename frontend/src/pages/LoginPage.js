@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { login, register } from '../services/ExpenseService';
+
+/**
+ * LoginPage Component
+ * Sign-in and registration screen shown before the tracker
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onAuthenticated - Called with the user once signed in
+ */
+const LoginPage = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  /**
+   * Handle form input changes
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const user = isRegister ? await register(formData) : await login(formData);
+      onAuthenticated(user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName =
+    'w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-fuchsia-pink-500 bg-slate-800 text-white border-slate-700';
+
+  return (
+    <div className="min-h-screen bg-black flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-slate-900 rounded-lg shadow-md p-6">
+        <h1 className="text-2xl font-bold mb-1 text-fuchsia-pink-500">Expense Tracker</h1>
+        <p className="text-gray-400 mb-6">
+          {isRegister ? 'Create an account to get started' : 'Sign in to your account'}
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 border-l-4 border-red-500 text-red-700 rounded-lg text-sm">
+            ✗ {error}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {isRegister && (
+            <div>
+              <label htmlFor="name" className="block text-fuchsia-pink-400 font-semibold mb-2">
+                Name
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Your name (optional)"
+                className={inputClassName}
+                disabled={isSubmitting}
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="email" className="block text-fuchsia-pink-400 font-semibold mb-2">
+              Email
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              required
+              autoComplete="email"
+              className={inputClassName}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="password" className="block text-fuchsia-pink-400 font-semibold mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              required
+              minLength={isRegister ? 8 : undefined}
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              className={inputClassName}
+              disabled={isSubmitting}
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="mt-6 w-full bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white font-bold py-2 px-4 rounded-lg transition duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Sign In'}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            setMode(isRegister ? 'login' : 'register');
+            setError(null);
+          }}
+          className="mt-4 w-full text-sm text-fuchsia-pink-300 hover:text-fuchsia-pink-200"
+        >
+          {isRegister ? 'Already have an account? Sign in' : "Don't have an account? Register"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { fetchMonthlyReport, downloadMonthlyReportPdf } from '../services/ExpenseService';
+import { formatCurrency, formatDate, getCategoryColor, getCategoryIcon, DEFAULT_CURRENCY } from '../utils/helpers';
+
+/**
+ * The current month as YYYY-MM, in local time
+ * @returns {string} YYYY-MM
+ */
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Move a month forwards or backwards
+ * @param {string} month - YYYY-MM
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} YYYY-MM
+ */
+const shiftMonth = (month, months) => {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, index - 1 + months, 1)).toISOString().slice(0, 7);
+};
+
+/**
+ * "March 2024" for 2024-03
+ * @param {string} month - YYYY-MM
+ * @returns {string} Display text
+ */
+const monthLabel = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Spending change as a colored label; more spending is shown in red
+ * @param {Object} props - Component props
+ * @param {Object} props.change - { amount, percent } from the report
+ */
+const Change = ({ change }) => {
+  if (change.amount === 0) {
+    return <span className="text-gray-500">no change</span>;
+  }
+  const color = change.amount > 0 ? 'text-red-400 print:text-red-700' : 'text-green-400 print:text-green-700';
+  return (
+    <span className={color}>
+      {change.percent === null
+        ? 'new'
+        : `${change.amount > 0 ? '▲' : '▼'} ${Math.abs(change.percent).toFixed(1)}%`}
+    </span>
+  );
+};
+
+/**
+ * ReportsPage Component
+ * Monthly statement: spending by category against the previous month and
+ * the same month last year, daily averages and the largest expenses.
+ * Prints cleanly from the browser, and can be downloaded as a PDF the
+ * server generates.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called to go back to the expenses
+ * @param {Array} props.categories - Category records, for colors and icons
+ */
+const ReportsPage = ({ onClose, categories = [] }) => {
+  const [month, setMonth] = useState(currentMonth);
+  const [report, setReport] = useState(null);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [missingRates, setMissingRates] = useState([]);
+  const [isOffline, setIsOffline] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await fetchMonthlyReport(month);
+        if (!cancelled) {
+          setReport(response.data);
+          setCurrency(response.baseCurrency || DEFAULT_CURRENCY);
+          setMissingRates(response.missingRates || []);
+          setIsOffline(Boolean(response.offline));
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setReport(null);
+          setError(err.response?.data?.error || 'Failed to load the report');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [month]);
+
+  /**
+   * Fetch the PDF and hand it to the browser as a download
+   */
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const { blob, filename } = await downloadMonthlyReportPdf(month);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to download the report. Please try again.');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const money = (amount) => formatCurrency(amount, currency);
+  const buttonClassName =
+    'px-3 py-1 bg-slate-800 hover:bg-slate-700 text-fuchsia-pink-300 rounded-lg font-semibold text-sm transition disabled:opacity-50';
+  const cardClassName = 'bg-slate-900 rounded-lg shadow-md p-6 print:bg-white print:shadow-none print:border print:border-gray-300 print:p-4';
+  const headingClassName = 'text-xl font-bold text-fuchsia-pink-400 mb-4 print:text-black';
+
+  return (
+    <div className="space-y-6 text-gray-200 print:text-black">
+      {/* Controls */}
+      <div className="flex flex-wrap items-center justify-between gap-3 print:hidden">
+        <button onClick={onClose} className={buttonClassName}>
+          ← Back to expenses
+        </button>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => setMonth(shiftMonth(month, -1))} className={buttonClassName} aria-label="Previous month">
+            ‹
+          </button>
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            aria-label="Report month"
+            className="px-2 py-1 border rounded-lg bg-slate-800 text-white border-slate-700 text-sm"
+          />
+          <button onClick={() => setMonth(shiftMonth(month, 1))} className={buttonClassName} aria-label="Next month">
+            ›
+          </button>
+          <button onClick={() => window.print()} disabled={!report} className={buttonClassName}>
+            🖨 Print
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={!report || isDownloading || isOffline}
+            className="px-3 py-1 bg-fuchsia-pink-600 hover:bg-fuchsia-pink-700 text-white rounded-lg font-semibold text-sm transition disabled:bg-gray-600"
+            title={isOffline ? 'The PDF is made by the server, which can’t be reached' : undefined}
+          >
+            {isDownloading ? 'Downloading...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h2 className="text-2xl font-bold text-fuchsia-pink-500 print:text-black">Monthly report: {monthLabel(month)}</h2>
+        {report && (
+          <p className="text-sm text-gray-400 print:text-gray-600">
+            {formatDate(report.from)} – {formatDate(report.to)} · amounts in {currency}
+          </p>
+        )}
+        {missingRates.length > 0 && (
+          <p className="text-yellow-500 text-sm mt-1">
+            Excludes {missingRates.join(', ')} expenses (no exchange rate)
+          </p>
+        )}
+        {isOffline && (
+          <p className="text-yellow-500 text-sm mt-1 print:hidden">Offline: showing the last copy of this report</p>
+        )}
+      </div>
+
+      {isLoading && !report && <p className="text-gray-400">Loading report...</p>}
+      {error && <p className="text-red-500">{error}</p>}
+
+      {report && (
+        <>
+          {/* Overview */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 print:grid-cols-3">
+            <div className="bg-gradient-to-r from-fuchsia-pink-600 to-fuchsia-pink-800 rounded-lg shadow-md p-6 text-white print:bg-none print:bg-white print:text-black print:border print:border-gray-300 print:p-4">
+              <h3 className="font-semibold">Spending</h3>
+              <p className="text-3xl font-bold">{money(report.totals.expense)}</p>
+              <p className="text-sm mt-1 opacity-80">
+                {report.totals.count} expense{report.totals.count === 1 ? '' : 's'}
+                {report.totals.income > 0 && (
+                  <>
+                    {' · '}Income {money(report.totals.income)} · Net {money(report.totals.net)}
+                  </>
+                )}
+              </p>
+            </div>
+            {[
+              { label: 'Previous month', period: report.comparison.previousMonth },
+              { label: 'Same month last year', period: report.comparison.sameMonthLastYear }
+            ].map(({ label, period }) => (
+              <div key={label} className={cardClassName}>
+                <h3 className="font-semibold text-fuchsia-pink-300 print:text-black">
+                  {label} <span className="text-gray-400 font-normal text-sm">({monthLabel(period.month)})</span>
+                </h3>
+                <p className="text-2xl font-bold text-white print:text-black">{money(period.expense)}</p>
+                <p className="text-sm mt-1">
+                  <Change change={period.change} />
+                  {period.change.amount !== 0 && (
+                    <span className="text-gray-400">
+                      {' '}
+                      ({period.change.amount > 0 ? '+' : '−'}
+                      {money(Math.abs(period.change.amount))})
+                    </span>
+                  )}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          {/* Daily averages */}
+          <div className={cardClassName}>
+            <h3 className={headingClassName}>Daily averages</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4 print:grid-cols-3">
+              <div>
+                <p className="text-sm text-gray-400">Per day</p>
+                <p className="text-lg font-semibold">{money(report.dailyAverage.perDay)}</p>
+                <p className="text-xs text-gray-500">over {report.dailyAverage.days} day(s)</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400">Per day with spending</p>
+                <p className="text-lg font-semibold">{money(report.dailyAverage.perSpendingDay)}</p>
+                <p className="text-xs text-gray-500">{report.dailyAverage.spendingDays} day(s) with spending</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-400">Previous month, per day</p>
+                <p className="text-lg font-semibold">{money(report.dailyAverage.previousMonthPerDay)}</p>
+              </div>
+            </div>
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={report.daily.map((d) => ({ day: Number(d.date.slice(8)), total: d.total }))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="day" stroke="#94A3B8" fontSize={11} />
+                  <YAxis stroke="#94A3B8" fontSize={11} />
+                  <Tooltip
+                    formatter={(value) => money(value)}
+                    labelFormatter={(day) => `Day ${day}`}
+                    contentStyle={{ backgroundColor: '#0F172A', border: '1px solid #334155' }}
+                  />
+                  <Bar dataKey="total" fill="#CB48DF" isAnimationActive={false} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Spending by category */}
+          <div className={cardClassName}>
+            <h3 className={headingClassName}>Spending by category</h3>
+            {report.categories.length === 0 ? (
+              <p className="text-gray-400">No spending in these months.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-slate-700 print:border-gray-300">
+                      <th className="py-2 pr-2">Category</th>
+                      <th className="py-2 px-2 text-right">This month</th>
+                      <th className="py-2 px-2 text-right">Share</th>
+                      <th className="py-2 px-2 text-right">Previous</th>
+                      <th className="py-2 px-2 text-right">Change</th>
+                      <th className="py-2 px-2 text-right">Last year</th>
+                      <th className="py-2 pl-2 text-right">Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.categories.map((row) => (
+                      <tr key={row.category} className="border-b border-slate-800 print:border-gray-200">
+                        <td className="py-2 pr-2">
+                          <span
+                            className="inline-block w-2 h-2 rounded-full mr-2"
+                            style={{ backgroundColor: getCategoryColor(row.category, categories) }}
+                          />
+                          {getCategoryIcon(row.category, categories)} {row.category}
+                        </td>
+                        <td className="py-2 px-2 text-right font-semibold">{money(row.total)}</td>
+                        <td className="py-2 px-2 text-right text-gray-400">{row.share.toFixed(0)}%</td>
+                        <td className="py-2 px-2 text-right">{money(row.previous)}</td>
+                        <td className="py-2 px-2 text-right"><Change change={row.vsPrevious} /></td>
+                        <td className="py-2 px-2 text-right">{money(row.lastYear)}</td>
+                        <td className="py-2 pl-2 text-right"><Change change={row.vsLastYear} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Largest expenses */}
+          <div className={`${cardClassName} print:break-inside-avoid`}>
+            <h3 className={headingClassName}>Largest expenses</h3>
+            {report.largestExpenses.length === 0 ? (
+              <p className="text-gray-400">No expenses this month.</p>
+            ) : (
+              <ol className="divide-y divide-slate-800 print:divide-gray-200">
+                {report.largestExpenses.map((expense) => (
+                  <li key={expense.id} className="flex justify-between gap-4 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="truncate">{expense.description || expense.category}</p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(expense.date)} · {getCategoryIcon(expense.category, categories)} {expense.category}
+                      </p>
+                    </div>
+                    <div className="text-right shrink-0">
+                      <p className="font-semibold">{money(expense.amount)}</p>
+                      {expense.originalCurrency !== currency && (
+                        <p className="text-xs text-gray-500">
+                          {formatCurrency(expense.originalAmount, expense.originalCurrency)}
+                        </p>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReportsPage;
@@ -0,0 +1,40 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service worker - lets the app load without a connection
+ *
+ * Built by react-scripts (production builds only). The app shell and static
+ * assets are precached, so a reload while offline still opens the app; API
+ * data is cached separately in IndexedDB by services/offlineStore.js.
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations, so client-side routes work offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(({ request, url }) => {
+  if (request.mode !== 'navigate') {
+    return false;
+  }
+  if (url.pathname.startsWith('/_') || url.pathname.startsWith('/api/')) {
+    return false;
+  }
+  return !url.pathname.match(fileExtensionRegexp);
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html'));
+
+// Web fonts rarely change; keep them for a year
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'fonts',
+    plugins: [new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 60 * 60 * 24 * 365 })]
+  })
+);
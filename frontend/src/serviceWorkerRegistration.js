@@ -0,0 +1,27 @@
+/**
+ * Service worker registration
+ *
+ * Registers src/service-worker.js in production builds. Development builds
+ * skip it, so hot reloading isn't served stale files from the cache.
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker can only control pages on its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+};
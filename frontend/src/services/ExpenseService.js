@@ -3,31 +3,302 @@
  * 
  * This service handles communication with the backend API for:
  * - Fetching expenses
- * - Creating new expenses
+ * - Creating new expenses, and reading quick-add lines into expenses
  * - Updating existing expenses
- * - Deleting expenses
- * - Fetching expense summaries
+ * - Deleting expenses, the trash and restoring
+ * - Fetching an expense's change history
+ * - Uploading, downloading and deleting receipt attachments
+ * - Importing expenses from CSV, OFX and QIF statements
+ * - Exporting expenses to CSV, JSON and XLSX
+ * - Fetching expense summaries and monthly reports
  * - Fetching available categories
+ * - Managing exchange rates
+ * - Managing budgets
+ * - Managing recurring expense rules
+ * - Fetching split balances and recording settlements
+ * - Registering, logging in and logging out
+ * - Following live changes made in other tabs and devices
+ *
+ * The session token is kept in localStorage and attached to every request
+ * by an axios interceptor.
+ *
+ * Reads fall back to the last cached copy when the server can't be reached,
+ * and expense creates, updates and deletes made offline are queued and
+ * replayed by syncPendingChanges (see offlineStore.js).
  */
 
 import axios from 'axios';
+import {
+  setOfflineScope,
+  cacheGet,
+  cachePut,
+  queueList,
+  queueAdd,
+  queuePut,
+  queueRemove
+} from './offlineStore';
 
 // API base URL
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://expense-tracker-penthara-ai.onrender.com/api';
 
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+
+// Called when the server rejects our token (set by the auth gate)
+let unauthorizedHandler = null;
+
+/**
+ * Get the stored session, if any
+ * @returns {Object|null} { token, user } or null when signed out
+ */
+export const getStoredSession = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const user = localStorage.getItem(USER_KEY);
+  return token && user ? { token, user: JSON.parse(user) } : null;
+};
+
+const storeSession = ({ token, user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  setOfflineScope(user.id);
+};
+
+// Queued changes are kept, so they sync once the same user signs back in
+const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  setOfflineScope(null);
+};
+
+setOfflineScope(getStoredSession()?.user.id || null);
+
+/**
+ * Register a callback for when the session expires or is revoked
+ * @param {Function|null} handler - Called with no arguments on a 401
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Attach the session token to every request
+axios.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Drop the session when the server no longer accepts it
+axios.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && localStorage.getItem(TOKEN_KEY)) {
+      clearSession();
+      if (unauthorizedHandler) {
+        unauthorizedHandler();
+      }
+    }
+    return Promise.reject(error);
+  }
+);
+
 /**
- * Fetch all expenses, optionally filtered by category
- * @param {string} category - Optional category filter
- * @returns {Promise<Array>} Array of expenses
+ * Create an account and sign in
+ * @param {Object} credentials - { email, password, name }
+ * @returns {Promise<Object>} The signed-in user
  */
-export const fetchExpenses = async (category = null) => {
+export const register = async (credentials) => {
   try {
-    const url = category && category !== 'All'
-      ? `${API_BASE_URL}/expenses?category=${category}`
-      : `${API_BASE_URL}/expenses`;
+    const response = await axios.post(`${API_BASE_URL}/auth/register`, credentials);
+    storeSession(response.data.data);
+    return response.data.data.user;
+  } catch (error) {
+    console.error('Error registering:', error);
+    throw error;
+  }
+};
 
-    const response = await axios.get(url);
-    return response.data.data;
+/**
+ * Sign in with email and password
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} The signed-in user
+ */
+export const login = async (credentials) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/auth/login`, credentials);
+    storeSession(response.data.data);
+    return response.data.data.user;
+  } catch (error) {
+    console.error('Error logging in:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sign out and revoke the current session
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  try {
+    await axios.post(`${API_BASE_URL}/auth/logout`);
+  } catch (error) {
+    // The local session is cleared regardless, so a failed call is harmless
+    console.error('Error logging out:', error);
+  } finally {
+    clearSession();
+  }
+};
+
+/**
+ * Drop empty values and the 'All' category so they aren't sent as filters.
+ * Lists (such as tags) are sent comma-separated.
+ * @param {Object} params - Query parameters
+ * @returns {Object} Parameters worth sending
+ */
+const cleanParams = (params) =>
+  Object.fromEntries(
+    Object.entries(params)
+      .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value])
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined && value !== 'All')
+  );
+
+/**
+ * Whether a request failed because the server couldn't be reached, as
+ * opposed to the server answering with an error
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network failures
+ */
+const isNetworkError = (error) => !error.response;
+
+/**
+ * GET a resource, caching the response. When the server can't be reached
+ * the cached copy is returned instead, marked `offline: true`.
+ * @param {string} path - Path below the API base URL
+ * @param {Object} params - Query parameters (already cleaned)
+ * @param {string} fallbackKey - Extra cache slot to fall back to when this
+ *   exact request was never cached (e.g. the last expense page seen)
+ * @returns {Promise<Object>} The response body
+ */
+const cachedGet = async (path, params = {}, fallbackKey = null) => {
+  const key = `${path}?${new URLSearchParams(params)}`;
+  try {
+    const response = await axios.get(`${API_BASE_URL}${path}`, { params });
+    // Caching is best-effort; a full or blocked IndexedDB mustn't break reads
+    cachePut(key, response.data).catch(() => {});
+    if (fallbackKey) {
+      cachePut(fallbackKey, response.data).catch(() => {});
+    }
+    return response.data;
+  } catch (error) {
+    const cached = isNetworkError(error)
+      ? (await cacheGet(key)) || (fallbackKey && (await cacheGet(fallbackKey)))
+      : null;
+    if (!cached) {
+      throw error;
+    }
+    return { ...cached, offline: true };
+  }
+};
+
+/**
+ * Show queued changes on a page of expenses: queued creates are added at
+ * the top of the first page, and queued edits and deletes are applied to
+ * their rows. Affected rows get `pending` set to 'create', 'update' or
+ * 'delete'.
+ * @param {Object} page - Response body from the expenses endpoint
+ * @param {Array} queue - Queued changes, oldest first
+ * @returns {Object} The page with pending changes applied
+ */
+const applyPendingChanges = (page, queue) => {
+  let expenses = page.data;
+  queue.forEach((entry) => {
+    if (entry.type === 'create') {
+      if (page.page === 1) {
+        expenses = [{ ...entry.data, id: entry.expenseId, pending: 'create' }, ...expenses];
+      }
+    } else {
+      expenses = expenses.map((expense) =>
+        expense.id === entry.expenseId ? { ...expense, ...entry.data, pending: entry.type } : expense
+      );
+    }
+  });
+  return { ...page, data: expenses };
+};
+
+/**
+ * Queue an expense change made while offline. Changes to an expense that
+ * was itself created offline are folded into its queued create, and repeat
+ * edits of the same expense into one update.
+ * @param {Error} error - The network error that caused the change to be queued
+ * @param {string} type - 'create', 'update' or 'delete'
+ * @param {string} expenseId - Expense ID ('pending-…' for offline creates)
+ * @param {Object} data - Expense fields (for create and update)
+ * @param {number} version - Version of the expense the change was made to
+ * @returns {Promise<Object>} The expense as it will be once synced, with `pending` set
+ */
+const queueChange = async (error, type, expenseId, data = {}, version = null) => {
+  const queue = await queueList();
+  const queuedCreate = queue.find((e) => e.type === 'create' && e.expenseId === expenseId);
+  const queuedUpdate = queue.find((e) => e.type === 'update' && e.expenseId === expenseId);
+
+  let saved;
+  if (queuedCreate && type === 'delete') {
+    saved = await queueRemove(queuedCreate.id);
+  } else if (queuedCreate) {
+    saved = await queuePut({ ...queuedCreate, data: { ...queuedCreate.data, ...data } });
+  } else if (queuedUpdate && type === 'update') {
+    saved = await queuePut({ ...queuedUpdate, data: { ...queuedUpdate.data, ...data } });
+  } else {
+    if (queuedUpdate) {
+      // A delete supersedes an edit made earlier
+      await queueRemove(queuedUpdate.id);
+    }
+    saved = await queueAdd({ type, expenseId, data, version: queuedUpdate ? queuedUpdate.version : version });
+  }
+
+  if (saved === undefined && !queuedCreate) {
+    // Offline storage is unavailable, so the change can't be kept
+    throw error;
+  }
+  return { ...data, id: expenseId, pending: queuedCreate ? 'create' : type };
+};
+
+/**
+ * Make an ID for an expense created on this device, so retrying the create
+ * can't add it twice
+ * @returns {string} Random ID
+ */
+const newClientId = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Expenses created offline use this ID prefix until they reach the server
+const isPendingId = (id) => String(id).startsWith('pending-');
+
+/**
+ * Fetch one page of expenses
+ * @param {Object} params - Query parameters
+ * @param {string} params.category - Category filter ('All' for none)
+ * @param {string} params.from - Earliest date (YYYY-MM-DD)
+ * @param {string} params.to - Latest date (YYYY-MM-DD)
+ * @param {number} params.minAmount - Smallest amount
+ * @param {number} params.maxAmount - Largest amount
+ * @param {Array<string>} params.tags - Tags an expense must all have
+ * @param {string} params.type - 'expense' or 'income'; both when empty
+ * @param {string} params.q - Description search text
+ * @param {string} params.sort - 'date', 'amount', 'category' or 'description'
+ * @param {string} params.order - 'asc' or 'desc'
+ * @param {number} params.page - 1-based page number
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} Response with expenses in `data` plus
+ *   `page`, `limit`, `total` and `totalPages`
+ */
+export const fetchExpenses = async (params = {}) => {
+  try {
+    const page = await cachedGet('/expenses', cleanParams(params), 'expenses:last');
+    return applyPendingChanges(page, await queueList());
   } catch (error) {
     console.error('Error fetching expenses:', error);
     throw error;
@@ -38,91 +309,1187 @@ export const fetchExpenses = async (category = null) => {
  * Create a new expense
  * @param {Object} expenseData - The expense data object
  * @param {number} expenseData.amount - The expense amount
+ * @param {string} expenseData.currency - ISO currency code (defaults to the server's base)
  * @param {string} expenseData.category - The expense category
  * @param {string} expenseData.date - The expense date (YYYY-MM-DD format)
  * @param {string} expenseData.description - Optional description
- * @returns {Promise<Object>} The created expense object
+ * @param {Object} expenseData.split - Optional split: { paidBy, method, participants: [{ name, share }] }
+ * @returns {Promise<Object>} Response with the created expense in `data` and
+ *   any budgets it pushed over their limit in `budgetAlerts`. Offline, the
+ *   expense is queued and the response has `queued: true`.
  */
 export const createExpense = async (expenseData) => {
+  const data = { ...expenseData, clientId: expenseData.clientId || newClientId() };
   try {
-    const response = await axios.post(`${API_BASE_URL}/expenses`, expenseData);
-    return response.data.data;
+    const response = await axios.post(`${API_BASE_URL}/expenses`, data);
+    return response.data;
   } catch (error) {
+    if (isNetworkError(error)) {
+      const queued = await queueChange(error, 'create', `pending-${data.clientId}`, data);
+      return { success: true, data: queued, budgetAlerts: [], queued: true };
+    }
     console.error('Error creating expense:', error);
     throw error;
   }
 };
 
 /**
- * Update an existing expense
+ * Read a quick-add line ("250 lunch yesterday #food") into expense fields
+ * without saving anything
+ * @param {string} text - The line as typed
+ * @param {string} today - The user's date (YYYY-MM-DD), for "yesterday" and the like
+ * @returns {Promise<Object>} { amount, currency, date, category,
+ *   categorySource, type, tags, description }; amount and category are null
+ *   when the text doesn't give them
+ */
+export const parseQuickAddText = async (text, today) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/expenses/parse`, { text, today });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error parsing quick add:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an existing expense. Include the `version` last loaded to get a
+ * 409 (with the server copy in `error.response.data.data`) if it changed
+ * since. Offline, the change is queued.
  * @param {string} id - The expense ID
  * @param {Object} expenseData - The updated expense data
- * @returns {Promise<Object>} The updated expense object
+ * @returns {Promise<Object>} The updated expense object (with `pending` set when queued)
  */
 export const updateExpense = async (id, expenseData) => {
   try {
+    if (isPendingId(id)) {
+      return await queueChange(null, 'update', id, expenseData);
+    }
     const response = await axios.put(`${API_BASE_URL}/expenses/${id}`, expenseData);
     return response.data.data;
   } catch (error) {
+    if (error && isNetworkError(error) && !isPendingId(id)) {
+      return queueChange(error, 'update', id, expenseData, expenseData.version);
+    }
     console.error('Error updating expense:', error);
     throw error;
   }
 };
 
 /**
- * Delete an expense
+ * Move an expense to the trash
  * @param {string} id - The expense ID
- * @returns {Promise<Object>} The deleted expense object
+ * @param {number} version - Version last loaded, to detect conflicting changes (optional)
+ * @returns {Promise<Object>} Response with the deleted expense (including
+ *   `deletedAt` and `purgeAt`) in `data`. Offline, the delete is queued and
+ *   the response has `queued: true`.
  */
-export const deleteExpense = async (id) => {
+export const deleteExpense = async (id, version = null) => {
   try {
-    const response = await axios.delete(`${API_BASE_URL}/expenses/${id}`);
+    if (isPendingId(id)) {
+      return { success: true, data: await queueChange(null, 'delete', id), queued: true };
+    }
+    const response = await axios.delete(`${API_BASE_URL}/expenses/${id}`, {
+      params: cleanParams({ version })
+    });
     return response.data;
   } catch (error) {
+    if (error && isNetworkError(error) && !isPendingId(id)) {
+      return { success: true, data: await queueChange(error, 'delete', id, {}, version), queued: true };
+    }
     console.error('Error deleting expense:', error);
     throw error;
   }
 };
 
+const CONFLICTS_KEY = 'sync:conflicts';
+
+// The sync in progress, so overlapping calls don't send a change twice
+let runningSync = null;
+
 /**
- * Fetch expense summary grouped by category
- * @returns {Promise<Object>} Object containing summary array and grand total
+ * Send one queued change to the server
+ * @param {Object} entry - Queue entry
+ * @param {number} version - Version to send for updates and deletes
+ * @returns {Promise<Object>} The server response body
+ */
+const sendChange = async (entry, version) => {
+  if (entry.type === 'create') {
+    const { data } = await axios.post(`${API_BASE_URL}/expenses`, entry.data);
+    return data;
+  }
+  if (entry.type === 'update') {
+    const { data } = await axios.put(`${API_BASE_URL}/expenses/${entry.expenseId}`, { ...entry.data, version });
+    return data;
+  }
+  const { data } = await axios.delete(`${API_BASE_URL}/expenses/${entry.expenseId}`, {
+    params: cleanParams({ version })
+  });
+  return data;
+};
+
+/**
+ * Replay the queue once (see syncPendingChanges)
+ * @returns {Promise<Object>} { synced, conflicts, pending } counts
+ */
+const replayQueue = async () => {
+  const conflicts = (await cacheGet(CONFLICTS_KEY)) || [];
+  let synced = 0;
+
+  for (const entry of await queueList()) {
+    try {
+      await sendChange(entry, entry.version);
+      synced += 1;
+    } catch (error) {
+      if (isNetworkError(error) || error.response.status === 401) {
+        break;
+      }
+      conflicts.push({
+        ...entry,
+        server: error.response.status === 409 ? error.response.data.data : null,
+        error: error.response.data.error || 'The server rejected this change'
+      });
+    }
+    await queueRemove(entry.id);
+  }
+
+  await cachePut(CONFLICTS_KEY, conflicts);
+  return { synced, conflicts: conflicts.length, pending: (await queueList()).length };
+};
+
+/**
+ * Replay changes queued while offline, oldest first. Replaying stops at the
+ * first network failure, leaving the rest queued. Changes the server
+ * rejects - because the expense was edited or deleted elsewhere in the
+ * meantime, or the data is no longer valid - are kept as conflicts for the
+ * user to resolve.
+ * @returns {Promise<Object>} { synced, conflicts, pending } counts
+ */
+export const syncPendingChanges = () => {
+  if (!runningSync) {
+    runningSync = replayQueue().finally(() => {
+      runningSync = null;
+    });
+  }
+  return runningSync;
+};
+
+/**
+ * Get the changes waiting to be synced and those that couldn't be applied
+ * @returns {Promise<Object>} { pending: Array, conflicts: Array } where each
+ *   conflict is a queue entry plus `error` and, when the expense was changed
+ *   elsewhere, its current `server` copy
+ */
+export const getSyncStatus = async () => ({
+  pending: await queueList(),
+  conflicts: (await cacheGet(CONFLICTS_KEY)) || []
+});
+
+/**
+ * Settle a sync conflict, either by applying the queued change over the
+ * server's current copy or by dropping it
+ * @param {number} id - Queue entry ID of the conflict
+ * @param {boolean} keepMine - Apply the queued change (true) or keep the server copy (false)
+ * @returns {Promise<Array>} The remaining conflicts
+ */
+export const resolveConflict = async (id, keepMine) => {
+  const conflicts = (await cacheGet(CONFLICTS_KEY)) || [];
+  const conflict = conflicts.find((c) => c.id === id);
+  try {
+    if (conflict && keepMine) {
+      await sendChange(conflict, conflict.server ? conflict.server.version : null);
+    }
+    const remaining = conflicts.filter((c) => c.id !== id);
+    await cachePut(CONFLICTS_KEY, remaining);
+    return remaining;
+  } catch (error) {
+    console.error('Error resolving sync conflict:', error);
+    throw error;
+  }
+};
+
+/**
+ * Apply one action to many expenses at once. The server applies it to all
+ * of them or none: when any expense can't be changed the request fails
+ * (400, or 409 for version conflicts) with each expense's outcome in
+ * `error.response.data.data`.
+ * @param {string} action - delete, setCategory, addTags, removeTags or shiftDate
+ * @param {Object} target - { ids, versions } for picked expenses, or { filters } for every match
+ * @param {Object} fields - { category }, { tags } or { days }, depending on the action
+ * @returns {Promise<Object>} Response with per-expense results in `data` and the `updated` count
  */
-export const fetchExpenseSummary = async () => {
+export const bulkUpdateExpenses = async (action, target, fields = {}) => {
   try {
-    const response = await axios.get(`${API_BASE_URL}/expenses/summary`);
+    const body = { action, ...fields, ...target };
+    if (target.filters) {
+      body.filters = cleanParams(target.filters);
+    }
+    const response = await axios.post(`${API_BASE_URL}/expenses/bulk`, body);
     return response.data;
   } catch (error) {
-    console.error('Error fetching expense summary:', error);
+    console.error('Error applying bulk action:', error);
     throw error;
   }
 };
 
 /**
- * Fetch all available categories
- * @returns {Promise<Array>} Array of category names
+ * Fetch the expenses in the trash
+ * @returns {Promise<Object>} Response with the trashed expenses in `data`
+ *   and `retentionDays`
  */
-export const fetchCategories = async () => {
+export const fetchTrash = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/expenses/trash`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore an expense from the trash
+ * @param {string} id - The expense ID
+ * @returns {Promise<Object>} The restored expense
+ */
+export const restoreExpense = async (id) => {
   try {
-    const response = await axios.get(`${API_BASE_URL}/categories`);
+    const response = await axios.post(`${API_BASE_URL}/expenses/${id}/restore`);
     return response.data.data;
   } catch (error) {
-    console.error('Error fetching categories:', error);
+    console.error('Error restoring expense:', error);
     throw error;
   }
 };
 
 /**
- * Create a new category
- * @param {string} name - The category name
- * @returns {Promise<string>} The created category name
+ * Permanently delete an expense from the trash
+ * @param {string} id - The expense ID
+ * @returns {Promise<Object>} The deleted expense
  */
-export const createCategory = async (name) => {
+export const purgeExpense = async (id) => {
   try {
-    const response = await axios.post(`${API_BASE_URL}/categories`, { name });
+    const response = await axios.delete(`${API_BASE_URL}/expenses/trash/${id}`);
     return response.data.data;
   } catch (error) {
-    console.error('Error creating category:', error);
+    console.error('Error purging expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise<number>} Number of expenses deleted
+ */
+export const emptyTrash = async () => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/expenses/trash`);
+    return response.data.count;
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch an expense's change history, newest first
+ * @param {string} id - The expense ID
+ * @returns {Promise<Array>} Audit entries: { action, source, changes, at }
+ */
+export const fetchExpenseHistory = async (id) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/expenses/${id}/history`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching expense history:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the receipts attached to an expense
+ * @param {string} expenseId - The expense ID
+ * @returns {Promise<Array>} Attachment records
+ */
+export const fetchAttachments = async (expenseId) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/expenses/${expenseId}/attachments`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload receipts for an expense
+ * @param {string} expenseId - The expense ID
+ * @param {Array<File>} files - JPEG, PNG, WebP or PDF files
+ * @returns {Promise<Array>} The created attachment records
+ */
+export const uploadAttachments = async (expenseId, files) => {
+  try {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+
+    const response = await axios.post(`${API_BASE_URL}/expenses/${expenseId}/attachments`, formData);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download an attachment. Files are fetched as blobs because the session
+ * token can't be sent from a plain <img> or link.
+ * @param {string} expenseId - The expense ID
+ * @param {string} attachmentId - The attachment ID
+ * @param {boolean} thumbnail - Fetch the small preview instead of the file
+ * @returns {Promise<Blob>} The file contents
+ */
+export const fetchAttachmentBlob = async (expenseId, attachmentId, thumbnail = false) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/expenses/${expenseId}/attachments/${attachmentId}`, {
+      params: thumbnail ? { thumbnail: 1 } : {},
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an attachment
+ * @param {string} expenseId - The expense ID
+ * @param {string} attachmentId - The attachment ID
+ * @returns {Promise<Object>} The deleted attachment record
+ */
+export const deleteAttachment = async (expenseId, attachmentId) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/expenses/${expenseId}/attachments/${attachmentId}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a CSV statement to the import endpoint
+ *
+ * Without a mapping the server returns the file's columns and sample rows.
+ * With a mapping it returns a dry-run preview, unless `dryRun` is false, in
+ * which case the accepted rows are saved.
+ *
+ * @param {File} file - The CSV file
+ * @param {Object} options
+ * @param {Object} options.mapping - Column indexes and parsing options
+ * @param {boolean} options.dryRun - Preview only (default true)
+ * @param {Array<number>} options.acceptRows - Row numbers to import
+ * @returns {Promise<Object>} The response body
+ */
+export const importExpenses = async (file, { mapping = null, dryRun = true, acceptRows = null } = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (mapping) {
+      formData.append('mapping', JSON.stringify(mapping));
+    }
+    formData.append('dryRun', String(dryRun));
+    if (acceptRows) {
+      formData.append('acceptRows', JSON.stringify(acceptRows));
+    }
+
+    const response = await axios.post(`${API_BASE_URL}/expenses/import`, formData);
+    return response.data;
+  } catch (error) {
+    console.error('Error importing expenses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload an OFX or QIF statement to the statement import endpoint
+ *
+ * Returns a dry-run preview unless `dryRun` is false, in which case the new
+ * transactions are saved. Transactions already imported into the account are
+ * skipped either way.
+ *
+ * @param {File} file - The .ofx/.qfx or .qif file
+ * @param {Object} options
+ * @param {string} options.accountId - Account the statement belongs to
+ * @param {string} options.defaultCategory - Expense category for debits no rule matches
+ * @param {string} options.incomeCategory - Income category for credits (skipped without one)
+ * @param {string} options.dateOrder - MDY or DMY, for QIF dates
+ * @param {boolean} options.dryRun - Preview only (default true)
+ * @param {Array<number>} options.acceptRows - Row numbers to import
+ * @returns {Promise<Object>} The response body
+ */
+export const importStatement = async (
+  file,
+  { accountId = null, defaultCategory, incomeCategory = null, dateOrder = 'MDY', dryRun = true, acceptRows = null } = {}
+) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (accountId) {
+      formData.append('accountId', accountId);
+    }
+    formData.append('defaultCategory', defaultCategory || '');
+    if (incomeCategory) {
+      formData.append('incomeCategory', incomeCategory);
+    }
+    formData.append('dateOrder', dateOrder);
+    formData.append('dryRun', String(dryRun));
+    if (acceptRows) {
+      formData.append('acceptRows', JSON.stringify(acceptRows));
+    }
+
+    const response = await axios.post(`${API_BASE_URL}/expenses/import/statement`, formData);
+    return response.data;
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download expenses matching a set of filters
+ * @param {string} format - 'csv', 'json' or 'xlsx'
+ * @param {Object} filters - Same filters and sorting as fetchExpenses (paging is ignored)
+ * @returns {Promise<Object>} { blob, filename }
+ */
+export const exportExpenses = async (format, filters = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/expenses/export`, {
+      params: cleanParams({ ...filters, format }),
+      responseType: 'blob'
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+
+    return { blob: response.data, filename: match ? match[1] : `expenses.${format}` };
+  } catch (error) {
+    console.error('Error exporting expenses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch expense summary grouped by category
+ * @param {Object} params - Query parameters
+ * @param {string} params.groupBy - Also return a time series: 'day', 'week', 'month' or 'year'
+ * @param {string} params.from - Earliest date (YYYY-MM-DD)
+ * @param {string} params.to - Latest date (YYYY-MM-DD)
+ * @param {string} params.expand - Top-level category to break down into its subcategories
+ * @param {Array<string>|string} params.tags - Only count expenses with all of these tags (list or comma-separated)
+ * @returns {Promise<Object>} Object containing summary array, grand total and optional series
+ */
+export const fetchExpenseSummary = async (params = {}) => {
+  try {
+    return await cachedGet('/expenses/summary', cleanParams(params));
+  } catch (error) {
+    console.error('Error fetching expense summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the monthly report: category totals against the previous month and
+ * the same month last year, the largest expenses and daily averages
+ * @param {string} month - YYYY-MM (defaults to the current month)
+ * @returns {Promise<Object>} Response with the report in `data`, plus
+ *   `baseCurrency` and `missingRates`
+ */
+export const fetchMonthlyReport = async (month) => {
+  try {
+    return await cachedGet('/reports/monthly', cleanParams({ month }));
+  } catch (error) {
+    console.error('Error fetching monthly report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download the monthly report as a PDF generated by the server
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object>} { blob, filename }
+ */
+export const downloadMonthlyReportPdf = async (month) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/reports/monthly`, {
+      params: cleanParams({ month, format: 'pdf' }),
+      responseType: 'blob'
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+
+    return { blob: response.data, filename: match ? match[1] : `report-${month}.pdf` };
+  } catch (error) {
+    console.error('Error downloading monthly report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the user's categories
+ * @returns {Promise<Array>} Array of { id, name, color, icon } objects
+ */
+export const fetchCategories = async () => {
+  try {
+    return (await cachedGet('/categories')).data;
+  } catch (error) {
+    console.error('Error fetching categories:', error);
     throw error;
   }
 };
+
+/**
+ * Fetch the tags in use, most used first
+ * @returns {Promise<Array>} Array of { tag, count, total } objects
+ */
+export const fetchTags = async () => {
+  try {
+    return (await cachedGet('/tags')).data;
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch who owes whom across split expenses
+ * @returns {Promise<Object>} Response with { balances, debts, settlements } in
+ *   `data`, plus `baseCurrency` and `missingRates`
+ */
+export const fetchBalances = async () => {
+  try {
+    return await cachedGet('/balances');
+  } catch (error) {
+    console.error('Error fetching balances:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a settle-up payment
+ * @param {Object} settlement - { from, to, amount, currency?, date?, note? }
+ * @returns {Promise<Object>} The recorded settlement
+ */
+export const settleUp = async (settlement) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/balances/settle`, settlement);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error recording settlement:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a recorded settlement
+ * @param {string} id - The settlement ID
+ * @returns {Promise<Object>} The deleted settlement
+ */
+export const deleteSettlement = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/balances/settlements/${id}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting settlement:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch accounts with their running balances
+ * @returns {Promise<Object>} Response with the accounts (each with `balance`)
+ *   in `data`, plus `missingRates`
+ */
+export const fetchAccounts = async () => {
+  try {
+    return await cachedGet('/accounts');
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an account
+ * @param {Object} accountData - { name, type, currency?, openingBalance? }
+ * @returns {Promise<Object>} The created account
+ */
+export const createAccount = async (accountData) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/accounts`, accountData);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error creating account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an account
+ * @param {string} id - The account ID
+ * @param {Object} changes - Any of { name, type, currency, openingBalance }
+ * @returns {Promise<Object>} The updated account
+ */
+export const updateAccount = async (id, changes) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/accounts/${id}`, changes);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error updating account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an account
+ * @param {string} id - The account ID
+ * @param {string} reassignTo - Account that takes over its records; required while it is in use
+ * @returns {Promise<Object>} The deleted account
+ */
+export const deleteAccount = async (id, reassignTo) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/accounts/${id}`, {
+      params: cleanParams({ reassignTo })
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch an account's ledger
+ * @param {string} id - The account ID
+ * @returns {Promise<Object>} Response with entries (newest first, each with
+ *   the running `balance`) in `data`, plus `openingBalance`, `balance` and
+ *   `currency`
+ */
+export const fetchAccountHistory = async (id) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/accounts/${id}/history`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching account history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move money between two accounts
+ * @param {Object} transfer - { fromAccountId, toAccountId, amount, currency?, date?, note? }
+ * @returns {Promise<Object>} The recorded transfer
+ */
+export const createTransfer = async (transfer) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/accounts/transfers`, transfer);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error recording transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a recorded transfer
+ * @param {string} id - The transfer ID
+ * @returns {Promise<Object>} The deleted transfer
+ */
+export const deleteTransfer = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/accounts/transfers/${id}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch stored exchange rates
+ * @returns {Promise<Object>} { data: [{ currency, rate, updatedAt }], baseCurrency }
+ */
+export const fetchRates = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/rates`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching rates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the exchange rate for a currency
+ * @param {string} currency - Currency code
+ * @param {number} rate - Units of the base currency per one unit of `currency`
+ * @returns {Promise<Object>} The saved rate
+ */
+export const saveRate = async (currency, rate) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/rates/${currency}`, { rate });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error saving rate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import exchange rates from a file's contents
+ * @param {string} format - 'json' or 'csv'
+ * @param {string} content - File contents
+ * @returns {Promise<Array>} The imported rates
+ */
+export const importRates = async (format, content) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/rates/import`, { format, content });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error importing rates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the exchange rate for a currency
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} The deleted rate
+ */
+export const deleteRate = async (currency) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/rates/${currency}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting rate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch all budgets
+ * @returns {Promise<Array>} Array of budgets
+ */
+export const fetchBudgets = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/budgets`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch spent vs. limit for every budget's current period
+ * @returns {Promise<Array>} Array of evaluated budgets
+ */
+export const fetchBudgetSummary = async () => {
+  try {
+    return (await cachedGet('/budgets/summary')).data;
+  } catch (error) {
+    console.error('Error fetching budget summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a budget
+ * @param {Object} budgetData - { category, period, limit }
+ * @returns {Promise<Object>} The created budget
+ */
+export const createBudget = async (budgetData) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/budgets`, budgetData);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a budget
+ * @param {string} id - The budget ID
+ * @param {Object} budgetData - Fields to change
+ * @returns {Promise<Object>} The updated budget
+ */
+export const updateBudget = async (id, budgetData) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/budgets/${id}`, budgetData);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a budget
+ * @param {string} id - The budget ID
+ * @returns {Promise<Object>} The deleted budget
+ */
+export const deleteBudget = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/budgets/${id}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch all recurring expense rules
+ * @returns {Promise<Array>} Array of rules
+ */
+export const fetchRecurringRules = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/recurring`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching recurring rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a recurring expense rule
+ * @param {Object} ruleData - { amount, currency, category, description, frequency, startDate, endDate }
+ * @returns {Promise<Object>} Response with the rule in `data` and the number
+ *   of expenses generated straight away in `generated`
+ */
+export const createRecurringRule = async (ruleData) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/recurring`, ruleData);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a recurring expense rule (also pauses and resumes via `paused`)
+ * @param {string} id - The rule ID
+ * @param {Object} ruleData - Fields to change
+ * @returns {Promise<Object>} Response with the rule in `data` and `generated`
+ */
+export const updateRecurringRule = async (id, ruleData) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/recurring/${id}`, ruleData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a recurring expense rule
+ * @param {string} id - The rule ID
+ * @returns {Promise<Object>} The deleted rule
+ */
+export const deleteRecurringRule = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/recurring/${id}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch auto-categorization rules, in the order they are tried
+ * @returns {Promise<Array>} Array of rules
+ */
+export const fetchCategoryRules = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/rules`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an auto-categorization rule
+ * @param {Object} ruleData - { pattern?, matchType?, minAmount?, maxAmount?, category, tags?, enabled? }
+ * @returns {Promise<Object>} The created rule
+ */
+export const createCategoryRule = async (ruleData) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/rules`, ruleData);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an auto-categorization rule
+ * @param {string} id - The rule ID
+ * @param {Object} changes - Any of the fields createCategoryRule takes
+ * @returns {Promise<Object>} The updated rule
+ */
+export const updateCategoryRule = async (id, changes) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/rules/${id}`, changes);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an auto-categorization rule
+ * @param {string} id - The rule ID
+ * @returns {Promise<Object>} The deleted rule
+ */
+export const deleteCategoryRule = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/rules/${id}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-run the rules over stored expenses
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only preview the changes (default true)
+ * @param {Array<string>} options.expenseIds - Limit the run to these expenses
+ * @returns {Promise<Object>} The response body: `data` lists each change as
+ *   { id, description, before, after }, and `count` how many there are (or were made)
+ */
+export const applyCategoryRules = async ({ dryRun = true, expenseIds } = {}) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/rules/apply`, { dryRun, expenseIds });
+    return response.data;
+  } catch (error) {
+    console.error('Error applying rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Suggest a category for an expense being entered, from the rules or the
+ * categories used for similar past descriptions
+ * @param {Object} params - { description, amount?, type? }
+ * @returns {Promise<Object|null>} { category, tags, source: 'rule' | 'history' }, or null
+ */
+export const suggestCategory = async (params) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/rules/suggest`, { params: cleanParams(params) });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching category suggestion:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new category
+ * @param {string} name - The category name
+ * @param {Object} style - Optional { color, icon, parent, type } (type is 'expense' or 'income')
+ * @returns {Promise<Object>} The created category
+ */
+export const createCategory = async (name, style = {}) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/categories`, { name, ...style });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error creating category:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a category or change its color or icon. Renaming also updates the
+ * expenses, budgets and recurring rules that use it.
+ * @param {string} name - Current category name
+ * @param {Object} changes - { name, color, icon }
+ * @returns {Promise<Object>} The updated category
+ */
+export const updateCategory = async (name, changes) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/categories/${encodeURIComponent(name)}`, changes);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error updating category:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a category
+ * @param {string} name - Category name
+ * @param {string} reassignTo - Category that takes over its expenses; required while it is in use
+ * @returns {Promise<Object>} The deleted category
+ */
+export const deleteCategory = async (name, reassignTo) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/categories/${encodeURIComponent(name)}`, {
+      params: cleanParams({ reassignTo })
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    throw error;
+  }
+};
+
+/**
+ * Merge one category into another
+ * @param {string} name - Category to merge away
+ * @param {string} into - Category that absorbs it
+ * @returns {Promise<Object>} The remaining category
+ */
+export const mergeCategory = async (name, into) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/categories/${encodeURIComponent(name)}/merge`, { into });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error merging categories:', error);
+    throw error;
+  }
+};
+
+// Wait before reconnecting to the event stream; doubles after each failed
+// attempt, up to the maximum
+const STREAM_RETRY_MS = 3000;
+const STREAM_MAX_RETRY_MS = 60 * 1000;
+
+/**
+ * Follow the server's stream of expense and category changes (GET /events)
+ *
+ * EventSource can't send the Authorization header, so the stream is read
+ * with fetch. After a drop it reconnects with the ID of the last event seen,
+ * and the server replays what was missed, or sends a `reset` event when it
+ * can't (the client should then reload everything).
+ *
+ * @param {Function} onEvent - Called with (type, data) for each event, e.g. ('expense.update', expense)
+ * @param {Function} onConnectionChange - Called with true when connected and false when the stream drops
+ * @returns {Function} Stops following the stream
+ */
+export const subscribeToChanges = (onEvent, onConnectionChange = () => {}) => {
+  let lastEventId = null;
+  let retryMs = STREAM_RETRY_MS;
+  let attempt = 0;
+  let controller = null;
+  let timer = null;
+  let stopped = false;
+
+  /**
+   * Handle one event block ("id: ...\nevent: ...\ndata: ...")
+   * @param {string} block - The event's lines
+   */
+  const dispatch = (block) => {
+    let type = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+      if (line.startsWith(':')) {
+        return;
+      }
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'id') {
+        lastEventId = value;
+      } else if (field === 'event') {
+        type = value;
+      } else if (field === 'data') {
+        data.push(value);
+      } else if (field === 'retry' && /^\d+$/.test(value)) {
+        retryMs = Number(value);
+      }
+    });
+    if (data.length > 0) {
+      onEvent(type, JSON.parse(data.join('\n')));
+    }
+  };
+
+  const connect = async () => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (stopped || !token) {
+      return;
+    }
+
+    controller = new AbortController();
+    try {
+      const response = await fetch(`${API_BASE_URL}/events`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'text/event-stream',
+          ...(lastEventId && { 'Last-Event-ID': lastEventId })
+        },
+        cache: 'no-store',
+        signal: controller.signal
+      });
+      if (response.status === 401) {
+        clearSession();
+        if (unauthorizedHandler) {
+          unauthorizedHandler();
+        }
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream responded with ${response.status}`);
+      }
+
+      attempt = 0;
+      onConnectionChange(true);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+        let end = buffer.indexOf('\n\n');
+        while (end !== -1) {
+          dispatch(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          end = buffer.indexOf('\n\n');
+        }
+      }
+    } catch (error) {
+      if (!stopped) {
+        console.error('Event stream dropped:', error);
+      }
+    }
+
+    if (!stopped) {
+      onConnectionChange(false);
+      timer = setTimeout(connect, Math.min(retryMs * 2 ** attempt, STREAM_MAX_RETRY_MS));
+      attempt += 1;
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (controller) {
+      controller.abort();
+    }
+  };
+};
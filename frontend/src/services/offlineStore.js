@@ -0,0 +1,115 @@
+/**
+ * offlineStore - IndexedDB storage for working offline
+ *
+ * Holds two things per signed-in user:
+ * - cache: the last server response for each read (expense pages,
+ *   categories, summary, ...), so the app has something to show offline
+ * - queue: creates, updates and deletes made while the server couldn't be
+ *   reached, replayed in order by ExpenseService.syncPendingChanges
+ *
+ * Each user gets their own database, so one person's queued changes are
+ * never replayed under another account.
+ */
+
+const DB_VERSION = 1;
+const CACHE = 'cache';
+const QUEUE = 'queue';
+
+let scope = null;
+let dbPromise = null;
+
+/**
+ * Choose whose data is read and written
+ * @param {string|null} userId - Signed-in user, or null when signed out
+ */
+export const setOfflineScope = (userId) => {
+  if (userId !== scope) {
+    scope = userId;
+    dbPromise = null;
+  }
+};
+
+/**
+ * Open the current user's database
+ * @returns {Promise<IDBDatabase|null>} The database, or null when signed out
+ *   or when IndexedDB isn't available
+ */
+const openDb = () => {
+  if (!scope || typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(`expense-tracker-${scope}`, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(CACHE);
+        db.createObjectStore(QUEUE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.error('Offline storage is unavailable:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against an object store
+ * @param {string} storeName - CACHE or QUEUE
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} The request result (undefined when storage is unavailable)
+ */
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  if (!db) {
+    return undefined;
+  }
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} The value, or undefined when nothing is cached
+ */
+export const cacheGet = (key) => withStore(CACHE, 'readonly', (store) => store.get(key));
+
+/**
+ * Cache a value
+ * @param {string} key - Cache key
+ * @param {*} value - Anything structured-cloneable
+ */
+export const cachePut = (key, value) => withStore(CACHE, 'readwrite', (store) => store.put(value, key));
+
+/**
+ * List queued changes, oldest first
+ * @returns {Promise<Array>} Queue entries: { id, type, expenseId, data, version, queuedAt }
+ */
+export const queueList = async () => (await withStore(QUEUE, 'readonly', (store) => store.getAll())) || [];
+
+/**
+ * Add a change to the end of the queue
+ * @param {Object} entry - { type: 'create' | 'update' | 'delete', expenseId, data, version }
+ */
+export const queueAdd = (entry) =>
+  withStore(QUEUE, 'readwrite', (store) => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+
+/**
+ * Replace a queued change
+ * @param {Object} entry - The entry, with its id
+ */
+export const queuePut = (entry) => withStore(QUEUE, 'readwrite', (store) => store.put(entry));
+
+/**
+ * Remove a change from the queue
+ * @param {number} id - Queue entry ID
+ */
+export const queueRemove = (id) => withStore(QUEUE, 'readwrite', (store) => store.delete(id));
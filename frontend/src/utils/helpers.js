@@ -1,13 +1,24 @@
+/**
+ * Default currency, used until the server reports its base currency
+ */
+export const DEFAULT_CURRENCY = 'INR';
+
+/**
+ * Currencies offered in the currency picker alongside any with stored rates
+ */
+export const COMMON_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'JPY'];
+
 /**
  * Currency formatting utility
- * Formats a number to INR currency format
+ * Formats a number in the given currency (INR by default)
  * @param {number} value - The value to format
+ * @param {string} currency - ISO 4217 currency code
  * @returns {string} Formatted currency string
  */
-export const formatCurrency = (value) => {
+export const formatCurrency = (value, currency = DEFAULT_CURRENCY) => {
   return new Intl.NumberFormat('en-IN', {
     style: 'currency',
-    currency: 'INR'
+    currency
   }).format(value);
 };
 
@@ -45,9 +56,15 @@ export const isValidDate = (dateString) => {
 /**
  * Get the color for a category
  * @param {string} category - The category name
+ * @param {Array} categories - Category records from the API, whose stored color wins
  * @returns {string} Hex color code
  */
-export const getCategoryColor = (category) => {
+export const getCategoryColor = (category, categories = []) => {
+  const record = categories.find((c) => c.name === category);
+  if (record && record.color) {
+    return record.color;
+  }
+
   const colorMap = {
     'Food': '#FF6B6B',
     'Transport': '#4ECDC4',
@@ -59,3 +76,99 @@ export const getCategoryColor = (category) => {
   };
   return colorMap[category] || '#95A5A6';
 };
+
+/**
+ * Get the icon for a category
+ * @param {string} category - The category name
+ * @param {Array} categories - Category records from the API
+ * @returns {string} Icon (usually an emoji), or '' if none is set
+ */
+export const getCategoryIcon = (category, categories = []) => {
+  const record = categories.find((c) => c.name === category);
+  return (record && record.icon) || '';
+};
+
+/**
+ * Arrange categories as a two-level tree, each level sorted by name
+ * @param {Array} categories - Category records from the API
+ * @returns {Array} Top-level categories, each with a `children` array
+ */
+export const groupCategories = (categories = []) => {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return categories
+    .filter((c) => !c.parentId)
+    .sort(byName)
+    .map((parent) => ({
+      ...parent,
+      children: categories.filter((c) => c.parentId === parent.id).sort(byName)
+    }));
+};
+
+/**
+ * Get a category's display path, e.g. "Food › Groceries"
+ * @param {string} category - The category name
+ * @param {Array} categories - Category records from the API
+ * @returns {string} The path, or the name alone for a top-level category
+ */
+export const getCategoryPath = (category, categories = []) => {
+  const record = categories.find((c) => c.name === category);
+  const parent = record && record.parentId && categories.find((c) => c.id === record.parentId);
+  return parent ? `${parent.name} › ${category}` : category;
+};
+
+/**
+ * Normalize a tag the way the server stores it: lowercase, no leading '#',
+ * spaces turned into hyphens
+ * @param {string} tag - Raw tag text
+ * @returns {string} Normalized tag
+ */
+export const normalizeTag = (tag) =>
+  tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+
+// Receipt types and size the server accepts (see backend/utils/attachments.js)
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "1.4 KB", "2.3 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Name used for the account holder in split expenses (matches the server)
+export const SPLIT_SELF = 'You';
+
+/**
+ * Work out each participant's part of an amount the way the server does,
+ * for previews while a split is being edited
+ * @param {Object} split - { method, participants: [{ name, share }] }
+ * @param {number} amount - The expense amount
+ * @returns {Array<number>} Amount per participant, in the same order
+ */
+export const splitAmounts = (split, amount) => {
+  const total = Math.round((Number(amount) || 0) * 100);
+  const count = split.participants.length;
+  if (split.method === 'exact') {
+    return split.participants.map((p) => Number(p.share) || 0);
+  }
+  const weights = split.participants.map((p) => (split.method === 'equal' ? 1 : Number(p.share) || 0));
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const cents = weights.map((w) => (weightSum === 0 ? 0 : Math.floor((total * w) / weightSum)));
+  let remainder = weightSum === 0 ? 0 : total - cents.reduce((sum, c) => sum + c, 0);
+  for (let i = 0; remainder > 0 && count > 0; i = (i + 1) % count) {
+    if (weights[i] > 0) {
+      cents[i] += 1;
+      remainder -= 1;
+    }
+  }
+  return cents.map((c) => c / 100);
+};